@@ -1,12 +1,17 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { socketService } from './services/socket';
 import { HomeScreen } from './components/HomeScreen';
 import { LobbyScreen } from './components/LobbyScreen';
 import { GameScreen } from './components/GameScreen';
 import { GameOverScreen } from './components/GameOverScreen';
+import { ReplayViewer } from './components/ReplayViewer';
 import { RulesModal, RulesButton } from './components/ui/RulesModal';
+import { ChatPanel } from './components/ui/ChatPanel';
 import './styles/App.css';
 
+// How long an emote stays over an avatar (matches CHAT_CONFIG.emotes.displaySeconds)
+const EMOTE_DISPLAY_MS = 2500;
+
 const GAME_PHASES = {
   HOME: 'home',
   WAITING: 'waiting',
@@ -17,6 +22,16 @@ const GAME_PHASES = {
   GAME_OVER: 'game_over'
 };
 
+/**
+ * Add actions to the history by seq, replacing any we already have
+ * (live actions can arrive while the full history is loading)
+ */
+const mergeActions = (current, incoming) => {
+  const bySeq = new Map(current.map(action => [action.seq, action]));
+  incoming.forEach(action => bySeq.set(action.seq, action));
+  return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+};
+
 function App() {
   const [phase, setPhase] = useState(GAME_PHASES.HOME);
   const [gameState, setGameState] = useState(null);
@@ -26,11 +41,58 @@ function App() {
   const [roundReset, setRoundReset] = useState(null);
   const [gameDisconnected, setGameDisconnected] = useState(false);
   const [currentChatMessage, setCurrentChatMessage] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [playerEmotes, setPlayerEmotes] = useState({});
+  // The table's action history, kept by the server (see GameHistory)
+  const [gameActions, setGameActions] = useState([]);
+  // Finished game being watched from a replay ID (see ReplayViewer), if any
+  const [replay, setReplay] = useState(null);
+  // Room we're watching without a seat ({ roomCode, spectatorDelay }), if any
+  const [spectating, setSpectating] = useState(null);
+  // Read from the connect listener, which only sees the first render's state
+  const spectatingRoomRef = useRef(null);
 
   useEffect(() => {
     // Connect to server
     socketService.connect();
 
+    // Shared replay links look like ?replay=ID
+    const sharedReplayId = new URLSearchParams(window.location.search).get('replay');
+    if (sharedReplayId) {
+      handleWatchReplay(sharedReplayId);
+    }
+
+    // Every (re)connect gets a new socket ID, so reclaim our seat with the saved token
+    socketService.on('connect', async () => {
+      // Spectators have no seat to resume, they just start watching again
+      if (spectatingRoomRef.current) {
+        try {
+          const response = await socketService.spectateRoom(spectatingRoomRef.current);
+          if (response.publicState) setGameState(response.publicState);
+        } catch (err) {
+          console.log('Could not resume spectating:', err.message);
+        }
+        return;
+      }
+
+      const session = socketService.loadSession();
+      if (!session) return;
+
+      try {
+        const response = await socketService.resumeSession(session.roomCode, session.reconnectToken);
+        setGameState(response.publicState);
+        setPrivateState(response.privateState);
+        setPhase(response.publicState.phase);
+        // Pick up anything said or played while we were away
+        loadChatHistory();
+        loadActionHistory();
+      } catch (err) {
+        // Room is gone or the seat was released - start fresh
+        console.log('Could not resume session:', err.message);
+        socketService.clearSession();
+      }
+    });
+
     // Set up event listeners
     socketService.on('player_joined', ({ publicState }) => {
       setGameState(publicState);
@@ -49,6 +111,20 @@ function App() {
       setGameState(publicState);
     });
 
+    // Spectators get the public state only, held back by the room's spectator delay
+    socketService.on('spectator_state', ({ publicState }) => {
+      setGameState(publicState);
+      setSpectating(prev => prev || { roomCode: publicState.roomCode, spectatorDelay: publicState.spectatorDelay });
+      spectatingRoomRef.current = publicState.roomCode;
+      // A host who started a spectator-mode game gave up their seat
+      socketService.clearSession();
+    });
+
+    // Each action added to the history (spectators get them after the room's delay)
+    socketService.on('game_action', ({ action }) => {
+      setGameActions(prev => mergeActions(prev, [action]));
+    });
+
     socketService.on('private_state_update', ({ privateState }) => {
       setPrivateState(privateState);
     });
@@ -69,15 +145,40 @@ function App() {
       setGameState(publicState);
     });
 
+    socketService.on('card_effect_resolved', ({ publicState }) => {
+      setGameState(publicState);
+    });
+
+    socketService.on('turn_timeout', ({ publicState }) => {
+      setGameState(publicState);
+    });
+
     socketService.on('player_disconnected', ({ publicState }) => {
       setGameState(publicState);
       setGameDisconnected(true);
     });
 
-    socketService.on('round_reset', ({ playerName }) => {
+    // The table only waits for seats that no AI has taken over yet
+    const isWaitingForPlayers = (publicState) =>
+      publicState.players.some(p => p.connected === false && !p.aiStandIn);
+
+    socketService.on('ai_takeover', ({ publicState }) => {
+      setGameState(publicState);
+      setGameDisconnected(isWaitingForPlayers(publicState));
+    });
+
+    socketService.on('player_reconnected', ({ publicState }) => {
+      setGameState(publicState);
+      setGameDisconnected(isWaitingForPlayers(publicState));
+    });
+
+    socketService.on('round_reset_vote', ({ publicState }) => {
+      setGameState(publicState);
+    });
+
+    socketService.on('round_reset', ({ publicState, playerName }) => {
+      setGameState(publicState);
       setRoundReset({ playerName, timestamp: Date.now() });
-      // Clear disconnected state when round resets (player rejoined)
-      setGameDisconnected(false);
     });
 
     socketService.on('ai_chat_message', ({ playerId, playerName, message, duration, mode }) => {
@@ -91,6 +192,24 @@ function App() {
       });
     });
 
+    // Players' chat (the server leaves out players we've muted)
+    socketService.on('chat_message', ({ message }) => {
+      setChatMessages(prev => [...prev, message].slice(-50));
+    });
+
+    // Emotes pop up over the sender's avatar for a moment (muted players' never arrive)
+    socketService.on('emote', ({ emote }) => {
+      setPlayerEmotes(prev => ({ ...prev, [emote.playerId]: emote }));
+      setTimeout(() => {
+        setPlayerEmotes(prev => {
+          // A newer emote from the same player replaced this one
+          if (prev[emote.playerId]?.timestamp !== emote.timestamp) return prev;
+          const { [emote.playerId]: _, ...rest } = prev;
+          return rest;
+        });
+      }, EMOTE_DISPLAY_MS);
+    });
+
     // Clean up on unmount
     return () => {
       socketService.removeAllListeners();
@@ -105,10 +224,46 @@ function App() {
     }
   }, [gameState?.phase]);
 
+  // Catch up on the room's chat whenever we enter a room
+  useEffect(() => {
+    setChatMessages([]);
+    if (gameState?.roomCode && !spectating) {
+      loadChatHistory();
+    }
+  }, [gameState?.roomCode]);
+
+  // Fetch the whole action history whenever we enter a room (players and spectators),
+  // and again when a rematch starts the room's next game
+  useEffect(() => {
+    setGameActions([]);
+    if (gameState?.roomCode) {
+      loadActionHistory();
+    }
+  }, [gameState?.roomCode, gameState?.session?.gameNumber]);
+
+  const loadActionHistory = async () => {
+    try {
+      const { actions } = await socketService.getActionHistory();
+      setGameActions(prev => mergeActions(prev, actions));
+    } catch (err) {
+      console.error('Action history error:', err);
+    }
+  };
+
+  const loadChatHistory = async () => {
+    try {
+      const { messages } = await socketService.getChatHistory();
+      setChatMessages(messages);
+    } catch (err) {
+      console.error('Chat history error:', err);
+    }
+  };
+
   const handleCreateRoom = async (playerName, options = {}) => {
     try {
       setError('');
       const response = await socketService.createRoom(playerName, options);
+      socketService.saveSession(response.roomCode, response.reconnectToken);
       setGameState(response.publicState);
       setPrivateState(response.privateState);
       setPhase(response.publicState.phase);
@@ -121,6 +276,7 @@ function App() {
     try {
       setError('');
       const response = await socketService.joinRoom(roomCode, playerName);
+      socketService.saveSession(response.roomCode, response.reconnectToken);
       setGameState(response.publicState);
       setPrivateState(response.privateState);
       setPhase(response.publicState.phase);
@@ -129,6 +285,22 @@ function App() {
     }
   };
 
+  const handleSpectateRoom = async (roomCode) => {
+    try {
+      setError('');
+      const response = await socketService.spectateRoom(roomCode);
+      spectatingRoomRef.current = response.roomCode;
+      setSpectating({ roomCode: response.roomCode, spectatorDelay: response.spectatorDelay });
+      // With a delay, the first state arrives once the feed catches up
+      if (response.publicState) {
+        setGameState(response.publicState);
+        setPhase(response.publicState.phase);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleStartGame = async (options = {}) => {
     try {
       setError('');
@@ -158,6 +330,26 @@ function App() {
     }
   };
 
+  const handleRequestRoundReset = async () => {
+    try {
+      setError('');
+      await socketService.requestRoundReset();
+    } catch (err) {
+      setError(err.message);
+      console.error('Round reset error:', err);
+    }
+  };
+
+  const handleVoteRoundReset = async (approve) => {
+    try {
+      setError('');
+      await socketService.voteRoundReset(approve);
+    } catch (err) {
+      setError(err.message);
+      console.error('Round reset vote error:', err);
+    }
+  };
+
   const handleExecuteCardSwap = async (player1Id, card1Id, player2Id, card2Id) => {
     try {
       setError('');
@@ -168,6 +360,16 @@ function App() {
     }
   };
 
+  const handleResolveCardEffect = async (choice) => {
+    try {
+      setError('');
+      await socketService.resolveCardEffect(choice);
+    } catch (err) {
+      setError(err.message);
+      console.error('Card effect error:', err);
+    }
+  };
+
   const handleDiscardLuxuryCard = async (cardId) => {
     try {
       setError('');
@@ -178,7 +380,55 @@ function App() {
     }
   };
 
+  // Errors are shown in the chat panel, next to the message
+  const handleSendChatMessage = (message) => socketService.sendChatMessage(message);
+
+  const handleMutePlayer = async (playerId, muted) => {
+    try {
+      setError('');
+      await socketService.mutePlayer(playerId, muted);
+      // Messages sent while they were muted never reached us
+      if (!muted) loadChatHistory();
+    } catch (err) {
+      setError(err.message);
+      console.error('Mute error:', err);
+    }
+  };
+
+  const handleReportPlayer = async (playerId, reason) => {
+    try {
+      setError('');
+      await socketService.reportPlayer(playerId, reason);
+    } catch (err) {
+      setError(err.message);
+      console.error('Report error:', err);
+    }
+  };
+
+  const handleSetChatFilter = async (enabled) => {
+    try {
+      setError('');
+      await socketService.setChatFilter(enabled);
+    } catch (err) {
+      setError(err.message);
+      console.error('Chat filter error:', err);
+    }
+  };
+
+  const handleSendEmote = async (emoteId) => {
+    try {
+      setError('');
+      await socketService.sendEmote(emoteId);
+    } catch (err) {
+      setError(err.message);
+      console.error('Emote error:', err);
+    }
+  };
+
   const handleLeaveRoom = async () => {
+    socketService.clearSession();
+    spectatingRoomRef.current = null;
+    setSpectating(null);
     try {
       await socketService.leaveRoom();
       setPhase(GAME_PHASES.HOME);
@@ -194,14 +444,40 @@ function App() {
     }
   };
 
-  const handleNewGame = () => {
-    // For now, just go back to home
-    // Could potentially keep the same room in the future
-    handleLeaveRoom();
+  const handleWatchReplay = async (replayId) => {
+    try {
+      setError('');
+      const response = await socketService.getReplay(replayId);
+      setReplay(response.replay);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCloseReplay = () => {
+    setReplay(null);
+    // Drop the shared link so a refresh doesn't reopen it
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('replay')) {
+      url.searchParams.delete('replay');
+      window.history.replaceState(null, '', url);
+    }
+  };
+
+  // Ready up (or back out) for a rematch; the server starts it once the whole table is ready
+  const handleRequestRematch = async (ready) => {
+    try {
+      setError('');
+      await socketService.requestRematch(ready);
+    } catch (err) {
+      setError(err.message);
+      console.error('Rematch error:', err);
+    }
   };
 
   const isHost = gameState && socketService.getSocketId() === gameState.host;
   const myPlayerId = socketService.getSocketId();
+  const mutedPlayerIds = privateState?.mutedPlayerIds || [];
 
   return (
     <div className="app">
@@ -211,14 +487,32 @@ function App() {
       {/* Rules modal */}
       <RulesModal isOpen={showRules} onClose={() => setShowRules(false)} />
 
-      {phase === GAME_PHASES.HOME && (
+      {replay && (
+        <ReplayViewer replay={replay} onClose={handleCloseReplay} />
+      )}
+
+      {phase === GAME_PHASES.HOME && !spectating && !replay && (
         <HomeScreen
           onCreateRoom={handleCreateRoom}
           onJoinRoom={handleJoinRoom}
+          onSpectateRoom={handleSpectateRoom}
+          onWatchReplay={handleWatchReplay}
           error={error}
         />
       )}
 
+      {spectating && !gameState && (
+        <div className="home-screen">
+          <h2>👁 Watching room {spectating.roomCode}</h2>
+          <p style={{ color: 'var(--text-secondary)', margin: '20px 0' }}>
+            Spectators see this table {spectating.spectatorDelay} seconds behind the players. The game will appear shortly.
+          </p>
+          <button className="btn btn-danger" onClick={handleLeaveRoom}>
+            Stop Watching
+          </button>
+        </div>
+      )}
+
       {phase === GAME_PHASES.WAITING && gameState && (
         <LobbyScreen
           gameState={gameState}
@@ -231,32 +525,62 @@ function App() {
       {(phase === GAME_PHASES.STARTING ||
         phase === GAME_PHASES.AUCTION ||
         phase === GAME_PHASES.CARD_SWAP ||
-        phase === GAME_PHASES.DISCARD_LUXURY) &&
-        gameState && (
+        phase === GAME_PHASES.DISCARD_LUXURY ||
+        gameState?.pendingEffect) &&
+        gameState && !replay && (
         <GameScreen
           gameState={gameState}
           privateState={privateState || { moneyHand: [], removedBill: null }}
           myPlayerId={myPlayerId}
           onPlaceBid={handlePlaceBid}
           onPass={handlePass}
+          onRequestRoundReset={handleRequestRoundReset}
+          onVoteRoundReset={handleVoteRoundReset}
           onExecuteCardSwap={handleExecuteCardSwap}
           onDiscardLuxuryCard={handleDiscardLuxuryCard}
+          onResolveCardEffect={handleResolveCardEffect}
           onLeaveRoom={handleLeaveRoom}
           roundReset={roundReset}
           gameDisconnected={gameDisconnected}
-          chatMessage={currentChatMessage}
+          chatMessage={mutedPlayerIds.includes(currentChatMessage?.playerId) ? null : currentChatMessage}
           onClearChatMessage={() => setCurrentChatMessage(null)}
+          playerEmotes={playerEmotes}
+          onSendEmote={handleSendEmote}
+          gameActions={gameActions}
         />
       )}
 
-      {phase === GAME_PHASES.GAME_OVER && gameState && gameState.results && (
+      {phase === GAME_PHASES.GAME_OVER && gameState && gameState.results && !replay && (
         <GameOverScreen
           results={gameState.results}
-          onNewGame={handleNewGame}
+          awards={gameState.awards}
+          seed={gameState.seed}
+          replayId={gameState.replayId}
+          onWatchReplay={handleWatchReplay}
+          session={gameState.session}
+          players={gameState.players}
+          rematchReadyIds={gameState.rematchReadyIds}
+          myPlayerId={myPlayerId}
+          onRequestRematch={spectating ? null : handleRequestRematch}
           onLeaveRoom={handleLeaveRoom}
         />
       )}
 
+      {phase !== GAME_PHASES.HOME && gameState && !spectating && (
+        <ChatPanel
+          messages={chatMessages}
+          players={gameState.players}
+          myPlayerId={myPlayerId}
+          mutedPlayerIds={mutedPlayerIds}
+          chatFilter={gameState.chatFilter}
+          isHost={isHost}
+          onSend={handleSendChatMessage}
+          onMute={handleMutePlayer}
+          onReport={handleReportPlayer}
+          onToggleFilter={handleSetChatFilter}
+        />
+      )}
+
       {error && phase !== GAME_PHASES.HOME && (
         <div style={{
           position: 'fixed',
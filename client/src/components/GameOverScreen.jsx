@@ -1,4 +1,33 @@
-export function GameOverScreen({ results, onNewGame, onLeaveRoom }) {
+import { Fragment } from 'react';
+import { PlayerBreakdown, GameAwards, SessionTally } from './ui/GameStats';
+
+// Results from older servers have no place - fall back to the row order
+const getPlace = (result, index) => result.place ?? (result.eliminated ? null : index + 1);
+
+// Link that opens a replay straight from the home page (see App)
+const getReplayLink = (replayId) => `${window.location.origin}${window.location.pathname}?replay=${replayId}`;
+
+export function GameOverScreen({
+  results,
+  awards,
+  seed,
+  replayId,
+  session,
+  players = [],
+  rematchReadyIds = [],
+  myPlayerId,
+  onRequestRematch,
+  onLeaveRoom,
+  onWatchReplay
+}) {
+  const winners = results.filter((result, index) => getPlace(result, index) === 1);
+  const winner = winners[0];
+
+  // AI seats are always up for another game; players who dropped out don't hold it up
+  const isReady = (player) => player.isAI || rematchReadyIds.includes(player.id);
+  const waitingOn = players.filter(player => !isReady(player) && player.connected !== false);
+  const amReady = rematchReadyIds.includes(myPlayerId);
+
   return (
     <div className="game-over-screen">
       <h1 className="game-title" style={{ fontSize: '3rem' }}>Game Over!</h1>
@@ -9,62 +38,85 @@ export function GameOverScreen({ results, onNewGame, onLeaveRoom }) {
         </h2>
 
         {results.map((result, index) => (
-          <div
-            key={result.id}
-            className={`result-row ${
-              index === 0 && !result.eliminated ? 'winner' : ''
-            } ${
-              result.eliminated ? 'eliminated' : ''
-            }`}
-          >
-            <div className="rank">
-              {result.eliminated ? '💀' : `#${index + 1}`}
-            </div>
-            <div>
-              <div style={{ fontWeight: 'bold', fontSize: '1.2rem' }}>
-                {result.name}
+          <Fragment key={result.id}>
+            <div
+              className={`result-row ${
+                getPlace(result, index) === 1 ? 'winner' : ''
+              } ${
+                result.eliminated ? 'eliminated' : ''
+              }`}
+            >
+              <div className="rank">
+                {result.eliminated ? '💀' : `${result.sharedPlace ? 'T' : '#'}${getPlace(result, index)}`}
               </div>
-              {result.eliminated && (
-                <div style={{ color: 'var(--danger-color)', fontSize: '0.9rem' }}>
-                  Eliminated (Poorest Player)
+              <div>
+                <div style={{ fontWeight: 'bold', fontSize: '1.2rem' }}>
+                  {result.name}
                 </div>
-              )}
-            </div>
-            <div>
-              <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
-                Status Points
-              </div>
-              <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--accent-primary)' }}>
-                {result.score}
+                {result.eliminated && (
+                  <div style={{ color: 'var(--danger-color)', fontSize: '0.9rem' }}>
+                    Eliminated (Poorest Player)
+                  </div>
+                )}
+                {result.sharedPlace && (
+                  <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                    Shared place
+                  </div>
+                )}
               </div>
-            </div>
-            <div>
-              <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
-                Money Left
+              <div>
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                  Status Points
+                </div>
+                <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--accent-primary)' }}>
+                  {result.score}
+                </div>
               </div>
-              <div style={{ fontSize: '1.2rem', color: result.eliminated ? 'var(--danger-color)' : 'var(--text-primary)' }}>
-                ${result.money}
+              <div>
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                  Money Left
+                </div>
+                <div style={{ fontSize: '1.2rem', color: result.eliminated ? 'var(--danger-color)' : 'var(--text-primary)' }}>
+                  ${result.money}
+                </div>
               </div>
             </div>
-          </div>
+            {result.stats && (
+              <details className="result-breakdown">
+                <summary>How {result.name} got here</summary>
+                <PlayerBreakdown result={result} />
+              </details>
+            )}
+          </Fragment>
         ))}
       </div>
 
-      {results.length > 0 && !results[0].eliminated && (
+      {winners.length > 1 && (
+        <div style={{ margin: '30px 0', padding: '20px', background: 'rgba(212, 175, 55, 0.1)', borderRadius: '10px' }}>
+          <h2 style={{ fontSize: '2rem', color: 'var(--accent-primary)' }}>
+            🏆 {winners.map(w => w.name).join(' & ')} Share the Win! 🏆
+          </h2>
+          <p style={{ color: 'var(--text-secondary)', marginTop: '10px' }}>
+            Tied on {winner.score} status points, ${winner.money} and their best luxury
+          </p>
+        </div>
+      )}
+
+      {winners.length === 1 && (
         <div style={{ margin: '30px 0', padding: '20px', background: 'rgba(212, 175, 55, 0.1)', borderRadius: '10px' }}>
           <h2 style={{ fontSize: '2rem', color: 'var(--accent-primary)' }}>
-            🏆 {results[0].name} Wins! 🏆
+            🏆 {winner.name} Wins! 🏆
           </h2>
           <p style={{ color: 'var(--text-secondary)', marginTop: '10px' }}>
-            With {results[0].score} status points
+            With {winner.score} status points
           </p>
-          {results[0].wonCards.length > 0 && (
+          {winner.wonCards.length > 0 && (
             <div style={{ marginTop: '20px' }}>
               <h3 style={{ color: 'var(--text-secondary)', fontSize: '1rem' }}>
                 Winning Collection:
               </h3>
               <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center', marginTop: '10px' }}>
-                {results[0].wonCards.map((card) => (
+                {winner.wonCards.map((card) => (
                   <div
                     key={card.id}
                     style={{
@@ -85,10 +137,41 @@ export function GameOverScreen({ results, onNewGame, onLeaveRoom }) {
         </div>
       )}
 
+      <GameAwards awards={awards || []} />
+
+      <SessionTally session={session} />
+
+      {seed !== undefined && seed !== null && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.8rem', marginBottom: '15px' }}>
+          Game seed: <code>{seed}</code> (include it when reporting a bug)
+        </p>
+      )}
+
+      {replayId && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.8rem', marginBottom: '15px' }}>
+          Replay ID: <code>{replayId}</code> (share <code>{getReplayLink(replayId)}</code>)
+        </p>
+      )}
+
+      {rematchReadyIds.length > 0 && (
+        <p className="rematch-status">
+          {waitingOn.length > 0
+            ? `Rematch: waiting on ${waitingOn.map(player => player.name).join(', ')}`
+            : 'Rematch: everyone is ready'}
+        </p>
+      )}
+
       <div className="button-group">
-        <button className="btn btn-primary" onClick={onNewGame}>
-          Play Again
-        </button>
+        {onRequestRematch && (
+          <button className="btn btn-primary" onClick={() => onRequestRematch(!amReady)}>
+            {amReady ? 'Not Ready' : 'Ready for Rematch'}
+          </button>
+        )}
+        {replayId && onWatchReplay && (
+          <button className="btn btn-secondary" onClick={() => onWatchReplay(replayId)}>
+            ▶ Watch Replay
+          </button>
+        )}
         <button className="btn btn-secondary" onClick={onLeaveRoom}>
           Leave Room
         </button>
@@ -5,27 +5,56 @@ import { MoneyHand } from './ui/FoodStampBills';
 import { PawnShopTradeOverlay, RepoManOverlay } from './ui/PhaseOverlay';
 import { GameHistory } from './ui/GameHistory';
 import { ChatBubble } from './ui/ChatBubble';
+import { EmoteBar } from './ui/EmoteBar';
+import { SpentBillsTracker } from './ui/SpentBillsTracker';
 import { soundEffects } from '../services/soundEffects';
 import '../styles/FoodStampBills.css';
 import '../styles/PhaseOverlay.css';
 import '../styles/GameHistory.css';
 
-export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, onPass, onExecuteCardSwap, onDiscardLuxuryCard, onLeaveRoom, roundReset, gameDisconnected, chatMessage, onClearChatMessage }) {
+export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, onPass, onRequestRoundReset, onVoteRoundReset, onExecuteCardSwap, onDiscardLuxuryCard, onResolveCardEffect, onLeaveRoom, roundReset, gameDisconnected, chatMessage, onClearChatMessage, playerEmotes = {}, onSendEmote, gameActions = [] }) {
   const [selectedMoney, setSelectedMoney] = useState([]);
   const [selectedSwapCards, setSelectedSwapCards] = useState([]);
   const [selectedDiscardCard, setSelectedDiscardCard] = useState(null);
   const [isResetting, setIsResetting] = useState(false);
   const [showResetMessage, setShowResetMessage] = useState(false);
-  const [gameEvents, setGameEvents] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
+  const [now, setNow] = useState(Date.now());
 
   const myPlayer = gameState.players.find(p => p.id === myPlayerId);
   const isSpectator = !myPlayer; // If we can't find the player, they're a spectator
   const isMyTurn = !isSpectator && gameState.currentAuction?.currentTurnPlayerId === myPlayerId && !myPlayer?.hasPassed;
 
+  // With hidden money the table only knows our own total, from our hand
+  const isMoneyHidden = gameState.moneyVisibility === 'hidden';
+  const tablePlayers = isMoneyHidden
+    ? gameState.players.map(p => p.id === myPlayerId
+      ? { ...p, remainingMoney: privateState.moneyHand.filter(m => m.available).reduce((sum, m) => sum + m.value, 0) }
+      : p)
+    : gameState.players;
+
   // Disable all interactions when game is disconnected
   const isInteractionDisabled = gameDisconnected;
 
+  // Round reset vote (host proposes, human players vote)
+  const resetVote = gameState.phase === 'auction' ? gameState.currentAuction?.resetVote : null;
+  const canProposeReset = gameState.phase === 'auction' && gameState.host === myPlayerId && !resetVote;
+  const canVoteReset = resetVote && myPlayer && !myPlayer.isAI && !(myPlayerId in resetVote.votes);
+  const resetYesVotes = resetVote ? Object.values(resetVote.votes).filter(Boolean).length : 0;
+  const standInPlayers = gameState.players.filter(p => p.aiStandIn);
+
+  // Tick once a second while a turn timer is running
+  const turnDeadline = gameState.currentAuction?.turnDeadline;
+  useEffect(() => {
+    if (!turnDeadline) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [turnDeadline]);
+  // A delayed spectator view is behind the deadline, so it has no countdown to show
+  const showTurnTimer = turnDeadline && !(isSpectator && gameState.spectatorDelay > 0);
+  const secondsLeft = showTurnTimer ? Math.max(0, Math.ceil((turnDeadline - now) / 1000)) : null;
+
   // Handle round reset animation
   useEffect(() => {
     if (roundReset) {
@@ -50,100 +79,6 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
     }
   }, [roundReset?.timestamp]);
 
-  // Track game events for history
-  useEffect(() => {
-    // Add game start event
-    if (gameState.phase !== 'waiting' && gameEvents.length === 0) {
-      setGameEvents([{
-        type: 'game_start',
-        message: 'Game started!',
-        timestamp: Date.now()
-      }]);
-    }
-  }, [gameState.phase]);
-
-  // Track new card/round
-  useEffect(() => {
-    if (gameState.currentCard) {
-      const cardName = gameState.currentCard.name || 'Unknown Card';
-      const auctionType = gameState.currentAuction?.type === 'reverse' ? 'AVOID' : 'WIN';
-      setGameEvents(prev => [...prev, {
-        type: 'round_start',
-        message: `New Round: ${cardName} (${auctionType})`,
-        timestamp: Date.now()
-      }]);
-    }
-  }, [gameState.currentCard?.id]);
-
-  // Track player actions via game state changes
-  useEffect(() => {
-    if (!gameState.currentAuction) return;
-
-    // Track who passed
-    gameState.players.forEach(player => {
-      if (player.hasPassed) {
-        const alreadyLogged = gameEvents.some(e =>
-          e.type === 'pass' &&
-          e.playerId === player.id &&
-          e.cardId === gameState.currentCard?.id
-        );
-
-        if (!alreadyLogged) {
-          setGameEvents(prev => [...prev, {
-            type: 'pass',
-            message: `${player.name} passed`,
-            timestamp: Date.now(),
-            playerId: player.id,
-            cardId: gameState.currentCard?.id
-          }]);
-        }
-      }
-
-      // Track current bids
-      if (player.currentBidTotal > 0) {
-        const lastBidEvent = gameEvents.filter(e =>
-          e.type === 'bid' &&
-          e.playerId === player.id &&
-          e.cardId === gameState.currentCard?.id
-        ).pop();
-
-        if (!lastBidEvent || lastBidEvent.amount !== player.currentBidTotal) {
-          setGameEvents(prev => [...prev, {
-            type: 'bid',
-            message: `${player.name} bid $${player.currentBidTotal}`,
-            timestamp: Date.now(),
-            playerId: player.id,
-            amount: player.currentBidTotal,
-            cardId: gameState.currentCard?.id
-          }]);
-        }
-      }
-    });
-  }, [gameState.players, gameState.currentCard?.id]);
-
-  // Track card wins
-  useEffect(() => {
-    gameState.players.forEach(player => {
-      player.wonCards.forEach(card => {
-        const alreadyLogged = gameEvents.some(e =>
-          e.type === 'win' &&
-          e.playerId === player.id &&
-          e.wonCardId === card.id
-        );
-
-        if (!alreadyLogged) {
-          setGameEvents(prev => [...prev, {
-            type: 'win',
-            message: `${player.name} won ${card.name}`,
-            timestamp: Date.now(),
-            playerId: player.id,
-            wonCardId: card.id
-          }]);
-        }
-      });
-    });
-  }, [gameState.players.map(p => p.wonCards.length).join(',')]);
-
   const handleMoneyClick = (moneyCard) => {
     if (isInteractionDisabled) return;
     if (!moneyCard.available || !isMyTurn) return;
@@ -239,6 +174,15 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
     }
   };
 
+  // Effects without a screen of their own (newer cards) can still be settled by the game
+  const pendingEffect = !isCardSwapPhase && !isDiscardLuxuryPhase ? gameState.pendingEffect : null;
+  const isDecidingPlayer = pendingEffect?.playerId === myPlayerId;
+
+  const handleLetGameDecide = () => {
+    if (isInteractionDisabled) return;
+    onResolveCardEffect();
+  };
+
   // Get luxury cards for the discarding player
   const myLuxuryCards = myPlayer?.wonCards.filter(c => c.type === 'luxury') || [];
 
@@ -256,7 +200,33 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
         {showResetMessage && (
           <div className="reset-message">
             <span className="reset-icon">🔄</span>
-            <span className="reset-text">Round reset - {roundReset?.playerName} rejoined</span>
+            <span className="reset-text">Round reset - the table agreed to replay this auction</span>
+          </div>
+        )}
+        {resetVote && !showResetMessage && (
+          <div className="reset-message reset-vote">
+            <span className="reset-icon">🗳️</span>
+            <span className="reset-text">
+              Replay this auction? {resetYesVotes}/{gameState.roundResetVotesNeeded} votes
+            </span>
+            {canVoteReset && (
+              <>
+                <button className="btn btn-primary" onClick={() => onVoteRoundReset(true)} disabled={isInteractionDisabled}>
+                  Yes
+                </button>
+                <button className="btn btn-secondary" onClick={() => onVoteRoundReset(false)} disabled={isInteractionDisabled}>
+                  No
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {standInPlayers.length > 0 && (
+          <div className="reset-message stand-in-message">
+            <span className="reset-icon">🤖</span>
+            <span className="reset-text">
+              {standInPlayers.map(p => p.name).join(', ')}'s seat{standInPlayers.length > 1 ? 's are' : ' is'} played by AI until they return
+            </span>
           </div>
         )}
         <div className="game-info">
@@ -266,8 +236,20 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
           </div>
           <div className="info-item">
             <span className="info-label">Cards Left</span>
-            <span className="info-value">{gameState.cardsRemaining}/15</span>
+            <span className="info-value">{gameState.cardsRemaining}/{gameState.cardSet?.cardCount ?? 15}</span>
           </div>
+          {gameState.spectatorCount > 0 && (
+            <div className="info-item">
+              <span className="info-label">Watching</span>
+              <span className="info-value">👁 {gameState.spectatorCount}</span>
+            </div>
+          )}
+          {gameState.endCondition === 'classic' && (
+            <div className="info-item">
+              <span className="info-label">Red Cards</span>
+              <span className="info-value">{gameState.gameEndingCardsDrawn}/{gameState.gameEndingCardCount}</span>
+            </div>
+          )}
           {gameState.currentAuction && (
             <>
               <div className="info-item auction-type-inline">
@@ -288,6 +270,17 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
               </div>
             </>
           )}
+          {secondsLeft !== null && (
+            <div className="info-item">
+              <span className="info-label">Time</span>
+              <span className="info-value" style={{
+                color: secondsLeft <= 10 ? 'var(--danger-color)' : 'var(--text-primary)',
+                fontWeight: 'bold'
+              }}>
+                ⏱️ {secondsLeft}s
+              </span>
+            </div>
+          )}
           {gameState.currentAuction && (
             <div className="info-item turn-indicator-inline">
               <span className="info-label">Turn</span>
@@ -300,6 +293,16 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
             </div>
           )}
         </div>
+        {canProposeReset && (
+          <button
+            className="btn btn-secondary"
+            onClick={onRequestRoundReset}
+            disabled={isInteractionDisabled}
+            title="Ask the table to replay the current auction from scratch"
+          >
+            🔄 Reset Round
+          </button>
+        )}
         <button className="btn btn-danger" onClick={onLeaveRoom}>
           Leave Game
         </button>
@@ -316,12 +319,19 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
 
       {/* Slide-out History Panel */}
       <div className={`history-panel ${showHistory ? 'history-panel-open' : ''}`}>
-        <GameHistory events={gameEvents} />
+        <GameHistory actions={gameActions} />
       </div>
 
       <div className="game-board">
         {/* Player Cards Display - Show won cards with swap functionality */}
         <div className="players-cards-area">
+          {isMoneyHidden && (
+            <SpentBillsTracker
+              players={gameState.players}
+              myPlayerId={myPlayerId}
+              denominations={gameState.rules?.money.denominations}
+            />
+          )}
           <h3>Player Cards</h3>
           {gameState.players.some(p => p.wonCards.length > 0) ? (
             gameState.players.map((player) => (
@@ -368,12 +378,16 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
         {/* Poker Table with Players */}
         <div className="poker-table-section">
           <PokerTable
-            players={gameState.players}
+            players={tablePlayers}
             currentPlayerId={myPlayerId}
             currentTurnPlayerId={gameState.currentAuction?.currentTurnPlayerId}
             currentCard={gameState.currentCard}
             cardsRemaining={gameState.cardsRemaining || 0}
+            playerEmotes={playerEmotes}
           />
+          {!isSpectator && !myPlayer.isAI && onSendEmote && (
+            <EmoteBar onSendEmote={onSendEmote} disabled={isInteractionDisabled} />
+          )}
         </div>
 
         {/* Money Hand / Card Swap Control / Discard Control */}
@@ -390,11 +404,13 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
                 textAlign: 'center'
               }}>
                 <p style={{ color: 'var(--text-secondary)', marginBottom: '15px', fontSize: '1rem' }}>
-                  You are watching an AI-only game
+                  You are watching this game
                 </p>
                 <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', lineHeight: '1.6' }}>
                   <p style={{ marginBottom: '10px' }}>
-                    All players are AI-controlled. Watch as they bid, pass, and compete for luxury items!
+                    {gameState.spectatorDelay > 0
+                      ? `You see the table ${gameState.spectatorDelay} seconds behind the players.`
+                      : 'Watch as they bid, pass, and compete for luxury items!'}
                   </p>
                   <p style={{ color: 'var(--accent-primary)', fontWeight: 'bold' }}>
                     Sit back and enjoy the show! 🍿
@@ -493,6 +509,25 @@ export function GameScreen({ gameState, privateState, myPlayerId, onPlaceBid, on
                 </p>
               )}
             </>
+          ) : pendingEffect ? (
+            // Other card effects
+            <>
+              <h3>{gameState.currentCard?.name || 'Card Effect'}</h3>
+              {isDecidingPlayer ? (
+                <div className="bid-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={handleLetGameDecide}
+                  >
+                    Let the Game Decide
+                  </button>
+                </div>
+              ) : (
+                <p style={{ color: 'var(--text-secondary)' }}>
+                  Waiting for {gameState.players.find(p => p.id === pendingEffect.playerId)?.name} to decide...
+                </p>
+              )}
+            </>
           ) : (
             // Normal Auction UI
             <>
@@ -1,13 +1,16 @@
 import { useState, useEffect, useRef } from 'react';
 import '../styles/HomeScreen.css';
 
-export function HomeScreen({ onCreateRoom, onJoinRoom, error }) {
+export function HomeScreen({ onCreateRoom, onJoinRoom, onSpectateRoom, onWatchReplay, error }) {
   // Load player name from localStorage on mount
   const [playerName, setPlayerName] = useState(() => {
     return localStorage.getItem('lowSocietyPlayerName') || '';
   });
   const [roomCode, setRoomCode] = useState('');
   const [isJoining, setIsJoining] = useState(false);
+  const [isWatching, setIsWatching] = useState(false); // Entering a code to spectate rather than join
+  const [replayId, setReplayId] = useState('');
+  const [isFindingReplay, setIsFindingReplay] = useState(false); // Entering a finished game's replay ID
   const roomCodeInputRef = useRef(null);
 
   // Save player name to localStorage whenever it changes
@@ -39,6 +42,18 @@ export function HomeScreen({ onCreateRoom, onJoinRoom, error }) {
     }
   };
 
+  const handleSpectateRoom = () => {
+    if (roomCode.trim()) {
+      onSpectateRoom(roomCode.trim().toUpperCase());
+    }
+  };
+
+  const handleWatchReplay = () => {
+    if (replayId.trim()) {
+      onWatchReplay(replayId.trim().toUpperCase());
+    }
+  };
+
   return (
     <div className="home-screen">
       <h1 className="game-title">Low Society</h1>
@@ -57,7 +72,40 @@ export function HomeScreen({ onCreateRoom, onJoinRoom, error }) {
           />
         </div>
 
-        {!isJoining ? (
+        {isFindingReplay ? (
+          <>
+            <div className="input-group">
+              <label>Replay ID:</label>
+              <input
+                type="text"
+                value={replayId}
+                onChange={(e) => setReplayId(e.target.value.toUpperCase())}
+                placeholder="Enter 8-character ID"
+                maxLength={8}
+                style={{ textAlign: 'center', letterSpacing: '4px' }}
+                autoFocus
+              />
+            </div>
+            <div className="button-group">
+              <button
+                className="btn btn-primary"
+                onClick={handleWatchReplay}
+                disabled={replayId.length !== 8}
+              >
+                Watch Replay
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setIsFindingReplay(false);
+                  setReplayId('');
+                }}
+              >
+                Back
+              </button>
+            </div>
+          </>
+        ) : !isJoining ? (
           <div className="button-group">
             <button
               className="btn btn-primary"
@@ -73,6 +121,25 @@ export function HomeScreen({ onCreateRoom, onJoinRoom, error }) {
             >
               Join Room
             </button>
+            {onSpectateRoom && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setIsJoining(true);
+                  setIsWatching(true);
+                }}
+              >
+                Watch a Game
+              </button>
+            )}
+            {onWatchReplay && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setIsFindingReplay(true)}
+              >
+                Watch a Replay
+              </button>
+            )}
           </div>
         ) : (
           <>
@@ -89,17 +156,28 @@ export function HomeScreen({ onCreateRoom, onJoinRoom, error }) {
               />
             </div>
             <div className="button-group">
-              <button
-                className="btn btn-primary"
-                onClick={handleJoinRoom}
-                disabled={!playerName.trim() || roomCode.length !== 4}
-              >
-                Join Game
-              </button>
+              {isWatching ? (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleSpectateRoom}
+                  disabled={roomCode.length !== 4}
+                >
+                  Watch Game
+                </button>
+              ) : (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleJoinRoom}
+                  disabled={!playerName.trim() || roomCode.length !== 4}
+                >
+                  Join Game
+                </button>
+              )}
               <button
                 className="btn btn-secondary"
                 onClick={() => {
                   setIsJoining(false);
+                  setIsWatching(false);
                   setRoomCode('');
                 }}
               >
@@ -17,6 +17,38 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
     return saved !== null ? JSON.parse(saved) : false;
   });
 
+  // Load turn timer preference from localStorage, default to off (0 seconds)
+  const [turnSeconds, setTurnSeconds] = useState(() => {
+    const saved = localStorage.getItem('lowsociety_turn_seconds');
+    return saved !== null ? JSON.parse(saved) : 0;
+  });
+
+  const [turnTimeoutAction, setTurnTimeoutAction] = useState(() => {
+    return localStorage.getItem('lowsociety_turn_timeout_action') || 'auto_pass';
+  });
+
+  // Load spectator delay preference from localStorage, default to live (0 seconds)
+  const [spectatorDelay, setSpectatorDelay] = useState(() => {
+    const saved = localStorage.getItem('lowsociety_spectator_delay');
+    return saved !== null ? JSON.parse(saved) : 0;
+  });
+
+  // Load end condition preference from localStorage, default to the full deck
+  const [endCondition, setEndCondition] = useState(() => {
+    return localStorage.getItem('lowsociety_end_condition') || 'full_deck';
+  });
+
+  // Load hidden money preference from localStorage, default to open totals
+  const [hiddenMoney, setHiddenMoney] = useState(() => {
+    return localStorage.getItem('lowsociety_money_visibility') === 'hidden';
+  });
+
+  // Load card set preference from localStorage, default to the original deck
+  const [cardSetId, setCardSetId] = useState(() => {
+    return localStorage.getItem('lowsociety_card_set') || 'low-society';
+  });
+  const [cardSets, setCardSets] = useState([]);
+
   // Save AI preference to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('lowsociety_ai_enabled', JSON.stringify(aiEnabled));
@@ -27,11 +59,53 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
     localStorage.setItem('lowsociety_tutorial_mode', JSON.stringify(tutorialMode));
   }, [tutorialMode]);
 
+  // Save turn timer preferences to localStorage whenever they change
+  useEffect(() => {
+    localStorage.setItem('lowsociety_turn_seconds', JSON.stringify(turnSeconds));
+    localStorage.setItem('lowsociety_turn_timeout_action', turnTimeoutAction);
+  }, [turnSeconds, turnTimeoutAction]);
+
+  // Save spectator delay preference to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('lowsociety_spectator_delay', JSON.stringify(spectatorDelay));
+  }, [spectatorDelay]);
+
+  // Save end condition preference to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('lowsociety_end_condition', endCondition);
+  }, [endCondition]);
+
+  // Save hidden money preference to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('lowsociety_money_visibility', hiddenMoney ? 'hidden' : 'open');
+  }, [hiddenMoney]);
+
+  // Save card set preference to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem('lowsociety_card_set', cardSetId);
+  }, [cardSetId]);
+
+  // Fetch the card sets the host can choose from
+  useEffect(() => {
+    if (!isHost) return;
+    // Wrapped so a call that throws outright is handled like a failed request
+    Promise.resolve()
+      .then(() => socketService.getCardSets())
+      .then(response => setCardSets(response.cardSets))
+      .catch(error => console.error('Failed to load card sets:', error));
+  }, [isHost]);
+
+  // A saved set may have been removed from the server since
+  const selectedCardSet = cardSets.find(set => set.id === cardSetId) || cardSets[0];
+
+  const moneyVisibility = hiddenMoney ? 'hidden' : 'open';
+
   const handleStartGame = () => {
     // Set chat mode on server before starting
     const chatMode = tutorialMode ? 'tutorial' : 'commentary';
     socketService.emit('set_chat_mode', { mode: chatMode });
-    onStartGame({ aiEnabled });
+    const turnTimer = turnSeconds > 0 ? { seconds: turnSeconds, onTimeout: turnTimeoutAction } : null;
+    onStartGame({ aiEnabled, turnTimer, spectatorDelay, endCondition, moneyVisibility, cardSetId: selectedCardSet?.id });
   };
 
   const handleWatchAIGame = () => {
@@ -39,11 +113,20 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
     const chatMode = tutorialMode ? 'tutorial' : 'commentary';
     socketService.emit('set_chat_mode', { mode: chatMode });
     // Start an all-AI game where player is spectator
-    onStartGame({ aiEnabled: true, spectatorMode: true });
+    onStartGame({ aiEnabled: true, spectatorMode: true, spectatorDelay, moneyVisibility });
+  };
+
+  const handleDifficultyChange = (playerId, difficulty) => {
+    socketService.setAIDifficulty(playerId, difficulty).catch(error => {
+      console.error('Failed to set AI difficulty:', error);
+    });
   };
 
+  const aiSeats = gameState.players.filter(p => p.isAI);
+
   // Calculate how many AI players will be added
-  const maxPlayers = 5;
+  const maxPlayers = gameState.rules?.players.max ?? 5;
+  const minPlayers = gameState.rules?.players.min ?? 3;
   const aiPlayersToAdd = aiEnabled && gameState.playerCount < maxPlayers
     ? maxPlayers - gameState.playerCount
     : 0;
@@ -62,8 +145,14 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
           </div>
           <div className="info-item">
             <span className="info-label">Players</span>
-            <span className="info-value">{gameState.playerCount}/5</span>
+            <span className="info-value">{gameState.playerCount}/{maxPlayers}</span>
           </div>
+          {gameState.spectatorCount > 0 && (
+            <div className="info-item">
+              <span className="info-label">Watching</span>
+              <span className="info-value">👁 {gameState.spectatorCount}</span>
+            </div>
+          )}
           {/* Hidden game info - will appear when game starts */}
           <div className="info-item" style={{ opacity: 0, pointerEvents: 'none' }}>
             <span className="info-label">Cards Left</span>
@@ -152,6 +241,38 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
               </div>
             )}
 
+            {isHost && aiSeats.length > 0 && (
+              <div className="ai-difficulty-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <strong>AI Difficulty</strong>
+                {aiSeats.map(player => (
+                  <div key={player.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '10px' }}>
+                    <span style={{ flex: 1 }}>
+                      {player.name}
+                      {player.aiPersonality && (
+                        <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}> ({player.aiPersonality})</span>
+                      )}
+                    </span>
+                    <select
+                      aria-label={`${player.name} difficulty`}
+                      value={player.aiDifficulty || 'normal'}
+                      onChange={(e) => handleDifficultyChange(player.id, e.target.value)}
+                    >
+                      <option value="easy">Easy</option>
+                      <option value="normal">Normal</option>
+                      <option value="hard">Hard</option>
+                      <option value="expert">Expert</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {isHost && (
               <div className="tutorial-mode-section" style={{
                 marginBottom: '20px',
@@ -189,13 +310,187 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
               </div>
             )}
 
+            {isHost && (
+              <div className="turn-timer-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '1rem' }}>
+                  <span style={{ flex: 1 }}>
+                    <strong>Turn Timer</strong>
+                    <br />
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      Keeps the table moving when someone goes AFK.
+                    </span>
+                  </span>
+                  <span style={{ fontSize: '1.5rem' }}>⏱️</span>
+                </div>
+                <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                  <select
+                    aria-label="Turn length"
+                    value={turnSeconds}
+                    onChange={(e) => setTurnSeconds(Number(e.target.value))}
+                    style={{ flex: 1 }}
+                  >
+                    <option value={0}>Off</option>
+                    <option value={30}>30 seconds</option>
+                    <option value={60}>60 seconds</option>
+                    <option value={120}>2 minutes</option>
+                  </select>
+                  <select
+                    aria-label="When time runs out"
+                    value={turnTimeoutAction}
+                    onChange={(e) => setTurnTimeoutAction(e.target.value)}
+                    disabled={turnSeconds === 0}
+                    style={{ flex: 1 }}
+                  >
+                    <option value="auto_pass">Auto-pass</option>
+                    <option value="ai">AI plays the turn</option>
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {isHost && (
+              <div className="spectator-delay-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '1rem' }}>
+                  <span style={{ flex: 1 }}>
+                    <strong>Spectator Delay</strong>
+                    <br />
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      Spectators watch behind the table so they can't tip anyone off.
+                    </span>
+                  </span>
+                  <span style={{ fontSize: '1.5rem' }}>👁</span>
+                </div>
+                <select
+                  aria-label="Spectator delay"
+                  value={spectatorDelay}
+                  onChange={(e) => setSpectatorDelay(Number(e.target.value))}
+                  style={{ width: '100%', marginTop: '10px' }}
+                >
+                  <option value={0}>Live</option>
+                  <option value={30}>30 seconds</option>
+                  <option value={60}>1 minute</option>
+                  <option value={180}>3 minutes</option>
+                </select>
+              </div>
+            )}
+
+            {isHost && (
+              <div className="end-condition-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '1rem' }}>
+                  <span style={{ flex: 1 }}>
+                    <strong>Game End</strong>
+                    <br />
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      Classic ends the game when the last red-bordered card (Prestige or Disgrace) is drawn.
+                    </span>
+                  </span>
+                  <span style={{ fontSize: '1.5rem' }}>🏁</span>
+                </div>
+                <select
+                  aria-label="Game end"
+                  value={endCondition}
+                  onChange={(e) => setEndCondition(e.target.value)}
+                  style={{ width: '100%', marginTop: '10px' }}
+                >
+                  <option value="full_deck">Full deck</option>
+                  <option value="classic">Classic (last red card)</option>
+                </select>
+              </div>
+            )}
+
+            {isHost && (
+              <div className="hidden-money-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <label style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  cursor: 'pointer',
+                  fontSize: '1rem'
+                }}>
+                  <input
+                    type="checkbox"
+                    checked={hiddenMoney}
+                    onChange={(e) => setHiddenMoney(e.target.checked)}
+                    style={{
+                      width: '20px',
+                      height: '20px',
+                      cursor: 'pointer'
+                    }}
+                  />
+                  <span style={{ flex: 1 }}>
+                    <strong>Hidden Money</strong>
+                    <br />
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      Only spent bills are shown. Count what everyone has left yourself.
+                    </span>
+                  </span>
+                  <span style={{ fontSize: '1.5rem' }}>🕵️</span>
+                </label>
+              </div>
+            )}
+
+            {isHost && cardSets.length > 0 && (
+              <div className="card-set-section" style={{
+                marginBottom: '20px',
+                padding: '15px',
+                background: 'var(--bg-card)',
+                borderRadius: '12px',
+                border: '2px solid var(--border-color)'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '1rem' }}>
+                  <span style={{ flex: 1 }}>
+                    <strong>Card Set</strong>
+                    <br />
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      {selectedCardSet?.description || 'The deck of item cards to auction.'}
+                    </span>
+                  </span>
+                  <span style={{ fontSize: '1.5rem' }}>🃏</span>
+                </div>
+                <select
+                  aria-label="Card set"
+                  value={selectedCardSet?.id}
+                  onChange={(e) => setCardSetId(e.target.value)}
+                  style={{ width: '100%', marginTop: '10px' }}
+                >
+                  {cardSets.map(set => (
+                    <option key={set.id} value={set.id}>{set.name} ({set.cardCount} cards)</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="lobby-actions" style={{ marginBottom: '20px' }}>
               {isHost ? (
                 <>
                   <button
                     className="btn btn-primary"
                     onClick={handleStartGame}
-                    disabled={gameState.playerCount < 3 && !aiEnabled}
+                    disabled={gameState.playerCount < minPlayers && !aiEnabled}
                     style={{ width: '100%', marginBottom: '10px' }}
                   >
                     Start Game
@@ -225,7 +520,9 @@ export function LobbyScreen({ gameState, isHost, onStartGame, onLeaveRoom }) {
               <h4 style={{ color: 'var(--accent-primary)', marginBottom: '10px' }}>How to Play:</h4>
               <ul style={{ textAlign: 'left', lineHeight: '1.6', paddingLeft: '20px' }}>
                 <li>Each player starts with food stamp bills (your money)</li>
-                <li>At game start, you lose ONE random bill</li>
+                {gameState.rules?.money.billRemoval !== 'none' && (
+                  <li>At game start, you lose ONE random bill</li>
+                )}
                 <li>Bid on desirable items or bid to AVOID disgrace cards</li>
                 <li>Prestige cards double your score (or more!)</li>
                 <li>Player with LEAST money left is eliminated</li>
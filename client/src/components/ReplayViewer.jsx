@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { PokerTable } from './ui/PokerTable';
+import { Card } from './ui/Card';
+import { MoneyHand } from './ui/FoodStampBills';
+import { formatAction } from './ui/GameHistory';
+import '../styles/FoodStampBills.css';
+import '../styles/ReplayViewer.css';
+
+// How long each step stays up while the replay plays
+const STEP_MS = 1500;
+
+/**
+ * ReplayViewer Component
+ *
+ * Steps through a finished game one recorded action at a time (see the server's
+ * get_replay), showing the table and every player's bills as they were
+ *
+ * @param {Object} props
+ * @param {Object} props.replay - { replayId, frames: [{ actions, table }], results }
+ * @param {Function} props.onClose - Leave the replay
+ */
+export function ReplayViewer({ replay, onClose }) {
+  const [step, setStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const lastStep = replay.frames.length - 1;
+  const frame = replay.frames[step];
+
+  // Advance while playing, and stop at the end
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (step >= lastStep) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => setStep(current => Math.min(current + 1, lastStep)), STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, lastStep]);
+
+  const seek = (index) => setStep(Math.max(0, Math.min(index, lastStep)));
+
+  const togglePlaying = () => {
+    // Playing from the end starts over
+    if (!isPlaying && step >= lastStep) setStep(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  if (!frame) {
+    return (
+      <div className="replay-viewer">
+        <h2>Replay {replay.replayId}</h2>
+        <p className="replay-empty">Nothing was played in this game.</p>
+        <button className="btn btn-secondary" onClick={onClose}>Close Replay</button>
+      </div>
+    );
+  }
+
+  const { table } = frame;
+  const tablePlayers = table.players.map(player => ({
+    ...player,
+    wonCardsCount: player.wonCards.length
+  }));
+
+  return (
+    <div className="replay-viewer">
+      <div className="replay-header">
+        <h2>Replay {replay.replayId}</h2>
+        <span className="replay-step">Step {step + 1} of {replay.frames.length}</span>
+      </div>
+
+      <ul className="replay-actions" aria-live="polite">
+        {frame.actions.map(action => (
+          <li key={action.seq}>{formatAction(action).message}</li>
+        ))}
+      </ul>
+
+      <PokerTable
+        players={tablePlayers}
+        currentTurnPlayerId={table.turnPlayerId}
+        currentCard={table.currentCard}
+        cardsRemaining={table.cardsRemaining}
+      />
+
+      <div className="replay-controls">
+        <button className="btn btn-secondary" onClick={() => seek(0)} disabled={step === 0} aria-label="First step">⏮</button>
+        <button className="btn btn-secondary" onClick={() => seek(step - 1)} disabled={step === 0} aria-label="Step back">◀</button>
+        <button className="btn btn-primary" onClick={togglePlaying} aria-label={isPlaying ? 'Pause' : 'Play'}>
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button className="btn btn-secondary" onClick={() => seek(step + 1)} disabled={step === lastStep} aria-label="Step forward">▶▶</button>
+        <button className="btn btn-secondary" onClick={() => seek(lastStep)} disabled={step === lastStep} aria-label="Last step">⏭</button>
+        <input
+          className="replay-seek"
+          type="range"
+          min={0}
+          max={lastStep}
+          value={step}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Seek"
+        />
+      </div>
+
+      <div className="replay-hands">
+        {table.players.map(player => (
+          <div
+            key={player.id}
+            className={`replay-hand ${player.id === table.turnPlayerId ? 'replay-hand-turn' : ''}`}
+          >
+            <div className="replay-hand-header">
+              <span>{player.name}</span>
+              <span className="replay-hand-money">
+                ${player.remainingMoney}
+                {player.currentBidTotal > 0 && ` (bidding $${player.currentBidTotal})`}
+                {player.hasPassed && ' (passed)'}
+              </span>
+            </div>
+            <MoneyHand moneyCards={player.moneyHand} selectedMoney={player.currentBid} />
+            {player.wonCards.length > 0 && (
+              <div className="replay-won-cards">
+                {player.wonCards.map(card => (
+                  <Card key={card.id} cardData={card} isFaceUp={true} size="small" />
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button className="btn btn-secondary" onClick={onClose}>Close Replay</button>
+    </div>
+  );
+}
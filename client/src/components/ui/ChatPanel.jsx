@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from 'react';
+import '../../styles/ChatPanel.css';
+
+// Matches the server's CHAT_CONFIG.playerChat.maxLength
+const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * ChatPanel Component
+ *
+ * Slide-out panel for chatting with the other players at the table, with
+ * mute and report controls. AI commentary stays in the ChatBubble display.
+ *
+ * @param {Object} props
+ * @param {Array} props.messages - Player chat messages { id, playerId, playerName, message, timestamp }
+ * @param {Array} props.players - Players in the room (from the public state)
+ * @param {string} props.myPlayerId - This player's ID
+ * @param {Array} props.mutedPlayerIds - IDs of players this player has muted
+ * @param {boolean} props.chatFilter - Whether the room's profanity filter is on
+ * @param {boolean} props.isHost - Whether this player can switch the filter
+ * @param {Function} props.onSend - (message) => Promise, rejects if the server refuses it
+ * @param {Function} props.onMute - (playerId, muted) => void
+ * @param {Function} props.onReport - (playerId, reason) => void
+ * @param {Function} props.onToggleFilter - (enabled) => void
+ */
+export function ChatPanel({
+  messages = [],
+  players = [],
+  myPlayerId,
+  mutedPlayerIds = [],
+  chatFilter = true,
+  isHost = false,
+  onSend,
+  onMute,
+  onReport,
+  onToggleFilter
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [sendError, setSendError] = useState('');
+  const [reportingId, setReportingId] = useState(null);
+  const [reportReason, setReportReason] = useState('');
+  const [seenCount, setSeenCount] = useState(0);
+  const messagesEndRef = useRef(null);
+
+  const visibleMessages = messages.filter(m => !mutedPlayerIds.includes(m.playerId));
+  const unreadCount = isOpen ? 0 : Math.max(0, visibleMessages.length - seenCount);
+  const mutedPlayers = players.filter(p => mutedPlayerIds.includes(p.id));
+
+  // Everything on screen while the panel is open counts as read
+  useEffect(() => {
+    if (isOpen) {
+      setSeenCount(visibleMessages.length);
+      messagesEndRef.current?.scrollIntoView?.({ behavior: 'smooth' });
+    }
+  }, [isOpen, visibleMessages.length]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    try {
+      setSendError('');
+      await onSend(draft);
+      setDraft('');
+    } catch (err) {
+      setSendError(err.message);
+    }
+  };
+
+  const handleReport = (e) => {
+    e.preventDefault();
+    onReport(reportingId, reportReason);
+    setReportingId(null);
+    setReportReason('');
+  };
+
+  const isHumanPlayer = (playerId) => players.some(p => p.id === playerId && !p.isAI);
+
+  return (
+    <>
+      <button className="chat-toggle-btn" onClick={() => setIsOpen(!isOpen)} title="Table chat">
+        💬 Chat{unreadCount > 0 && <span className="chat-unread-badge">{unreadCount}</span>}
+      </button>
+
+      <div className={`chat-panel ${isOpen ? 'chat-panel-open' : ''}`}>
+        <div className="chat-panel-header">
+          <h3>Table Chat</h3>
+          {isHost && (
+            <label className="chat-filter-toggle">
+              <input
+                type="checkbox"
+                checked={chatFilter}
+                onChange={(e) => onToggleFilter(e.target.checked)}
+              />
+              Filter profanity
+            </label>
+          )}
+        </div>
+
+        {mutedPlayers.length > 0 && (
+          <div className="chat-muted-list">
+            Muted:{' '}
+            {mutedPlayers.map(p => (
+              <button key={p.id} className="chat-unmute-btn" onClick={() => onMute(p.id, false)} title="Unmute">
+                {p.name} ✕
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="chat-panel-messages">
+          {visibleMessages.length === 0 ? (
+            <div className="chat-panel-empty">No messages yet - say hello!</div>
+          ) : (
+            visibleMessages.map(m => (
+              <div key={m.id} className={`chat-message ${m.playerId === myPlayerId ? 'chat-message-mine' : ''}`}>
+                <div className="chat-message-header">
+                  <span className="chat-message-name">{m.playerName}</span>
+                  {m.playerId !== myPlayerId && isHumanPlayer(m.playerId) && (
+                    <span className="chat-message-actions">
+                      <button onClick={() => onMute(m.playerId, true)} title={`Mute ${m.playerName}`}>Mute</button>
+                      <button onClick={() => setReportingId(m.playerId)} title={`Report ${m.playerName}`}>Report</button>
+                    </span>
+                  )}
+                </div>
+                <div className="chat-message-text">{m.message}</div>
+              </div>
+            ))
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {reportingId && (
+          <form className="chat-report-form" onSubmit={handleReport}>
+            <div>Report {players.find(p => p.id === reportingId)?.name} for their chat?</div>
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              value={reportReason}
+              maxLength={MAX_MESSAGE_LENGTH}
+              onChange={(e) => setReportReason(e.target.value)}
+            />
+            <div className="chat-report-buttons">
+              <button type="submit" className="btn btn-danger">Report</button>
+              <button type="button" className="btn btn-secondary" onClick={() => setReportingId(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        <form className="chat-panel-input" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            placeholder="Say something..."
+            value={draft}
+            maxLength={MAX_MESSAGE_LENGTH}
+            onChange={(e) => setDraft(e.target.value)}
+          />
+          <button type="submit" className="btn btn-primary" disabled={!draft.trim()}>Send</button>
+        </form>
+        {sendError && <div className="chat-panel-error">{sendError}</div>}
+      </div>
+    </>
+  );
+}
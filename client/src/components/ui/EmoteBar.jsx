@@ -0,0 +1,42 @@
+import '../../styles/EmoteBar.css';
+
+// Matches the server's EMOTES (chatConfig.js); the server sends back what to show
+export const EMOTES = [
+  { id: 'dang', icon: '😩', label: 'Dang!' },
+  { id: 'bless_your_heart', icon: '🙏', label: 'Bless your heart' },
+  { id: 'beer', icon: '🍺', label: 'Crack a cold one' },
+  { id: 'yeehaw', icon: '🤠', label: 'Yee-haw!' },
+  { id: 'big_spender', icon: '💸', label: 'Big spender!' },
+  { id: 'trash', icon: '🗑️', label: 'Pure trash' },
+  { id: 'yikes', icon: '😬', label: 'Yikes...' },
+  { id: 'laugh', icon: '😂', label: 'Laugh' }
+];
+
+/**
+ * EmoteBar Component
+ *
+ * One-tap reactions for players who'd rather not type. Sent emotes pop up
+ * over the sender's avatar at the table.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSendEmote - (emoteId) => void
+ * @param {boolean} props.disabled - Disable the buttons
+ */
+export function EmoteBar({ onSendEmote, disabled = false }) {
+  return (
+    <div className="emote-bar" role="toolbar" aria-label="Emotes">
+      {EMOTES.map(emote => (
+        <button
+          key={emote.id}
+          className="emote-btn"
+          onClick={() => onSendEmote(emote.id)}
+          disabled={disabled}
+          title={emote.label}
+          aria-label={emote.label}
+        >
+          {emote.icon}
+        </button>
+      ))}
+    </div>
+  );
+}
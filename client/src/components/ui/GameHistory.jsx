@@ -1,23 +1,80 @@
 import { useEffect, useRef } from 'react';
 import '../../styles/GameHistory.css';
 
+const formatBills = (bills) => bills.map(bill => `$${bill}`).join(' + ');
+
+const formatNames = (names) => (names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0] || '');
+
+/**
+ * Turn an entry of the server's action history into a log line
+ * @param {Object} action - { seq, type, timestamp, data } (see the server's GAME_ACTION_TYPES)
+ * @returns {{ kind: string, message: string }} kind picks the icon and colour
+ */
+export function formatAction({ type, data }) {
+  switch (type) {
+    case 'game_started':
+      return { kind: 'game_start', message: `Game started: ${formatNames(data.players.map(p => p.playerName))}` };
+    case 'auction_started':
+      return {
+        kind: 'round_start',
+        message: `New Round: ${data.card.name} (${data.auctionType === 'reverse' ? 'AVOID' : 'WIN'}), ${data.startingPlayerName} starts`
+      };
+    case 'bid':
+      return { kind: 'bid', message: `${data.playerName} bid $${data.bidTotal} (${formatBills(data.bills)})` };
+    case 'pass':
+      return { kind: 'pass', message: `${data.playerName} passed` };
+    case 'auction_ended': {
+      const paid = data.payments
+        .map(payment => `${payment.playerName} paid $${payment.amount} (${formatBills(payment.bills)})`)
+        .join(', ');
+      const taken = data.auctionType === 'reverse'
+        ? `${data.playerName} got stuck with ${data.card.name}`
+        : `${data.playerName} won ${data.card.name}`;
+      return { kind: 'win', message: paid ? `${taken}. ${paid}` : taken };
+    }
+    case 'auction_restarted':
+      return { kind: 'round_start', message: `Auction restarted: ${data.card.name}` };
+    case 'game_ending_card_drawn':
+      return { kind: 'game_end', message: `${data.card.name} ends the game unplayed` };
+    case 'cards_swapped':
+      return {
+        kind: 'swap',
+        message: data.skipped
+          ? `${data.playerName} skipped the trade`
+          : `${data.playerName} swapped ${data.player1Name}'s ${data.card1?.name} with ${data.player2Name}'s ${data.card2?.name}`
+      };
+    case 'luxury_discarded':
+      return { kind: 'discard', message: `${data.playerName} discarded ${data.card?.name}` };
+    case 'game_ended': {
+      const winners = data.results.filter(result => result.place === 1).map(result => result.playerName);
+      return {
+        kind: 'game_end',
+        message: winners.length > 0 ? `Game over! ${formatNames(winners)} ${winners.length > 1 ? 'share' : 'takes'} first place` : 'Game over!'
+      };
+    }
+    default:
+      return { kind: type, message: type.replace(/_/g, ' ') };
+  }
+}
+
 /**
  * GameHistory Component
  *
- * Displays a scrollable log of game events (bids, passes, card wins, round changes)
+ * Displays a scrollable log of the game's action history (bids with their bills,
+ * passes, auction results, trades and discards), as recorded by the server
  * Auto-scrolls to show the latest events
  *
- * @param {Array} events - Array of event objects with { type, message, timestamp, playerId, playerName }
+ * @param {Array} actions - The server's action history, in order ({ seq, type, timestamp, data })
  */
-export function GameHistory({ events = [] }) {
+export function GameHistory({ actions = [] }) {
   const historyEndRef = useRef(null);
 
   // Auto-scroll to bottom when new events are added
   useEffect(() => {
-    if (historyEndRef.current) {
-      historyEndRef.current.scrollIntoView({ behavior: 'smooth' });
-    }
-  }, [events]);
+    historyEndRef.current?.scrollIntoView?.({ behavior: 'smooth' });
+  }, [actions]);
 
   const getEventIcon = (type) => {
     switch (type) {
@@ -70,21 +127,24 @@ export function GameHistory({ events = [] }) {
         <h3>Game History</h3>
       </div>
       <div className="history-content">
-        {events.length === 0 ? (
+        {actions.length === 0 ? (
           <div className="history-empty">
             <p>Game events will appear here</p>
           </div>
         ) : (
           <div className="history-events">
-            {events.map((event, index) => (
-              <div
-                key={`${event.timestamp}-${index}`}
-                className={`history-event ${getEventClass(event.type)}`}
-              >
-                <span className="event-icon">{getEventIcon(event.type)}</span>
-                <span className="event-message">{event.message}</span>
-              </div>
-            ))}
+            {actions.map(action => {
+              const { kind, message } = formatAction(action);
+              return (
+                <div
+                  key={action.seq}
+                  className={`history-event ${getEventClass(kind)}`}
+                >
+                  <span className="event-icon">{getEventIcon(kind)}</span>
+                  <span className="event-message">{message}</span>
+                </div>
+              );
+            })}
             <div ref={historyEndRef} />
           </div>
         )}
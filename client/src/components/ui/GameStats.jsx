@@ -0,0 +1,133 @@
+import '../../styles/GameStats.css';
+
+/**
+ * How a score was worked out, one step per line (see calculateScoreBreakdown on the server)
+ * @param {Object} score - { luxuryTotal, prestigeMultiplier, penalties, total }
+ * @returns {string[]}
+ */
+export const describeScore = ({ luxuryTotal, prestigeMultiplier, penalties, total }) => [
+  `Luxuries: ${luxuryTotal}`,
+  ...(prestigeMultiplier !== 1 ? [`Prestige ×${prestigeMultiplier}: ${luxuryTotal * prestigeMultiplier}`] : []),
+  ...penalties.map(penalty => `${penalty.cardName}: ${penalty.before} → ${penalty.after}`),
+  `Final: ${total}`
+];
+
+/**
+ * PlayerBreakdown Component
+ *
+ * A player's end-of-game stats: how their score was worked out, what they
+ * spent, what each card cost them and the bill they lost at the start
+ *
+ * @param {Object} result - Game result with stats (results from older servers have none)
+ */
+export function PlayerBreakdown({ result }) {
+  const { stats } = result;
+  if (!stats) return null;
+
+  return (
+    <div className="player-breakdown">
+      <div className="breakdown-section">
+        <h4>Score</h4>
+        <ol className="breakdown-score">
+          {describeScore(stats.score).map((step, index) => (
+            <li key={index}>{step}</li>
+          ))}
+        </ol>
+        {result.eliminated && <p className="breakdown-note">Counts as 0 - eliminated</p>}
+      </div>
+
+      <div className="breakdown-section">
+        <h4>Money</h4>
+        <p>
+          Spent ${stats.totalSpent}
+          {stats.paidToAvoid > 0 && ` ($${stats.paidToAvoid} dodging disgrace)`}
+        </p>
+        <p>Bill lost at the start: {stats.removedBill !== null ? `$${stats.removedBill}` : 'none'}</p>
+      </div>
+
+      <div className="breakdown-section">
+        <h4>Cards Taken</h4>
+        {stats.cards.length > 0 ? (
+          <ul className="breakdown-cards">
+            {stats.cards.map(({ card, auctionType, price }) => (
+              <li key={card.id}>
+                <span>{card.name}</span>
+                <span className="breakdown-price">{auctionType === 'reverse' ? 'stuck with it' : `$${price}`}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="breakdown-note">None</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * GameAwards Component
+ *
+ * The fun awards a game handed out (Biggest Overpay, Cheapskate...)
+ *
+ * @param {Array} awards - [{ id, icon, title, description, playerName }]
+ */
+export function GameAwards({ awards = [] }) {
+  if (awards.length === 0) return null;
+
+  return (
+    <div className="game-awards">
+      <h2>Awards</h2>
+      <div className="game-awards-list">
+        {awards.map(award => (
+          <div key={award.id} className="game-award">
+            <div className="game-award-icon">{award.icon}</div>
+            <div className="game-award-title">{award.title}</div>
+            <div className="game-award-player">{award.playerName}</div>
+            <div className="game-award-description">{award.description}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SessionTally Component
+ *
+ * Running totals for a table that keeps playing rematches, best first
+ * (only shown once the session is past its first game)
+ *
+ * @param {Object} session - { gameNumber, tally: [{ playerId, playerName, gamesPlayed, wins, totalScore }] }
+ */
+export function SessionTally({ session }) {
+  if (!session || session.gameNumber < 2) return null;
+
+  const standings = [...session.tally].sort((a, b) => b.wins - a.wins || b.totalScore - a.totalScore);
+
+  return (
+    <div className="session-tally">
+      <h2>Session Standings</h2>
+      <p className="breakdown-note">After {session.gameNumber} games</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Player</th>
+            <th>Wins</th>
+            <th>Total Points</th>
+            <th>Games</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map(entry => (
+            <tr key={entry.playerId}>
+              <td>{entry.playerName}</td>
+              <td>{entry.wins}</td>
+              <td>{entry.totalScore}</td>
+              <td>{entry.gamesPlayed}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
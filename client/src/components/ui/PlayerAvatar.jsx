@@ -21,9 +21,11 @@ import '../../styles/PlayerAvatar.css';
  * @param {boolean} isCurrentTurn - Whether it's this player's turn
  * @param {boolean} isCurrentPlayer - Whether this is the current user
  * @param {boolean} isAI - Whether this is an AI player
+ * @param {boolean} isStandIn - Whether an AI is playing this disconnected human's seat
  * @param {boolean} showName - Show name tag below avatar
  * @param {boolean} showStats - Show player stats (money, cards, bid)
- * @param {object} stats - Player stats { money, cards, bid }
+ * @param {object} stats - Player stats { money, cards, bid } (money is null when it's hidden)
+ * @param {object} emote - Emote to pop up over the avatar { icon, text, timestamp } (optional)
  * @param {function} onClick - Optional click handler
  */
 export function PlayerAvatar({
@@ -37,9 +39,11 @@ export function PlayerAvatar({
   isCurrentTurn = false,
   isCurrentPlayer = false,
   isAI = false,
+  isStandIn = false,
   showName = true,
   showStats = false,
   stats = { money: 0, cards: 0, bid: 0 },
+  emote = null,
   onClick = null,
   className = ''
 }) {
@@ -94,6 +98,14 @@ export function PlayerAvatar({
         </div>
       )}
 
+      {/* Emote pop-up - keyed so the same emote twice plays again */}
+      {emote && (
+        <div key={emote.timestamp} className="avatar-emote" role="status">
+          <span className="avatar-emote-icon">{emote.icon}</span>
+          {emote.text && <span className="avatar-emote-text">{emote.text}</span>}
+        </div>
+      )}
+
       {/* Avatar circle */}
       <div
         className={`avatar-circle ${isActive ? 'active' : ''} ${hasPassed ? 'passed' : ''} ${isCurrentTurn ? 'current-turn' : ''} ${isCurrentPlayer ? 'current-player' : ''}`}
@@ -117,7 +129,7 @@ export function PlayerAvatar({
         {hasPassed && (
           <div className="status-badge passed-badge">✕</div>
         )}
-        {isAI && (
+        {(isAI || isStandIn) && (
           <div className="status-badge ai-badge">🤖</div>
         )}
       </div>
@@ -128,6 +140,7 @@ export function PlayerAvatar({
           {playerName}
           {isCurrentPlayer && <span className="you-badge">(You)</span>}
           {isAI && <span className="ai-label">AI</span>}
+          {isStandIn && <span className="ai-label">AI stand-in</span>}
         </div>
       )}
 
@@ -136,7 +149,7 @@ export function PlayerAvatar({
         <div className="player-stats-mini">
           <div className="stat-item">
             <span className="stat-icon">💵</span>
-            <span className="stat-value">${stats.money}</span>
+            <span className="stat-value">{stats.money === null ? '?' : `$${stats.money}`}</span>
           </div>
           <div className="stat-item">
             <span className="stat-icon">🎯</span>
@@ -18,6 +18,7 @@ import '../../styles/CardDeck.css';
  * @param {string} tableImage - Optional custom table background image
  * @param {function} onPlayerClick - Optional click handler for player avatars
  * @param {boolean} showStats - Whether to show player stats (default: true)
+ * @param {object} playerEmotes - Emotes to show, by player ID (optional)
  */
 export function PokerTable({
   players = [],
@@ -27,7 +28,8 @@ export function PokerTable({
   cardsRemaining = 0,
   tableImage = null,
   onPlayerClick = null,
-  showStats = true
+  showStats = true,
+  playerEmotes = {}
 }) {
   const [animateReveal, setAnimateReveal] = useState(false);
   const [animateCollect, setAnimateCollect] = useState(false);
@@ -189,13 +191,15 @@ export function PokerTable({
                 isCurrentTurn={isCurrentTurn}
                 isCurrentPlayer={isCurrentPlayer}
                 isAI={player.isAI || false}
+                isStandIn={player.aiStandIn || false}
                 showName={true}
                 showStats={showStats}
                 stats={{
-                  money: player.remainingMoney || 0,
+                  money: player.remainingMoney === null ? null : player.remainingMoney || 0,
                   cards: player.wonCardsCount || 0,
                   bid: player.currentBidTotal || 0,
                 }}
+                emote={playerEmotes[player.id] || null}
                 onClick={onPlayerClick ? () => onPlayerClick(player) : null}
               />
             </div>
@@ -0,0 +1,53 @@
+import '../../styles/SpentBillsTracker.css';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * SpentBillsTracker Component
+ *
+ * With hidden money, opponents' remaining totals aren't shown - only the
+ * bills they've paid and the bills on the table. This lists them per
+ * opponent so players can count what everyone has left.
+ *
+ * @param {Array} players - Public players (spentMoney and bidMoney are bill values)
+ * @param {string} myPlayerId - ID of the current user (left out)
+ * @param {number[]} denominations - The bills every player starts with (optional)
+ */
+export function SpentBillsTracker({ players = [], myPlayerId, denominations = [] }) {
+  const opponents = players.filter(p => p.id !== myPlayerId);
+  const startingMoney = sum(denominations);
+
+  return (
+    <div className="spent-bills-tracker">
+      <h3>Spent Bills</h3>
+      {opponents.map(player => {
+        const spentMoney = player.spentMoney || [];
+        const bidMoney = player.bidMoney || [];
+
+        return (
+          <div key={player.id} className="spent-bills-row">
+            <div className="spent-bills-header">
+              <span className="player-name">{player.name}</span>
+              <span className="spent-bills-total">
+                -${sum(spentMoney)}
+                {startingMoney > 0 && ` (at most $${startingMoney - sum(spentMoney)} left)`}
+              </span>
+            </div>
+            <div className="spent-bills-list" aria-label={`${player.name} spent bills`}>
+              {spentMoney.length > 0 ? (
+                [...spentMoney].sort((a, b) => a - b).map((value, index) => (
+                  <span key={index} className="spent-bill">${value}</span>
+                ))
+              ) : (
+                <span className="spent-bills-none">Nothing spent yet</span>
+              )}
+              {bidMoney.map((value, index) => (
+                <span key={`bid-${index}`} className="spent-bill spent-bill-bid" title="On the table">${value}</span>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 // Socket.io client service
 import { io } from 'socket.io-client';
 
+// localStorage key for the seat we can resume after a reconnect or page reload
+const SESSION_STORAGE_KEY = 'lowSociety.session';
+
 class SocketService {
   constructor() {
     this.socket = null;
@@ -110,10 +113,49 @@ class SocketService {
     return this.emit('join_room', { roomCode, playerName });
   }
 
+  async resumeSession(roomCode, reconnectToken) {
+    return this.emit('resume_session', { roomCode, reconnectToken });
+  }
+
+  // Watch a room without taking a seat (public state only)
+  async spectateRoom(roomCode) {
+    return this.emit('spectate_room', { roomCode });
+  }
+
+  // Reconnect session storage
+  saveSession(roomCode, reconnectToken) {
+    try {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ roomCode, reconnectToken }));
+    } catch (error) {
+      console.warn('Could not save session:', error);
+    }
+  }
+
+  loadSession() {
+    try {
+      const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+      return session?.roomCode && session?.reconnectToken ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearSession() {
+    try {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not clear session:', error);
+    }
+  }
+
   async startGame(options = {}) {
     return this.emit('start_game', options);
   }
 
+  async setAIDifficulty(playerId, difficulty) {
+    return this.emit('set_ai_difficulty', { playerId, difficulty });
+  }
+
   async placeBid(moneyCardIds) {
     return this.emit('place_bid', { moneyCardIds });
   }
@@ -122,6 +164,14 @@ class SocketService {
     return this.emit('pass', {});
   }
 
+  async requestRoundReset() {
+    return this.emit('request_round_reset', {});
+  }
+
+  async voteRoundReset(approve) {
+    return this.emit('vote_round_reset', { approve });
+  }
+
   async executeCardSwap(player1Id, card1Id, player2Id, card2Id) {
     return this.emit('execute_card_swap', { player1Id, card1Id, player2Id, card2Id });
   }
@@ -130,10 +180,54 @@ class SocketService {
     return this.emit('discard_luxury_card', { cardId });
   }
 
+  async resolveCardEffect(choice) {
+    return this.emit('resolve_card_effect', { choice });
+  }
+
+  async sendChatMessage(message) {
+    return this.emit('send_chat_message', { message });
+  }
+
+  async getChatHistory() {
+    return this.emit('get_chat_history', {});
+  }
+
+  async mutePlayer(playerId, muted = true) {
+    return this.emit('mute_player', { playerId, muted });
+  }
+
+  async reportPlayer(playerId, reason = '') {
+    return this.emit('report_player', { playerId, reason });
+  }
+
+  async setChatFilter(enabled) {
+    return this.emit('set_chat_filter', { enabled });
+  }
+
+  async sendEmote(emoteId) {
+    return this.emit('send_emote', { emoteId });
+  }
+
   async getState() {
     return this.emit('get_state', {});
   }
 
+  async getCardSets() {
+    return this.emit('get_card_sets', {});
+  }
+
+  async getActionHistory() {
+    return this.emit('get_action_history', {});
+  }
+
+  async getReplay(replayId) {
+    return this.emit('get_replay', { replayId });
+  }
+
+  async requestRematch(ready = true) {
+    return this.emit('request_rematch', { ready });
+  }
+
   async leaveRoom() {
     return this.emit('leave_room', {});
   }
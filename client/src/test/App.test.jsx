@@ -13,10 +13,19 @@ vi.mock('../services/socket', () => ({
     removeAllListeners: vi.fn(),
     createRoom: vi.fn(),
     joinRoom: vi.fn(),
+    resumeSession: vi.fn(),
+    saveSession: vi.fn(),
+    loadSession: vi.fn(() => null),
+    clearSession: vi.fn(),
     startGame: vi.fn(),
     placeBid: vi.fn(),
     pass: vi.fn(),
+    requestRoundReset: vi.fn(),
+    voteRoundReset: vi.fn(),
     leaveRoom: vi.fn(),
+    getChatHistory: vi.fn(() => Promise.resolve({ messages: [] })),
+    getActionHistory: vi.fn(() => Promise.resolve({ actions: [] })),
+    getCardSets: vi.fn(() => Promise.resolve({ cardSets: [] })),
     getSocketId: vi.fn(() => 'test-socket-id'),
   }
 }));
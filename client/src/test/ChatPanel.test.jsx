@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { ChatPanel } from '../components/ui/ChatPanel';
+
+const players = [
+  { id: 'me', name: 'Alice', isAI: false },
+  { id: 'bob', name: 'Bob', isAI: false },
+  { id: 'robo', name: 'Robo', isAI: true }
+];
+
+const message = (id, playerId, text) => ({
+  id,
+  playerId,
+  playerName: players.find(p => p.id === playerId).name,
+  message: text,
+  timestamp: 0
+});
+
+describe('ChatPanel', () => {
+  const renderPanel = (props = {}) => {
+    const handlers = {
+      onSend: vi.fn(() => Promise.resolve()),
+      onMute: vi.fn(),
+      onReport: vi.fn(),
+      onToggleFilter: vi.fn()
+    };
+    render(<ChatPanel players={players} myPlayerId="me" {...handlers} {...props} />);
+    return handlers;
+  };
+
+  it('should send what the player types and clear the box', async () => {
+    const { onSend } = renderPanel();
+    const input = screen.getByPlaceholderText('Say something...');
+
+    fireEvent.change(input, { target: { value: 'good luck' } });
+    fireEvent.click(screen.getByText('Send'));
+
+    expect(onSend).toHaveBeenCalledWith('good luck');
+    await waitFor(() => expect(input.value).toBe(''));
+  });
+
+  it('should show why the server refused a message', async () => {
+    renderPanel({ onSend: () => Promise.reject(new Error('You are sending messages too quickly')) });
+
+    fireEvent.change(screen.getByPlaceholderText('Say something...'), { target: { value: 'spam' } });
+    fireEvent.click(screen.getByText('Send'));
+
+    expect(await screen.findByText('You are sending messages too quickly')).toBeInTheDocument();
+  });
+
+  it('should hide muted players and offer to unmute them', () => {
+    const { onMute } = renderPanel({
+      messages: [message('m1', 'bob', 'hi'), message('m2', 'me', 'hello')],
+      mutedPlayerIds: ['bob']
+    });
+
+    expect(screen.queryByText('hi')).not.toBeInTheDocument();
+    expect(screen.getByText('hello')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Bob ✕'));
+    expect(onMute).toHaveBeenCalledWith('bob', false);
+  });
+
+  it('should mute or report other players with a reason', () => {
+    const { onMute, onReport } = renderPanel({ messages: [message('m1', 'bob', 'rude words')] });
+
+    fireEvent.click(screen.getByText('Mute'));
+    expect(onMute).toHaveBeenCalledWith('bob', true);
+
+    fireEvent.click(screen.getByTitle('Report Bob'));
+    fireEvent.change(screen.getByPlaceholderText('Reason (optional)'), { target: { value: 'insults' } });
+    fireEvent.click(screen.getByText('Report', { selector: 'button[type="submit"]' }));
+    expect(onReport).toHaveBeenCalledWith('bob', 'insults');
+  });
+
+  it('should only let the host switch the profanity filter', () => {
+    const { onToggleFilter } = renderPanel({ isHost: true, chatFilter: true });
+
+    fireEvent.click(screen.getByLabelText('Filter profanity'));
+    expect(onToggleFilter).toHaveBeenCalledWith(false);
+  });
+
+  it('should count messages that arrive while closed', () => {
+    renderPanel({ messages: [message('m1', 'bob', 'one'), message('m2', 'bob', 'two')] });
+
+    expect(screen.getByTitle('Table chat')).toHaveTextContent('2');
+  });
+});
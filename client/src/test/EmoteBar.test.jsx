@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { EmoteBar, EMOTES } from '../components/ui/EmoteBar';
+import { PlayerAvatar } from '../components/ui/PlayerAvatar';
+
+describe('EmoteBar', () => {
+  it('should send the emote that was tapped', () => {
+    const onSendEmote = vi.fn();
+    render(<EmoteBar onSendEmote={onSendEmote} />);
+
+    expect(screen.getAllByRole('button')).toHaveLength(EMOTES.length);
+    fireEvent.click(screen.getByLabelText('Bless your heart'));
+
+    expect(onSendEmote).toHaveBeenCalledWith('bless_your_heart');
+  });
+
+  it('should disable the buttons when asked', () => {
+    render(<EmoteBar onSendEmote={vi.fn()} disabled />);
+
+    screen.getAllByRole('button').forEach(button => expect(button).toBeDisabled());
+  });
+});
+
+describe('PlayerAvatar emotes', () => {
+  it('should pop up the emote over the avatar', () => {
+    render(
+      <PlayerAvatar
+        playerName="Alice"
+        playerId="p1"
+        emote={{ icon: '😩', text: 'Dang!', timestamp: 1 }}
+      />
+    );
+
+    expect(screen.getByRole('status')).toHaveTextContent('😩Dang!');
+  });
+
+  it('should show nothing without an emote', () => {
+    render(<PlayerAvatar playerName="Alice" playerId="p1" />);
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
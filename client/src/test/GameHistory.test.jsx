@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { GameHistory, formatAction } from '../components/ui/GameHistory';
+
+const card = { id: 'c1', name: 'Double Wide Trailer', type: 'luxury', value: 8 };
+
+const action = (seq, type, data) => ({ seq, type, timestamp: 1000 + seq, data });
+
+describe('GameHistory', () => {
+  it('should list the server history in order', () => {
+    render(
+      <GameHistory
+        actions={[
+          action(0, 'auction_started', { card, auctionType: 'standard', startingPlayerId: 'p1', startingPlayerName: 'Alice' }),
+          action(1, 'bid', { playerId: 'p1', playerName: 'Alice', bills: [1, 2], bidTotal: 3 }),
+          action(2, 'pass', { playerId: 'p2', playerName: 'Bob' })
+        ]}
+      />
+    );
+
+    const lines = screen.getAllByText(/New Round|bid|passed/).map(line => line.textContent);
+    expect(lines).toEqual([
+      'New Round: Double Wide Trailer (WIN), Alice starts',
+      'Alice bid $3 ($1 + $2)',
+      'Bob passed'
+    ]);
+  });
+
+  it('should show an empty state before anything happens', () => {
+    render(<GameHistory actions={[]} />);
+
+    expect(screen.getByText('Game events will appear here')).toBeInTheDocument();
+  });
+});
+
+describe('formatAction', () => {
+  it('should say who took the card and what everyone paid', () => {
+    const disgrace = { id: 'd1', name: 'DUI Citation', type: 'disgrace' };
+
+    expect(formatAction(action(5, 'auction_ended', {
+      card: disgrace,
+      auctionType: 'reverse',
+      playerId: 'p3',
+      playerName: 'Charlie',
+      payments: [
+        { playerId: 'p1', playerName: 'Alice', bills: [1], amount: 1 },
+        { playerId: 'p2', playerName: 'Bob', bills: [3], amount: 3 }
+      ]
+    }))).toEqual({
+      kind: 'win',
+      message: 'Charlie got stuck with DUI Citation. Alice paid $1 ($1), Bob paid $3 ($3)'
+    });
+  });
+
+  it('should describe trades and discards', () => {
+    const other = { id: 'c2', name: 'Above Ground Pool', type: 'luxury', value: 5 };
+
+    expect(formatAction(action(7, 'cards_swapped', {
+      playerId: 'p1', playerName: 'Alice', skipped: false,
+      player1Id: 'p2', player1Name: 'Bob', card1: card,
+      player2Id: 'p3', player2Name: 'Charlie', card2: other
+    })).message).toBe("Alice swapped Bob's Double Wide Trailer with Charlie's Above Ground Pool");
+    expect(formatAction(action(8, 'luxury_discarded', { playerId: 'p2', playerName: 'Bob', card })).message)
+      .toBe('Bob discarded Double Wide Trailer');
+  });
+});
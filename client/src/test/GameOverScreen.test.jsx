@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { GameOverScreen } from '../components/GameOverScreen';
+
+const result = (id, overrides) => ({ id, name: id, score: 10, money: 20, wonCards: [], ...overrides });
+
+describe('GameOverScreen', () => {
+  const renderResults = (results) => render(
+    <GameOverScreen results={results} seed={1} onRequestRematch={vi.fn()} onLeaveRoom={vi.fn()} />
+  );
+
+  it('should show players sharing a place', () => {
+    renderResults([
+      result('Alice', { place: 1, sharedPlace: true }),
+      result('Bob', { place: 1, sharedPlace: true }),
+      result('Carl', { score: 4, place: 3, sharedPlace: false }),
+      result('Dot', { score: 0, money: 2, eliminated: true, place: null, sharedPlace: false })
+    ]);
+
+    expect(screen.getAllByText('T1')).toHaveLength(2);
+    expect(screen.getByText('#3')).toBeInTheDocument();
+    expect(screen.getByText(/Alice & Bob Share the Win!/)).toBeInTheDocument();
+    expect(screen.queryByText(/Wins!/)).not.toBeInTheDocument();
+  });
+
+  it('should show a single winner', () => {
+    renderResults([
+      result('Alice', { place: 1, sharedPlace: false }),
+      result('Bob', { score: 4, place: 2, sharedPlace: false })
+    ]);
+
+    expect(screen.getByText('#1')).toBeInTheDocument();
+    expect(screen.getByText(/Alice Wins!/)).toBeInTheDocument();
+  });
+
+  it('should break down each player\'s game and show the awards', () => {
+    const stats = {
+      score: {
+        luxuryTotal: 9,
+        prestigeMultiplier: 2,
+        penalties: [{ cardId: 'passe', cardName: 'Passé', before: 18, after: 13 }],
+        total: 13
+      },
+      totalSpent: 22,
+      removedBill: 4,
+      cards: [
+        { card: { id: 'lux-9', name: 'Hot Tub' }, auctionType: 'standard', price: 18 },
+        { card: { id: 'passe', name: 'Passé' }, auctionType: 'reverse', price: 0 }
+      ],
+      paidToAvoid: 4
+    };
+    render(
+      <GameOverScreen
+        results={[result('Alice', { place: 1, sharedPlace: false, score: 13, stats })]}
+        awards={[{ id: 'big_spender', icon: '🤑', title: 'Big Spender', description: 'Spent $22 all game', playerId: 'Alice', playerName: 'Alice' }]}
+        onRequestRematch={vi.fn()}
+        onLeaveRoom={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Prestige ×2: 18')).toBeInTheDocument();
+    expect(screen.getByText('Passé: 18 → 13')).toBeInTheDocument();
+    expect(screen.getByText('Spent $22 ($4 dodging disgrace)')).toBeInTheDocument();
+    expect(screen.getByText('Bill lost at the start: $4')).toBeInTheDocument();
+    expect(screen.getByText('$18')).toBeInTheDocument();
+    expect(screen.getByText('stuck with it')).toBeInTheDocument();
+    expect(screen.getByText('Big Spender')).toBeInTheDocument();
+    expect(screen.getByText('Spent $22 all game')).toBeInTheDocument();
+  });
+
+  it('should offer the replay once it is saved', () => {
+    const onWatchReplay = vi.fn();
+    render(
+      <GameOverScreen
+        results={[result('Alice', { place: 1, sharedPlace: false })]}
+        replayId="ABCD2345"
+        onRequestRematch={vi.fn()}
+        onLeaveRoom={vi.fn()}
+        onWatchReplay={onWatchReplay}
+      />
+    );
+
+    expect(screen.getByText(/\?replay=ABCD2345/)).toBeInTheDocument();
+    fireEvent.click(screen.getByText('▶ Watch Replay'));
+    expect(onWatchReplay).toHaveBeenCalledWith('ABCD2345');
+  });
+
+  it('should ready up for a rematch and show the session standings', () => {
+    const onRequestRematch = vi.fn();
+    render(
+      <GameOverScreen
+        results={[result('Alice', { place: 1, sharedPlace: false })]}
+        session={{
+          gameNumber: 2,
+          tally: [
+            { playerId: 'Bob', playerName: 'Bob', gamesPlayed: 2, wins: 0, totalScore: 9 },
+            { playerId: 'Alice', playerName: 'Alice', gamesPlayed: 2, wins: 2, totalScore: 31 }
+          ]
+        }}
+        players={[
+          { id: 'Alice', name: 'Alice', isAI: false },
+          { id: 'Bob', name: 'Bob', isAI: false },
+          { id: 'ai_1', name: 'Cletus', isAI: true }
+        ]}
+        rematchReadyIds={['Alice']}
+        myPlayerId="Alice"
+        onRequestRematch={onRequestRematch}
+        onLeaveRoom={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('After 2 games')).toBeInTheDocument();
+    expect(screen.getByText('31')).toBeInTheDocument();
+    expect(screen.getByText('Rematch: waiting on Bob')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Not Ready'));
+    expect(onRequestRematch).toHaveBeenCalledWith(false);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ReplayViewer } from '../components/ReplayViewer';
+
+const card = { id: 'c1', name: 'Double Wide Trailer', type: 'luxury', value: 8 };
+
+const bill = (id, value, available = true) => ({ id, value, available });
+
+const player = (id, overrides) => ({
+  id,
+  name: id,
+  isAI: false,
+  moneyHand: [bill(`${id}-1`, 1), bill(`${id}-2`, 2)],
+  currentBid: [],
+  remainingMoney: 3,
+  currentBidTotal: 0,
+  wonCards: [],
+  hasPassed: false,
+  ...overrides
+});
+
+const frame = (actions, players) => ({
+  actions,
+  table: { phase: 'auction', currentCard: card, auctionType: 'standard', turnPlayerId: 'Bob', cardsRemaining: 10, players }
+});
+
+const replay = {
+  replayId: 'ABCD2345',
+  frames: [
+    frame([{ seq: 0, type: 'auction_started', data: { card, auctionType: 'standard', startingPlayerId: 'Alice', startingPlayerName: 'Alice' } }],
+      [player('Alice'), player('Bob')]),
+    frame([{ seq: 1, type: 'bid', data: { playerId: 'Alice', playerName: 'Alice', bills: [2], bidTotal: 2 } }],
+      [player('Alice', { currentBid: ['Alice-2'], currentBidTotal: 2 }), player('Bob')]),
+    frame([{ seq: 2, type: 'pass', data: { playerId: 'Bob', playerName: 'Bob' } }],
+      [player('Alice', { currentBid: ['Alice-2'], currentBidTotal: 2 }), player('Bob', { hasPassed: true })])
+  ]
+};
+
+describe('ReplayViewer', () => {
+  it('should step through the game one action at a time', () => {
+    render(<ReplayViewer replay={replay} onClose={vi.fn()} />);
+
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument();
+    expect(screen.getByLabelText('Step back')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('Step forward'));
+    expect(screen.getByText('Step 2 of 3')).toBeInTheDocument();
+    expect(screen.getByText('Alice bid $2 ($2)')).toBeInTheDocument();
+    expect(screen.getByText(/bidding \$2/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Step back'));
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument();
+  });
+
+  it('should seek to any step', () => {
+    const onClose = vi.fn();
+    render(<ReplayViewer replay={replay} onClose={onClose} />);
+
+    fireEvent.change(screen.getByLabelText('Seek'), { target: { value: '2' } });
+    expect(screen.getByText('Step 3 of 3')).toBeInTheDocument();
+    expect(screen.getByText('Bob passed')).toBeInTheDocument();
+    expect(screen.getByLabelText('Step forward')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('First step'));
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Close Replay'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { SpentBillsTracker } from '../components/ui/SpentBillsTracker';
+import { PlayerAvatar } from '../components/ui/PlayerAvatar';
+
+const players = [
+  { id: 'p1', name: 'Alice', remainingMoney: null, spentMoney: [], bidMoney: [] },
+  { id: 'p2', name: 'Bob', remainingMoney: null, spentMoney: [8, 2], bidMoney: [4] }
+];
+
+describe('SpentBillsTracker', () => {
+  it('should list each opponent\'s spent bills and bid', () => {
+    render(<SpentBillsTracker players={players} myPlayerId="p1" denominations={[1, 2, 4, 8]} />);
+
+    expect(screen.queryByText('Alice')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Bob spent bills')).toHaveTextContent('$2$8$4');
+    expect(screen.getByText('-$10 (at most $5 left)')).toBeInTheDocument();
+    expect(screen.getByTitle('On the table')).toHaveTextContent('$4');
+  });
+
+  it('should say when an opponent hasn\'t spent anything', () => {
+    render(<SpentBillsTracker players={players} myPlayerId="p2" />);
+
+    expect(screen.getByLabelText('Alice spent bills')).toHaveTextContent('Nothing spent yet');
+  });
+});
+
+describe('PlayerAvatar hidden money', () => {
+  it('should show a question mark instead of a hidden total', () => {
+    render(<PlayerAvatar playerName="Bob" playerId="p2" showStats stats={{ money: null, cards: 0, bid: 4 }} />);
+
+    expect(screen.getByText('?')).toBeInTheDocument();
+    expect(screen.getByText('$4')).toBeInTheDocument();
+  });
+});
@@ -158,6 +158,16 @@ describe('SocketService', () => {
       );
     });
 
+    it('should resume session', async () => {
+      await socketService.resumeSession('ABC1', 'secret-token');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'resume_session',
+        { roomCode: 'ABC1', reconnectToken: 'secret-token' },
+        expect.any(Function)
+      );
+    });
+
     it('should start game', async () => {
       await socketService.startGame();
 
@@ -168,6 +178,16 @@ describe('SocketService', () => {
       );
     });
 
+    it('should set AI difficulty', async () => {
+      await socketService.setAIDifficulty('ai_1', 'hard');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'set_ai_difficulty',
+        { playerId: 'ai_1', difficulty: 'hard' },
+        expect.any(Function)
+      );
+    });
+
     it('should place bid', async () => {
       await socketService.placeBid(['money-1', 'money-2']);
 
@@ -188,6 +208,26 @@ describe('SocketService', () => {
       );
     });
 
+    it('should request round reset', async () => {
+      await socketService.requestRoundReset();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'request_round_reset',
+        {},
+        expect.any(Function)
+      );
+    });
+
+    it('should vote on round reset', async () => {
+      await socketService.voteRoundReset(false);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'vote_round_reset',
+        { approve: false },
+        expect.any(Function)
+      );
+    });
+
     it('should execute card swap', async () => {
       await socketService.executeCardSwap('p1', 'card1', 'p2', 'card2');
 
@@ -198,6 +238,70 @@ describe('SocketService', () => {
       );
     });
 
+    it('should resolve a card effect', async () => {
+      await socketService.resolveCardEffect({ targetId: 'p2' });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'resolve_card_effect',
+        { choice: { targetId: 'p2' } },
+        expect.any(Function)
+      );
+    });
+
+    it('should send a chat message', async () => {
+      await socketService.sendChatMessage('good luck');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'send_chat_message',
+        { message: 'good luck' },
+        expect.any(Function)
+      );
+    });
+
+    it('should mute, report and switch the chat filter', async () => {
+      await socketService.mutePlayer('p2');
+      await socketService.mutePlayer('p2', false);
+      await socketService.reportPlayer('p3', 'spam');
+      await socketService.setChatFilter(false);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('mute_player', { playerId: 'p2', muted: true }, expect.any(Function));
+      expect(mockSocket.emit).toHaveBeenCalledWith('mute_player', { playerId: 'p2', muted: false }, expect.any(Function));
+      expect(mockSocket.emit).toHaveBeenCalledWith('report_player', { playerId: 'p3', reason: 'spam' }, expect.any(Function));
+      expect(mockSocket.emit).toHaveBeenCalledWith('set_chat_filter', { enabled: false }, expect.any(Function));
+    });
+
+    it('should spectate a room', async () => {
+      await socketService.spectateRoom('ABCD');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('spectate_room', { roomCode: 'ABCD' }, expect.any(Function));
+    });
+
+    it('should get the action history', async () => {
+      await socketService.getActionHistory();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('get_action_history', {}, expect.any(Function));
+    });
+
+    it('should get a replay', async () => {
+      await socketService.getReplay('ABCD2345');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('get_replay', { replayId: 'ABCD2345' }, expect.any(Function));
+    });
+
+    it('should ready up for a rematch', async () => {
+      await socketService.requestRematch();
+      await socketService.requestRematch(false);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('request_rematch', { ready: true }, expect.any(Function));
+      expect(mockSocket.emit).toHaveBeenCalledWith('request_rematch', { ready: false }, expect.any(Function));
+    });
+
+    it('should send an emote', async () => {
+      await socketService.sendEmote('dang');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('send_emote', { emoteId: 'dang' }, expect.any(Function));
+    });
+
     it('should get state', async () => {
       await socketService.getState();
 
@@ -208,6 +312,16 @@ describe('SocketService', () => {
       );
     });
 
+    it('should get card sets', async () => {
+      await socketService.getCardSets();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'get_card_sets',
+        {},
+        expect.any(Function)
+      );
+    });
+
     it('should leave room', async () => {
       await socketService.leaveRoom();
 
@@ -218,4 +332,27 @@ describe('SocketService', () => {
       );
     });
   });
+
+  describe('Session Storage', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should save and load the reconnect session', () => {
+      socketService.saveSession('ABC1', 'secret-token');
+
+      expect(socketService.loadSession()).toEqual({ roomCode: 'ABC1', reconnectToken: 'secret-token' });
+    });
+
+    it('should return null when no session is saved', () => {
+      expect(socketService.loadSession()).toBeNull();
+    });
+
+    it('should clear the session', () => {
+      socketService.saveSession('ABC1', 'secret-token');
+      socketService.clearSession();
+
+      expect(socketService.loadSession()).toBeNull();
+    });
+  });
 });
@@ -8,6 +8,11 @@
  *   1. Copy this file: cp config.example.js config.js
  *   2. Edit config.js with your settings
  *   3. Start the server and client
+ *
+ * The settings can also live in config.json (same keys, plain JSON) or config.mjs
+ * (`export default { ... }`). Every setting is checked when the server or client starts,
+ * and any environment variable named LOW_SOCIETY_<SECTION>_<SETTING> overrides it,
+ * e.g. LOW_SOCIETY_SERVER_PORT=4000 or LOW_SOCIETY_CLIENT_EXPOSE_TO_NETWORK=true.
  */
 
 module.exports = {
@@ -41,7 +46,8 @@ module.exports = {
     // For LAN: 'http://YOUR_LOCAL_IP:3003' (e.g., 'http://192.168.1.100:3003')
     // For Cloudflare ZeroTrust: 'https://server.your-domain.com'
     // The client will use this to connect to the game server
-    serverUrl: process.env.VITE_SERVER_URL || 'http://localhost:3003',
+    // (the VITE_SERVER_URL environment variable overrides it)
+    serverUrl: 'http://localhost:3003',
 
     // Whether to expose the client on the network
     // Set to true for LAN/remote multiplayer so other devices can access the game
@@ -53,22 +59,48 @@ module.exports = {
   // GAME SETTINGS
   // ===================================
   game: {
-    // Minimum players required to start a game
-    minPlayers: 3,
-
-    // Maximum players allowed in a game
-    maxPlayers: 5,
+    // Default rules for every room - the host can override any of them at start_game.
+    // Leave a setting out to use the standard Low Society rules.
+    rules: {
+      // Players needed to start, and the most a room can seat (2-6)
+      players: { min: 3, max: 5 },
+
+      money: {
+        // Each player's bills (2-20 different values); the total is the starting money
+        denominations: [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25],
+
+        // Bill each player loses at the start:
+        // 'middle' - a random one, never the lowest or highest (standard)
+        // 'any'    - any random one
+        // 'none'   - everyone keeps all their bills
+        billRemoval: 'middle',
+      },
 
-    // Starting money for each player
-    startingMoney: 40,
+      // Most cards of each type to use from the card set (null uses them all).
+      // Cards left out are picked at random each game.
+      deck: { luxury: null, prestige: null, disgrace: null, special: null },
 
-    // Number of cards in the deck
-    deckSize: 15,
+      // Shortest and longest turn timer a host can pick (seconds)
+      turnTimer: { minSeconds: 10, maxSeconds: 300 },
+    },
 
     // Enable debug logging
     debug: false,
   },
 
+  // ===================================
+  // PERSISTENCE
+  // ===================================
+  persistence: {
+    // Where rooms are saved so a server restart doesn't end games in progress
+    // 'file'   - one JSON snapshot per room in the directory below
+    // 'memory' - nothing is saved (rooms are lost on restart)
+    adapter: 'file',
+
+    // Directory for room snapshots (relative to this file)
+    directory: 'data',
+  },
+
   // ===================================
   // NETWORK CONFIGURATION (LAN SETUP)
   // ===================================
@@ -89,6 +121,10 @@ module.exports = {
   // ===================================
   // QUICK SETUP PROFILES
   // ===================================
+  // Name of a profile below to apply over the settings above
+  // (or set LOW_SOCIETY_PROFILE, e.g. LOW_SOCIETY_PROFILE=lan)
+  profile: null,
+
   profiles: {
     // Development (localhost only)
     development: {
@@ -1,27 +1,43 @@
 // AI Player implementation for Low Society
 // Simple rule-based AI that plays by the same rules as human players
 
-import { CARD_TYPES } from '../models/cards.js';
+import { CARD_TYPES, calculateScore } from '../models/cards.js';
 import { AUCTION_TYPES } from '../models/game.js';
+import { AI_DIFFICULTIES, getAISettings, getPersonalityForName } from './aiProfiles.js';
+import { decideExpertBid, estimateRemainingMoney } from './expertStrategy.js';
+import { getCardEffect } from '../effects/index.js';
 
 /**
  * AI Player class - makes bidding decisions based on simple weights and rules
- * All AI players use the same strategy for consistency
+ * The weights come from its difficulty and personality (see aiProfiles.js)
+ * Decisions only use what a human in the seat could see: the public state and the
+ * AI's own private state (so opponents' money may be hidden, see MONEY_VISIBILITY)
  */
 export class AIPlayer {
-  constructor(id, name) {
+  /**
+   * @param {string} id - Player ID
+   * @param {string} name - Display name (picks the personality for names in AI_NAMES)
+   * @param {Object} [options]
+   * @param {string} [options.difficulty='normal'] - One of AI_DIFFICULTIES
+   * @param {string|null} [options.personality] - One of AI_PERSONALITIES (defaults to the name's)
+   */
+  constructor(id, name, { difficulty = AI_DIFFICULTIES.NORMAL, personality = getPersonalityForName(name) } = {}) {
     this.id = id;
     this.name = name;
     this.isAI = true;
+    this.difficulty = difficulty;
+    this.personality = personality;
+    this.settings = getAISettings(difficulty, personality);
   }
 
   /**
    * Make a bidding decision based on current game state
    * @param {Object} publicState - The public game state all players can see
    * @param {Object} privateState - The AI player's private state (money hand, etc)
+   * @param {Function} [random=Math.random] - Random source (the game's seeded random)
    * @returns {Object} Decision object with action and optional cards
    */
-  decideBid(publicState, privateState) {
+  decideBid(publicState, privateState, random = Math.random) {
     const { currentCard, currentAuction } = publicState;
     const { moneyHand } = privateState;
 
@@ -33,23 +49,30 @@ export class AIPlayer {
       return { action: 'pass' };
     }
 
+    // Expert AIs weigh elimination risk and final rank instead of card value
+    if (this.difficulty === AI_DIFFICULTIES.EXPERT) {
+      return decideExpertBid(this, publicState, availableMoney);
+    }
+
     // Determine auction type
     const isReverseAuction = currentAuction.type === AUCTION_TYPES.REVERSE;
 
     if (isReverseAuction) {
-      return this.decideReverseAuctionBid(currentCard, currentAuction, availableMoney);
+      return this.decideReverseAuctionBid(currentCard, currentAuction, availableMoney, random, publicState);
     } else {
-      return this.decideStandardAuctionBid(currentCard, currentAuction, availableMoney, publicState);
+      return this.decideStandardAuctionBid(currentCard, currentAuction, availableMoney, publicState, random);
     }
   }
 
   /**
    * Decide bid for reverse auction (trying to AVOID the card)
-   * Strategy: Try to pass immediately to avoid disgrace
+   * Strategy: Usually pass right away (taking the card but keeping our money);
+   * bolder profiles bid to push the card onto someone else. Profiles with a
+   * moneyMargin stay within their spending limit (see getSpendingLimit)
    */
-  decideReverseAuctionBid(currentCard, currentAuction, availableMoney) {
-    // In reverse auctions, we want to avoid getting the card
-    // First to pass loses, so we try to pass immediately
+  decideReverseAuctionBid(currentCard, currentAuction, availableMoney, random = Math.random, publicState = null) {
+    // In reverse auctions, the first player to pass takes the card
+    // but gets their bid back - everyone else pays
 
     // If we're the only one left, we have to pass (no choice)
     if (currentAuction.activePlayers.length === 1) {
@@ -57,20 +80,29 @@ export class AIPlayer {
     }
 
     // If no one has bid yet, we might want to pass immediately
-    // to try to make someone else take the disgrace
+    // rather than pour money into avoiding the disgrace
     if (currentAuction.highestBid === 0) {
-      // 80% chance to pass immediately on disgrace cards
-      if (Math.random() < 0.8) {
+      if (random() < this.settings.reversePassChance) {
         return { action: 'pass' };
       }
 
-      // 20% chance to make a small bid to try to force someone else to pass
+      // Otherwise make a small bid to try to force someone else to pass
+      if (this.getMinimumIncrement(availableMoney) > this.getSpendingLimit(availableMoney, publicState)) {
+        return { action: 'pass' };
+      }
       const smallBid = this.selectSmallestCards(availableMoney, 1);
       return { action: 'bid', cards: smallBid };
     }
 
-    // If someone has already bid, we should pass
-    // (We don't want to get stuck with the disgrace card)
+    // Someone has already bid - most profiles stop here rather than pay more
+    if (this.settings.reverseRebidChance > 0 && random() < this.settings.reverseRebidChance) {
+      const targetBid = currentAuction.highestBid + this.getMinimumIncrement(availableMoney);
+      const raise = this.selectCardsForBid(availableMoney, targetBid, currentAuction.highestBid);
+      if (raise.length > 0 && this.sumCards(availableMoney, raise) <= this.getSpendingLimit(availableMoney, publicState)) {
+        return { action: 'bid', cards: raise };
+      }
+    }
+
     return { action: 'pass' };
   }
 
@@ -78,7 +110,7 @@ export class AIPlayer {
    * Decide bid for standard auction (trying to WIN the card)
    * Uses simple weighting system based on card value
    */
-  decideStandardAuctionBid(currentCard, currentAuction, availableMoney, publicState) {
+  decideStandardAuctionBid(currentCard, currentAuction, availableMoney, publicState, random = Math.random) {
     // Calculate how much we think this card is worth
     const cardValue = this.evaluateCard(currentCard, publicState);
 
@@ -88,17 +120,16 @@ export class AIPlayer {
     // Calculate current highest bid
     const currentHighestBid = currentAuction.highestBid;
 
-    // Decision weights (simple strategy)
-    const PASS_THRESHOLD = 0.3; // 30% chance to pass on any card
-    const MAX_BID_RATIO = 0.7;  // Don't spend more than 70% of remaining money
+    // Decision weights from our difficulty and personality
+    const { passThreshold, maxBidRatio } = this.settings;
 
     // Random chance to pass (keeps AI unpredictable)
-    if (Math.random() < PASS_THRESHOLD) {
+    if (random() < passThreshold) {
       return { action: 'pass' };
     }
 
     // Don't bid if card value seems too low
-    if (cardValue <= 2 && Math.random() < 0.5) {
+    if (cardValue <= 2 && random() < 0.5) {
       return { action: 'pass' };
     }
 
@@ -107,7 +138,8 @@ export class AIPlayer {
     // This means higher value cards get higher bids
     const maxWillingToBid = Math.min(
       (cardValue * availableMoneyTotal) / 20,
-      availableMoneyTotal * MAX_BID_RATIO
+      availableMoneyTotal * maxBidRatio,
+      this.getSpendingLimit(availableMoney, publicState)
     );
 
     // If current bid is already too high, pass
@@ -127,7 +159,7 @@ export class AIPlayer {
     // Select cards that get us closest to target bid without going under
     const selectedCards = this.selectCardsForBid(availableMoney, targetBid, currentHighestBid);
 
-    if (selectedCards.length === 0) {
+    if (selectedCards.length === 0 || this.sumCards(availableMoney, selectedCards) > this.getSpendingLimit(availableMoney, publicState)) {
       return { action: 'pass' };
     }
 
@@ -141,17 +173,17 @@ export class AIPlayer {
   evaluateCard(card, publicState) {
     switch (card.type) {
       case CARD_TYPES.LUXURY:
-        // Luxury cards are worth their face value
-        return card.value;
+        // Luxury cards are worth their face value (reckless AIs overrate them)
+        return card.value * this.settings.luxuryValueScale;
 
       case CARD_TYPES.PRESTIGE:
         // Prestige cards are very valuable (they multiply score)
         // Worth about 10-15 points depending on how many luxury cards we might get
-        return 12;
+        return this.settings.prestigeValue;
 
       case 'special':
-        // Pawn Shop Trade - moderately valuable for strategic swaps
-        return 5;
+        // Pawn Shop Trade - moderately valuable for strategic swaps (see the effect's aiValue)
+        return getCardEffect(card)?.aiValue ?? 5;
 
       case CARD_TYPES.DISGRACE:
         // Should never bid on disgrace in standard auction
@@ -162,6 +194,44 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Most we can pay in total this auction and still stay `moneyMargin` above the
+   * poorest opponent (the poorest player is eliminated at the end). Every card left
+   * in the deck loosens the limit by 1, since there is still time to catch up -
+   * otherwise nobody would open the bidding at a table that starts out level
+   * @param {Object[]} availableMoney - Our available money cards
+   * @param {Object|null} publicState - Public game state (no limit without it)
+   * @returns {number} Spending limit (Infinity for profiles without a moneyMargin)
+   */
+  getSpendingLimit(availableMoney, publicState) {
+    const opponents = this.getOpponentMoney(publicState);
+    if (this.settings.moneyMargin === null || opponents.length === 0) {
+      return Infinity;
+    }
+
+    const myMoney = this.sumCards(availableMoney);
+    return myMoney - Math.min(...opponents) - this.settings.moneyMargin + (publicState.cardsRemaining ?? 0);
+  }
+
+  /**
+   * Opponents' remaining money, estimated from their spent bills when it's hidden
+   * (skips anyone whose money the state can't tell, e.g. hidden money without rules)
+   */
+  getOpponentMoney(publicState) {
+    return (publicState?.players || [])
+      .filter(p => p.id !== this.id && (typeof p.remainingMoney === 'number' || publicState.rules))
+      .map(p => estimateRemainingMoney(publicState, p));
+  }
+
+  /**
+   * Total value of money cards (only the given IDs, if any)
+   */
+  sumCards(availableMoney, cardIds = null) {
+    return availableMoney
+      .filter(card => cardIds === null || cardIds.includes(card.id))
+      .reduce((sum, card) => sum + card.value, 0);
+  }
+
   /**
    * Get minimum increment we need to beat current bid
    */
@@ -236,26 +306,142 @@ export class AIPlayer {
 
   /**
    * Decide which cards to swap (Pawn Shop Trade effect)
-   * Strategy: Try to swap away disgrace cards or low-value luxuries
-   * For simplicity in MVP, AI will skip the swap
+   * Strategy: Try every legal swap of two won cards between two players and keep
+   * the one that most improves our lead over the best-scoring opponent (dumping a
+   * disgrace on the leader, taking a prestige card, ...). Spiteful AIs also count
+   * every point the leader loses. Skips if nothing helps.
+   * @param {Object} publicState - The public game state all players can see
+   * @returns {Object} Swap { player1Id, card1Id, player2Id, card2Id } (all null to skip)
+   *   plus `reasoning` explaining the choice
    */
   decideCardSwap(publicState) {
-    // For MVP, AI just skips the card swap
-    // This can be enhanced later with strategic swapping
+    const players = publicState.players;
+    const scoresBefore = this.getScores(players);
+    const marginBefore = this.getScoreMargin(scoresBefore);
+    const leaderId = this.getLeaderId(scoresBefore);
+
+    let best = null;
+
+    players.forEach((player1, index) => {
+      players.slice(index + 1).forEach(player2 => {
+        player1.wonCards.forEach(card1 => {
+          player2.wonCards.forEach(card2 => {
+            const scoresAfter = this.getScores(players, { player1, card1, player2, card2 });
+            const leaderDrop = leaderId ? scoresBefore[leaderId] - scoresAfter[leaderId] : 0;
+            const gain = this.getScoreMargin(scoresAfter) - marginBefore
+              + this.settings.leaderWeight * leaderDrop;
+            const ownGain = scoresAfter[this.id] - scoresBefore[this.id];
+
+            if (gain > 0 && (!best || gain > best.gain || (gain === best.gain && ownGain > best.ownGain))) {
+              best = { player1, card1, player2, card2, gain, ownGain, scoresAfter };
+            }
+          });
+        });
+      });
+    });
+
+    if (!best) {
+      return {
+        player1Id: null,
+        card1Id: null,
+        player2Id: null,
+        card2Id: null,
+        reasoning: 'No trade would improve my standing or hurt the leader.'
+      };
+    }
+
     return {
-      player1Id: null,
-      card1Id: null,
-      player2Id: null,
-      card2Id: null
+      player1Id: best.player1.id,
+      card1Id: best.card1.id,
+      player2Id: best.player2.id,
+      card2Id: best.card2.id,
+      reasoning: this.explainCardSwap(best, players, scoresBefore)
     };
   }
 
+  /**
+   * Score every player's won cards, optionally with two cards swapped
+   * @param {Object[]} players - Public players
+   * @param {Object} [swap] - { player1, card1, player2, card2 } to apply first
+   * @returns {Object} Scores by player ID
+   */
+  getScores(players, swap = null) {
+    const scores = {};
+
+    players.forEach(player => {
+      let wonCards = player.wonCards;
+      if (swap && player.id === swap.player1.id) {
+        wonCards = wonCards.map(card => (card.id === swap.card1.id ? swap.card2 : card));
+      } else if (swap && player.id === swap.player2.id) {
+        wonCards = wonCards.map(card => (card.id === swap.card2.id ? swap.card1 : card));
+      }
+      scores[player.id] = calculateScore({ wonCards });
+    });
+
+    return scores;
+  }
+
+  /**
+   * How far our score is ahead of (or behind) the best opponent
+   */
+  getScoreMargin(scores) {
+    const opponentScores = Object.keys(scores)
+      .filter(id => id !== this.id)
+      .map(id => scores[id]);
+    const bestOpponent = opponentScores.length > 0 ? Math.max(...opponentScores) : 0;
+    return (scores[this.id] ?? 0) - bestOpponent;
+  }
+
+  /**
+   * ID of the best-scoring opponent (null without opponents)
+   */
+  getLeaderId(scores) {
+    return Object.keys(scores)
+      .filter(id => id !== this.id)
+      .reduce((top, id) => (top === null || scores[id] > scores[top] ? id : top), null);
+  }
+
+  /**
+   * Describe a chosen swap for tutorial chat
+   */
+  explainCardSwap(swap, players, scoresBefore) {
+    const { player1, card1, player2, card2, scoresAfter } = swap;
+    const leader = players.find(p => p.id === this.getLeaderId(scoresBefore));
+
+    const reasons = [];
+
+    if (player1.id === this.id || player2.id === this.id) {
+      const [given, taken, other] = player1.id === this.id
+        ? [card1, card2, player2]
+        : [card2, card1, player1];
+      reasons.push(`Trading my ${given.name} for ${other.name}'s ${taken.name}`);
+    } else {
+      reasons.push(`Swapping ${player1.name}'s ${card1.name} with ${player2.name}'s ${card2.name}`);
+    }
+
+    if (scoresAfter[this.id] !== scoresBefore[this.id]) {
+      reasons.push(`takes my score from ${scoresBefore[this.id]} to ${scoresAfter[this.id]}`);
+    }
+
+    if (leader && scoresAfter[leader.id] < scoresBefore[leader.id]) {
+      reasons.push(`drops ${leader.name}, the leader, from ${scoresBefore[leader.id]} to ${scoresAfter[leader.id]}`);
+    }
+
+    if (reasons.length === 1) {
+      return `${reasons[0]} puts me in a better spot against the leader.`;
+    }
+
+    const [action, ...effects] = reasons;
+    return `${action} ${effects.join(' and ')}.`;
+  }
+
   /**
    * Add a random delay to simulate thinking time
    * Returns a promise that resolves after delay
    */
   getThinkingDelay() {
     // Random delay between 1 second and 5 seconds for more human feel
+    // (timing only, so it stays out of the game's seeded sequence)
     const minDelay = 1000;
     const maxDelay = 5000;
     const delay = Math.floor(Math.random() * (maxDelay - minDelay) + minDelay);
@@ -298,9 +484,11 @@ export function generateAIPlayerId(index) {
 
 /**
  * Create an AI player instance
+ * @param {number} index - Seat index (picks the name, and with it the personality)
+ * @param {string} [difficulty='normal'] - One of AI_DIFFICULTIES
  */
-export function createAIPlayer(index) {
+export function createAIPlayer(index, difficulty = AI_DIFFICULTIES.NORMAL) {
   const id = generateAIPlayerId(index);
   const name = AI_NAMES[index % AI_NAMES.length];
-  return new AIPlayer(id, name);
+  return new AIPlayer(id, name, { difficulty });
 }
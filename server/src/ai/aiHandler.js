@@ -2,12 +2,16 @@
 // This module integrates AI players with the game loop
 
 import { AIPlayer } from './AIPlayer.js';
+import { AI_DIFFICULTIES } from './aiProfiles.js';
 import { GAME_PHASES } from '../shared/constants/gamePhases.js';
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
 import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
-import { calculateChatDelay, secondsToMs, CHAT_MODES } from '../shared/constants/chatConfig.js';
+import { calculateChatDelay, secondsToMs, CHAT_MODES, CHAT_CONFIG, EMOTES } from '../shared/constants/chatConfig.js';
 import { getTutorialMessage } from './tutorialMessages.js';
-import { getCommentaryMessage, getStory, getJoke, determineMessageType } from './commentaryMessages.js';
+import { getCommentaryMessage, getStory, getJoke, getReaction, determineMessageType } from './commentaryMessages.js';
+import { pickRandom } from '../utils/random.js';
+import { syncTurnTimer, playTimedOutTurn } from '../services/turnTimer.js';
+import { getEffectForPhase } from '../effects/index.js';
 
 /**
  * Store for active AI players by room
@@ -15,6 +19,12 @@ import { getCommentaryMessage, getStory, getJoke, determineMessageType } from '.
  */
 const aiPlayersByRoom = new Map();
 
+/**
+ * Pending AI takeovers of disconnected humans' seats
+ * Format: { playerId: timeout }
+ */
+const pendingTakeovers = new Map();
+
 /**
  * Processing queue for AI turns by room
  * Prevents race conditions when multiple AI turns happen quickly
@@ -32,6 +42,23 @@ export function registerAIPlayer(roomCode, aiPlayer) {
   aiPlayersByRoom.get(roomCode).set(aiPlayer.id, aiPlayer);
 }
 
+/**
+ * Re-register AI players for a game restored from persistence
+ * AIPlayer instances are stateless, so they can be rebuilt from the seat data
+ * (including stand-ins playing for disconnected humans)
+ * @param {Game} game - The restored game instance
+ * @returns {number} Number of AI players registered
+ */
+export function restoreAIPlayers(game) {
+  const aiSeats = game.players.filter(p => p.isAI || p.aiStandIn);
+  aiSeats.forEach(seat => {
+    registerAIPlayer(game.roomCode, new AIPlayer(seat.id, seat.name, {
+      difficulty: seat.aiDifficulty || AI_DIFFICULTIES.NORMAL
+    }));
+  });
+  return aiSeats.length;
+}
+
 /**
  * Get AI player instance by ID
  */
@@ -45,7 +72,7 @@ export function getAIPlayer(roomCode, playerId) {
  * Check if a player is an AI
  */
 export function isAIPlayer(roomCode, playerId) {
-  return getAIPlayer(roomCode, playerId) !== null;
+  return Boolean(getAIPlayer(roomCode, playerId));
 }
 
 /**
@@ -62,6 +89,80 @@ export function clearAIPlayers(roomCode) {
   }
 }
 
+/**
+ * Hand a disconnected human's seat to a temporary AI after the grace period
+ * Nothing happens if they resume their seat (or the game ends) first
+ * @param {Game} game - The game instance
+ * @param {string} roomCode - The room code
+ * @param {Object} io - Socket.io server instance
+ * @param {string} playerId - ID of the disconnected player
+ */
+export function scheduleAITakeover(game, roomCode, io, playerId) {
+  cancelAITakeover(playerId);
+
+  const timeout = setTimeout(() => {
+    pendingTakeovers.delete(playerId);
+
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || player.connected !== false || game.phase === GAME_PHASES.GAME_OVER) {
+      return;
+    }
+
+    try {
+      game.handSeatToAI(playerId);
+    } catch (error) {
+      console.error(`[AI] Could not take over ${player.name}'s seat:`, error.message);
+      return;
+    }
+
+    registerAIPlayer(roomCode, new AIPlayer(player.id, player.name));
+    console.log(`[AI] Stand-in is playing ${player.name}'s seat in room ${roomCode}`);
+
+    io.to(roomCode).emit(SOCKET_EVENTS.AI_TAKEOVER, {
+      playerId,
+      playerName: player.name,
+      publicState: game.getPublicState()
+    });
+
+    checkAndHandleAITurn(game, roomCode, io);
+  }, GAME_CONFIG.ai.takeoverGracePeriod);
+
+  // Don't keep the process alive just for a pending takeover
+  timeout.unref?.();
+
+  pendingTakeovers.set(playerId, timeout);
+}
+
+/**
+ * Cancel a pending takeover (the player came back within the grace period)
+ * @param {string} playerId - ID the player disconnected with
+ */
+export function cancelAITakeover(playerId) {
+  const timeout = pendingTakeovers.get(playerId);
+  if (timeout) {
+    clearTimeout(timeout);
+    pendingTakeovers.delete(playerId);
+  }
+}
+
+/**
+ * Give a resumed seat back to its human
+ * Cancels any pending takeover and unregisters the stand-in registered under the old ID
+ * @param {string} roomCode - The room code
+ * @param {string} previousPlayerId - ID the player had before resuming
+ * @returns {boolean} True if a stand-in was playing the seat
+ */
+export function releaseAITakeover(roomCode, previousPlayerId) {
+  cancelAITakeover(previousPlayerId);
+
+  if (!getAIPlayer(roomCode, previousPlayerId)) {
+    return false;
+  }
+
+  removeAIPlayer(roomCode, previousPlayerId);
+  return true;
+}
+
 /**
  * Remove a specific AI player from a room
  */
@@ -88,24 +189,24 @@ async function generateAIChatMessage(game, roomCode, io, aiPlayer, action, conte
 
   // Generate message based on chat mode
   if (game.chatMode === CHAT_MODES.TUTORIAL) {
-    message = getTutorialMessage(action, context);
+    message = getTutorialMessage(action, context, game.random);
   } else if (game.chatMode === CHAT_MODES.COMMENTARY) {
     // Determine what type of commentary to use
     const messageType = determineMessageType(game.phase, {
       lastEvent: action,
       context
-    });
+    }, game.random);
 
     if (messageType.type === 'EVENT_COMMENTARY') {
-      message = getCommentaryMessage(action, context);
+      message = getCommentaryMessage(action, context, game.random, aiPlayer.personality);
     } else if (messageType.type === 'STORY') {
-      message = getStory();
+      message = getStory(game.random);
     } else if (messageType.type === 'JOKE') {
-      message = getJoke();
+      message = getJoke(game.random);
     }
 
     // Sometimes AI doesn't chat (30% silence in commentary mode)
-    if (Math.random() < 0.3) {
+    if (game.random() < 0.3) {
       message = null;
     }
   }
@@ -115,33 +216,77 @@ async function generateAIChatMessage(game, roomCode, io, aiPlayer, action, conte
     return 0;
   }
 
+  const delayMs = secondsToMs(sayAIChatMessage(game, roomCode, io, aiPlayer, message, 'AI Chat'));
+
+  // Wait for the message to be displayed
+  await new Promise(resolve => setTimeout(resolve, delayMs));
+
+  return delayMs;
+}
+
+/**
+ * Have an AI player say something: add it to the chat history and send it to the room
+ * @param {Game} game - The game instance
+ * @param {string} roomCode - The room code
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} speaker - The AI player speaking ({ id, name })
+ * @param {string} message - What they say
+ * @param {string} logLabel - Tag for the server log
+ * @returns {number} How long the message is shown, in seconds
+ */
+function sayAIChatMessage(game, roomCode, io, speaker, message, logLabel) {
   // Calculate delay based on message length
   const delaySeconds = calculateChatDelay(message);
-  const delayMs = secondsToMs(delaySeconds);
 
   // Add message to game history
   game.addChatMessage({
-    playerId: aiPlayer.id,
-    playerName: aiPlayer.name,
+    playerId: speaker.id,
+    playerName: speaker.name,
     message,
-    mode: game.chatMode
+    mode: game.chatMode,
+    isAI: true
   });
 
   // Emit chat message to all players
   io.to(roomCode).emit(SOCKET_EVENTS.AI_CHAT_MESSAGE, {
-    playerId: aiPlayer.id,
-    playerName: aiPlayer.name,
+    playerId: speaker.id,
+    playerName: speaker.name,
     message,
     duration: delaySeconds,
     mode: game.chatMode
   });
 
-  console.log(`[AI Chat] ${aiPlayer.name}: "${message}" (${delaySeconds.toFixed(2)}s)`);
+  console.log(`[${logLabel}] ${speaker.name}: "${message}" (${delaySeconds.toFixed(2)}s)`);
+
+  return delaySeconds;
+}
+
+/**
+ * Sometimes have an AI player at the table answer a human's emote
+ * Only in commentary mode - tutorial chat stays on topic
+ * @param {Game} game - The game instance
+ * @param {string} roomCode - The room code
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} emote - The emote sent ({ playerId, emoteId })
+ * @returns {Promise<string|null>} What the AI said, or null if nobody answered
+ */
+export async function reactToEmote(game, roomCode, io, emote) {
+  if (game.chatMode !== CHAT_MODES.COMMENTARY) return null;
+
+  const reactors = game.players.filter(p => p.isAI && p.id !== emote.playerId);
+  const { chance, delayMs } = CHAT_CONFIG.emotes.aiReaction;
+  if (reactors.length === 0 || game.random() >= chance) return null;
+
+  const reactor = pickRandom(reactors, game.random);
+  const message = getReaction(EMOTES[emote.emoteId].reaction, game.random);
 
-  // Wait for the message to be displayed
   await new Promise(resolve => setTimeout(resolve, delayMs));
 
-  return delayMs;
+  // The AI may have left while we waited
+  if (!game.players.some(p => p.id === reactor.id)) return null;
+
+  sayAIChatMessage(game, roomCode, io, reactor, message, 'Emote');
+  return message;
 }
 
 /**
@@ -190,7 +335,7 @@ async function generateStoryChat(game, roomCode, io) {
     }
   } else {
     // Someone else reacts to the story (50% chance)
-    if (Math.random() < 0.5) {
+    if (game.random() < 0.5) {
       const storyteller = game.players.find(p => p.id === storySystem.storytellerId);
       const reaction = storySystem.getReaction(eliminatedPlayers, storyteller?.name || 'them');
       if (reaction) {
@@ -205,28 +350,7 @@ async function generateStoryChat(game, roomCode, io) {
     return 0;
   }
 
-  // Calculate delay based on message length
-  const delaySeconds = calculateChatDelay(message);
-  const delayMs = secondsToMs(delaySeconds);
-
-  // Add message to game history
-  game.addChatMessage({
-    playerId: chatPlayer.id,
-    playerName: chatPlayer.name,
-    message,
-    mode: game.chatMode
-  });
-
-  // Emit chat message to all players
-  io.to(roomCode).emit(SOCKET_EVENTS.AI_CHAT_MESSAGE, {
-    playerId: chatPlayer.id,
-    playerName: chatPlayer.name,
-    message,
-    duration: delaySeconds,
-    mode: game.chatMode
-  });
-
-  console.log(`[Story] ${chatPlayer.name}: "${message}" (${delaySeconds.toFixed(2)}s)`);
+  const delayMs = secondsToMs(sayAIChatMessage(game, roomCode, io, chatPlayer, message, 'Story'));
 
   // Wait for the message to be displayed
   await new Promise(resolve => setTimeout(resolve, delayMs));
@@ -244,13 +368,15 @@ export function getAIPlayerCount(roomCode) {
 
 /**
  * Get a random AI player from a room
+ * @param {string} roomCode - The room code
+ * @param {Function} [random=Math.random] - Random source (pass the game's seeded random)
  */
-export function getRandomAIPlayer(roomCode) {
+export function getRandomAIPlayer(roomCode, random = Math.random) {
   const roomAIs = aiPlayersByRoom.get(roomCode);
   if (!roomAIs || roomAIs.size === 0) return null;
 
   const aiPlayers = Array.from(roomAIs.values());
-  return aiPlayers[Math.floor(Math.random() * aiPlayers.length)];
+  return pickRandom(aiPlayers, random);
 }
 
 /**
@@ -294,8 +420,13 @@ export async function handleAITurn(game, roomCode, io) {
     // Add thinking delay to make it feel more natural
     await aiPlayer.getThinkingDelay();
 
+    // A stand-in may have handed the seat back while thinking
+    if (getAIPlayer(roomCode, aiPlayer.id) !== aiPlayer) {
+      return null;
+    }
+
     // Make decision
-    const decision = aiPlayer.decideBid(publicState, privateState);
+    const decision = aiPlayer.decideBid(publicState, privateState, game.random);
 
     console.log(`[AI] ${aiPlayer.name} decided to ${decision.action}`,
                 decision.cards ? `with cards: ${decision.cards}` : '');
@@ -366,114 +497,56 @@ export async function handleAITurn(game, roomCode, io) {
 }
 
 /**
- * Handle AI player's luxury discard decision (Repo Man effect)
+ * Handle an AI player's card effect decision (Pawn Shop Trade, Repo Man discard, ...)
  * @param {Game} game - The game instance
  * @param {string} roomCode - The room code
  * @param {Object} io - Socket.io server instance
  */
-export async function handleAILuxuryDiscard(game, roomCode, io) {
-  const discardingPlayerId = game.discardingPlayerId;
+export async function handleAIEffectDecision(game, roomCode, io) {
+  const effect = getEffectForPhase(game.phase);
+  const deciderId = effect?.phase.getPlayerId(game);
 
-  if (!discardingPlayerId) {
+  if (!deciderId) {
     return null;
   }
 
-  const aiPlayer = getAIPlayer(roomCode, discardingPlayerId);
+  const aiPlayer = getAIPlayer(roomCode, deciderId);
 
   if (!aiPlayer) {
     // Not an AI, skip
     return null;
   }
 
-  console.log(`[AI] ${aiPlayer.name} is deciding which luxury to discard...`);
+  console.log(`[AI] ${aiPlayer.name} is deciding ${effect.name}...`);
 
   try {
     // Add thinking delay
     await aiPlayer.getThinkingDelay();
 
-    // Get player's won cards
-    const player = game.players.find(p => p.id === aiPlayer.id);
-    if (!player) {
-      console.error(`[AI] Player not found for luxury discard`);
+    // A stand-in may have handed the seat back while thinking
+    if (getAIPlayer(roomCode, aiPlayer.id) !== aiPlayer) {
       return null;
     }
 
-    // Decide which card to discard
-    const cardToDiscard = aiPlayer.decideLuxuryDiscard(player.wonCards);
-
-    if (!cardToDiscard) {
-      console.log(`[AI] ${aiPlayer.name} has no luxury cards to discard`);
-      // Skip to next auction
-      game.startNextAuction();
-    } else {
-      console.log(`[AI] ${aiPlayer.name} discarding card: ${cardToDiscard}`);
-      game.discardLuxuryCard(aiPlayer.id, cardToDiscard);
+    const player = game.players.find(p => p.id === aiPlayer.id);
+    if (!player) {
+      console.error(`[AI] Player not found for ${effect.name}`);
+      return null;
     }
 
-    // Broadcast state update
-    const updatedPublicState = game.getPublicState();
-    io.to(roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, { publicState: updatedPublicState });
-
-    // Send private states
-    game.players.forEach(player => {
-      if (!isAIPlayer(roomCode, player.id)) {
-        const playerPrivateState = game.getPrivateState(player.id);
-        io.to(player.id).emit(SOCKET_EVENTS.PRIVATE_STATE_UPDATE, {
-          privateState: playerPrivateState
-        });
-      }
-    });
-
-    return updatedPublicState;
-
-  } catch (error) {
-    console.error(`[AI] Error handling AI luxury discard:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Handle AI player's card swap decision (Pawn Shop Trade effect)
- * @param {Game} game - The game instance
- * @param {string} roomCode - The room code
- * @param {Object} io - Socket.io server instance
- */
-export async function handleAICardSwap(game, roomCode, io) {
-  const swapWinnerId = game.currentAuction?.swapWinner;
-
-  if (!swapWinnerId) {
-    return null;
-  }
-
-  const aiPlayer = getAIPlayer(roomCode, swapWinnerId);
-
-  if (!aiPlayer) {
-    // Not an AI, skip
-    return null;
-  }
-
-  console.log(`[AI] ${aiPlayer.name} is deciding card swap...`);
-
-  try {
-    // Add thinking delay
-    await aiPlayer.getThinkingDelay();
-
-    // Get public state
+    // Decide
     const publicState = game.getPublicState();
+    const choice = effect.phase.decide(aiPlayer, publicState, player);
 
-    // Decide swap (for MVP, AI skips the swap)
-    const swapDecision = aiPlayer.decideCardSwap(publicState);
+    console.log(`[AI] ${aiPlayer.name} decided ${effect.name}:`, effect.phase.summarize(choice));
 
-    console.log(`[AI] ${aiPlayer.name} decided to skip card swap`);
+    // Some effects explain the decision in chat first, like bids
+    if (effect.phase.aiChat) {
+      const { action, context } = effect.phase.aiChat(choice, publicState, aiPlayer);
+      await generateAIChatMessage(game, roomCode, io, aiPlayer, action, context);
+    }
 
-    // Execute swap (which will be a skip in MVP)
-    game.executeCardSwap(
-      aiPlayer.id,
-      swapDecision.player1Id,
-      swapDecision.card1Id,
-      swapDecision.player2Id,
-      swapDecision.card2Id
-    );
+    game.resolveCardEffect(aiPlayer.id, choice);
 
     // Broadcast state update
     const updatedPublicState = game.getPublicState();
@@ -492,7 +565,7 @@ export async function handleAICardSwap(game, roomCode, io) {
     return updatedPublicState;
 
   } catch (error) {
-    console.error(`[AI] Error handling AI card swap:`, error.message);
+    console.error(`[AI] Error handling AI ${effect.name}:`, error.message);
     return null;
   }
 }
@@ -521,6 +594,43 @@ async function queueAITurn(handler, roomCode) {
   return newQueue;
 }
 
+/**
+ * Play a human's turn when their turn timer runs out, then carry on the game loop
+ * @param {Game} game - The game instance
+ * @param {string} roomCode - The room code
+ * @param {Object} io - Socket.io server instance
+ * @param {string} playerId - The player whose turn ran out
+ */
+export function handleTurnTimeout(game, roomCode, io, playerId) {
+  const player = game.players.find(p => p.id === playerId);
+
+  try {
+    const result = playTimedOutTurn(game, playerId);
+    console.log(`[Timer] ${player?.name} ran out of time (${game.turnTimer?.onTimeout}): ${result.action}`);
+
+    io.to(roomCode).emit(SOCKET_EVENTS.TURN_TIMEOUT, {
+      publicState: game.getPublicState(),
+      playerId,
+      action: result.action,
+      onTimeout: game.turnTimer?.onTimeout
+    });
+
+    // Bids may have been returned or spent
+    game.players.forEach(p => {
+      if (!p.isAI) {
+        io.to(p.id).emit(SOCKET_EVENTS.PRIVATE_STATE_UPDATE, {
+          privateState: game.getPrivateState(p.id)
+        });
+      }
+    });
+  } catch (error) {
+    console.error(`[Timer] Could not play timed-out turn for ${player?.name}:`, error.message);
+    return;
+  }
+
+  checkAndHandleAITurn(game, roomCode, io);
+}
+
 /**
  * Check if it's an AI player's turn and handle it
  * This should be called after each state update
@@ -529,6 +639,9 @@ async function queueAITurn(handler, roomCode) {
  * @param {Object} io - Socket.io server instance
  */
 export async function checkAndHandleAITurn(game, roomCode, io) {
+  // Keep the turn timer in step with whoever the game is waiting on
+  syncTurnTimer(game, (playerId) => handleTurnTimeout(game, roomCode, io, playerId));
+
   // Check game phase and handle AI accordingly
   switch (game.phase) {
     case GAME_PHASES.AUCTION:
@@ -555,50 +668,25 @@ export async function checkAndHandleAITurn(game, roomCode, io) {
       }
       break;
 
-    case GAME_PHASES.DISCARD_LUXURY:
-      // Check if discarding player is an AI
-      if (game.discardingPlayerId) {
-        const isAI = isAIPlayer(roomCode, game.discardingPlayerId);
-        if (isAI) {
-          queueAITurn(async () => {
-            await new Promise(resolve => setTimeout(resolve, GAME_CONFIG.ai.turnProcessingDelay));
-
-            try {
-              const updatedState = await handleAILuxuryDiscard(game, roomCode, io);
-              if (updatedState) {
-                await checkAndHandleAITurn(game, roomCode, io);
-              }
-            } catch (error) {
-              console.error('[AI] Error in handleAILuxuryDiscard:', error);
-            }
-          }, roomCode);
-        }
-      }
-      break;
-
-    case GAME_PHASES.CARD_SWAP:
-      // Check if swap winner is an AI
-      if (game.currentAuction?.swapWinner) {
-        const isAI = isAIPlayer(roomCode, game.currentAuction.swapWinner);
-        if (isAI) {
-          queueAITurn(async () => {
-            await new Promise(resolve => setTimeout(resolve, GAME_CONFIG.ai.turnProcessingDelay));
-
-            try {
-              const updatedState = await handleAICardSwap(game, roomCode, io);
-              if (updatedState) {
-                await checkAndHandleAITurn(game, roomCode, io);
-              }
-            } catch (error) {
-              console.error('[AI] Error in handleAICardSwap:', error);
+    default: {
+      // Card effect decisions (Pawn Shop Trade, Repo Man discard, ...)
+      const deciderId = getEffectForPhase(game.phase)?.phase.getPlayerId(game);
+      if (deciderId && isAIPlayer(roomCode, deciderId)) {
+        queueAITurn(async () => {
+          await new Promise(resolve => setTimeout(resolve, GAME_CONFIG.ai.turnProcessingDelay));
+
+          try {
+            const updatedState = await handleAIEffectDecision(game, roomCode, io);
+            if (updatedState) {
+              await checkAndHandleAITurn(game, roomCode, io);
             }
-          }, roomCode);
-        }
+          } catch (error) {
+            console.error('[AI] Error in handleAIEffectDecision:', error);
+          }
+        }, roomCode);
       }
-      break;
-
-    default:
       // No AI handling needed for other phases
       break;
+    }
   }
 }
@@ -0,0 +1,202 @@
+/**
+ * AI Profiles
+ * Difficulty levels and personalities that tune how an AIPlayer bids, swaps and chats
+ * @module ai/aiProfiles
+ */
+
+/**
+ * Difficulty levels the host can pick per AI seat
+ * @enum {string}
+ */
+export const AI_DIFFICULTIES = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  /** Bids on expected final rank (see expertStrategy.js) instead of these weights */
+  EXPERT: 'expert'
+};
+
+/**
+ * Personality profiles (each AI name has one, see AI_NAME_PERSONALITIES)
+ * @enum {string}
+ */
+export const AI_PERSONALITIES = {
+  /** Bids low, rarely fights over disgrace cards */
+  CAUTIOUS: 'cautious',
+  /** Overpays for everything and bids to dodge disgrace */
+  RECKLESS: 'reckless',
+  /** Makes trades and reverse-auction bids that hurt the leader */
+  SPITEFUL: 'spiteful',
+  /** Sits on money so it's never the poorest */
+  HOARDER: 'hoarder'
+};
+
+/**
+ * Base decision weights per difficulty
+ * NORMAL bids like the original hard-coded AI, but stops before it falls far behind
+ * the poorest opponent; HARD won't bid itself down to the poorest opponent's money
+ */
+const DIFFICULTY_SETTINGS = {
+  [AI_DIFFICULTIES.EASY]: {
+    passThreshold: 0.45,     // Chance to pass on any standard auction
+    maxBidRatio: 0.5,        // Most of its remaining money it will bid
+    prestigeValue: 8,        // How many points a prestige card feels worth
+    luxuryValueScale: 1,     // Multiplier on luxury face value
+    reversePassChance: 0.9,  // Chance to pass (take the card) before anyone bids
+    reverseRebidChance: 0,   // Chance to keep bidding once someone else has bid
+    leaderWeight: 0,         // Extra weight on hurting the leader in Pawn Shop Trades
+    moneyMargin: null        // Money it keeps above the poorest opponent (negative: lets
+                             // itself fall that far below; null: no limit)
+  },
+  [AI_DIFFICULTIES.NORMAL]: {
+    passThreshold: 0.3,
+    maxBidRatio: 0.7,
+    prestigeValue: 12,
+    luxuryValueScale: 1,
+    reversePassChance: 0.8,
+    reverseRebidChance: 0,
+    leaderWeight: 0,
+    moneyMargin: -5
+  },
+  [AI_DIFFICULTIES.HARD]: {
+    passThreshold: 0.15,
+    maxBidRatio: 0.75,
+    prestigeValue: 15,
+    luxuryValueScale: 1,
+    reversePassChance: 0.5,
+    reverseRebidChance: 0.25,
+    leaderWeight: 0,
+    moneyMargin: 2
+  },
+  // Bidding ignores these (see expertStrategy.js); they still drive swaps
+  [AI_DIFFICULTIES.EXPERT]: {
+    passThreshold: 0.15,
+    maxBidRatio: 0.75,
+    prestigeValue: 15,
+    luxuryValueScale: 1,
+    reversePassChance: 0.5,
+    reverseRebidChance: 0.25,
+    leaderWeight: 0.5,
+    moneyMargin: null
+  }
+};
+
+/**
+ * How each personality shifts the difficulty's weights
+ * `tone` picks the personality's commentary lines (see commentaryMessages.js)
+ */
+const PERSONALITY_MODIFIERS = {
+  [AI_PERSONALITIES.CAUTIOUS]: {
+    passThreshold: 0.1,
+    maxBidRatio: -0.15,
+    luxuryValueScale: -0.1,
+    reversePassChance: 0.1,
+    reverseRebidChance: 0,
+    leaderWeight: 0
+  },
+  [AI_PERSONALITIES.RECKLESS]: {
+    passThreshold: -0.15,
+    maxBidRatio: 0.2,
+    luxuryValueScale: 0.3,
+    reversePassChance: -0.4,
+    reverseRebidChance: 0.4,
+    leaderWeight: 0
+  },
+  [AI_PERSONALITIES.SPITEFUL]: {
+    passThreshold: 0,
+    maxBidRatio: 0,
+    luxuryValueScale: 0,
+    reversePassChance: -0.3,
+    reverseRebidChance: 0.2,
+    leaderWeight: 1
+  },
+  [AI_PERSONALITIES.HOARDER]: {
+    passThreshold: 0.15,
+    maxBidRatio: -0.25,
+    luxuryValueScale: -0.2,
+    reversePassChance: 0.2,
+    reverseRebidChance: 0,
+    leaderWeight: 0
+  }
+};
+
+/**
+ * Personality of every name in AI_NAMES
+ * Names outside this table (e.g. humans' seats played by a stand-in) have no personality
+ */
+export const AI_NAME_PERSONALITIES = {
+  'Billy Bob': AI_PERSONALITIES.RECKLESS,
+  'Cletus': AI_PERSONALITIES.HOARDER,
+  'Bubba': AI_PERSONALITIES.RECKLESS,
+  'Earl': AI_PERSONALITIES.CAUTIOUS,
+  'Jethro': AI_PERSONALITIES.SPITEFUL,
+  'Junior': AI_PERSONALITIES.RECKLESS,
+  'Skeeter': AI_PERSONALITIES.SPITEFUL,
+  'Bo': AI_PERSONALITIES.RECKLESS,
+  'Hank': AI_PERSONALITIES.CAUTIOUS,
+  'Buck': AI_PERSONALITIES.HOARDER,
+  'Jed': AI_PERSONALITIES.HOARDER,
+  'Ray Ray': AI_PERSONALITIES.RECKLESS,
+  'Rufus': AI_PERSONALITIES.SPITEFUL,
+  'Dwayne': AI_PERSONALITIES.CAUTIOUS,
+  'Virgil': AI_PERSONALITIES.CAUTIOUS,
+  'Darlene': AI_PERSONALITIES.SPITEFUL,
+  'Tammy': AI_PERSONALITIES.RECKLESS,
+  'Jolene': AI_PERSONALITIES.SPITEFUL,
+  'Bobbie Sue': AI_PERSONALITIES.HOARDER,
+  'Dixie': AI_PERSONALITIES.CAUTIOUS
+};
+
+/**
+ * Check that a difficulty is known
+ * @param {string} difficulty - Difficulty to check
+ * @returns {boolean} True if it is one of AI_DIFFICULTIES
+ */
+export function isValidDifficulty(difficulty) {
+  return Object.values(AI_DIFFICULTIES).includes(difficulty);
+}
+
+/**
+ * Get the personality tied to an AI name
+ * @param {string} name - AI player name
+ * @returns {string|null} One of AI_PERSONALITIES, or null for names without one
+ */
+export function getPersonalityForName(name) {
+  return AI_NAME_PERSONALITIES[name] || null;
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Combine a difficulty and a personality into the weights AIPlayer decides with
+ * @param {string} [difficulty='normal'] - One of AI_DIFFICULTIES
+ * @param {string|null} [personality=null] - One of AI_PERSONALITIES
+ * @returns {Object} Decision weights
+ * @throws {Error} If the difficulty or personality is unknown
+ */
+export function getAISettings(difficulty = AI_DIFFICULTIES.NORMAL, personality = null) {
+  const base = DIFFICULTY_SETTINGS[difficulty];
+  if (!base) {
+    throw new Error(`Unknown AI difficulty: ${difficulty}`);
+  }
+
+  if (personality === null) {
+    return { ...base };
+  }
+
+  const modifier = PERSONALITY_MODIFIERS[personality];
+  if (!modifier) {
+    throw new Error(`Unknown AI personality: ${personality}`);
+  }
+
+  return {
+    passThreshold: clamp(base.passThreshold + modifier.passThreshold, 0, 0.9),
+    maxBidRatio: clamp(base.maxBidRatio + modifier.maxBidRatio, 0.2, 0.95),
+    prestigeValue: base.prestigeValue,
+    luxuryValueScale: clamp(base.luxuryValueScale + modifier.luxuryValueScale, 0.5, 2),
+    reversePassChance: clamp(base.reversePassChance + modifier.reversePassChance, 0, 1),
+    reverseRebidChance: clamp(base.reverseRebidChance + modifier.reverseRebidChance, 0, 1),
+    leaderWeight: base.leaderWeight + modifier.leaderWeight,
+    moneyMargin: base.moneyMargin
+  };
+}
@@ -5,6 +5,8 @@
  * Includes stories, jokes, emotional reactions, and player action commentary.
  */
 
+import { pickRandom } from '../utils/random.js';
+
 /**
  * Commentary message library organized by event type
  */
@@ -57,6 +59,20 @@ const COMMENTARY_LIBRARY = {
     "Now THAT'S how you play Low Society!"
   ],
 
+  SWAP: [
+    "Pawn Shop special: {card1Name} for {card2Name}!",
+    "{player1Name} and {player2Name} just traded {card1Name} for {card2Name}!",
+    "{player2Name} gets {card1Name}, {player1Name} gets {card2Name}. Nothing personal!",
+    "Swapping {card1Name} and {card2Name}... that changes things!"
+  ],
+
+  SKIP_SWAP: [
+    "Keeping everything right where it is",
+    "No trades today, folks!",
+    "{playerName} didn't see anything worth swapping",
+    "The pawn shop is closed!"
+  ],
+
   GAME_START: [
     "Alright, let's see who can stay the most low-class!",
     "Remember folks, we're aiming for the bottom!",
@@ -82,6 +98,81 @@ const COMMENTARY_LIBRARY = {
   ]
 };
 
+/**
+ * Personality-specific lines, used instead of the shared library when a
+ * personality has lines for the event (keys match AI_PERSONALITIES)
+ */
+const PERSONALITY_COMMENTARY = {
+  cautious: {
+    BID: [
+      "Just a little bid. Nothing crazy.",
+      "I'll go ${bidAmount}, but that's my limit!",
+      "Careful now... okay, one small bid."
+    ],
+    PASS: [
+      "Nope, too rich for my blood",
+      "I'll just sit tight, thanks",
+      "Better safe than sorry!"
+    ],
+    SWAP: [
+      "A small trade, nothing fancy",
+      "Just evening things out a bit"
+    ]
+  },
+
+  reckless: {
+    BID: [
+      "YEEHAW! ${bidAmount} and I ain't done yet!",
+      "Money's for spending, baby!",
+      "I want that {cardName} and I want it NOW!"
+    ],
+    PASS: [
+      "Fine, FINE, I'll pass. This time.",
+      "Even I know when to quit... sometimes",
+      "Pass! Next card better be good!"
+    ],
+    SWAP: [
+      "Let's shake things up!",
+      "Swap 'em! What's the worst that could happen?"
+    ]
+  },
+
+  spiteful: {
+    BID: [
+      "I'm only bidding so none of y'all get it cheap",
+      "${bidAmount}. Your move, suckers.",
+      "If I can't have it, I'll make you pay for it!"
+    ],
+    PASS: [
+      "Go ahead, waste your money",
+      "Take it. See if I care.",
+      "Enjoy your {cardName}... heh."
+    ],
+    SWAP: [
+      "That's what you get for winning!",
+      "Special delivery: one {card1Name}, no returns!",
+      "Nobody stays on top for long around me"
+    ]
+  },
+
+  hoarder: {
+    BID: [
+      "Ugh, fine, ${bidAmount}... it hurts to let go",
+      "Parting with my food stamps? Only for {cardName}.",
+      "This better be worth it"
+    ],
+    PASS: [
+      "My stamps stay right here in my pocket",
+      "Can't eliminate me if I'm the richest!",
+      "Money saved is money... still mine!"
+    ],
+    SWAP: [
+      "Free trades are my favorite kind",
+      "Didn't cost me a dime!"
+    ]
+  }
+};
+
 /**
  * Story library - longer narratives AI can tell
  */
@@ -158,54 +249,60 @@ const REACTIONS = {
  * Get a commentary message for a specific event
  * @param {string} event - The event type
  * @param {Object} context - Context about the event (playerName, cardName, etc.)
+ * @param {Function} [random=Math.random] - Random source (the game's seeded random)
+ * @param {string|null} [personality=null] - Speaker's personality, for lines in their own tone
  * @returns {string} Commentary message
  */
-export function getCommentaryMessage(event, context = {}) {
-  const messages = COMMENTARY_LIBRARY[event];
+export function getCommentaryMessage(event, context = {}, random = Math.random, personality = null) {
+  const messages = PERSONALITY_COMMENTARY[personality]?.[event] || COMMENTARY_LIBRARY[event];
   if (!messages || messages.length === 0) {
     return null;
   }
 
-  const randomMessage = selectRandom(messages);
+  const randomMessage = selectRandom(messages, random);
   return interpolate(randomMessage, context);
 }
 
 /**
  * Get a random story
+ * @param {Function} [random=Math.random] - Random source
  * @returns {string} A story
  */
-export function getStory() {
-  return selectRandom(STORIES);
+export function getStory(random = Math.random) {
+  return selectRandom(STORIES, random);
 }
 
 /**
  * Get a random joke
+ * @param {Function} [random=Math.random] - Random source
  * @returns {string} A joke
  */
-export function getJoke() {
-  return selectRandom(JOKES);
+export function getJoke(random = Math.random) {
+  return selectRandom(JOKES, random);
 }
 
 /**
  * Get an emotional reaction
  * @param {string} emotion - The emotion type (EXCITED, FRUSTRATED, etc.)
+ * @param {Function} [random=Math.random] - Random source
  * @returns {string} Reaction message
  */
-export function getReaction(emotion) {
+export function getReaction(emotion, random = Math.random) {
   const reactions = REACTIONS[emotion];
   if (!reactions) {
     return "...";
   }
-  return selectRandom(reactions);
+  return selectRandom(reactions, random);
 }
 
 /**
  * Generate a conversational response to another AI's message
  * @param {string} previousMessage - The message to respond to
  * @param {Object} context - Context about the game
+ * @param {Function} [random=Math.random] - Random source
  * @returns {string|null} Response message or null
  */
-export function generateResponse(previousMessage, context) {
+export function generateResponse(previousMessage, context, random = Math.random) {
   // Simple response generation based on keywords
   if (previousMessage.includes("all-in") || previousMessage.includes("bold")) {
     return selectRandom([
@@ -213,7 +310,7 @@ export function generateResponse(previousMessage, context) {
       "Fortune favors the bold!",
       "Or the foolish... we'll see!",
       "That's the spirit!"
-    ]);
+    ], random);
   }
 
   if (previousMessage.includes("passing") || previousMessage.includes("sit this out")) {
@@ -222,7 +319,7 @@ export function generateResponse(previousMessage, context) {
       "Yeah, I might do the same",
       "Save that money!",
       "Can't win if you don't play... but can't lose either!"
-    ]);
+    ], random);
   }
 
   if (previousMessage.includes("hurt") || previousMessage.includes("ouch")) {
@@ -231,11 +328,11 @@ export function generateResponse(previousMessage, context) {
       "Tough break!",
       "That's gonna sting!",
       "Ooof, yeah that's rough"
-    ]);
+    ], random);
   }
 
   // Random chance to not respond
-  if (Math.random() < 0.5) {
+  if (random() < 0.5) {
     return null;
   }
 
@@ -247,7 +344,7 @@ export function generateResponse(previousMessage, context) {
     "Ain't that the truth",
     "Totally",
     "Yup"
-  ]);
+  ], random);
 }
 
 /**
@@ -255,10 +352,11 @@ export function generateResponse(previousMessage, context) {
  * Balances between event commentary, stories, jokes, and reactions
  * @param {string} currentPhase - Current game phase
  * @param {Object} recentEvents - Recent game events
+ * @param {Function} [random=Math.random] - Random source
  * @returns {Object} Message type and data
  */
-export function determineMessageType(currentPhase, recentEvents = {}) {
-  const rand = Math.random();
+export function determineMessageType(currentPhase, recentEvents = {}, random = Math.random) {
+  const rand = random();
 
   // 60% chance of event commentary
   if (rand < 0.6 && recentEvents.lastEvent) {
@@ -286,17 +384,18 @@ export function determineMessageType(currentPhase, recentEvents = {}) {
   // 10% chance of reaction
   return {
     type: 'REACTION',
-    emotion: selectRandom(['EXCITED', 'AMUSED', 'SURPRISED'])
+    emotion: selectRandom(['EXCITED', 'AMUSED', 'SURPRISED'], random)
   };
 }
 
 /**
  * Select a random item from an array
  * @param {Array} array - Array to select from
+ * @param {Function} random - Random source
  * @returns {*} Random item
  */
-function selectRandom(array) {
-  return array[Math.floor(Math.random() * array.length)];
+function selectRandom(array, random) {
+  return pickRandom(array, random);
 }
 
 /**
@@ -311,4 +410,4 @@ function interpolate(template, context) {
   });
 }
 
-export { COMMENTARY_LIBRARY, STORIES, JOKES, REACTIONS };
+export { COMMENTARY_LIBRARY, PERSONALITY_COMMENTARY, STORIES, JOKES, REACTIONS };
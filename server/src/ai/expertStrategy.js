@@ -0,0 +1,245 @@
+/**
+ * Expert AI Strategy
+ * Bids on expected final rank instead of card face value: tracks everyone's money
+ * (the poorest player is eliminated in endGame) - counting it from the bills they've
+ * spent when remaining money is hidden - estimates what the rest of the deck
+ * is worth, and compares the table after winning a card with the table after passing
+ * @module ai/expertStrategy
+ */
+
+import { CARD_TYPES, calculateScore } from '../models/cards.js';
+import { getCardSet, hasCardSet, DEFAULT_CARD_SET_ID } from '../models/cardSets.js';
+import { getCardEffect } from '../effects/index.js';
+import { AUCTION_TYPES } from '../models/game.js';
+import { BILL_REMOVAL_RULES } from '../models/rules.js';
+
+/** Score difference that makes one player "probably" ahead of another */
+const SCORE_SCALE = 4;
+
+/** Smallest margin of utility worth paying for */
+const MIN_UTILITY_GAIN = 0.005;
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Cards nobody has seen yet (the game's card set minus won cards and the card on the block)
+ * Luxuries discarded to the Repo Man were seen too, but aren't public, so they count as unseen
+ * @param {Object} publicState - Public game state (uses `cardSet`, the default set if missing)
+ * @returns {Object[]} Unseen cards
+ */
+export function getUnseenCards(publicState) {
+  const seen = new Set(publicState.players.flatMap(p => p.wonCards.map(card => card.id)));
+  if (publicState.currentCard) {
+    seen.add(publicState.currentCard.id);
+  }
+
+  const cardSetId = publicState.cardSet?.id;
+  return getCardSet(hasCardSet(cardSetId) ? cardSetId : DEFAULT_CARD_SET_ID).cards
+    .filter(card => !seen.has(card.id));
+}
+
+/**
+ * Estimate the luxury points still to come from the deck
+ * @param {Object} publicState - Public game state (uses `cardsRemaining` and the `rules.deck` luxury limit)
+ * @returns {number} Expected total luxury value of the cards left in the deck
+ */
+export function estimateRemainingLuxuryValue(publicState) {
+  const unseen = getUnseenCards(publicState);
+  if (unseen.length === 0) return 0;
+
+  const unseenLuxuries = unseen.filter(card => card.type === CARD_TYPES.LUXURY);
+  const unseenLuxury = unseenLuxuries.reduce((sum, card) => sum + card.value, 0);
+
+  // When the rules play fewer luxuries than the set has, exactly that many were dealt
+  const luxuryLimit = publicState.rules?.deck.luxury ?? null;
+  if (luxuryLimit !== null && unseenLuxuries.length > 0) {
+    const seenLuxuries = publicState.players
+      .reduce((count, p) => count + p.wonCards.filter(card => card.type === CARD_TYPES.LUXURY).length, 0) +
+      (publicState.currentCard?.type === CARD_TYPES.LUXURY ? 1 : 0);
+    const luxuriesLeft = Math.max(0, Math.min(luxuryLimit - seenLuxuries, unseenLuxuries.length, publicState.cardsRemaining ?? Infinity));
+    return unseenLuxury * luxuriesLeft / unseenLuxuries.length;
+  }
+
+  // Only `cardsRemaining` of the unseen cards are still in the deck
+  return unseenLuxury * Math.min(1, (publicState.cardsRemaining ?? unseen.length) / unseen.length);
+}
+
+/**
+ * A player's remaining money as far as the table can tell
+ * With hidden money (remainingMoney is null) it is counted like a human would: the
+ * starting hand minus the bills they've spent, minus the average bill the rules remove
+ * @param {Object} publicState - Public game state (uses `rules.money` for hidden money)
+ * @param {Object} player - Public player
+ * @returns {number} Remaining money, exact or estimated
+ */
+export function estimateRemainingMoney(publicState, player) {
+  if (player.remainingMoney !== null && player.remainingMoney !== undefined) {
+    return player.remainingMoney;
+  }
+
+  const { denominations, billRemoval } = publicState.rules.money;
+  const spent = (player.spentMoney || []).reduce((sum, value) => sum + value, 0);
+
+  // Same bills removeRandomBill picks from
+  const lowest = Math.min(...denominations);
+  const highest = Math.max(...denominations);
+  const removable = billRemoval === BILL_REMOVAL_RULES.NONE
+    ? []
+    : denominations.filter(value => billRemoval === BILL_REMOVAL_RULES.ANY || (value !== lowest && value !== highest));
+  const removed = removable.length > 0 ? removable.reduce((sum, value) => sum + value, 0) / removable.length : 0;
+
+  const total = denominations.reduce((sum, value) => sum + value, 0);
+  return Math.max(0, total - removed - spent);
+}
+
+/**
+ * Chance that each player ends up the poorest (and is eliminated)
+ * The further a player is above the poorest, the safer they are; the gap matters
+ * less early on, when there is still a lot of bidding to come
+ * @param {Object} money - Remaining money by player ID
+ * @param {number} cardsRemaining - Cards left in the deck
+ * @returns {Object} Elimination probability by player ID
+ */
+export function estimateEliminationRisk(money, cardsRemaining) {
+  const scale = 2 + cardsRemaining;
+  const ids = Object.keys(money);
+  const risk = {};
+
+  ids.forEach(id => {
+    const others = ids.filter(other => other !== id).map(other => money[other]);
+    if (others.length === 0) {
+      risk[id] = 0;
+      return;
+    }
+    const gap = money[id] - Math.min(...others);
+    risk[id] = logistic(-gap / scale);
+  });
+
+  return risk;
+}
+
+/**
+ * Won cards after taking a card, with its effect applied for scoring
+ * (e.g. the Repo Man costs the cheapest luxury, a Pawn Shop Trade counts as a few points)
+ */
+function withCard(wonCards, card) {
+  const effect = getCardEffect(card);
+  return effect?.aiProject ? effect.aiProject(wonCards, card) : [...wonCards, card];
+}
+
+/**
+ * Expected final rank of a player for one possible table
+ * Future luxuries are shared out in proportion to money (money wins auctions),
+ * then the player's projected score is compared with every opponent's, and the
+ * result is discounted by the chance of being eliminated
+ * @param {string} playerId - Player to rate
+ * @param {Object[]} table - [{ id, wonCards, money }] for every player
+ * @param {number} remainingLuxury - Expected luxury value still to come
+ * @param {number} cardsRemaining - Cards left in the deck
+ * @returns {number} 0 (certain last place) to 1 (certain win)
+ */
+export function evaluateTable(playerId, table, remainingLuxury, cardsRemaining) {
+  const money = Object.fromEntries(table.map(p => [p.id, Math.max(0, p.money)]));
+  const totalMoney = Object.values(money).reduce((sum, value) => sum + value, 0);
+  const risk = estimateEliminationRisk(money, cardsRemaining);
+
+  const projected = {};
+  table.forEach(p => {
+    const share = totalMoney > 0 ? money[p.id] / totalMoney : 1 / table.length;
+    const futureLuxury = { id: 'future', type: CARD_TYPES.LUXURY, value: remainingLuxury * share };
+    projected[p.id] = calculateScore({ wonCards: [...p.wonCards, futureLuxury] });
+  });
+
+  const opponents = table.filter(p => p.id !== playerId);
+  if (opponents.length === 0) return 1 - risk[playerId];
+
+  const rank = opponents.reduce((sum, opponent) => {
+    const beats = logistic((projected[playerId] - projected[opponent.id]) / SCORE_SCALE);
+    // An eliminated opponent is beaten whatever their score
+    return sum + risk[opponent.id] + (1 - risk[opponent.id]) * beats;
+  }, 0) / opponents.length;
+
+  return (1 - risk[playerId]) * rank;
+}
+
+// Current table as { id, wonCards, money }, using our exact money
+function buildTable(publicState, playerId, myMoney) {
+  return publicState.players.map(p => ({
+    id: p.id,
+    wonCards: p.wonCards,
+    money: p.id === playerId ? myMoney : estimateRemainingMoney(publicState, p)
+  }));
+}
+
+// Table after `winnerId` takes `card`, with payments by player ID
+function applyOutcome(table, card, winnerId, payments) {
+  return table.map(p => ({
+    id: p.id,
+    wonCards: p.id === winnerId ? withCard(p.wonCards, card) : p.wonCards,
+    money: p.money - (payments[p.id] || 0)
+  }));
+}
+
+/**
+ * Decide a bid with the expert strategy
+ * Each turn it compares raising by the smallest legal amount against passing,
+ * so it keeps raising exactly as long as winning (or dodging) the card is worth it
+ * @param {AIPlayer} aiPlayer - The deciding AI (for its card selection helpers)
+ * @param {Object} publicState - Public game state
+ * @param {Object[]} availableMoney - The AI's available money cards
+ * @returns {Object} Decision { action, cards? }
+ */
+export function decideExpertBid(aiPlayer, publicState, availableMoney) {
+  const { currentCard, currentAuction, cardsRemaining = 0 } = publicState;
+  const myMoney = availableMoney.reduce((sum, card) => sum + card.value, 0);
+  const table = buildTable(publicState, aiPlayer.id, myMoney);
+  const remainingLuxury = estimateRemainingLuxuryValue(publicState);
+  const rate = (outcome) => evaluateTable(aiPlayer.id, outcome, remainingLuxury, cardsRemaining);
+
+  const opponents = publicState.players.filter(p =>
+    p.id !== aiPlayer.id && currentAuction.activePlayers.includes(p.id)
+  );
+
+  if (opponents.length === 0) {
+    return { action: 'pass' };
+  }
+
+  // Smallest raise we can make
+  const targetBid = currentAuction.highestBid + aiPlayer.getMinimumIncrement(availableMoney);
+  const raise = aiPlayer.selectCardsForBid(availableMoney, targetBid, currentAuction.highestBid);
+  const raiseTotal = raise.reduce((sum, id) => sum + availableMoney.find(m => m.id === id).value, 0);
+
+  if (raise.length === 0) {
+    return { action: 'pass' };
+  }
+
+  const bids = Object.fromEntries(publicState.players.map(p => [p.id, p.currentBidTotal || 0]));
+  const moneyOf = (player) => table.find(p => p.id === player.id).money;
+
+  if (currentAuction.type === AUCTION_TYPES.REVERSE) {
+    // Passing: we take the card for free, everyone else pays what they bid
+    const othersPay = { ...bids, [aiPlayer.id]: 0 };
+    const passValue = rate(applyOutcome(table, currentCard, aiPlayer.id, othersPay));
+
+    // Raising: assume the poorest opponent still in gives up first and takes it
+    const taker = opponents.reduce((min, p) => (moneyOf(p) < moneyOf(min) ? p : min));
+    const raisePay = { ...bids, [taker.id]: 0, [aiPlayer.id]: raiseTotal };
+    const raiseValue = rate(applyOutcome(table, currentCard, taker.id, raisePay));
+
+    return raiseValue > passValue + MIN_UTILITY_GAIN
+      ? { action: 'bid', cards: raise }
+      : { action: 'pass' };
+  }
+
+  // Standard auction - passing lets the leading bidder (or the richest rival) have it
+  const rival = opponents.find(p => p.id === currentAuction.highestBidder)
+    || opponents.reduce((max, p) => (moneyOf(p) > moneyOf(max) ? p : max));
+  const passValue = rate(applyOutcome(table, currentCard, rival.id, {
+    [rival.id]: Math.max(currentAuction.highestBid, 1)
+  }));
+  const winValue = rate(applyOutcome(table, currentCard, aiPlayer.id, { [aiPlayer.id]: raiseTotal }));
+
+  return winValue > passValue + MIN_UTILITY_GAIN
+    ? { action: 'bid', cards: raise }
+    : { action: 'pass' };
+}
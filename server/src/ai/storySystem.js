@@ -3,6 +3,8 @@
  * Stories unfold over multiple rounds with responses from other eliminated players
  */
 
+import { pickRandom } from '../utils/random.js';
+
 // Multi-part stories that unfold over time
 const STORIES = [
   {
@@ -91,7 +93,11 @@ const STORY_REACTIONS = [
  * Tracks ongoing stories and manages turn-taking between storyteller and audience
  */
 export class StorySystem {
-  constructor() {
+  /**
+   * @param {Function} [random=Math.random] - Random source (the game's seeded random)
+   */
+  constructor(random = Math.random) {
+    this.random = random;
     this.activeStory = null;
     this.storytellerId = null;
     this.currentPartIndex = 0;
@@ -114,13 +120,13 @@ export class StorySystem {
     if (eliminatedPlayers.length < 2) return false;
 
     // Pick random storyteller from eliminated players
-    this.storytellerId = eliminatedPlayers[Math.floor(Math.random() * eliminatedPlayers.length)].id;
+    this.storytellerId = pickRandom(eliminatedPlayers, this.random).id;
 
     // Pick random story from queue
     if (this.storyQueue.length === 0) {
       this.storyQueue = [...STORIES]; // Refresh queue
     }
-    const storyIndex = Math.floor(Math.random() * this.storyQueue.length);
+    const storyIndex = Math.floor(this.random() * this.storyQueue.length);
     this.activeStory = this.storyQueue.splice(storyIndex, 1)[0];
 
     this.currentPartIndex = 0;
@@ -172,7 +178,7 @@ export class StorySystem {
       const reactors = eliminatedPlayers.filter(p => p.id !== this.storytellerId);
       if (reactors.length === 0) return null;
 
-      const reactor = reactors[Math.floor(Math.random() * reactors.length)];
+      const reactor = pickRandom(reactors, this.random);
       this.lastReactorId = reactor.id;
       return {
         reactor,
@@ -181,7 +187,7 @@ export class StorySystem {
     }
 
     // Pick random reactor
-    const reactor = availableReactors[Math.floor(Math.random() * availableReactors.length)];
+    const reactor = pickRandom(availableReactors, this.random);
     this.lastReactorId = reactor.id;
 
     return {
@@ -194,7 +200,7 @@ export class StorySystem {
    * Format a reaction message
    */
   formatReaction(storytellerName) {
-    const template = STORY_REACTIONS[Math.floor(Math.random() * STORY_REACTIONS.length)];
+    const template = pickRandom(STORY_REACTIONS, this.random);
     return template.replace('{storyteller}', storytellerName);
   }
 
@@ -5,22 +5,27 @@
  * AI explains their actions and reasoning to help new players understand the game.
  */
 
+import { pickRandom } from '../utils/random.js';
+
 /**
  * Get a tutorial message for an AI action
- * @param {string} action - The action being taken ('BID', 'PASS', 'DISCARD', 'SWAP')
+ * @param {string} action - The action being taken ('BID', 'PASS', 'DISCARD', 'SWAP', 'SKIP_SWAP')
  * @param {Object} context - Context about the action
+ * @param {Function} [random=Math.random] - Random source (the game's seeded random)
  * @returns {string} Tutorial message explaining the action
  */
-export function getTutorialMessage(action, context) {
+export function getTutorialMessage(action, context, random = Math.random) {
   switch (action) {
     case 'BID':
-      return getBidTutorialMessage(context);
+      return getBidTutorialMessage(context, random);
     case 'PASS':
-      return getPassTutorialMessage(context);
+      return getPassTutorialMessage(context, random);
     case 'DISCARD':
       return getDiscardTutorialMessage(context);
     case 'SWAP':
       return getSwapTutorialMessage(context);
+    case 'SKIP_SWAP':
+      return getSwapTutorialMessage({ ...context, skipping: true });
     case 'START':
       return getGameStartTutorialMessage(context);
     default:
@@ -31,7 +36,7 @@ export function getTutorialMessage(action, context) {
 /**
  * Tutorial messages for bidding
  */
-function getBidTutorialMessage(context) {
+function getBidTutorialMessage(context, random) {
   const { bidAmount, cardName, cardType, reasoning } = context;
 
   const messages = [
@@ -51,13 +56,13 @@ function getBidTutorialMessage(context) {
     return `Bidding $${bidAmount} for ${cardName}. Special cards can help me strategically!`;
   }
 
-  return messages[Math.floor(Math.random() * messages.length)];
+  return pickRandom(messages, random);
 }
 
 /**
  * Tutorial messages for passing
  */
-function getPassTutorialMessage(context) {
+function getPassTutorialMessage(context, random) {
   const { reasoning, cardType } = context;
 
   if (cardType === 'disgrace') {
@@ -79,7 +84,7 @@ function getPassTutorialMessage(context) {
     return `I'm passing to save my high-value bills for more important cards later.`;
   }
 
-  return messages[Math.floor(Math.random() * messages.length)];
+  return pickRandom(messages, random);
 }
 
 /**
@@ -105,7 +110,7 @@ function getSwapTutorialMessage(context) {
     return `I'm skipping the Pawn Shop Trade. ${reasoning || 'I don\'t want to swap any cards right now.'}`;
   }
 
-  return `I'm using the Pawn Shop Trade to swap cards. ${reasoning || 'This can help me adjust my strategy!'}`;
+  return `I'm using the Pawn Shop Trade to swap cards. ${reasoning || 'This can help me adjust my strategy!'} It can move any won card between ANY two players!`;
 }
 
 /**
@@ -119,9 +124,10 @@ function getGameStartTutorialMessage(context) {
  * Get general strategy tips for tutorial mode
  * @param {string} phase - Current game phase
  * @param {Object} context - Game context
+ * @param {Function} [random=Math.random] - Random source
  * @returns {string|null} Strategy tip or null
  */
-export function getStrategyTip(phase, context) {
+export function getStrategyTip(phase, context, random = Math.random) {
   const tips = {
     STARTING: [
       "Watch how much money everyone has left. It affects who can bid!",
@@ -148,7 +154,7 @@ export function getStrategyTip(phase, context) {
   const phaseTips = tips[phase];
   if (!phaseTips || phaseTips.length === 0) return null;
 
-  return phaseTips[Math.floor(Math.random() * phaseTips.length)];
+  return pickRandom(phaseTips, random);
 }
 
 /**
@@ -0,0 +1,107 @@
+/**
+ * Card Swap (Pawn Shop Trade)
+ * The winner may swap any two won cards between two players, or skip
+ * @module effects/cardSwap
+ */
+
+import { GAME_PHASES } from '../shared/constants/gamePhases.js';
+
+/** Points a Pawn Shop Trade is worth to whoever wins it (a swap usually gains a few points) */
+const SWAP_CARD_VALUE = 4;
+
+const SKIP = { player1Id: null, card1Id: null, player2Id: null, card2Id: null };
+
+/** @type {import('./index.js').CardEffect} */
+export const cardSwap = {
+  name: 'card-swap',
+  cardType: 'special',
+
+  // The winner always gets to choose (even if only to skip)
+  resolve: () => true,
+
+  phase: {
+    name: GAME_PHASES.CARD_SWAP,
+    eventType: 'cards_swapped',
+
+    begin(game, playerId) {
+      game.currentAuction.swapWinner = playerId;
+    },
+
+    getPlayerId: (game) => game.currentAuction?.swapWinner || null,
+
+    apply(game, swapper, { player1Id, card1Id, player2Id, card2Id } = SKIP) {
+      // Allow skipping the swap (if all params are null)
+      if (!player1Id && !card1Id && !player2Id && !card2Id) {
+        return { swapperId: swapper.id, ...SKIP, skipped: true };
+      }
+
+      const player1 = game.players.find(p => p.id === player1Id);
+      const player2 = game.players.find(p => p.id === player2Id);
+
+      if (!player1 || !player2) throw new Error('Invalid players');
+
+      const card1Index = player1.wonCards.findIndex(c => c.id === card1Id);
+      const card2Index = player2.wonCards.findIndex(c => c.id === card2Id);
+
+      if (card1Index === -1 || card2Index === -1) {
+        throw new Error('Cards not found');
+      }
+
+      // Swap the cards
+      const temp = player1.wonCards[card1Index];
+      player1.wonCards[card1Index] = player2.wonCards[card2Index];
+      player2.wonCards[card2Index] = temp;
+
+      return { swapperId: swapper.id, player1Id, card1Id, player2Id, card2Id, skipped: false };
+    },
+
+    fromEvent: ({ swapperId, player1Id, card1Id, player2Id, card2Id }) => ({
+      playerId: swapperId,
+      choice: { player1Id, card1Id, player2Id, card2Id }
+    }),
+
+    // Timed out: skip the trade
+    autoChoice: () => SKIP,
+
+    decide: (aiPlayer, publicState) => aiPlayer.decideCardSwap(publicState),
+
+    summarize: (choice) => ({ action: choice?.card1Id ? 'swap' : 'skip_swap' }),
+
+    describe: ({ swapperId, player1Id, card1Id, player2Id, card2Id, skipped }, { playerName, card }) => ({
+      playerId: swapperId,
+      playerName: playerName(swapperId),
+      skipped,
+      player1Id,
+      player1Name: player1Id ? playerName(player1Id) : null,
+      card1: card1Id ? card(card1Id) : null,
+      player2Id,
+      player2Name: player2Id ? playerName(player2Id) : null,
+      card2: card2Id ? card(card2Id) : null
+    }),
+
+    // Explain the trade BEFORE making it, like bids
+    aiChat(choice, publicState, aiPlayer) {
+      const skipping = !choice.card1Id;
+      const player1 = publicState.players.find(p => p.id === choice.player1Id);
+      const player2 = publicState.players.find(p => p.id === choice.player2Id);
+
+      return {
+        action: skipping ? 'SKIP_SWAP' : 'SWAP',
+        context: {
+          playerName: aiPlayer.name,
+          skipping,
+          reasoning: choice.reasoning,
+          player1Name: player1?.name,
+          card1Name: player1?.wonCards.find(c => c.id === choice.card1Id)?.name,
+          player2Name: player2?.name,
+          card2Name: player2?.wonCards.find(c => c.id === choice.card2Id)?.name
+        }
+      };
+    }
+  },
+
+  aiValue: 5,
+
+  // The expert AI counts a trade as a few luxury points
+  aiProject: (wonCards, card) => [...wonCards, { id: card.id, type: 'luxury', value: SWAP_CARD_VALUE }]
+};
@@ -0,0 +1,62 @@
+/**
+ * Faux Pas (Repo Man)
+ * Whoever takes the card discards one of their luxury cards - their choice
+ * @module effects/fauxPas
+ */
+
+import { GAME_PHASES } from '../shared/constants/gamePhases.js';
+
+const luxuriesOf = (cards) => cards.filter(card => card.type === 'luxury');
+const cheapestOf = (cards) => cards.reduce((min, card) => (!min || card.value < min.value ? card : min), null);
+
+/** @type {import('./index.js').CardEffect} */
+export const fauxPas = {
+  name: 'faux-pas',
+  cardType: 'disgrace',
+
+  // Without luxury cards there is nothing to discard
+  resolve: (game, player) => luxuriesOf(player.wonCards).length > 0,
+
+  phase: {
+    name: GAME_PHASES.DISCARD_LUXURY,
+    eventType: 'luxury_discarded',
+
+    begin(game, playerId) {
+      game.discardingPlayerId = playerId;
+    },
+
+    getPlayerId: (game) => game.discardingPlayerId,
+
+    apply(game, player, { cardId } = {}) {
+      const cardIndex = player.wonCards.findIndex(c => c.id === cardId && c.type === 'luxury');
+      if (cardIndex === -1) {
+        throw new Error('Card not found or not a luxury card');
+      }
+
+      player.wonCards.splice(cardIndex, 1);
+      game.discardingPlayerId = null;
+      return { playerId: player.id, cardId };
+    },
+
+    fromEvent: ({ playerId, cardId }) => ({ playerId, choice: { cardId } }),
+
+    // Timed out: lose the cheapest luxury
+    autoChoice: (game, player) => ({ cardId: cheapestOf(luxuriesOf(player.wonCards))?.id }),
+
+    decide: (aiPlayer, publicState, player) => ({ cardId: aiPlayer.decideLuxuryDiscard(player.wonCards) }),
+
+    summarize: ({ cardId }) => ({ action: 'discard', cardId }),
+
+    describe: ({ playerId, cardId }, { playerName, card }) => ({
+      playerId,
+      playerName: playerName(playerId),
+      card: card(cardId)
+    })
+  },
+
+  // The expert AI expects to lose its cheapest luxury
+  aiProject(wonCards, card) {
+    const lost = cheapestOf(luxuriesOf(wonCards));
+    return [...wonCards.filter(c => c !== lost), card];
+  }
+};
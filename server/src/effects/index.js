@@ -0,0 +1,143 @@
+/**
+ * Card Effect Registry
+ * Disgrace and special cards name an `effect`; the effect's module says how cards
+ * with it are validated, resolved, scored and played by the AI. A new effect is one
+ * module registered below - the game, scoring, card sets, turn timer and AI all go
+ * through this registry.
+ *
+ * Effect modules must not import models/ (cards.js loads card sets, which are
+ * validated through this registry), so they use plain card type strings.
+ * @module effects
+ */
+
+import { GAME_PHASES } from '../shared/constants/gamePhases.js';
+import { fauxPas } from './fauxPas.js';
+import { passe } from './passe.js';
+import { scandale } from './scandale.js';
+import { cardSwap } from './cardSwap.js';
+
+/**
+ * @typedef {Object} CardEffect
+ * @property {string} name - Value of the card's `effect` field
+ * @property {string} cardType - Card type the effect belongs to ('disgrace' or 'special')
+ * @property {Function} [validate] - (card) => problem or null, checked when card sets are loaded
+ * @property {Function} [resolve] - (game, player, card) => true to open `phase`; called once the player takes the card
+ * @property {Function} [score] - (score, card) => score; applied after prestige multipliers, in won-card order
+ * @property {number} [aiValue] - Points the card is worth to whoever wins it (weight-based AIs)
+ * @property {Function} [aiProject] - (wonCards, card) => won cards as they would score after taking it (expert AI)
+ * @property {EffectPhase} [phase] - Decision the taker makes before the next auction
+ */
+
+/**
+ * @typedef {Object} EffectPhase
+ * @property {string} name - Game phase while the decision is pending
+ * @property {string} eventType - Event logged for the decision (replayed through `fromEvent`)
+ * @property {Function} begin - (game, playerId) => remember who decides
+ * @property {Function} getPlayerId - (game) => who decides
+ * @property {Function} apply - (game, player, choice) => event data; throws if the choice is invalid
+ * @property {Function} fromEvent - (data) => { playerId, choice } to replay a logged decision
+ * @property {Function} autoChoice - (game, player) => choice made when the player's turn times out
+ * @property {Function} decide - (aiPlayer, publicState, player) => choice for AI seats
+ * @property {Function} summarize - (choice) => { action, ... } reported for timed-out turns
+ * @property {Function} [aiChat] - (choice, publicState, aiPlayer) => { action, context } chat sent before an AI decides
+ * @property {Function} [describe] - (eventData, { playerName, card }) => action history entry for the decision;
+ *   `playerName(id)` and `card(id)` look players and won cards up as they were before it
+ */
+
+const EFFECT_CARD_TYPES = ['disgrace', 'special'];
+const PHASE_HOOKS = ['begin', 'getPlayerId', 'apply', 'fromEvent', 'autoChoice', 'decide', 'summarize'];
+
+const effects = new Map();
+const effectsByPhase = new Map();
+const effectsByEvent = new Map();
+
+/**
+ * Register a card effect
+ * @param {CardEffect} effect - Effect definition
+ * @throws {Error} If the definition is incomplete or clashes with a registered effect
+ */
+export function registerCardEffect(effect) {
+  if (typeof effect?.name !== 'string' || !effect.name) {
+    throw new Error('Card effects need a name');
+  }
+  if (effects.has(effect.name)) {
+    throw new Error(`Card effect already registered: ${effect.name}`);
+  }
+  if (!EFFECT_CARD_TYPES.includes(effect.cardType)) {
+    throw new Error(`Card effect ${effect.name} needs a cardType of ${EFFECT_CARD_TYPES.join(' or ')}`);
+  }
+
+  if (effect.phase) {
+    const { name, eventType } = effect.phase;
+    const missing = PHASE_HOOKS.filter(hook => typeof effect.phase[hook] !== 'function');
+
+    if (missing.length > 0) {
+      throw new Error(`Card effect ${effect.name} phase is missing: ${missing.join(', ')}`);
+    }
+    if (!name || !eventType || typeof effect.resolve !== 'function') {
+      throw new Error(`Card effect ${effect.name} phase needs a name, an eventType and a resolve hook`);
+    }
+    // Effect phases come after an auction, so they can't reuse the core phases
+    const corePhases = [GAME_PHASES.WAITING, GAME_PHASES.STARTING, GAME_PHASES.AUCTION, GAME_PHASES.GAME_OVER];
+    if (corePhases.includes(name) || effectsByPhase.has(name) || effectsByEvent.has(eventType)) {
+      throw new Error(`Card effect ${effect.name} phase or event is already in use`);
+    }
+
+    effectsByPhase.set(name, effect);
+    effectsByEvent.set(eventType, effect);
+  }
+
+  effects.set(effect.name, effect);
+}
+
+/**
+ * Get the effect a card has
+ * @param {Object} card - Item card
+ * @returns {CardEffect|null} The effect, or null if the card has none (or an unknown one)
+ */
+export function getCardEffect(card) {
+  const effect = effects.get(card?.effect);
+  return effect && effect.cardType === card.type ? effect : null;
+}
+
+/**
+ * Get the effect whose decision the game is waiting on
+ * @param {string} phase - Game phase
+ * @returns {CardEffect|null}
+ */
+export function getEffectForPhase(phase) {
+  return effectsByPhase.get(phase) || null;
+}
+
+/**
+ * Get the effect that logs decisions under an event type
+ * @param {string} eventType - Game event type
+ * @returns {CardEffect|null}
+ */
+export function getEffectForEvent(eventType) {
+  return effectsByEvent.get(eventType) || null;
+}
+
+/**
+ * Names of the registered effects for a card type
+ * @param {string} cardType - 'disgrace' or 'special'
+ * @returns {string[]}
+ */
+export function listCardEffects(cardType) {
+  return [...effects.values()].filter(effect => effect.cardType === cardType).map(effect => effect.name);
+}
+
+/**
+ * Check a disgrace or special card's effect (used when card sets are loaded)
+ * @param {Object} card - Item card
+ * @returns {string|null} What is wrong with it, or null
+ */
+export function getCardEffectProblem(card) {
+  const effect = getCardEffect(card);
+  if (!effect) {
+    return `unknown ${card.type} effect "${card.effect}" (use ${listCardEffects(card.type).join(', ')})`;
+  }
+  return effect.validate ? effect.validate(card) : null;
+}
+
+[fauxPas, passe, scandale, cardSwap].forEach(registerCardEffect);
@@ -0,0 +1,17 @@
+/**
+ * Passe (DUI Citation)
+ * A flat penalty taken off the final score, after prestige multipliers
+ * @module effects/passe
+ */
+
+/** @type {import('./index.js').CardEffect} */
+export const passe = {
+  name: 'passe',
+  cardType: 'disgrace',
+
+  validate: (card) => (Number.isInteger(card.penalty) && card.penalty < 0
+    ? null
+    : 'passe cards need a negative whole-number penalty'),
+
+  score: (score, card) => score + card.penalty // penalty is negative
+};
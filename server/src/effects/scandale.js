@@ -0,0 +1,17 @@
+/**
+ * Scandale
+ * Multiplies the final score by the card's penalty (0.5 halves it), after prestige multipliers
+ * @module effects/scandale
+ */
+
+/** @type {import('./index.js').CardEffect} */
+export const scandale = {
+  name: 'scandale',
+  cardType: 'disgrace',
+
+  validate: (card) => (typeof card.penalty === 'number' && card.penalty >= 0 && card.penalty < 1
+    ? null
+    : 'scandale cards need a penalty from 0 up to (not including) 1'),
+
+  score: (score, card) => score * card.penalty
+};
@@ -6,6 +6,7 @@
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
 import { handleSocketError, errors } from '../utils/errorHandler.js';
 import { checkAndHandleAITurn } from '../ai/aiHandler.js';
+import { ROUND_RESET_VOTE_STATUS } from '../models/game.js';
 
 /**
  * Validate money card IDs for bidding
@@ -114,3 +115,91 @@ export function handlePass(socket, roomManager, io) {
     }
   };
 }
+
+/**
+ * Tell the room how a round-reset vote stands, and restart the round if it passed
+ * @param {Object} game - Game instance
+ * @param {string} roomCode - Room code
+ * @param {Object} io - Socket.io server instance
+ * @param {string} playerId - Player who proposed or voted
+ * @param {string} status - One of ROUND_RESET_VOTE_STATUS
+ */
+function broadcastRoundResetVote(game, roomCode, io, playerId, status) {
+  io.to(roomCode).emit('round_reset_vote', {
+    publicState: game.getPublicState(),
+    playerId,
+    status
+  });
+
+  if (status !== ROUND_RESET_VOTE_STATUS.PASSED) return;
+
+  const host = game.players.find(p => p.id === game.host);
+  io.to(roomCode).emit('round_reset', {
+    publicState: game.getPublicState(),
+    playerName: host?.name
+  });
+
+  // Bids were returned to every hand
+  game.players.forEach(player => {
+    io.to(player.id).emit('private_state_update', {
+      privateState: game.getPrivateState(player.id)
+    });
+  });
+
+  // The restarted auction may open on an AI player's turn
+  checkAndHandleAITurn(game, roomCode, io);
+}
+
+/**
+ * Handler for the host proposing to replay the current auction
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleRequestRoundReset(socket, roomManager, io) {
+  return (data, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      const status = game.proposeRoundReset(socket.id);
+      broadcastRoundResetVote(game, roomCode, io, socket.id, status);
+
+      callback({ success: true, status });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'request_round_reset' });
+    }
+  };
+}
+
+/**
+ * Handler for voting on a proposed round reset
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleVoteRoundReset(socket, roomManager, io) {
+  return ({ approve } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (typeof approve !== 'boolean') {
+        throw new Error('Vote must be true or false');
+      }
+
+      const status = game.voteRoundReset(socket.id, approve);
+      broadcastRoundResetVote(game, roomCode, io, socket.id, status);
+
+      callback({ success: true, status });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'vote_round_reset' });
+    }
+  };
+}
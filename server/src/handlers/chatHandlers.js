@@ -1,11 +1,24 @@
 /**
  * Chat Handlers
- * Handles chat-related socket events
+ * Handles chat-related socket events: AI chat mode, player chat and its moderation, emotes
  */
 
 import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
 import { CHAT_MODES } from '../shared/constants/chatConfig.js';
-import { handleSocketError } from '../utils/errorHandler.js';
+import { handleSocketError, errors, GameError, ERROR_TYPES } from '../utils/errorHandler.js';
+import { reactToEmote } from '../ai/aiHandler.js';
+
+/**
+ * IDs of the players who have muted a player (they don't get that player's chat or emotes)
+ * @param {Object} game - Game instance
+ * @param {string} playerId
+ * @returns {string[]}
+ */
+function getPlayersWhoMuted(game, playerId) {
+  return game.players
+    .filter(p => game.getMutedPlayerIds(p.id).includes(playerId))
+    .map(p => p.id);
+}
 
 /**
  * Handle setting the chat mode for a game
@@ -70,3 +83,207 @@ export function handleSetChatMode(socket, roomManager, io) {
     }
   };
 }
+
+/**
+ * Handle a chat message typed by a player
+ * The message goes to everyone in the room except players who muted the sender
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleSendChatMessage(socket, roomManager, io) {
+  return ({ message } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (typeof message !== 'string') throw errors.invalidInput('message', 'must be text');
+
+      // Empty, too long and too frequent messages are the sender's to fix, not server errors
+      let chatMessage;
+      try {
+        chatMessage = game.sendChatMessage(socket.id, message);
+      } catch (error) {
+        throw new GameError(error.message, ERROR_TYPES.VALIDATION);
+      }
+
+      io.to(roomCode).except(getPlayersWhoMuted(game, socket.id)).emit(SOCKET_EVENTS.CHAT_MESSAGE, { message: chatMessage });
+
+      callback({ success: true, message: chatMessage });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'send_chat_message' });
+    }
+  };
+}
+
+/**
+ * Handle a quick-chat emote from a human player
+ * AI players at the table sometimes answer it
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleSendEmote(socket, roomManager, io) {
+  return ({ emoteId } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (typeof emoteId !== 'string') throw errors.invalidInput('emoteId', 'must be an emote ID');
+
+      let emote;
+      try {
+        emote = game.sendEmote(socket.id, emoteId);
+      } catch (error) {
+        throw new GameError(error.message, ERROR_TYPES.VALIDATION);
+      }
+
+      io.to(roomCode).except(getPlayersWhoMuted(game, socket.id)).emit(SOCKET_EVENTS.EMOTE, { emote });
+
+      callback({ success: true, emote });
+
+      reactToEmote(game, roomCode, io, emote).catch(error => {
+        console.error(`[Emote] AI reaction failed in room ${roomCode}:`, error);
+      });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'send_emote' });
+    }
+  };
+}
+
+/**
+ * Handle a request for the room's player chat history (e.g. after joining or reconnecting)
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleGetChatHistory(socket, roomManager, io) {
+  return (data, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      callback({ success: true, messages: game.getPlayerChatHistory(socket.id) });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'get_chat_history' });
+    }
+  };
+}
+
+/**
+ * Handle muting or unmuting another player's chat
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleMutePlayer(socket, roomManager, io) {
+  return ({ playerId, muted = true } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (typeof playerId !== 'string') throw errors.invalidInput('playerId', 'must be a player ID');
+      if (typeof muted !== 'boolean') throw errors.invalidInput('muted', 'must be true or false');
+
+      const mutedPlayerIds = game.setPlayerMuted(socket.id, playerId, muted);
+
+      // Mutes are private - only the muting player hears about it
+      io.to(socket.id).emit(SOCKET_EVENTS.PRIVATE_STATE_UPDATE, {
+        privateState: game.getPrivateState(socket.id)
+      });
+
+      callback({ success: true, mutedPlayerIds });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'mute_player' });
+    }
+  };
+}
+
+/**
+ * Handle a player reporting another player's chat
+ * Reports are logged for the server operator and kept with the room; the reporter
+ * stops seeing the reported player's chat
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleReportPlayer(socket, roomManager, io) {
+  return ({ playerId, reason = '' } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (typeof playerId !== 'string') throw errors.invalidInput('playerId', 'must be a player ID');
+
+      const report = game.reportPlayer(socket.id, playerId, reason);
+
+      console.warn(`[Chat] Room ${roomCode}: ${report.reporterName} reported ${report.reportedName}`, {
+        reason: report.reason,
+        messages: report.messages.map(m => m.message)
+      });
+
+      io.to(socket.id).emit(SOCKET_EVENTS.PRIVATE_STATE_UPDATE, {
+        privateState: game.getPrivateState(socket.id)
+      });
+
+      callback({ success: true, mutedPlayerIds: game.getMutedPlayerIds(socket.id) });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'report_player' });
+    }
+  };
+}
+
+/**
+ * Handle the host switching the room's profanity filter on or off
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {Function} Handler function
+ */
+export function handleSetChatFilter(socket, roomManager, io) {
+  return ({ enabled } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (game.host !== socket.id) {
+        throw new GameError('Only the host can change the chat filter', ERROR_TYPES.PERMISSION);
+      }
+      if (typeof enabled !== 'boolean') throw errors.invalidInput('enabled', 'must be true or false');
+
+      game.setChatFilter(enabled);
+
+      io.to(roomCode).emit(SOCKET_EVENTS.CHAT_FILTER_CHANGED, { enabled });
+      io.to(roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: game.getPublicState()
+      });
+
+      callback({ success: true, enabled });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'set_chat_filter' });
+    }
+  };
+}
@@ -3,10 +3,15 @@
  * Handles game start and state retrieval
  */
 
+import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
-import { handleSocketError, errors } from '../utils/errorHandler.js';
-import { createAIPlayer } from '../ai/AIPlayer.js';
-import { registerAIPlayer, removeAIPlayer, checkAndHandleAITurn } from '../ai/aiHandler.js';
+import { handleSocketError, errors, GameError, ERROR_TYPES } from '../utils/errorHandler.js';
+import { AIPlayer, createAIPlayer } from '../ai/AIPlayer.js';
+import { AI_DIFFICULTIES, isValidDifficulty } from '../ai/aiProfiles.js';
+import { listCardSets } from '../models/cardSets.js';
+import { registerAIPlayer, removeAIPlayer, checkAndHandleAITurn, scheduleAITakeover } from '../ai/aiHandler.js';
+import { getSpectatorChannel, getSpectatorActionHistory } from '../services/spectatorFeed.js';
+import { buildReplay } from '../services/replay.js';
 
 /**
  * Handler for starting the game
@@ -31,44 +36,70 @@ export function handleStartGame(socket, roomManager, io) {
       const aiEnabled = data.aiEnabled !== undefined ? data.aiEnabled : true;
       const spectatorMode = data.spectatorMode || false;
 
+      // Difficulty for the AI players added below (lobby seats keep their own)
+      const aiDifficulty = data.aiDifficulty ?? AI_DIFFICULTIES.NORMAL;
+      if (!isValidDifficulty(aiDifficulty)) {
+        throw errors.invalidInput('aiDifficulty', `must be one of ${Object.values(AI_DIFFICULTIES).join(', ')}`);
+      }
+
+      // The rules this start plays by (with the request's overrides); the seats are
+      // checked and filled against them
+      const rules = game.resolveRules(data.rules);
+      if (!spectatorMode && !aiEnabled && game.players.length < rules.players.min) {
+        throw errors.notEnoughPlayers(rules.players.min);
+      }
+
+      // Optional settings (seed, rules, turn timer, spectator delay, tie rule, end condition,
+      // money visibility, card set), applied all or nothing
+      game.configure(data);
+
+      const addAIPlayer = (index) => {
+        const aiPlayer = createAIPlayer(index, aiDifficulty);
+        game.addPlayer(aiPlayer.id, aiPlayer.name, true); // true = isAI
+        if (aiDifficulty !== AI_DIFFICULTIES.NORMAL) {
+          game.setAIDifficulty(aiPlayer.id, aiDifficulty);
+        }
+        registerAIPlayer(roomCode, aiPlayer);
+        return aiPlayer;
+      };
+
       // Auto-fill with AI players if needed and AI is enabled
       let currentPlayerCount = game.players.length;
 
-      // If spectator mode, remove ALL existing players and add max AI players
+      // If spectator mode, the humans watch and max AI players take every seat
       if (spectatorMode) {
-        console.log(`[AI] Starting spectator mode - removing all players and adding ${GAME_CONFIG.players.max} AI players`);
+        console.log(`[AI] Starting spectator mode - moving humans to spectators and adding ${rules.players.max} AI players`);
 
-        // Remove all existing players (human and AI)
         const playersCopy = [...game.players];
         playersCopy.forEach(player => {
-          game.removePlayer(player.id);
-          // Also remove from AI registry if it's an AI
           if (player.isAI) {
+            game.removePlayer(player.id);
             removeAIPlayer(roomCode, player.id);
+            console.log(`[AI] Removed AI player ${player.name} for spectator mode`);
+            return;
           }
-          console.log(`[AI] Removed ${player.isAI ? 'AI' : 'human'} player ${player.name} for spectator mode`);
+
+          // Humans keep watching the room from the spectator feed
+          roomManager.moveToSpectators(roomCode, player.id);
+          io.in(player.id).socketsLeave(roomCode);
+          io.in(player.id).socketsJoin(getSpectatorChannel(roomCode));
+          console.log(`[AI] ${player.name} is spectating room ${roomCode}`);
         });
 
         // Add max AI players
-        for (let i = 0; i < GAME_CONFIG.players.max; i++) {
-          const aiPlayer = createAIPlayer(i);
-          game.addPlayer(aiPlayer.id, aiPlayer.name, true); // true = isAI
-          registerAIPlayer(roomCode, aiPlayer);
+        for (let i = 0; i < rules.players.max; i++) {
+          const aiPlayer = addAIPlayer(i);
           console.log(`[AI] Added ${aiPlayer.name} (${aiPlayer.id}) for spectator mode`);
         }
-      } else if (aiEnabled && currentPlayerCount < GAME_CONFIG.players.max) {
+      } else if (aiEnabled && currentPlayerCount < rules.players.max) {
         // Fill to max players when AI is enabled
-        const aiPlayersNeeded = GAME_CONFIG.players.max - currentPlayerCount;
-        console.log(`[AI] Adding ${aiPlayersNeeded} AI players to fill room to ${GAME_CONFIG.players.max}`);
+        const aiPlayersNeeded = rules.players.max - currentPlayerCount;
+        console.log(`[AI] Adding ${aiPlayersNeeded} AI players to fill room to ${rules.players.max}`);
 
         for (let i = 0; i < aiPlayersNeeded; i++) {
-          const aiPlayer = createAIPlayer(i);
-          game.addPlayer(aiPlayer.id, aiPlayer.name, true); // true = isAI
-          registerAIPlayer(roomCode, aiPlayer);
+          const aiPlayer = addAIPlayer(i);
           console.log(`[AI] Added ${aiPlayer.name} (${aiPlayer.id}) to room ${roomCode}`);
         }
-      } else if (!aiEnabled && currentPlayerCount < GAME_CONFIG.players.min) {
-        throw errors.notEnoughPlayers(GAME_CONFIG.players.min);
       }
 
       game.startGame();
@@ -95,6 +126,100 @@ export function handleStartGame(socket, roomManager, io) {
   };
 }
 
+/**
+ * Handler for readying up for a rematch after the game is over
+ * Once every connected player is ready, the room's next game starts straight away
+ * with the same seats and settings (see Game#createRematch)
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleRequestRematch(socket, roomManager, io) {
+  return ({ ready = true } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const previous = roomManager.getGame(roomCode);
+      if (!previous) throw errors.roomNotFound(roomCode);
+
+      if (typeof ready !== 'boolean') {
+        throw errors.invalidInput('ready', 'must be true or false');
+      }
+
+      // Everyone sees who is ready, even if the rematch then can't start
+      const tableReady = previous.setRematchReady(socket.id, ready);
+      io.to(roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: previous.getPublicState()
+      });
+
+      if (!tableReady) {
+        callback({ success: true, started: false });
+        return;
+      }
+
+      const game = roomManager.startRematch(roomCode);
+
+      io.to(roomCode).emit(SOCKET_EVENTS.GAME_STARTED, {
+        publicState: game.getPublicState()
+      });
+
+      game.players.forEach(player => {
+        io.to(player.id).emit(SOCKET_EVENTS.PRIVATE_STATE_UPDATE, {
+          privateState: game.getPrivateState(player.id)
+        });
+
+        // Anyone who dropped out without an AI stand-in yet gets one after the usual grace period
+        if (player.connected === false && !player.aiStandIn) {
+          scheduleAITakeover(game, roomCode, io, player.id);
+        }
+      });
+
+      checkAndHandleAITurn(game, roomCode, io);
+
+      callback({ success: true, started: true });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'request_rematch', ready });
+    }
+  };
+}
+
+/**
+ * Handler for changing an AI seat's difficulty in the lobby
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleSetAIDifficulty(socket, roomManager, io) {
+  return ({ playerId, difficulty } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      if (game.host !== socket.id) {
+        throw new GameError('Only the host can change AI difficulty', ERROR_TYPES.PERMISSION);
+      }
+
+      game.setAIDifficulty(playerId, difficulty);
+
+      // AIPlayer weights are fixed at construction, so swap in a new instance
+      const seat = game.players.find(p => p.id === playerId);
+      registerAIPlayer(roomCode, new AIPlayer(seat.id, seat.name, { difficulty }));
+
+      io.to(roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: game.getPublicState()
+      });
+
+      callback({ success: true });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'set_ai_difficulty', playerId, difficulty });
+    }
+  };
+}
+
 /**
  * Handler for getting current game state
  * @param {Object} socket - Socket.io socket instance
@@ -119,3 +244,73 @@ export function handleGetState(socket, roomManager) {
     }
   };
 }
+
+/**
+ * Handler for getting the game's full action history (bids, passes, auction results...)
+ * Players get all of it; spectators get what their delayed view has reached
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ */
+export function handleGetActionHistory(socket, roomManager) {
+  return (data, callback) => {
+    try {
+      const playerRoom = roomManager.getPlayerRoom(socket.id);
+      const roomCode = playerRoom || roomManager.getSpectatorRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      callback({
+        success: true,
+        actions: playerRoom ? game.actionHistory : getSpectatorActionHistory(game)
+      });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'get_action_history' });
+    }
+  };
+}
+
+/**
+ * Handler for loading a finished game's replay by its replay ID
+ * Anyone with the ID can watch it - no seat or room needed
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ */
+export function handleGetReplay(socket, roomManager) {
+  return ({ replayId } = {}, callback) => {
+    try {
+      const id = typeof replayId === 'string' ? replayId.trim().toUpperCase() : '';
+
+      // Only IDs generateReplayId could have made, since the ID ends up in a file path
+      const { replayIdLength, codeChars } = GAME_CONFIG.room;
+      if (id.length !== replayIdLength || [...id].some(char => !codeChars.includes(char))) {
+        throw errors.invalidInput('replayId', 'must be a replay ID');
+      }
+
+      const stored = roomManager.getReplay(id);
+      if (!stored) throw errors.replayNotFound(id);
+
+      callback({ success: true, replay: buildReplay(stored) });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'get_replay', replayId });
+    }
+  };
+}
+
+/**
+ * Handler for listing the card sets a host can pick in the lobby
+ * @param {Object} socket - Socket.io socket instance
+ */
+export function handleGetCardSets(socket) {
+  return (data, callback) => {
+    try {
+      callback({
+        success: true,
+        cardSets: listCardSets()
+      });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'get_card_sets' });
+    }
+  };
+}
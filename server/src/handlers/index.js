@@ -5,25 +5,41 @@
 export {
   handleCreateRoom,
   handleJoinRoom,
+  handleResumeSession,
+  handleSpectateRoom,
   handleLeaveRoom,
   handleDisconnect
 } from './roomHandlers.js';
 
 export {
   handleStartGame,
-  handleGetState
+  handleSetAIDifficulty,
+  handleGetState,
+  handleGetCardSets,
+  handleGetActionHistory,
+  handleGetReplay,
+  handleRequestRematch
 } from './gameHandlers.js';
 
 export {
   handlePlaceBid,
-  handlePass
+  handlePass,
+  handleRequestRoundReset,
+  handleVoteRoundReset
 } from './auctionHandlers.js';
 
 export {
   handleExecuteCardSwap,
-  handleDiscardLuxuryCard
+  handleDiscardLuxuryCard,
+  handleResolveCardEffect
 } from './specialHandlers.js';
 
 export {
-  handleSetChatMode
+  handleSetChatMode,
+  handleSendChatMessage,
+  handleGetChatHistory,
+  handleMutePlayer,
+  handleReportPlayer,
+  handleSetChatFilter,
+  handleSendEmote
 } from './chatHandlers.js';
@@ -1,13 +1,14 @@
 /**
  * Room Management Handlers
- * Handles room creation, joining, and leaving
+ * Handles room creation, joining, spectating and leaving
  */
 
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
 import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
 import { handleSocketError, errors } from '../utils/errorHandler.js';
 import { createAIPlayer } from '../ai/AIPlayer.js';
-import { registerAIPlayer, removeAIPlayer } from '../ai/aiHandler.js';
+import { registerAIPlayer, removeAIPlayer, scheduleAITakeover, releaseAITakeover, checkAndHandleAITurn } from '../ai/aiHandler.js';
+import { getSpectatorChannel, getSpectatorState } from '../services/spectatorFeed.js';
 
 /**
  * Sanitize and validate player name
@@ -62,10 +63,10 @@ function sanitizeRoomCode(code) {
  * @param {Object} io - Socket.io server instance
  */
 export function handleCreateRoom(socket, roomManager, io) {
-  return ({ playerName, aiEnabled }, callback) => {
+  return ({ playerName, aiEnabled, seed }, callback) => {
     try {
       const sanitizedName = sanitizePlayerName(playerName);
-      const { roomCode, game } = roomManager.createRoom(socket.id, sanitizedName);
+      const { roomCode, game, reconnectToken } = roomManager.createRoom(socket.id, sanitizedName, { seed });
 
       // Join socket room
       socket.join(roomCode);
@@ -74,6 +75,7 @@ export function handleCreateRoom(socket, roomManager, io) {
       callback({
         success: true,
         roomCode,
+        reconnectToken,
         publicState: game.getPublicState(),
         privateState: game.getPrivateState(socket.id)
       });
@@ -82,7 +84,7 @@ export function handleCreateRoom(socket, roomManager, io) {
       const shouldFillAI = aiEnabled !== undefined ? aiEnabled : true;
       if (shouldFillAI) {
         const currentPlayerCount = game.players.length;
-        const aiPlayersNeeded = GAME_CONFIG.players.max - currentPlayerCount;
+        const aiPlayersNeeded = game.rules.players.max - currentPlayerCount;
 
         if (aiPlayersNeeded > 0) {
           console.log(`[AI] Auto-filling room ${roomCode} with ${aiPlayersNeeded} AI players`);
@@ -120,7 +122,7 @@ export function handleJoinRoom(socket, roomManager, io) {
     try {
       const sanitizedCode = sanitizeRoomCode(roomCode);
       const sanitizedName = sanitizePlayerName(playerName);
-      const { game, roundWasReset, removedAIPlayer } = roomManager.joinRoom(sanitizedCode, socket.id, sanitizedName);
+      const { game, removedAIPlayer, reconnectToken } = roomManager.joinRoom(sanitizedCode, socket.id, sanitizedName);
 
       // If an AI player was removed to make room, clean up AI reference
       if (removedAIPlayer) {
@@ -130,20 +132,12 @@ export function handleJoinRoom(socket, roomManager, io) {
       // Join socket room
       socket.join(sanitizedCode);
 
-      // If round was reset due to rejoin, emit round_reset event
-      if (roundWasReset) {
-        io.to(sanitizedCode).emit('round_reset', {
-          playerName: sanitizedName
-        });
-      }
-
       // Broadcast updated state to ALL players
-      // This ensures everyone has the updated player IDs and restarted auction if applicable
       io.to(sanitizedCode).emit('state_update', {
         publicState: game.getPublicState()
       });
 
-      // Send private state updates to all players (bids were cleared if auction restarted)
+      // Send private state updates to all players
       game.players.forEach(player => {
         io.to(player.id).emit('private_state_update', {
           privateState: game.getPrivateState(player.id)
@@ -153,6 +147,7 @@ export function handleJoinRoom(socket, roomManager, io) {
       callback({
         success: true,
         roomCode: sanitizedCode,
+        reconnectToken,
         publicState: game.getPublicState(),
         privateState: game.getPrivateState(socket.id)
       });
@@ -162,6 +157,85 @@ export function handleJoinRoom(socket, roomManager, io) {
   };
 }
 
+/**
+ * Handler for resuming a seat with the reconnect token issued on create/join
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleResumeSession(socket, roomManager, io) {
+  return ({ roomCode, reconnectToken }, callback) => {
+    try {
+      const sanitizedCode = sanitizeRoomCode(roomCode);
+      if (!reconnectToken || typeof reconnectToken !== 'string') {
+        throw new Error('Reconnect token is required');
+      }
+
+      const { game, player, previousPlayerId } = roomManager.resumeSession(sanitizedCode, reconnectToken, socket.id);
+
+      // Join socket room
+      socket.join(sanitizedCode);
+
+      // Take the seat back from the AI stand-in (or stop one from being seated)
+      const tookSeatBack = releaseAITakeover(sanitizedCode, previousPlayerId);
+
+      io.to(sanitizedCode).emit(SOCKET_EVENTS.PLAYER_RECONNECTED, {
+        playerId: socket.id,
+        previousPlayerId,
+        playerName: player.name,
+        tookSeatBack,
+        publicState: game.getPublicState()
+      });
+
+      // The returning player may be on turn (restarts their turn timer)
+      checkAndHandleAITurn(game, sanitizedCode, io);
+
+      callback({
+        success: true,
+        roomCode: sanitizedCode,
+        reconnectToken,
+        publicState: game.getPublicState(),
+        privateState: game.getPrivateState(socket.id)
+      });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'resume_session', roomCode });
+    }
+  };
+}
+
+/**
+ * Handler for watching a room without taking a seat
+ * Spectators get the public state only, delayed by the room's spectator delay
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleSpectateRoom(socket, roomManager, io) {
+  return ({ roomCode } = {}, callback) => {
+    try {
+      const sanitizedCode = sanitizeRoomCode(roomCode);
+      const { game } = roomManager.spectateRoom(sanitizedCode, socket.id);
+
+      // Spectators have their own socket room - nothing sent to the players reaches them
+      socket.join(getSpectatorChannel(sanitizedCode));
+
+      // Players see the spectator count go up
+      io.to(sanitizedCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: game.getPublicState()
+      });
+
+      callback({
+        success: true,
+        roomCode: sanitizedCode,
+        spectatorDelay: game.spectatorDelay,
+        publicState: getSpectatorState(game) // null until the delayed feed has something to show
+      });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'spectate_room', roomCode });
+    }
+  };
+}
+
 /**
  * Handler for leaving a room
  * @param {Object} socket - Socket.io socket instance
@@ -170,6 +244,16 @@ export function handleJoinRoom(socket, roomManager, io) {
  */
 export function handleLeaveRoom(socket, roomManager, io) {
   return (data, callback) => {
+    const watched = roomManager.stopSpectating(socket.id);
+    if (watched) {
+      socket.leave(getSpectatorChannel(watched.roomCode));
+      io.to(watched.roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: watched.game.getPublicState()
+      });
+      callback({ success: true });
+      return;
+    }
+
     const result = roomManager.leaveRoom(socket.id);
 
     if (result) {
@@ -201,6 +285,14 @@ export function handleDisconnect(socket, roomManager, io, GAME_PHASES) {
   return () => {
     console.log(`Client disconnected: ${socket.id}`);
 
+    const watched = roomManager.stopSpectating(socket.id);
+    if (watched) {
+      io.to(watched.roomCode).emit(SOCKET_EVENTS.STATE_UPDATE, {
+        publicState: watched.game.getPublicState()
+      });
+      return;
+    }
+
     const roomCode = roomManager.getPlayerRoom(socket.id);
     if (!roomCode) return;
 
@@ -223,6 +315,10 @@ export function handleDisconnect(socket, roomManager, io, GAME_PHASES) {
     } else {
       // Game in progress - just remove socket mapping but keep player in game
       roomManager.playerRooms.delete(socket.id);
+      const isSeated = game.players.some(p => p.id === socket.id);
+      if (isSeated) {
+        game.markDisconnected(socket.id);
+      }
       console.log(`Player ${socket.id} disconnected from active game ${roomCode} (can rejoin)`);
 
       // Notify other players that someone disconnected (but is still in game)
@@ -230,6 +326,11 @@ export function handleDisconnect(socket, roomManager, io, GAME_PHASES) {
         playerId: socket.id,
         publicState: game.getPublicState()
       });
+
+      // If they don't come back in time, an AI plays their seat until they do
+      if (isSeated && game.phase !== GAME_PHASES.GAME_OVER) {
+        scheduleAITakeover(game, roomCode, io, socket.id);
+      }
     }
   };
 }
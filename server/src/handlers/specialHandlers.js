@@ -3,8 +3,10 @@
  * Handles special card effects like card swaps and luxury discards
  */
 
-import { handleSocketError, errors } from '../utils/errorHandler.js';
+import { handleSocketError, errors, GameError, ERROR_TYPES } from '../utils/errorHandler.js';
 import { checkAndHandleAITurn } from '../ai/aiHandler.js';
+import { getEffectForPhase } from '../effects/index.js';
+import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
 
 /**
  * Validate card swap parameters
@@ -120,3 +122,47 @@ export function handleDiscardLuxuryCard(socket, roomManager, io) {
     }
   };
 }
+
+/**
+ * Handler for deciding any card effect (see effects/)
+ * Covers effects without a dedicated event; without a choice the effect's
+ * automatic choice is made (the same one a timed-out turn gets)
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} roomManager - Room manager instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function handleResolveCardEffect(socket, roomManager, io) {
+  return ({ choice } = {}, callback) => {
+    try {
+      const roomCode = roomManager.getPlayerRoom(socket.id);
+      if (!roomCode) throw errors.notInRoom();
+
+      const game = roomManager.getGame(roomCode);
+      if (!game) throw errors.roomNotFound(roomCode);
+
+      const effect = getEffectForPhase(game.phase);
+      if (!effect) throw new GameError('No card effect is waiting for a decision', ERROR_TYPES.GAME_STATE);
+
+      if (choice !== undefined && (choice === null || typeof choice !== 'object' || Array.isArray(choice))) {
+        throw errors.invalidInput('choice', 'must be an object');
+      }
+
+      const player = game.players.find(p => p.id === socket.id);
+      game.resolveCardEffect(socket.id, choice ?? (player && effect.phase.autoChoice(game, player)));
+
+      // Notify all players
+      io.to(roomCode).emit(SOCKET_EVENTS.CARD_EFFECT_RESOLVED, {
+        publicState: game.getPublicState(),
+        playerId: socket.id,
+        effect: effect.name
+      });
+
+      // Check if next turn is an AI player
+      checkAndHandleAITurn(game, roomCode, io);
+
+      callback({ success: true });
+    } catch (error) {
+      handleSocketError(error, callback, socket, { event: 'resolve_card_effect' });
+    }
+  };
+}
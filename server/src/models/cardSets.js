@@ -0,0 +1,153 @@
+// Card set definitions for Low Society
+// A card set is a JSON file in src/cardSets/ listing its cards and deck-building
+// constraints. Sets are validated when loaded, so a broken file is reported
+// (and skipped) at startup instead of failing in the middle of a game.
+//
+// Card types are written out here rather than imported from cards.js,
+// because cards.js builds its default card lists from this module
+
+import { readdirSync, readFileSync } from 'fs';
+import { getCardEffectProblem } from '../effects/index.js';
+
+export const DEFAULT_CARD_SET_ID = 'low-society';
+
+const CARD_SETS_DIRECTORY = new URL('../cardSets/', import.meta.url);
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// What each card type needs; disgrace and special cards need an effect the game
+// knows how to play (see effects/)
+const CARD_RULES = {
+  luxury: (card) => (Number.isInteger(card.value) && card.value > 0
+    ? null
+    : 'luxury cards need a positive whole-number value'),
+  prestige: (card) => (typeof card.multiplier === 'number' && card.multiplier > 1
+    ? null
+    : 'prestige cards need a multiplier greater than 1'),
+  disgrace: getCardEffectProblem,
+  special: getCardEffectProblem
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a card set definition
+ * @param {Object} data - Parsed card set JSON
+ * @returns {Object} The card set { id, name, description, cards, constraints: { secondHalf } }
+ * @throws {Error} Describing the first problem found
+ */
+export function validateCardSet(data) {
+  const fail = (message) => {
+    throw new Error(`Invalid card set${data?.id ? ` "${data.id}"` : ''}: ${message}`);
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected an object');
+  if (typeof data.id !== 'string' || !ID_PATTERN.test(data.id)) fail('id must be lowercase letters, numbers and dashes');
+  if (!isNonEmptyString(data.name)) fail('name is required');
+  if (!Array.isArray(data.cards) || data.cards.length === 0) fail('cards must be a non-empty list');
+
+  const ids = new Set();
+  data.cards.forEach((card, index) => {
+    const where = `card ${index + 1}${isNonEmptyString(card?.id) ? ` (${card.id})` : ''}`;
+
+    if (!card || typeof card !== 'object') fail(`${where} must be an object`);
+    if (!isNonEmptyString(card.id)) fail(`${where} needs an id`);
+    if (ids.has(card.id)) fail(`${where} has a duplicate id`);
+    if (!isNonEmptyString(card.name)) fail(`${where} needs a name`);
+    if (!CARD_RULES[card.type]) fail(`${where} has unknown type "${card.type}"`);
+
+    const problem = CARD_RULES[card.type](card);
+    if (problem) fail(`${where}: ${problem}`);
+
+    ids.add(card.id);
+  });
+
+  // LOW SOCIETY RULE: some cards (the Pawn Shop Trade) are only shuffled into the second half
+  const secondHalf = data.constraints?.secondHalf ?? [];
+  if (!Array.isArray(secondHalf)) fail('constraints.secondHalf must be a list of card ids');
+  secondHalf.forEach(id => {
+    if (!ids.has(id)) fail(`constraints.secondHalf lists unknown card "${id}"`);
+  });
+  if (new Set(secondHalf).size > data.cards.length - Math.floor(data.cards.length / 2)) {
+    fail('constraints.secondHalf has more cards than fit in the second half of the deck');
+  }
+
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    description: typeof data.description === 'string' ? data.description : '',
+    cards: data.cards.map(card => ({ ...card, description: card.description ?? '' })),
+    constraints: { secondHalf: [...new Set(secondHalf)] }
+  };
+}
+
+/**
+ * Load every card set in a directory
+ * Invalid files are logged and skipped; the default set must be present and valid
+ * @param {URL} [directory] - Directory of *.json card sets (a file URL ending in /)
+ * @returns {Map<string, Object>} Card sets by ID
+ * @throws {Error} If the default card set is missing or invalid
+ */
+export function loadCardSets(directory = CARD_SETS_DIRECTORY) {
+  const cardSets = new Map();
+  const files = readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+
+  files.forEach(file => {
+    try {
+      const cardSet = validateCardSet(JSON.parse(readFileSync(new URL(file, directory), 'utf8')));
+      if (cardSets.has(cardSet.id)) {
+        throw new Error(`Duplicate card set id "${cardSet.id}"`);
+      }
+      cardSets.set(cardSet.id, cardSet);
+    } catch (error) {
+      console.error(`[CardSets] Skipping ${file}: ${error.message}`);
+    }
+  });
+
+  if (!cardSets.has(DEFAULT_CARD_SET_ID)) {
+    throw new Error(`Default card set "${DEFAULT_CARD_SET_ID}" is missing or invalid`);
+  }
+
+  return cardSets;
+}
+
+// Loaded on first use
+let cardSets = null;
+
+function getCardSets() {
+  cardSets ??= loadCardSets();
+  return cardSets;
+}
+
+/**
+ * Check whether a card set exists
+ * @param {string} cardSetId - Card set ID
+ * @returns {boolean}
+ */
+export function hasCardSet(cardSetId) {
+  return getCardSets().has(cardSetId);
+}
+
+/**
+ * Get a card set by ID
+ * @param {string} [cardSetId=DEFAULT_CARD_SET_ID] - Card set ID
+ * @returns {Object} The card set
+ * @throws {Error} If there is no such card set
+ */
+export function getCardSet(cardSetId = DEFAULT_CARD_SET_ID) {
+  const cardSet = getCardSets().get(cardSetId);
+  if (!cardSet) {
+    throw new Error(`Unknown card set: ${cardSetId}`);
+  }
+  return cardSet;
+}
+
+/**
+ * List the available card sets (for the lobby)
+ * @returns {Object[]} [{ id, name, description, cardCount }], default set first
+ */
+export function listCardSets() {
+  return [...getCardSets().values()]
+    .map(({ id, name, description, cards }) => ({ id, name, description, cardCount: cards.length }))
+    .sort((a, b) => (a.id === DEFAULT_CARD_SET_ID ? -1 : b.id === DEFAULT_CARD_SET_ID ? 1 : a.name.localeCompare(b.name)));
+}
@@ -1,87 +1,92 @@
 // Card definitions for Low Society
 // Based on High Society mechanics but themed for Low Society
 
+import { getCardSet, DEFAULT_CARD_SET_ID } from './cardSets.js';
+import { getCardEffect } from '../effects/index.js';
+import { BILL_REMOVAL_RULES } from './rules.js';
+import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
+
 export const CARD_TYPES = {
   LUXURY: 'luxury',
   PRESTIGE: 'prestige',
   DISGRACE: 'disgrace'
 };
 
+// The default deck comes from the Low Society card set (src/cardSets/low-society.json)
+const defaultCards = getCardSet(DEFAULT_CARD_SET_ID).cards;
+
 // Low Society themed luxury items (replaces high-end art)
-export const LUXURY_CARDS = [
-  { id: 'lux-1', type: CARD_TYPES.LUXURY, value: 1, name: 'Pabst Blue Ribbon 6-Pack', description: 'The beer of choice' },
-  { id: 'lux-2', type: CARD_TYPES.LUXURY, value: 2, name: 'NASCAR Baseball Cap', description: 'Limited edition' },
-  { id: 'lux-3', type: CARD_TYPES.LUXURY, value: 3, name: 'Muddin\' Truck Tires', description: 'Barely used' },
-  { id: 'lux-4', type: CARD_TYPES.LUXURY, value: 4, name: 'Velvet Elvis Painting', description: 'True art' },
-  { id: 'lux-5', type: CARD_TYPES.LUXURY, value: 5, name: 'Strange Mongrel Dog', description: 'Best friend material' },
-  { id: 'lux-6', type: CARD_TYPES.LUXURY, value: 6, name: 'Jack Daniel\'s Whiskey', description: 'The good stuff' },
-  { id: 'lux-7', type: CARD_TYPES.LUXURY, value: 7, name: 'Camouflage Couch', description: 'You can\'t even see it' },
-  { id: 'lux-8', type: CARD_TYPES.LUXURY, value: 8, name: 'Above Ground Pool', description: 'Luxury living' },
-  { id: 'lux-9', type: CARD_TYPES.LUXURY, value: 9, name: 'Lifted Pickup Truck', description: 'With truck nuts' },
-  { id: 'lux-10', type: CARD_TYPES.LUXURY, value: 10, name: 'Double Wide Trailer', description: 'Prime real estate' }
-];
+export const LUXURY_CARDS = defaultCards.filter(card => card.type === CARD_TYPES.LUXURY);
 
 // Prestige cards - doubles your status (theme: ultimate achievements)
 // LOW SOCIETY RULE: Only 2 "good" cards
-export const PRESTIGE_CARDS = [
-  { id: 'pres-1', type: CARD_TYPES.PRESTIGE, multiplier: 2, name: 'Mullet Hairstyle', description: 'Business in front, party in back' },
-  { id: 'pres-2', type: CARD_TYPES.PRESTIGE, multiplier: 2, name: 'Monster Truck Rally Tickets', description: 'VIP section' }
-];
+export const PRESTIGE_CARDS = defaultCards.filter(card => card.type === CARD_TYPES.PRESTIGE);
 
 // Disgrace cards - negative effects
 // LOW SOCIETY RULE: Only 2 "bad" cards
-export const DISGRACE_CARDS = [
-  { id: 'disg-1', type: CARD_TYPES.DISGRACE, effect: 'faux-pas', name: 'Repo Man', description: 'Lose one luxury item' },
-  { id: 'disg-2', type: CARD_TYPES.DISGRACE, effect: 'passe', penalty: -5, name: 'DUI Citation', description: 'Lose 5 status' }
-];
+export const DISGRACE_CARDS = defaultCards.filter(card => card.type === CARD_TYPES.DISGRACE);
 
 // NEW: Low Society specific card - Card Trading
-export const SPECIAL_CARDS = [
-  { id: 'spec-1', type: 'special', effect: 'card-swap', name: 'Pawn Shop Trade', description: 'Winner swaps two cards between players' }
-];
+export const SPECIAL_CARDS = defaultCards.filter(card => card.type === 'special');
 
 // Money cards (Food Stamp Bills in Low Society theme)
-// Each player gets these denominations
-export const MONEY_DENOMINATIONS = [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25];
+// Each player gets these denominations under the standard rules (rooms can change them, see rules.js)
+export const MONEY_DENOMINATIONS = GAME_CONFIG.money.denominations;
+
+// Build the complete item deck from a card set (the Low Society set by default)
+// Pass a seeded random function (see utils/random.js) to get a reproducible order,
+// and the room's deck rules to play with fewer cards of some types
+export function buildItemDeck(random = Math.random, cardSet = getCardSet(DEFAULT_CARD_SET_ID), deckRules = {}) {
+  const cards = selectDeckCards(cardSet.cards, deckRules, random);
 
-// Build the complete item deck
-export function buildItemDeck() {
   // LOW SOCIETY RULE: Special deck building to ensure swap card appears in cards 8-15
-  // 1. Separate swap card from other cards
-  const swapCard = SPECIAL_CARDS[0]; // Pawn Shop Trade
-  const otherCards = [
-    ...LUXURY_CARDS,
-    ...PRESTIGE_CARDS,
-    ...DISGRACE_CARDS
-  ];
+  // 1. Separate the second-half cards (the Pawn Shop Trade) from the other cards
+  const reserved = new Set(cardSet.constraints.secondHalf);
+  const lateCards = cards.filter(card => reserved.has(card.id));
+  const otherCards = cards.filter(card => !reserved.has(card.id));
 
   // 2. Shuffle all other cards (14 cards)
-  const shuffledOthers = shuffleDeck(otherCards);
+  const shuffledOthers = shuffleDeck(otherCards, random);
 
-  // 3. Split into two piles of 7 each
-  const firstHalf = shuffledOthers.slice(0, 7);
-  const secondHalf = shuffledOthers.slice(7, 14);
+  // 3. Split into two piles (7 and 7)
+  const firstHalfSize = Math.floor(cards.length / 2);
+  const firstHalf = shuffledOthers.slice(0, firstHalfSize);
+  const secondHalf = shuffledOthers.slice(firstHalfSize);
 
   // 4. Shuffle the swap card into the second half
-  const secondHalfWithSwap = shuffleDeck([...secondHalf, swapCard]);
+  const secondHalfWithSwap = shuffleDeck([...secondHalf, ...lateCards], random);
 
   // 5. Put first half on top of second half
   return [...firstHalf, ...secondHalfWithSwap];
 }
 
+// Keep at most deckRules[type] cards of each type (null or missing keeps them all),
+// picked at random so a smaller deck still differs from game to game
+function selectDeckCards(cards, deckRules, random) {
+  const dropped = new Set();
+
+  Object.entries(deckRules).forEach(([type, count]) => {
+    const ofType = cards.filter(card => card.type === type);
+    if (count === null || count >= ofType.length) return;
+    shuffleDeck(ofType, random).slice(count).forEach(card => dropped.add(card.id));
+  });
+
+  return cards.filter(card => !dropped.has(card.id));
+}
+
 // Shuffle utility
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
 // Create a player's money hand
-export function createMoneyHand() {
-  return MONEY_DENOMINATIONS.map((value, index) => ({
+export function createMoneyHand(denominations = MONEY_DENOMINATIONS) {
+  return denominations.map((value, index) => ({
     id: `money-${value}`,
     value,
     available: true
@@ -89,19 +94,25 @@ export function createMoneyHand() {
 }
 
 // LOW SOCIETY RULE: Remove one random money bill (not lowest or highest)
-export function removeRandomBill(moneyHand) {
+// Rooms can instead remove any bill, or none (see BILL_REMOVAL_RULES in rules.js)
+export function removeRandomBill(moneyHand, random = Math.random, billRemoval = BILL_REMOVAL_RULES.MIDDLE) {
+  if (billRemoval === BILL_REMOVAL_RULES.NONE) return null;
+
   const eligibleIndices = [];
+  const values = moneyHand.map(bill => bill.value);
+  const lowest = Math.min(...values);
+  const highest = Math.max(...values);
 
-  // Find indices of bills that are not the lowest (1) or highest (25)
+  // Find indices of bills that are not the lowest or highest ($1 and $25 in the standard hand)
   moneyHand.forEach((bill, index) => {
-    if (bill.value !== 1 && bill.value !== 25) {
+    if (billRemoval === BILL_REMOVAL_RULES.ANY || (bill.value !== lowest && bill.value !== highest)) {
       eligibleIndices.push(index);
     }
   });
 
   // Randomly select one to remove
   if (eligibleIndices.length > 0) {
-    const randomIndex = eligibleIndices[Math.floor(Math.random() * eligibleIndices.length)];
+    const randomIndex = eligibleIndices[Math.floor(random() * eligibleIndices.length)];
     const removedBill = moneyHand[randomIndex];
     moneyHand.splice(randomIndex, 1);
     return removedBill;
@@ -110,44 +121,51 @@ export function removeRandomBill(moneyHand) {
   return null;
 }
 
-// LOW SOCIETY RULE: No game-ending cards - play through entire deck!
-// This function is kept for compatibility but always returns false
+// Red-bordered cards: the prestige and disgrace cards (4 in total, like High Society's)
+// LOW SOCIETY RULE: the whole deck is played by default - these only end the game
+// with the classic end condition (see GAME_END_CONDITIONS in game.js)
 export function isGameEndingCard(card) {
-  return false; // Game only ends when deck is empty
+  return card.type === CARD_TYPES.PRESTIGE || card.type === CARD_TYPES.DISGRACE;
 }
 
-// Calculate player's final score
-export function calculateScore(player) {
-  let score = 0;
-  let prestigeMultiplier = 1;
-
+// Work out a player's final score step by step (shown on the game over screen)
+// Luxury values are summed, multiplied by every prestige card, then each disgrace
+// penalty is applied in won-card order; the total is floored at 0
+// Returns { luxuryTotal, prestigeMultiplier, penalties: [{ cardId, cardName, before, after }], total }
+export function calculateScoreBreakdown(player) {
   // Count luxury cards
-  player.wonCards.forEach(card => {
-    if (card.type === CARD_TYPES.LUXURY) {
-      score += card.value;
-    }
-  });
+  const luxuryTotal = player.wonCards
+    .filter(card => card.type === CARD_TYPES.LUXURY)
+    .reduce((sum, card) => sum + card.value, 0);
 
   // Count prestige multipliers
-  player.wonCards.forEach(card => {
-    if (card.type === CARD_TYPES.PRESTIGE) {
-      prestigeMultiplier *= card.multiplier;
-    }
-  });
+  const prestigeMultiplier = player.wonCards
+    .filter(card => card.type === CARD_TYPES.PRESTIGE)
+    .reduce((multiplier, card) => multiplier * card.multiplier, 1);
 
   // Apply prestige multiplier
-  score *= prestigeMultiplier;
+  let score = luxuryTotal * prestigeMultiplier;
 
-  // Apply disgrace penalties
+  // Apply disgrace penalties (passe, scandale - see effects/)
+  const penalties = [];
   player.wonCards.forEach(card => {
-    if (card.type === CARD_TYPES.DISGRACE) {
-      if (card.effect === 'passe') {
-        score += card.penalty; // penalty is negative
-      } else if (card.effect === 'scandale') {
-        score *= card.penalty; // penalty is 0.5 (halves score)
-      }
+    const effect = getCardEffect(card);
+    if (effect?.score) {
+      const before = score;
+      score = effect.score(score, card);
+      penalties.push({ cardId: card.id, cardName: card.name, before, after: score });
     }
   });
 
-  return Math.max(0, Math.floor(score));
+  return {
+    luxuryTotal,
+    prestigeMultiplier,
+    penalties,
+    total: Math.max(0, Math.floor(score))
+  };
+}
+
+// Calculate player's final score
+export function calculateScore(player) {
+  return calculateScoreBreakdown(player).total;
 }
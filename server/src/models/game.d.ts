@@ -55,6 +55,9 @@ export interface Player {
   currentBid: MoneyCard[];
   hasPassed: boolean;
   removedBill: MoneyCard | null;
+  connected: boolean;
+  aiStandIn: boolean;
+  aiDifficulty: AIDifficulty | null;
 }
 
 /**
@@ -64,7 +67,9 @@ export interface PublicPlayer {
   id: string;
   name: string;
   isAI: boolean;
-  remainingMoney: number;
+  remainingMoney: number | null;  // null when money is hidden
+  spentMoney: number[];           // Values of the bills they've paid
+  bidMoney: number[];             // Values of the bills in their current bid
   wonCardsCount: number;
   wonCards: Card[];
   hasPassed: boolean;
@@ -82,30 +87,269 @@ export interface Auction {
   currentTurnIndex: number;
   currentTurnPlayerId: string;
   swapWinner?: string;  // For card swap phase
+  resetVote: RoundResetVote | null;
+  turnDeadline: number | null;  // Epoch ms when the current human turn times out
 }
 
 /**
- * Player score for game results
+ * Room turn timer (set at start_game)
  */
-export interface PlayerScore {
+/**
+ * AI difficulty the host picks per AI seat
+ */
+export type AIDifficulty = 'easy' | 'normal' | 'hard' | 'expert';
+
+/**
+ * AI personality (tied to the AI's name)
+ */
+export type AIPersonality = 'cautious' | 'reckless' | 'spiteful' | 'hoarder';
+
+/**
+ * Who is eliminated when several players tie for the least money
+ */
+export type PoorestTieRule = 'eliminate_all' | 'lowest_score';
+
+/**
+ * When the game ends: the full deck, or (classic) when the last red-bordered card is drawn
+ */
+export type GameEndCondition = 'full_deck' | 'classic';
+
+/**
+ * Whether remaining money totals are public, or hidden and counted from spent bills
+ */
+export type MoneyVisibility = 'open' | 'hidden';
+
+/**
+ * Card set the deck is built from (JSON files in server/src/cardSets/)
+ */
+export interface CardSetSummary {
   id: string;
   name: string;
-  prestigeScore: number;
-  luxuryScore: number;
-  disgraceScore: number;
-  totalScore: number;
-  remainingMoney: number;
+  cardCount: number | null;  // null if the set is no longer installed (replayed games)
+}
+
+/**
+ * Card effect decision the game is waiting on (server/src/effects/)
+ */
+export interface PendingEffect {
+  effect: string;     // Effect name, e.g. 'card-swap'
+  playerId: string;   // Player who took the card and decides
+}
+
+/**
+ * Rules a room plays by (server/src/models/rules.js)
+ * Server defaults come from config.js; the host can override any part at start_game
+ */
+export interface GameRules {
+  players: { min: number; max: number };
+  money: {
+    denominations: number[];                  // Each player's bills, lowest first
+    billRemoval: 'middle' | 'any' | 'none';   // Bill each player loses at the start
+  };
+  deck: {                                     // Most cards of each type to use (null = all)
+    luxury: number | null;
+    prestige: number | null;
+    disgrace: number | null;
+    special: number | null;
+  };
+  turnTimer: { minSeconds: number; maxSeconds: number };
+}
+
+/**
+ * Partial rules sent at start_game (merged over the server defaults)
+ */
+export type GameRulesOverrides = { [Section in keyof GameRules]?: Partial<GameRules[Section]> };
+
+/**
+ * Room settings a game can be started with (see Game#configure)
+ */
+export interface GameStartOptions {
+  seed?: number | string | null;
+  rules?: GameRulesOverrides;
+  turnTimer?: TurnTimer | null;
+  spectatorDelay?: number;
+  poorestTieRule?: PoorestTieRule;
+  endCondition?: GameEndCondition;
+  moneyVisibility?: MoneyVisibility;
+  cardSetId?: string;
+}
+
+/**
+ * Card set as listed by get_card_sets
+ */
+export interface CardSetListing {
+  id: string;
+  name: string;
+  description: string;
+  cardCount: number;
+}
+
+export interface TurnTimer {
+  seconds: number;
+  onTimeout: 'auto_pass' | 'ai';
+}
+
+/**
+ * Pending round-reset vote (proposed by the host, decided by human majority)
+ */
+export interface RoundResetVote {
+  proposedBy: string;
+  votes: Record<string, boolean>;  // playerId -> approve
+}
+
+/**
+ * One player's final result (see Game.endGame)
+ */
+export interface PlayerResult {
+  id: string;
+  name: string;
+  score: number;            // 0 for eliminated players
+  money: number;
   wonCards: Card[];
-  isLoser: boolean;
-  loserReason?: string;
+  eliminated?: true;        // Had the least money (see PoorestTieRule)
+  place: number | null;     // 1-based, shared by players tied on score, money and best luxury; null if eliminated
+  sharedPlace: boolean;
+  stats: PlayerStats;
+}
+
+/**
+ * How a score was worked out (see calculateScoreBreakdown)
+ */
+export interface ScoreBreakdown {
+  luxuryTotal: number;
+  prestigeMultiplier: number;
+  penalties: { cardId: string; cardName: string; before: number; after: number }[];  // Disgrace cards, in won-card order
+  total: number;            // Before elimination
+}
+
+/**
+ * A player's end-of-game stats (see buildPlayerStats)
+ */
+export interface PlayerStats {
+  score: ScoreBreakdown;
+  totalSpent: number;
+  removedBill: number | null;  // Bill taken away at the start
+  cards: { card: Card; auctionType: AuctionType; price: number }[];  // Cards taken at auction; nothing paid for disgrace
+  paidToAvoid: number;      // Paid in reverse auctions other players lost
+}
+
+/**
+ * A fun award handed out at the end of the game (see pickAwards)
+ */
+export interface GameAward {
+  id: 'biggest_overpay' | 'bargain_hunter' | 'repo_man_victim' | 'cheapskate' | 'big_spender';
+  icon: string;
+  title: string;
+  description: string;
+  playerId: string;
+  playerName: string;
+}
+
+/**
+ * One player's running totals across a table's rematches (see Game#addToSessionTally)
+ */
+export interface SessionTallyEntry {
+  playerId: string;
+  playerName: string;
+  gamesPlayed: number;
+  wins: number;             // Games finished in first place (shared wins count)
+  totalScore: number;
+}
+
+/**
+ * Games played by the same table in one room (see request_rematch)
+ */
+export interface GameSession {
+  gameNumber: number;       // 1 for the room's first game; also rotates who starts
+  tally: SessionTallyEntry[];
 }
 
 /**
- * Game results
+ * Final results: survivors ranked by score, then money, then highest luxury card;
+ * eliminated players last
  */
-export interface GameResults {
-  winner: PlayerScore;
-  players: PlayerScore[];
+export type GameResults = PlayerResult[];
+
+/**
+ * Chat message typed by a player (see Game.sendChatMessage)
+ */
+export interface PlayerChatMessage {
+  id: string;
+  playerId: string;
+  playerName: string;
+  message: string;          // Masked if the room's profanity filter was on
+  isAI: false;
+  timestamp: number;
+}
+
+/**
+ * Quick-chat emote sent by a player (see Game.sendEmote)
+ */
+export interface Emote {
+  playerId: string;
+  playerName: string;
+  emoteId: string;          // Key of EMOTES in chatConfig.js
+  icon: string;
+  text: string | null;      // Some emotes are just an icon
+  timestamp: number;
+}
+
+/**
+ * A player reported for their chat (see Game.reportPlayer)
+ */
+export interface ChatReport {
+  reporterId: string;
+  reporterName: string;
+  reportedId: string;
+  reportedName: string;
+  reason: string;
+  messages: { message: string; timestamp: number }[];  // The reported player's recent messages
+  timestamp: number;
+}
+
+/**
+ * Kind of entry in a game's action history (see GAME_ACTION_TYPES)
+ * Card effect decisions use their effect's event type (cards_swapped, luxury_discarded, ...)
+ */
+export type GameActionType =
+  | 'game_started'
+  | 'auction_started'
+  | 'bid'
+  | 'pass'
+  | 'auction_ended'
+  | 'auction_restarted'
+  | 'game_ending_card_drawn'
+  | 'cards_swapped'
+  | 'luxury_discarded'
+  | 'game_ended';
+
+/**
+ * Bills one player paid when an auction ended
+ */
+export interface ActionPayment {
+  playerId: string;
+  playerName: string;
+  bills: number[];                // Bill values
+  amount: number;
+}
+
+/**
+ * One entry in a game's action history (public information only), by type:
+ * - game_started: { players: { playerId, playerName }[] }
+ * - auction_started: { card, auctionType, startingPlayerId, startingPlayerName }
+ * - bid: { playerId, playerName, bills, bidTotal } (bills are the whole bid, not what was added)
+ * - pass: { playerId, playerName }
+ * - auction_ended: { card, auctionType, playerId, playerName, payments: ActionPayment[] } (player took the card)
+ * - auction_restarted / game_ending_card_drawn: { card }
+ * - cards_swapped: { playerId, playerName, skipped, player1Id, player1Name, card1, player2Id, player2Name, card2 }
+ * - luxury_discarded: { playerId, playerName, card }
+ * - game_ended: { results: { playerId, playerName, place, score, eliminated }[] }
+ */
+export interface GameAction {
+  seq: number;                    // Position in the history, from 0
+  type: GameActionType;
+  timestamp: number;
+  data: Record<string, any>;
 }
 
 /**
@@ -120,8 +364,23 @@ export interface PublicState {
   deckSize: number;
   currentAuction: Auction | null;
   results: GameResults | null;
+  awards: GameAward[] | null;
   host: string;
   discardingPlayerId: string | null;
+  poorestTieRule: PoorestTieRule;
+  endCondition: GameEndCondition;
+  moneyVisibility: MoneyVisibility;
+  gameEndingCardsDrawn: number;
+  gameEndingCardCount: number;
+  cardSet: CardSetSummary;
+  rules: GameRules;
+  pendingEffect: PendingEffect | null;
+  chatFilter: boolean;
+  spectatorCount: number;
+  spectatorDelay: number;
+  replayId: string | null;
+  session: GameSession;
+  rematchReadyIds: string[];
 }
 
 /**
@@ -131,6 +390,7 @@ export interface PrivateState {
   moneyHand: MoneyCard[];
   removedBill: MoneyCard | null;
   currentBid: MoneyCard[];
+  mutedPlayerIds: string[];
 }
 
 /**
@@ -146,14 +406,32 @@ export class Game {
   host: string | null;
   createdAt: number;
   results: GameResults | null;
+  awards: GameAward[] | null;
+  session: GameSession;
+  rematchReadyIds: string[];
   nextStartingPlayerId: string | null;
   discardingPlayerId: string | null;
+  poorestTieRule: PoorestTieRule;
+  endCondition: GameEndCondition;
+  moneyVisibility: MoneyVisibility;
+  gameEndingCardsDrawn: number;
+  gameEndingCardCount: number;
+  cardSetId: string;
+  rules: GameRules;
+  chatFilter: boolean;
+  chatMutes: Record<string, string[]>;
+  chatReports: ChatReport[];
+  spectatorDelay: number;
+  spectatorIds: Set<string>;
+  actionHistory: GameAction[];
+  onAction: ((action: GameAction, game: Game) => void) | null;
+  replayId: string | null;
 
   /**
    * Create a new game instance
    * @param roomCode - Unique room code for this game
    */
-  constructor(roomCode: string);
+  constructor(roomCode: string, options?: { seed?: number | string; poorestTieRule?: PoorestTieRule; endCondition?: GameEndCondition; moneyVisibility?: MoneyVisibility; cardSetId?: string; rules?: GameRulesOverrides });
 
   /**
    * Add a player to the game
@@ -174,9 +452,9 @@ export class Game {
   /**
    * Start the game
    * Initializes deck, removes random bills, starts first auction
-   * @throws Error if not enough players
+   * @throws Error if not enough players or a setting is invalid (nothing is changed)
    */
-  startGame(): void;
+  startGame(options?: GameStartOptions): void;
 
   /**
    * Start the next auction
@@ -185,12 +463,123 @@ export class Game {
    */
   startNextAuction(): void;
 
+  /**
+   * Set the room's turn timer (null turns timers off)
+   * @throws Error if invalid or the game already started
+   */
+  setTurnTimer(turnTimer: TurnTimer | null): void;
+
+  /**
+   * Set how many seconds the spectator view lags behind the game (0 = live)
+   * @throws Error if invalid or the game already started
+   */
+  setSpectatorDelay(seconds: number): void;
+
+  /**
+   * Start counting a spectator (spectators only see the public state)
+   * @throws Error if the spectator is a player in this game
+   */
+  addSpectator(spectatorId: string): void;
+
+  /**
+   * Stop counting a spectator
+   */
+  removeSpectator(spectatorId: string): void;
+
+  /**
+   * Set who is eliminated when several players tie for the least money
+   * @throws Error if the rule is unknown or the game already started
+   */
+  setPoorestTieRule(rule: PoorestTieRule): void;
+
+  /**
+   * Set when the game ends (classic: the last red-bordered card ends it unplayed)
+   * @throws Error if the end condition is unknown or the game already started
+   */
+  setEndCondition(endCondition: GameEndCondition): void;
+
+  /**
+   * Set whether remaining money is public or hidden (spent bills and bids stay public)
+   * @throws Error if the visibility is unknown or the game already started
+   */
+  setMoneyVisibility(moneyVisibility: MoneyVisibility): void;
+
+  /**
+   * Choose the card set the deck is built from
+   * @throws Error if the card set is unknown or the game already started
+   */
+  setCardSet(cardSetId: string): void;
+
+  /**
+   * Override the server's default rules for this room (merged setting by setting)
+   * @throws Error if the rules are invalid, don't fit the room, or the game already started
+   */
+  setRules(overrides: GameRulesOverrides): void;
+
+  /**
+   * The rules the room would play by with these overrides (its own if there are none)
+   * @throws Error if the overrides are invalid
+   */
+  resolveRules(overrides?: GameRulesOverrides): GameRules;
+
+  /**
+   * Change several room settings at once, all or nothing
+   * @throws Error if any setting is invalid (nothing is changed)
+   */
+  configure(settings: GameStartOptions): void;
+
+  /**
+   * IDs of the players eliminated for having the least money
+   */
+  getEliminatedPlayerIds(): string[];
+
+  /**
+   * Player the game is waiting on (bidder, swap winner or discarding player)
+   */
+  getTurnPlayerId(): string | null;
+
+  /**
+   * Set how well an AI seat plays (lobby only)
+   * @throws Error if the seat is not an AI, the difficulty is unknown or the game started
+   */
+  setAIDifficulty(playerId: string, difficulty: AIDifficulty): void;
+
+  /**
+   * Mark a seated player's socket as gone
+   */
+  markDisconnected(playerId: string): void;
+
+  /**
+   * Let an AI play a disconnected human's seat until they resume
+   * @throws Error if the player is unknown, already AI-played, or still connected
+   */
+  handSeatToAI(playerId: string): void;
+
   /**
    * Restart the current auction
-   * Used when a player rejoins during an active auction
+   * Used when the table votes for a round reset
    */
   restartCurrentAuction(): void;
 
+  /**
+   * Propose a round reset (host only; counts as a yes vote)
+   * @returns 'pending', 'passed' or 'rejected'
+   * @throws Error if not in an auction, not the host, or a vote is running
+   */
+  proposeRoundReset(playerId: string): 'pending' | 'passed' | 'rejected';
+
+  /**
+   * Vote on the pending round reset (human players only, once each)
+   * @returns 'pending', 'passed' or 'rejected'
+   * @throws Error if no vote is running, the player is an AI, or already voted
+   */
+  voteRoundReset(playerId: string, approve: boolean): 'pending' | 'passed' | 'rejected';
+
+  /**
+   * Yes votes needed for a round reset (majority of human players)
+   */
+  getRoundResetVotesNeeded(): number;
+
   /**
    * Place a bid in the current auction
    * @param playerId - ID of player placing bid
@@ -224,6 +613,14 @@ export class Game {
     card2Id: string | null
   ): void;
 
+  /**
+   * Settle the card effect the game is waiting on, then start the next auction
+   * @param playerId - ID of the player who took the card
+   * @param choice - Effect-specific choice (see the effect's phase)
+   * @throws Error if no effect is pending or another player decides
+   */
+  resolveCardEffect(playerId: string, choice?: object): void;
+
   /**
    * Discard a luxury card (Repo Man effect)
    * @param playerId - ID of player discarding
@@ -261,10 +658,75 @@ export class Game {
   getPrivateState(playerId: string): PrivateState | null;
 
   /**
-   * End the game and calculate results
+   * Post a chat message from a human player (trimmed, length and rate limited, profanity masked if the filter is on)
+   * @throws Error if the player is unknown or an AI, or the message is empty, too long or too soon
+   */
+  sendChatMessage(playerId: string, text: string, now?: number): PlayerChatMessage;
+
+  /**
+   * Messages players have typed, leaving out players the given player has muted
+   */
+  getPlayerChatHistory(playerId?: string): PlayerChatMessage[];
+
+  /**
+   * Send a quick-chat emote from a human player (rate limited, not kept in the chat history)
+   * @throws Error if the player is unknown or an AI, the emote is unknown or it's too soon
+   */
+  sendEmote(playerId: string, emoteId: string, now?: number): Emote;
+
+  /**
+   * Switch the profanity filter for player chat on or off
+   * @throws Error if enabled is not a boolean
+   */
+  setChatFilter(enabled: boolean): void;
+
+  /**
+   * IDs of the players whose chat a player has muted
+   */
+  getMutedPlayerIds(playerId: string): string[];
+
+  /**
+   * Mute or unmute another player's chat for one player
+   * @returns The IDs the player now has muted
+   * @throws Error if either player is unknown or they try to mute themselves
+   */
+  setPlayerMuted(playerId: string, targetId: string, muted?: boolean): string[];
+
+  /**
+   * Report a player's chat; the reporter also mutes them
+   * @throws Error if either player is unknown, the target is an AI or the reporter is the target
+   */
+  reportPlayer(playerId: string, targetId: string, reason?: string): ChatReport;
+
+  /**
+   * Append an action to the public action history (and tell onAction)
+   */
+  recordAction(type: GameActionType, data: object): GameAction;
+
+  /**
+   * End the game and rank the players (ties share a place)
    * @returns Game results
    */
   endGame(): GameResults;
+
+  /**
+   * Ready up for a rematch once the game is over (or take it back)
+   * @returns Whether the whole table is now ready
+   * @throws Error if the game isn't over, the player is unknown or an AI
+   */
+  setRematchReady(playerId: string, ready?: boolean): boolean;
+
+  /**
+   * True once every connected human is ready for a rematch
+   */
+  isRematchReady(): boolean;
+
+  /**
+   * The room's next game: same seats, settings and chat, a different starting player,
+   * and the session tally carried over (still waiting to start)
+   * @throws Error if the table isn't ready
+   */
+  createRematch(): Game;
 }
 
 /**
@@ -275,6 +737,22 @@ export const AUCTION_TYPES: {
   REVERSE: 'reverse';
 };
 
+/**
+ * Action history entry types
+ */
+export const GAME_ACTION_TYPES: {
+  GAME_STARTED: 'game_started';
+  AUCTION_STARTED: 'auction_started';
+  BID: 'bid';
+  PASS: 'pass';
+  AUCTION_ENDED: 'auction_ended';
+  AUCTION_RESTARTED: 'auction_restarted';
+  GAME_ENDING_CARD_DRAWN: 'game_ending_card_drawn';
+  CARDS_SWAPPED: 'cards_swapped';
+  LUXURY_DISCARDED: 'luxury_discarded';
+  GAME_ENDED: 'game_ended';
+};
+
 /**
  * Game phase constants (re-exported from shared constants)
  */
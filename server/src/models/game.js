@@ -5,10 +5,17 @@
  */
 
 import { buildItemDeck, createMoneyHand, removeRandomBill, isGameEndingCard, calculateScore, CARD_TYPES } from './cards.js';
+import { buildPlayerStats, pickAwards } from './gameStats.js';
+import { getCardSet, hasCardSet, DEFAULT_CARD_SET_ID } from './cardSets.js';
+import { validateRules, getDefaultRules, countDeckCards, BILL_REMOVAL_RULES } from './rules.js';
+import { getCardEffect, getEffectForPhase, getEffectForEvent } from '../effects/index.js';
 import { GAME_PHASES } from '../shared/constants/gamePhases.js';
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
-import { CHAT_MODES } from '../shared/constants/chatConfig.js';
+import { CHAT_MODES, CHAT_CONFIG, EMOTES } from '../shared/constants/chatConfig.js';
 import { StorySystem } from '../ai/storySystem.js';
+import { createSeededRandom, generateSeed } from '../utils/random.js';
+import { filterProfanity } from '../utils/profanityFilter.js';
+import { AI_DIFFICULTIES, isValidDifficulty, getPersonalityForName } from '../ai/aiProfiles.js';
 
 // Re-export for backwards compatibility
 export { GAME_PHASES };
@@ -24,6 +31,182 @@ export const AUCTION_TYPES = {
   REVERSE: 'reverse'
 };
 
+/**
+ * What happens when a human player's turn timer runs out
+ * @enum {string}
+ */
+export const TURN_TIMEOUT_ACTIONS = {
+  /** Pass (or skip the swap / discard the cheapest luxury) on the player's behalf */
+  AUTO_PASS: 'auto_pass',
+  /** Let an AI player make the decision for that turn */
+  AI: 'ai'
+};
+
+/**
+ * Who is eliminated when several players tie for the least money
+ * House rule under both: if every player has the same money, nobody is eliminated
+ * (otherwise the game would have no winner)
+ * @enum {string}
+ */
+export const POOREST_TIE_RULES = {
+  /** Official rule - every tied player is eliminated */
+  ELIMINATE_ALL: 'eliminate_all',
+  /** Only the tied player with the lowest score is eliminated (all of them if that ties too) */
+  LOWEST_SCORE: 'lowest_score'
+};
+
+/**
+ * When the game ends
+ * @enum {string}
+ */
+export const GAME_END_CONDITIONS = {
+  /** Low Society rule - every card in the deck is auctioned */
+  FULL_DECK: 'full_deck',
+  /** High Society rule - drawing the last red-bordered card ends the game, unplayed */
+  CLASSIC: 'classic'
+};
+
+/**
+ * What the table can see of each player's money
+ * @enum {string}
+ */
+export const MONEY_VISIBILITY = {
+  /** Every player's remaining total is public */
+  OPEN: 'open',
+  /** High Society rule - only spent bills and bills on the table are public, the rest is deduced */
+  HIDDEN: 'hidden'
+};
+
+/**
+ * Game event types recorded in the per-game event log
+ * Every state change is written as one of these, so the log can rebuild the game
+ * @enum {string}
+ */
+export const GAME_EVENT_TYPES = {
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_RECONNECTED: 'player_reconnected',
+  PLAYER_DISCONNECTED: 'player_disconnected',
+  SEAT_HANDED_TO_AI: 'seat_handed_to_ai',
+  AI_DIFFICULTY_CHANGED: 'ai_difficulty_changed',
+  CHAT_MODE_CHANGED: 'chat_mode_changed',
+  CHAT_FILTER_CHANGED: 'chat_filter_changed',
+  GAME_STARTED: 'game_started',
+  BILL_REMOVED: 'bill_removed',
+  CARD_DRAWN: 'card_drawn',
+  BID_PLACED: 'bid_placed',
+  PLAYER_PASSED: 'player_passed',
+  AUCTION_RESTARTED: 'auction_restarted',
+  ROUND_RESET_PROPOSED: 'round_reset_proposed',
+  ROUND_RESET_VOTED: 'round_reset_voted',
+  // Card effect decisions are logged under their effect's eventType (see effects/)
+  CARDS_SWAPPED: 'cards_swapped',
+  LUXURY_DISCARDED: 'luxury_discarded',
+  GAME_ENDED: 'game_ended',
+  REMATCH_READY: 'rematch_ready',
+  /** First event of a rematch: the session so far (see createRematch) */
+  SESSION_CONTINUED: 'session_continued'
+};
+
+/**
+ * Action types in the per-game action history
+ * Unlike the event log, the history only holds what the whole table saw happen,
+ * with names and bill values filled in, so it can be shown to players as is
+ * @enum {string}
+ */
+export const GAME_ACTION_TYPES = {
+  GAME_STARTED: 'game_started',
+  /** A card is up for auction */
+  AUCTION_STARTED: 'auction_started',
+  BID: 'bid',
+  PASS: 'pass',
+  /** Who took the card, and the bills everyone paid for it */
+  AUCTION_ENDED: 'auction_ended',
+  AUCTION_RESTARTED: 'auction_restarted',
+  /** CLASSIC RULE: the last red-bordered card was drawn and ends the game unplayed */
+  GAME_ENDING_CARD_DRAWN: 'game_ending_card_drawn',
+  // Card effect decisions are recorded under their effect's eventType (see effects/)
+  CARDS_SWAPPED: 'cards_swapped',
+  LUXURY_DISCARDED: 'luxury_discarded',
+  GAME_ENDED: 'game_ended'
+};
+
+/**
+ * Outcome of a round-reset vote
+ * @enum {string}
+ */
+export const ROUND_RESET_VOTE_STATUS = {
+  /** Waiting for more votes */
+  PENDING: 'pending',
+  /** A majority of human players agreed - the auction was restarted */
+  PASSED: 'passed',
+  /** A majority can no longer be reached - the auction carries on */
+  REJECTED: 'rejected'
+};
+
+/**
+ * Whether a chat history entry was typed by a player (rather than AI commentary)
+ * @param {Object} entry - Chat history entry
+ * @returns {boolean}
+ */
+const isPlayerChatMessage = (entry) => entry.isAI === false;
+
+/**
+ * Count a message against a player's rate limit
+ * @param {Map<string, number[]>} timesByPlayer - playerId -> times of their recent messages
+ * @param {string} playerId
+ * @param {Object} rateLimit - { messages, windowMs }
+ * @param {number} now - Current time in ms
+ * @returns {boolean} False (and nothing counted) if the player has hit the limit
+ */
+function takeRateLimitSlot(timesByPlayer, playerId, { messages, windowMs }, now) {
+  const recent = (timesByPlayer.get(playerId) || []).filter(time => now - time < windowMs);
+  if (recent.length >= messages) return false;
+
+  timesByPlayer.set(playerId, [...recent, now]);
+  return true;
+}
+
+/**
+ * Apply room settings one by one (see Game#configure, which makes it all or nothing)
+ * Rules go before the turn timer and card set, which are checked against them
+ * @param {Game} game
+ * @param {Object} settings - { seed, rules, turnTimer, spectatorDelay, poorestTieRule, endCondition, moneyVisibility, cardSetId }
+ */
+function applySettings(game, settings) {
+  if (settings.seed !== undefined && settings.seed !== null) {
+    game.setSeed(settings.seed);
+  }
+
+  if (settings.rules !== undefined) {
+    game.setRules(settings.rules);
+  }
+
+  if (settings.turnTimer !== undefined) {
+    game.setTurnTimer(settings.turnTimer);
+  }
+
+  if (settings.spectatorDelay !== undefined) {
+    game.setSpectatorDelay(settings.spectatorDelay);
+  }
+
+  if (settings.poorestTieRule !== undefined) {
+    game.setPoorestTieRule(settings.poorestTieRule);
+  }
+
+  if (settings.endCondition !== undefined) {
+    game.setEndCondition(settings.endCondition);
+  }
+
+  if (settings.moneyVisibility !== undefined) {
+    game.setMoneyVisibility(settings.moneyVisibility);
+  }
+
+  if (settings.cardSetId !== undefined) {
+    game.setCardSet(settings.cardSetId);
+  }
+}
+
 /**
  * Game class representing a Low Society game instance
  * @class
@@ -32,8 +215,16 @@ export class Game {
   /**
    * Create a new game instance
    * @param {string} roomCode - The unique room code for this game
+   * @param {Object} [options] - Game options
+   * @param {number|string} [options.seed] - Seed for every random choice in the game
+   * @param {string} [options.poorestTieRule] - One of POOREST_TIE_RULES (see setPoorestTieRule)
+   * @param {string} [options.endCondition] - One of GAME_END_CONDITIONS (see setEndCondition)
+   * @param {string} [options.moneyVisibility] - One of MONEY_VISIBILITY (see setMoneyVisibility)
+   * @param {string} [options.cardSetId] - Card set to build the deck from (see setCardSet)
+   * @param {Object} [options.rules] - Overrides of the server's default rules (see setRules)
+   * @throws {Error} If the seed, tie rule, end condition, money visibility, card set or rules are invalid
    */
-  constructor(roomCode) {
+  constructor(roomCode, options = {}) {
     this.roomCode = roomCode;
     this.players = [];
     this.phase = GAME_PHASES.WAITING;
@@ -43,11 +234,594 @@ export class Game {
     this.host = null;
     this.createdAt = Date.now();
     this.results = null;
+    this.awards = null; // Fun awards handed out when the game ends (see pickAwards)
     this.nextStartingPlayerId = null; // Track who starts the next auction
     this.discardingPlayerId = null; // Track who needs to discard a luxury card
     this.chatMode = CHAT_MODES.COMMENTARY; // 'tutorial' or 'commentary'
-    this.chatHistory = []; // Recent chat messages for context
-    this.storySystem = new StorySystem(); // Interactive storytelling for eliminated players
+    this.chatHistory = []; // Recent chat messages: AI commentary and what players typed
+    this.chatFilter = true; // Mask profanity in player chat (see setChatFilter)
+    this.chatMutes = {}; // playerId -> IDs of players whose chat they've muted
+    this.chatReports = []; // Players reported for their chat (see reportPlayer)
+    this.chatMessageCount = 0; // Player messages sent so far (numbers their IDs)
+    this.chatRateLimits = new Map(); // playerId -> times of their recent messages (not saved)
+    this.emoteRateLimits = new Map(); // playerId -> times of their recent emotes (not saved)
+    this.seed = null; // Chosen at startGame if not given (see setSeed)
+    this.turnTimer = null; // { seconds, onTimeout } when human turns are timed (see setTurnTimer)
+    this.spectatorDelay = 0; // Seconds spectators' view lags behind the game (see setSpectatorDelay)
+    this.spectatorIds = new Set(); // Socket IDs watching the game (not saved - they re-spectate)
+    this.poorestTieRule = POOREST_TIE_RULES.ELIMINATE_ALL; // Who is out when several players tie for least money
+    this.endCondition = GAME_END_CONDITIONS.FULL_DECK; // When the game ends (see setEndCondition)
+    this.moneyVisibility = MONEY_VISIBILITY.OPEN; // Whether remaining money totals are public (see setMoneyVisibility)
+    this.gameEndingCardsDrawn = 0; // Red-bordered cards drawn so far (counted for the classic end condition)
+    this.rules = getDefaultRules(); // Player limits, money, bill removal, deck composition, timer limits (see setRules)
+    this.cardSetId = DEFAULT_CARD_SET_ID; // Card set the deck is built from (see setCardSet)
+    this.gameEndingCardCount = countDeckCards(getCardSet(DEFAULT_CARD_SET_ID).cards.filter(isGameEndingCard), this.rules.deck); // Red-bordered cards in the deck
+    this.random = Math.random; // Seeded random source shared by the deck, bills, AI and commentary
+    this.storySystem = new StorySystem(() => this.random()); // Interactive storytelling for eliminated players
+    this.eventLog = []; // Append-only log of every state change (see GAME_EVENT_TYPES)
+    this.onChange = null; // Optional listener called after each state change (used for persistence)
+    this.onEvent = null; // Optional listener called for each recorded event
+    this.actionHistory = []; // What the table saw happen, in order (see GAME_ACTION_TYPES)
+    this.onAction = null; // Optional listener called for each recorded action
+    this.replayId = null; // Set once the finished game is saved as a replay (see RoomManager#saveReplay)
+    this.session = { gameNumber: 1, tally: [] }; // Games played at this table and their running tally (see createRematch)
+    this.rematchReadyIds = []; // Players ready for a rematch once the game is over (see setRematchReady)
+
+    if (options.seed !== undefined && options.seed !== null) {
+      this.setSeed(options.seed);
+    }
+
+    if (options.poorestTieRule !== undefined) {
+      this.setPoorestTieRule(options.poorestTieRule);
+    }
+
+    if (options.endCondition !== undefined) {
+      this.setEndCondition(options.endCondition);
+    }
+
+    if (options.moneyVisibility !== undefined) {
+      this.setMoneyVisibility(options.moneyVisibility);
+    }
+
+    if (options.cardSetId !== undefined) {
+      this.setCardSet(options.cardSetId);
+    }
+
+    if (options.rules !== undefined) {
+      this.setRules(options.rules);
+    }
+  }
+
+  /**
+   * Seed the game's random source
+   * The same seed and the same player actions always produce the same game
+   * @param {number|string} seed - Non-negative integer or string
+   * @throws {Error} If the seed is invalid or the game already started
+   */
+  setSeed(seed) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the seed after the game has started');
+    }
+
+    this.random = createSeededRandom(seed);
+    this.seed = this.random.seed;
+  }
+
+  /**
+   * Set the room's turn timer
+   * Every human turn (bidding, Pawn Shop Trade, Repo Man discard) gets this long
+   * @param {Object|null} turnTimer - Timer settings, or null to turn timers off
+   * @param {number} turnTimer.seconds - Seconds per turn
+   * @param {string} [turnTimer.onTimeout='auto_pass'] - One of TURN_TIMEOUT_ACTIONS
+   * @throws {Error} If the settings are invalid or the game already started
+   */
+  setTurnTimer(turnTimer) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the turn timer after the game has started');
+    }
+
+    if (turnTimer === null || turnTimer === undefined || turnTimer === false) {
+      this.turnTimer = null;
+      return;
+    }
+
+    const { minSeconds, maxSeconds } = this.rules.turnTimer;
+    const { seconds, onTimeout = TURN_TIMEOUT_ACTIONS.AUTO_PASS } = turnTimer;
+
+    if (!Number.isInteger(seconds) || seconds < minSeconds || seconds > maxSeconds) {
+      throw new Error(`Turn timer must be ${minSeconds}-${maxSeconds} seconds`);
+    }
+
+    if (!Object.values(TURN_TIMEOUT_ACTIONS).includes(onTimeout)) {
+      throw new Error(`Unknown turn timeout action: ${onTimeout}`);
+    }
+
+    this.turnTimer = { seconds, onTimeout };
+  }
+
+  /**
+   * Set how far behind the game spectators watch, so they can't relay it to players
+   * @param {number} seconds - 0 (live) up to GAME_CONFIG.spectators.maxDelaySeconds
+   * @throws {Error} If the delay is invalid or the game already started
+   */
+  setSpectatorDelay(seconds) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the spectator delay after the game has started');
+    }
+
+    const { maxDelaySeconds } = GAME_CONFIG.spectators;
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > maxDelaySeconds) {
+      throw new Error(`Spectator delay must be 0-${maxDelaySeconds} seconds`);
+    }
+
+    this.spectatorDelay = seconds;
+  }
+
+  /**
+   * Start watching the game
+   * Spectators only ever see the public state
+   * @param {string} spectatorId - Spectator's socket ID
+   * @throws {Error} If they have a seat in this game
+   */
+  addSpectator(spectatorId) {
+    if (this.players.some(p => p.id === spectatorId)) {
+      throw new Error('Players cannot spectate their own game');
+    }
+
+    this.spectatorIds.add(spectatorId);
+    this.notifyChange();
+  }
+
+  /**
+   * Stop watching the game
+   * @param {string} spectatorId - Spectator's socket ID
+   */
+  removeSpectator(spectatorId) {
+    if (this.spectatorIds.delete(spectatorId)) {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Set who is eliminated when several players tie for the least money
+   * @param {string} rule - One of POOREST_TIE_RULES
+   * @throws {Error} If the rule is unknown or the game already started
+   */
+  setPoorestTieRule(rule) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the tie rule after the game has started');
+    }
+
+    if (!Object.values(POOREST_TIE_RULES).includes(rule)) {
+      throw new Error(`Unknown poorest tie rule: ${rule}`);
+    }
+
+    this.poorestTieRule = rule;
+  }
+
+  /**
+   * Set when the game ends: after the full deck, or (classic) when the last
+   * red-bordered card is drawn - that card is discarded without an auction
+   * @param {string} endCondition - One of GAME_END_CONDITIONS
+   * @throws {Error} If the end condition is unknown or the game already started
+   */
+  setEndCondition(endCondition) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the end condition after the game has started');
+    }
+
+    if (!Object.values(GAME_END_CONDITIONS).includes(endCondition)) {
+      throw new Error(`Unknown end condition: ${endCondition}`);
+    }
+
+    this.endCondition = endCondition;
+  }
+
+  /**
+   * Set whether players' remaining money is public, or hidden so it has to be
+   * counted from the bills they spend (spent bills and bids are always public)
+   * @param {string} moneyVisibility - One of MONEY_VISIBILITY
+   * @throws {Error} If the visibility is unknown or the game already started
+   */
+  setMoneyVisibility(moneyVisibility) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the money visibility after the game has started');
+    }
+
+    if (!Object.values(MONEY_VISIBILITY).includes(moneyVisibility)) {
+      throw new Error(`Unknown money visibility: ${moneyVisibility}`);
+    }
+
+    this.moneyVisibility = moneyVisibility;
+  }
+
+  /**
+   * Choose the card set the deck is built from (see models/cardSets.js)
+   * @param {string} cardSetId - ID of a loaded card set
+   * @throws {Error} If the card set is unknown or the game already started
+   */
+  setCardSet(cardSetId) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the card set after the game has started');
+    }
+
+    this.gameEndingCardCount = countDeckCards(getCardSet(cardSetId).cards.filter(isGameEndingCard), this.rules.deck);
+    this.cardSetId = cardSetId;
+  }
+
+  /**
+   * Override the server's default rules for this room (see models/rules.js)
+   * Sections are merged setting by setting over the defaults, so `{ players: { max: 4 } }`
+   * only changes the player limit. Seated players are dealt the new money hand.
+   * @param {Object} overrides - Partial rules { players, money, deck, turnTimer }
+   * @throws {Error} If the rules are invalid, don't fit the room, or the game already started
+   */
+  setRules(overrides) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change the rules after the game has started');
+    }
+
+    const rules = validateRules(overrides, getDefaultRules());
+
+    if (this.players.length > rules.players.max) {
+      throw new Error(`The room already has more than ${rules.players.max} players`);
+    }
+
+    const { minSeconds, maxSeconds } = rules.turnTimer;
+    if (this.turnTimer && (this.turnTimer.seconds < minSeconds || this.turnTimer.seconds > maxSeconds)) {
+      throw new Error(`Turn timer must be ${minSeconds}-${maxSeconds} seconds`);
+    }
+
+    this.rules = rules;
+    this.players.forEach(player => {
+      player.moneyHand = createMoneyHand(rules.money.denominations);
+    });
+
+    // Only shown until the game starts (setupGame counts the real deck)
+    const cardSet = hasCardSet(this.cardSetId) ? getCardSet(this.cardSetId) : null;
+    if (cardSet) {
+      this.gameEndingCardCount = countDeckCards(cardSet.cards.filter(isGameEndingCard), rules.deck);
+    }
+  }
+
+  /**
+   * The rules the room would play by with these overrides (its own if there are none)
+   * @param {Object} [overrides] - Rule overrides (see setRules)
+   * @returns {Object} The rules
+   * @throws {Error} If the overrides are invalid
+   */
+  resolveRules(overrides) {
+    return overrides !== undefined ? validateRules(overrides, getDefaultRules()) : this.rules;
+  }
+
+  /**
+   * Change several room settings at once, all or nothing
+   * Each one is tried on a copy of the game first, so one that is rejected leaves the room as it was
+   * @param {Object} settings - Any of seed, rules, turnTimer, spectatorDelay, poorestTieRule,
+   *   endCondition, moneyVisibility and cardSetId (other keys are ignored)
+   * @throws {Error} If any setting is invalid
+   */
+  configure(settings) {
+    applySettings(Game.fromSnapshot(this.toSnapshot()), settings);
+    applySettings(this, settings);
+  }
+
+  /**
+   * Append an event to the game's event log
+   * @param {string} type - One of GAME_EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Object} The recorded event
+   */
+  recordEvent(type, data) {
+    const event = {
+      seq: this.eventLog.length,
+      type,
+      timestamp: Date.now(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    this.eventLog.push(event);
+
+    if (this.onEvent) {
+      this.onEvent(event, this);
+    }
+
+    return event;
+  }
+
+  /**
+   * Append an action to the game's public action history
+   * @param {string} type - One of GAME_ACTION_TYPES
+   * @param {Object} data - Action payload (public information only)
+   * @returns {Object} The recorded action
+   */
+  recordAction(type, data) {
+    const action = {
+      seq: this.actionHistory.length,
+      type,
+      timestamp: Date.now(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    this.actionHistory.push(action);
+
+    if (this.onAction) {
+      this.onAction(action, this);
+    }
+
+    return action;
+  }
+
+  /**
+   * Name of a player, for the action history
+   * @param {string} playerId - ID of the player
+   * @returns {string|null}
+   */
+  getPlayerName(playerId) {
+    return this.players.find(p => p.id === playerId)?.name ?? null;
+  }
+
+  /**
+   * Describe a player's bills for the action history
+   * @param {Object} player - The player
+   * @param {string[]} moneyCardIds - IDs of bills in the player's hand
+   * @returns {Object} { playerId, playerName, bills (values), amount }
+   */
+  describeBills(player, moneyCardIds) {
+    const bills = moneyCardIds
+      .map(id => player.moneyHand.find(m => m.id === id)?.value)
+      .filter(value => value !== undefined);
+
+    return {
+      playerId: player.id,
+      playerName: player.name,
+      bills,
+      amount: bills.reduce((sum, value) => sum + value, 0)
+    };
+  }
+
+  /**
+   * Rebuild a game from its event log
+   * Commands (joins, bids, passes...) are re-executed; events they produce as side
+   * effects (card draws, game end) are checked against the log instead of re-applied.
+   * @param {string} roomCode - Room code of the game
+   * @param {Object[]} events - Events in the order they were recorded
+   * @param {Function} [onReplayed] - (game, event) => called after each event is replayed (see services/replay.js)
+   * @returns {Game} A game in exactly the state the log describes
+   * @throws {Error} If the log is out of order or replaying diverges from it
+   */
+  static fromEvents(roomCode, events, onReplayed = null) {
+    const game = new Game(roomCode);
+    events = JSON.parse(JSON.stringify(events));
+
+    events.forEach((event, index) => {
+      if (event.seq !== index) {
+        throw new Error(`Event log out of order at #${index}`);
+      }
+
+      if (game.eventLog.length > index) {
+        // Already produced as a side effect of an earlier event - make sure we agree
+        const produced = game.eventLog[index];
+        if (produced.type !== event.type || JSON.stringify(produced.data) !== JSON.stringify(event.data)) {
+          throw new Error(`Event log diverged at #${index}: expected ${event.type}, replay produced ${produced.type}`);
+        }
+      } else {
+        game.applyEvent(event);
+      }
+
+      if (onReplayed) {
+        onReplayed(game, event);
+      }
+    });
+
+    // Keep the original timestamps
+    game.eventLog = events;
+    if (events.length > 0) {
+      game.createdAt = events[0].timestamp;
+    }
+
+    return game;
+  }
+
+  /**
+   * Apply a single logged event to this game (used by fromEvents)
+   * @param {Object} event - A recorded game event
+   * @throws {Error} If the event cannot be applied
+   */
+  applyEvent({ type, data }) {
+    switch (type) {
+      case GAME_EVENT_TYPES.PLAYER_JOINED:
+        this.addPlayer(data.playerId, data.playerName, data.isAI);
+        break;
+
+      case GAME_EVENT_TYPES.PLAYER_LEFT:
+        this.removePlayer(data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.PLAYER_RECONNECTED:
+        this.reassignPlayerId(data.previousPlayerId, data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.PLAYER_DISCONNECTED:
+        this.markDisconnected(data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.SEAT_HANDED_TO_AI:
+        this.handSeatToAI(data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.AI_DIFFICULTY_CHANGED:
+        this.setAIDifficulty(data.playerId, data.difficulty);
+        break;
+
+      case GAME_EVENT_TYPES.CHAT_MODE_CHANGED:
+        this.setChatMode(data.mode);
+        break;
+
+      case GAME_EVENT_TYPES.CHAT_FILTER_CHANGED:
+        this.setChatFilter(data.enabled);
+        break;
+
+      case GAME_EVENT_TYPES.GAME_STARTED:
+        if (data.seed !== undefined && data.seed !== null) {
+          this.setSeed(data.seed);
+        }
+        // Logs from before rules were configurable used the standard rules
+        if (data.rules !== undefined) {
+          this.setRules(data.rules);
+        }
+        this.setTurnTimer(data.turnTimer);
+        // Logs from before tie rules were configurable used the default
+        if (data.poorestTieRule !== undefined) {
+          this.setPoorestTieRule(data.poorestTieRule);
+        }
+        if (data.endCondition !== undefined) {
+          this.setEndCondition(data.endCondition);
+        }
+        if (data.moneyVisibility !== undefined) {
+          this.setMoneyVisibility(data.moneyVisibility);
+        }
+        // The deck is in the event, so a replay doesn't need the card set file any more
+        if (data.cardSetId !== undefined) {
+          this.cardSetId = data.cardSetId;
+        }
+        this.setupGame([...data.deck]);
+        break;
+
+      case GAME_EVENT_TYPES.BILL_REMOVED: {
+        const player = this.players.find(p => p.id === data.playerId);
+        const billIndex = player ? player.moneyHand.findIndex(m => m.id === data.bill.id) : -1;
+        if (billIndex === -1) throw new Error('Removed bill not found');
+        player.removedBill = player.moneyHand.splice(billIndex, 1)[0];
+        this.recordEvent(GAME_EVENT_TYPES.BILL_REMOVED, data);
+        break;
+      }
+
+      case GAME_EVENT_TYPES.CARD_DRAWN: {
+        // The drawn card may end the game unplayed, so check the top of the deck
+        const drawn = this.itemDeck[0];
+        if (drawn?.id !== data.card.id) {
+          throw new Error(`Event log diverged: drew ${drawn?.id}, expected ${data.card.id}`);
+        }
+        this.startNextAuction();
+        break;
+      }
+
+      case GAME_EVENT_TYPES.BID_PLACED:
+        this.placeBid(data.playerId, data.moneyCardIds);
+        break;
+
+      case GAME_EVENT_TYPES.PLAYER_PASSED:
+        this.pass(data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.AUCTION_RESTARTED:
+        this.restartCurrentAuction();
+        break;
+
+      case GAME_EVENT_TYPES.ROUND_RESET_PROPOSED:
+        this.proposeRoundReset(data.playerId);
+        break;
+
+      case GAME_EVENT_TYPES.ROUND_RESET_VOTED:
+        this.voteRoundReset(data.playerId, data.approve);
+        break;
+
+      case GAME_EVENT_TYPES.GAME_ENDED:
+        this.endGame();
+        break;
+
+      case GAME_EVENT_TYPES.REMATCH_READY:
+        this.setRematchReady(data.playerId, data.ready);
+        break;
+
+      case GAME_EVENT_TYPES.SESSION_CONTINUED:
+        this.continueSession(data.session);
+        break;
+
+      default: {
+        // A decision on a card effect (Pawn Shop Trade, Repo Man, ...)
+        const effect = getEffectForEvent(type);
+        if (!effect) throw new Error(`Unknown game event: ${type}`);
+
+        const { playerId, choice } = effect.phase.fromEvent(data);
+        this.resolveCardEffect(playerId, choice);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Notify the change listener (if any) that game state was mutated
+   */
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * Serialize the game to a plain object that can be stored and later restored
+   * Transient helpers (story system, change listener) are not included; the random
+   * source is saved as its seed and position so it continues the same sequence
+   * @returns {Object} JSON-safe snapshot of the game state
+   */
+  toSnapshot() {
+    return {
+      roomCode: this.roomCode,
+      players: this.players,
+      phase: this.phase,
+      itemDeck: this.itemDeck,
+      currentCard: this.currentCard,
+      currentAuction: this.currentAuction,
+      host: this.host,
+      createdAt: this.createdAt,
+      results: this.results,
+      awards: this.awards,
+      nextStartingPlayerId: this.nextStartingPlayerId,
+      discardingPlayerId: this.discardingPlayerId,
+      chatMode: this.chatMode,
+      chatHistory: this.chatHistory,
+      chatFilter: this.chatFilter,
+      chatMutes: this.chatMutes,
+      chatReports: this.chatReports,
+      chatMessageCount: this.chatMessageCount,
+      eventLog: this.eventLog,
+      actionHistory: this.actionHistory,
+      replayId: this.replayId,
+      session: this.session,
+      rematchReadyIds: this.rematchReadyIds,
+      seed: this.seed,
+      turnTimer: this.turnTimer,
+      spectatorDelay: this.spectatorDelay,
+      poorestTieRule: this.poorestTieRule,
+      endCondition: this.endCondition,
+      moneyVisibility: this.moneyVisibility,
+      gameEndingCardsDrawn: this.gameEndingCardsDrawn,
+      cardSetId: this.cardSetId,
+      gameEndingCardCount: this.gameEndingCardCount,
+      rules: this.rules,
+      randomState: this.seed !== null ? this.random.getState() : null
+    };
+  }
+
+  /**
+   * Rebuild a game from a snapshot produced by toSnapshot()
+   * @param {Object} snapshot - Stored game snapshot
+   * @returns {Game} The restored game instance
+   */
+  static fromSnapshot(snapshot) {
+    const game = new Game(snapshot.roomCode);
+    const { roomCode, randomState, ...state } = JSON.parse(JSON.stringify(snapshot));
+    Object.assign(game, state);
+
+    if (game.seed !== undefined && game.seed !== null) {
+      game.random = createSeededRandom(game.seed, randomState ?? undefined);
+    } else {
+      game.seed = null;
+    }
+
+    return game;
   }
 
   /**
@@ -59,8 +833,8 @@ export class Game {
    * @throws {Error} If room is full or game already started
    */
   addPlayer(playerId, playerName, isAI = false) {
-    if (this.players.length >= GAME_CONFIG.players.max) {
-      throw new Error(`Room is full (max ${GAME_CONFIG.players.max} players)`);
+    if (this.players.length >= this.rules.players.max) {
+      throw new Error(`Room is full (max ${this.rules.players.max} players)`);
     }
 
     if (this.phase !== GAME_PHASES.WAITING) {
@@ -71,61 +845,249 @@ export class Game {
       id: playerId,
       name: playerName,
       isAI: isAI,
-      moneyHand: createMoneyHand(),
+      moneyHand: createMoneyHand(this.rules.money.denominations),
       wonCards: [],
       currentBid: [],
       hasPassed: false,
-      removedBill: null  // Track which bill was removed at start
+      removedBill: null,  // Track which bill was removed at start
+      connected: true,
+      aiStandIn: false,  // True while an AI plays this human's seat (see handSeatToAI)
+      aiDifficulty: isAI ? AI_DIFFICULTIES.NORMAL : null
     };
 
-    this.players.push(player);
+    this.players.push(player);
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_JOINED, { playerId, playerName, isAI });
+
+    // First player is host
+    if (!this.host) {
+      this.host = playerId;
+    }
+
+    this.notifyChange();
+    return player;
+  }
+
+  /**
+   * Remove a player from the game
+   * @param {string} playerId - ID of the player to remove
+   */
+  removePlayer(playerId) {
+    const index = this.players.findIndex(p => p.id === playerId);
+    if (index !== -1) {
+      this.players.splice(index, 1);
+      this.rematchReadyIds = this.rematchReadyIds.filter(id => id !== playerId);
+      this.recordEvent(GAME_EVENT_TYPES.PLAYER_LEFT, { playerId });
+
+      // Assign new host if needed
+      if (this.host === playerId && this.players.length > 0) {
+        this.host = this.players[0].id;
+      }
+
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Set how well an AI seat plays
+   * @param {string} playerId - ID of the AI player
+   * @param {string} difficulty - One of AI_DIFFICULTIES
+   * @throws {Error} If the seat is not an AI, the difficulty is unknown or the game started
+   */
+  setAIDifficulty(playerId, difficulty) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot change AI difficulty after the game has started');
+    }
+
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (!player.isAI) throw new Error('Only AI players have a difficulty');
+
+    if (!isValidDifficulty(difficulty)) {
+      throw new Error(`Unknown AI difficulty: ${difficulty}`);
+    }
+
+    player.aiDifficulty = difficulty;
+    this.recordEvent(GAME_EVENT_TYPES.AI_DIFFICULTY_CHANGED, { playerId, difficulty });
+    this.notifyChange();
+  }
+
+  /**
+   * Start the game
+   * Initializes deck, removes random bills from players, and starts first auction
+   * @param {Object} [options] - Start options
+   * @param {number|string} [options.seed] - Seed to use instead of the room's (a new one is generated if neither is set)
+   * @param {Object|null} [options.turnTimer] - Turn timer to use instead of the room's (see setTurnTimer)
+   * @param {number} [options.spectatorDelay] - Spectator delay to use instead of the room's (see setSpectatorDelay)
+   * @param {string} [options.poorestTieRule] - Tie rule to use instead of the room's (see setPoorestTieRule)
+   * @param {string} [options.endCondition] - End condition to use instead of the room's (see setEndCondition)
+   * @param {string} [options.moneyVisibility] - Money visibility to use instead of the room's (see setMoneyVisibility)
+   * @param {string} [options.cardSetId] - Card set to use instead of the room's (see setCardSet)
+   * @param {Object} [options.rules] - Rule overrides to use instead of the room's (see setRules)
+   * @throws {Error} If not enough players to start, or the seed, turn timer, spectator delay, tie rule, end condition, money visibility, card set or rules are invalid
+   *   (nothing is changed if it throws)
+   */
+  startGame(options = {}) {
+    // Check the seats against the rules this start would use before changing anything,
+    // so a rejected start leaves the room as it was
+    const rules = this.resolveRules(options.rules);
+    if (this.players.length < rules.players.min) {
+      throw new Error(`Need at least ${rules.players.min} players to start`);
+    }
+
+    this.configure(options);
+
+    if (this.seed === null) {
+      this.setSeed(generateSeed());
+    }
+
+    // Build and shuffle deck
+    this.setupGame(buildItemDeck(this.random, getCardSet(this.cardSetId), this.rules.deck));
+
+    // LOW SOCIETY RULE: Remove one random bill from each player (unless the rules say otherwise)
+    if (this.rules.money.billRemoval !== BILL_REMOVAL_RULES.NONE) {
+      this.players.forEach(player => {
+        player.removedBill = removeRandomBill(player.moneyHand, this.random, this.rules.money.billRemoval);
+        this.recordEvent(GAME_EVENT_TYPES.BILL_REMOVED, { playerId: player.id, bill: player.removedBill });
+      });
+    }
+
+    // Start first auction immediately
+    this.startNextAuction();
+    this.notifyChange();
+  }
+
+  /**
+   * Put a shuffled deck in place and move to the starting phase
+   * @param {Object[]} deck - The item deck, top card first
+   */
+  setupGame(deck) {
+    this.itemDeck = deck;
+    this.gameEndingCardsDrawn = 0;
+    this.gameEndingCardCount = deck.filter(isGameEndingCard).length;
+    this.phase = GAME_PHASES.STARTING;
+    this.recordEvent(GAME_EVENT_TYPES.GAME_STARTED, {
+      deck,
+      seed: this.seed,
+      turnTimer: this.turnTimer,
+      poorestTieRule: this.poorestTieRule,
+      endCondition: this.endCondition,
+      moneyVisibility: this.moneyVisibility,
+      cardSetId: this.cardSetId,
+      rules: this.rules
+    });
+    this.recordAction(GAME_ACTION_TYPES.GAME_STARTED, {
+      players: this.players.map(p => ({ playerId: p.id, playerName: p.name }))
+    });
+  }
+
+  /**
+   * Move a seat to a new player ID (e.g. a player rejoining on a new socket)
+   * Updates every reference to the old ID in the game state
+   * @param {string} oldPlayerId - The player's previous ID
+   * @param {string} newPlayerId - The player's new ID
+   * @throws {Error} If no player has the old ID
+   */
+  reassignPlayerId(oldPlayerId, newPlayerId) {
+    const player = this.players.find(p => p.id === oldPlayerId);
+    if (!player) throw new Error('Player not found');
+
+    player.id = newPlayerId;
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_RECONNECTED, { previousPlayerId: oldPlayerId, playerId: newPlayerId });
+
+    // The player is back in their own seat, taking over from any AI stand-in
+    const wasStandIn = player.aiStandIn;
+    player.connected = true;
+    player.aiStandIn = false;
+
+    const swapId = (id) => (id === oldPlayerId ? newPlayerId : id);
+
+    this.host = swapId(this.host);
+    this.discardingPlayerId = swapId(this.discardingPlayerId);
+    this.nextStartingPlayerId = swapId(this.nextStartingPlayerId);
+    this.rematchReadyIds = this.rematchReadyIds.map(swapId);
+    this.session.tally.forEach(entry => {
+      entry.playerId = swapId(entry.playerId);
+    });
+
+    // Chat history and mutes follow the player to their new ID
+    this.chatHistory.forEach(entry => {
+      entry.playerId = swapId(entry.playerId);
+    });
+    this.chatMutes = Object.fromEntries(
+      Object.entries(this.chatMutes).map(([id, mutedIds]) => [swapId(id), mutedIds.map(swapId)])
+    );
+
+    // So does the action history (player IDs are the fields ending in "Id")
+    const swapIdsIn = (value) => {
+      if (Array.isArray(value)) return value.map(swapIdsIn);
+      if (!value || typeof value !== 'object') return value;
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        key.endsWith('Id') && typeof field === 'string' ? swapId(field) : swapIdsIn(field)
+      ]));
+    };
+    this.actionHistory.forEach(action => {
+      action.data = swapIdsIn(action.data);
+    });
+
+    if (this.currentAuction) {
+      this.currentAuction.currentTurnPlayerId = swapId(this.currentAuction.currentTurnPlayerId);
+      this.currentAuction.highestBidder = swapId(this.currentAuction.highestBidder);
+      this.currentAuction.swapWinner = swapId(this.currentAuction.swapWinner);
+      this.currentAuction.activePlayers = this.currentAuction.activePlayers.map(swapId);
+
+      const resetVote = this.currentAuction.resetVote;
+      if (resetVote) {
+        resetVote.proposedBy = swapId(resetVote.proposedBy);
+        resetVote.votes = Object.fromEntries(
+          Object.entries(resetVote.votes).map(([id, approve]) => [swapId(id), approve])
+        );
+      }
+    }
 
-    // First player is host
-    if (!this.host) {
-      this.host = playerId;
+    // Start their turn clock if the stand-in was on turn (AI turns are not timed)
+    if (wasStandIn && this.getTurnPlayerId() === newPlayerId) {
+      this.resetTurnDeadline();
     }
 
-    return player;
+    this.notifyChange();
   }
 
   /**
-   * Remove a player from the game
-   * @param {string} playerId - ID of the player to remove
+   * Mark a human player as disconnected (their seat stays in the game)
+   * @param {string} playerId - ID of the player who dropped
+   * @throws {Error} If the player does not exist
    */
-  removePlayer(playerId) {
-    const index = this.players.findIndex(p => p.id === playerId);
-    if (index !== -1) {
-      this.players.splice(index, 1);
+  markDisconnected(playerId) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
 
-      // Assign new host if needed
-      if (this.host === playerId && this.players.length > 0) {
-        this.host = this.players[0].id;
-      }
-    }
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_DISCONNECTED, { playerId });
+    player.connected = false;
+    this.notifyChange();
   }
 
   /**
-   * Start the game
-   * Initializes deck, removes random bills from players, and starts first auction
-   * @throws {Error} If not enough players to start
+   * Let an AI play a disconnected human's seat until they resume it
+   * The seat keeps its money and cards; reassignPlayerId hands it back
+   * @param {string} playerId - ID of the disconnected player
+   * @throws {Error} If the player is missing, an AI, or still connected
    */
-  startGame() {
-    if (this.players.length < GAME_CONFIG.players.min) {
-      throw new Error(`Need at least ${GAME_CONFIG.players.min} players to start`);
-    }
-
-    // Build and shuffle deck
-    this.itemDeck = buildItemDeck();
+  handSeatToAI(playerId) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isAI) throw new Error('Seat is already played by an AI');
+    if (player.connected !== false) throw new Error('Player is still connected');
 
-    // LOW SOCIETY RULE: Remove one random bill from each player
-    this.players.forEach(player => {
-      player.removedBill = removeRandomBill(player.moneyHand);
-    });
+    this.recordEvent(GAME_EVENT_TYPES.SEAT_HANDED_TO_AI, { playerId });
+    player.aiStandIn = true;
 
-    this.phase = GAME_PHASES.STARTING;
+    // Stand-ins play like AI seats, so their turn is not timed
+    if (this.getTurnPlayerId() === playerId) {
+      this.resetTurnDeadline();
+    }
 
-    // Start first auction immediately
-    this.startNextAuction();
+    this.notifyChange();
   }
 
   /**
@@ -142,6 +1104,19 @@ export class Game {
 
     // Draw next card
     this.currentCard = this.itemDeck.shift();
+    this.recordEvent(GAME_EVENT_TYPES.CARD_DRAWN, { card: this.currentCard });
+
+    // CLASSIC RULE: the last red-bordered card ends the game and is discarded unplayed
+    if (isGameEndingCard(this.currentCard)) {
+      this.gameEndingCardsDrawn++;
+      if (this.endCondition === GAME_END_CONDITIONS.CLASSIC &&
+          this.gameEndingCardsDrawn >= this.gameEndingCardCount) {
+        this.recordAction(GAME_ACTION_TYPES.GAME_ENDING_CARD_DRAWN, { card: this.currentCard });
+        this.currentCard = null;
+        this.endGame();
+        return;
+      }
+    }
 
     // Reset all players for new auction
     this.players.forEach(player => {
@@ -155,7 +1130,7 @@ export class Game {
       : AUCTION_TYPES.STANDARD;
 
     // Determine starting player (winner/loser of previous auction starts next one)
-    let startingPlayerId = this.nextStartingPlayerId || this.players[0].id;
+    let startingPlayerId = this.nextStartingPlayerId || this.getFirstStartingPlayerId();
     let startingPlayerIndex = this.players.findIndex(p => p.id === startingPlayerId);
 
     // If starting player not found, use first player
@@ -170,18 +1145,39 @@ export class Game {
       highestBidder: null,
       activePlayers: this.players.map(p => p.id),
       currentTurnIndex: startingPlayerIndex,
-      currentTurnPlayerId: startingPlayerId
+      currentTurnPlayerId: startingPlayerId,
+      resetVote: null, // Pending round-reset vote (see proposeRoundReset)
+      turnDeadline: null // When the current human turn times out (see resetTurnDeadline)
     };
 
     this.phase = GAME_PHASES.AUCTION;
+    this.resetTurnDeadline();
+    this.recordAction(GAME_ACTION_TYPES.AUCTION_STARTED, {
+      card: this.currentCard,
+      auctionType,
+      startingPlayerId,
+      startingPlayerName: this.getPlayerName(startingPlayerId)
+    });
+  }
+
+  /**
+   * Who starts the game's first auction: the first seat in a session's first game,
+   * then one seat further along with each rematch (see createRematch)
+   * @returns {string} Player ID
+   */
+  getFirstStartingPlayerId() {
+    return this.players[(this.session.gameNumber - 1) % this.players.length].id;
   }
 
-  // Restart the current auction (useful when a player rejoins)
+  // Restart the current auction (after the table votes for a round reset)
   restartCurrentAuction() {
     if (!this.currentCard || this.phase !== GAME_PHASES.AUCTION) {
       return; // Only restart if we're in an active auction
     }
 
+    this.recordEvent(GAME_EVENT_TYPES.AUCTION_RESTARTED, { cardId: this.currentCard.id });
+    this.recordAction(GAME_ACTION_TYPES.AUCTION_RESTARTED, { card: this.currentCard });
+
     // Return all bids to players' money hands
     this.players.forEach(player => {
       player.currentBid = [];
@@ -194,7 +1190,7 @@ export class Game {
       : AUCTION_TYPES.STANDARD;
 
     // Restart from the original starting player
-    let startingPlayerId = this.nextStartingPlayerId || this.players[0].id;
+    let startingPlayerId = this.nextStartingPlayerId || this.getFirstStartingPlayerId();
     let startingPlayerIndex = this.players.findIndex(p => p.id === startingPlayerId);
 
     // If starting player not found, use first player
@@ -209,10 +1205,102 @@ export class Game {
       highestBidder: null,
       activePlayers: this.players.map(p => p.id),
       currentTurnIndex: startingPlayerIndex,
-      currentTurnPlayerId: startingPlayerId
+      currentTurnPlayerId: startingPlayerId,
+      resetVote: null, // Pending round-reset vote (see proposeRoundReset)
+      turnDeadline: null // When the current human turn times out (see resetTurnDeadline)
     };
 
+    this.resetTurnDeadline();
     console.log(`Auction restarted for card: ${this.currentCard.name}`);
+    this.notifyChange();
+  }
+
+  /**
+   * Propose replaying the current auction from scratch
+   * Only the host can propose, and their proposal counts as a yes vote. The reset
+   * happens once a majority of the human players agree (AI players do not vote).
+   * @param {string} playerId - ID of the player proposing the reset
+   * @returns {string} One of ROUND_RESET_VOTE_STATUS
+   * @throws {Error} If not in an auction, not the host, or a vote is already running
+   */
+  proposeRoundReset(playerId) {
+    if (this.phase !== GAME_PHASES.AUCTION || !this.currentAuction) {
+      throw new Error('No auction to reset');
+    }
+
+    if (playerId !== this.host) {
+      throw new Error('Only the host can propose a round reset');
+    }
+
+    if (this.currentAuction.resetVote) {
+      throw new Error('A round reset vote is already in progress');
+    }
+
+    this.recordEvent(GAME_EVENT_TYPES.ROUND_RESET_PROPOSED, { playerId });
+    this.currentAuction.resetVote = { proposedBy: playerId, votes: { [playerId]: true } };
+
+    const status = this.resolveRoundResetVote();
+    this.notifyChange();
+    return status;
+  }
+
+  /**
+   * Vote on the pending round reset
+   * @param {string} playerId - ID of the voting player
+   * @param {boolean} approve - True to replay the auction, false to carry on
+   * @returns {string} One of ROUND_RESET_VOTE_STATUS
+   * @throws {Error} If there is no vote, the player is an AI, or already voted
+   */
+  voteRoundReset(playerId, approve) {
+    const resetVote = this.phase === GAME_PHASES.AUCTION ? this.currentAuction?.resetVote : null;
+    if (!resetVote) {
+      throw new Error('No round reset vote in progress');
+    }
+
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isAI) throw new Error('AI players do not vote');
+
+    if (playerId in resetVote.votes) {
+      throw new Error('You have already voted');
+    }
+
+    this.recordEvent(GAME_EVENT_TYPES.ROUND_RESET_VOTED, { playerId, approve: Boolean(approve) });
+    resetVote.votes[playerId] = Boolean(approve);
+
+    const status = this.resolveRoundResetVote();
+    this.notifyChange();
+    return status;
+  }
+
+  /**
+   * Number of yes votes a round reset needs (a majority of the human players)
+   * @returns {number} Votes needed
+   */
+  getRoundResetVotesNeeded() {
+    const humanCount = this.players.filter(p => !p.isAI).length;
+    return Math.floor(humanCount / 2) + 1;
+  }
+
+  // Restart the auction or drop the vote once the outcome is decided
+  resolveRoundResetVote() {
+    const { votes } = this.currentAuction.resetVote;
+    const humanCount = this.players.filter(p => !p.isAI).length;
+    const votesNeeded = this.getRoundResetVotesNeeded();
+    const yesVotes = Object.values(votes).filter(Boolean).length;
+    const noVotes = Object.values(votes).length - yesVotes;
+
+    if (yesVotes >= votesNeeded) {
+      this.restartCurrentAuction();
+      return ROUND_RESET_VOTE_STATUS.PASSED;
+    }
+
+    if (humanCount - noVotes < votesNeeded) {
+      this.currentAuction.resetVote = null;
+      return ROUND_RESET_VOTE_STATUS.REJECTED;
+    }
+
+    return ROUND_RESET_VOTE_STATUS.PENDING;
   }
 
   /**
@@ -241,6 +1329,10 @@ export class Game {
       throw new Error('Bid must be higher than current bid');
     }
 
+    this.recordEvent(GAME_EVENT_TYPES.BID_PLACED, { playerId, moneyCardIds, bidTotal: newBidTotal });
+    const { bills } = this.describeBills(player, moneyCardIds);
+    this.recordAction(GAME_ACTION_TYPES.BID, { playerId, playerName: player.name, bills, bidTotal: newBidTotal });
+
     // Update player's current bid
     player.currentBid = moneyCardIds;
 
@@ -250,6 +1342,8 @@ export class Game {
 
     // Advance to next player's turn
     this.advanceTurn();
+    this.resetTurnDeadline();
+    this.notifyChange();
 
     return newBidTotal;
   }
@@ -270,6 +1364,8 @@ export class Game {
 
     if (player.hasPassed) throw new Error('You have already passed');
 
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_PASSED, { playerId });
+    this.recordAction(GAME_ACTION_TYPES.PASS, { playerId, playerName: player.name });
     player.hasPassed = true;
 
     // Return bid cards to hand
@@ -292,15 +1388,29 @@ export class Game {
       } else {
         // Advance to next player's turn
         this.advanceTurn();
+        this.resetTurnDeadline();
       }
     }
+
+    this.notifyChange();
   }
 
   // Resolve standard auction (bidding to win)
   resolveStandardAuction() {
+    // The card is decided, so a pending reset vote no longer applies
+    this.currentAuction.resetVote = null;
+
     const winner = this.players.find(p => p.id === this.currentAuction.highestBidder);
 
     if (winner) {
+      this.recordAction(GAME_ACTION_TYPES.AUCTION_ENDED, {
+        card: this.currentCard,
+        auctionType: AUCTION_TYPES.STANDARD,
+        playerId: winner.id,
+        playerName: winner.name,
+        payments: [this.describeBills(winner, winner.currentBid)]
+      });
+
       // Winner gets the card
       winner.wonCards.push(this.currentCard);
 
@@ -317,18 +1427,10 @@ export class Game {
       // Winner starts the next auction
       this.nextStartingPlayerId = winner.id;
 
-      // Check for special card effects
-      if (this.currentCard.type === 'special' && this.currentCard.effect === 'card-swap') {
-        // Enter card swap phase - winner must select two cards to swap
-        this.phase = GAME_PHASES.CARD_SWAP;
-        this.currentAuction.swapWinner = winner.id;
-        return; // Don't start next auction yet, wait for swap
-      }
-
-      // Apply disgrace effects - returns true if waiting for player input
-      const needsPlayerInput = this.applyDisgraceEffect(winner, this.currentCard);
+      // Apply the card's effect - returns true if waiting for player input
+      const needsPlayerInput = this.applyCardEffect(winner, this.currentCard);
       if (needsPlayerInput) {
-        return; // Don't start next auction yet, wait for discard
+        return; // Don't start next auction yet, wait for the swap or discard
       }
     }
 
@@ -338,9 +1440,22 @@ export class Game {
 
   // Resolve reverse auction (bidding to avoid)
   resolveReverseAuction(passedPlayerId) {
+    // The card is decided, so a pending reset vote no longer applies
+    this.currentAuction.resetVote = null;
+
     const loser = this.players.find(p => p.id === passedPlayerId);
 
     if (loser) {
+      this.recordAction(GAME_ACTION_TYPES.AUCTION_ENDED, {
+        card: this.currentCard,
+        auctionType: AUCTION_TYPES.REVERSE,
+        playerId: loser.id,
+        playerName: loser.name,
+        payments: this.players
+          .filter(player => player.id !== loser.id && player.currentBid.length > 0)
+          .map(player => this.describeBills(player, player.currentBid))
+      });
+
       // Loser gets the disgrace card
       loser.wonCards.push(this.currentCard);
       loser.currentBid = [];
@@ -356,7 +1471,7 @@ export class Game {
       });
 
       // Apply disgrace effect - returns true if waiting for player input
-      const needsPlayerInput = this.applyDisgraceEffect(loser, this.currentCard);
+      const needsPlayerInput = this.applyCardEffect(loser, this.currentCard);
       if (needsPlayerInput) {
         return; // Don't start next auction yet, wait for discard
       }
@@ -376,49 +1491,63 @@ export class Game {
       throw new Error('Only the winner can swap cards');
     }
 
-    // Allow skipping the swap (if all params are null)
-    if (!player1Id && !card1Id && !player2Id && !card2Id) {
-      this.startNextAuction();
-      return;
-    }
+    this.resolveCardEffect(swapperPlayerId, { player1Id, card1Id, player2Id, card2Id });
+  }
 
-    const player1 = this.players.find(p => p.id === player1Id);
-    const player2 = this.players.find(p => p.id === player2Id);
+  /**
+   * Apply the effect of a card a player just took (see effects/)
+   * @param {Object} player - The player who took the card
+   * @param {Object} card - The card
+   * @returns {boolean} True if the game now waits for the player's decision
+   */
+  applyCardEffect(player, card) {
+    const effect = getCardEffect(card);
+    if (!effect?.resolve || !effect.resolve(this, player, card)) {
+      return false; // No player input needed
+    }
 
-    if (!player1 || !player2) throw new Error('Invalid players');
+    // Enter the effect's phase (card swap, luxury discard, ...) until the player decides
+    this.phase = effect.phase.name;
+    effect.phase.begin(this, player.id);
+    this.resetTurnDeadline();
+    return true;
+  }
 
-    const card1Index = player1.wonCards.findIndex(c => c.id === card1Id);
-    const card2Index = player2.wonCards.findIndex(c => c.id === card2Id);
+  /**
+   * Make the decision a card effect is waiting on, then move to the next auction
+   * @param {string} playerId - The deciding player
+   * @param {Object} [choice] - Effect-specific choice (see the effect's phase.apply)
+   * @throws {Error} If no effect is pending, it's another player's decision, or the choice is invalid
+   */
+  resolveCardEffect(playerId, choice) {
+    const effect = getEffectForPhase(this.phase);
+    if (!effect) {
+      throw new Error('No card effect is waiting for a decision');
+    }
 
-    if (card1Index === -1 || card2Index === -1) {
-      throw new Error('Cards not found');
+    if (playerId !== effect.phase.getPlayerId(this)) {
+      throw new Error('Only the player who took the card can decide');
     }
 
-    // Swap the cards
-    const temp = player1.wonCards[card1Index];
-    player1.wonCards[card1Index] = player2.wonCards[card2Index];
-    player2.wonCards[card2Index] = temp;
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
 
-    // Continue to next auction
-    this.startNextAuction();
-  }
+    // Cards may move or go away, so look them up for the history before deciding
+    const wonCards = this.players.flatMap(p => p.wonCards);
+    const lookup = {
+      playerName: (id) => this.getPlayerName(id),
+      card: (id) => wonCards.find(c => c.id === id) ?? null
+    };
 
-  // Apply disgrace card effects
-  applyDisgraceEffect(player, card) {
-    if (card.type !== CARD_TYPES.DISGRACE) return;
+    const eventData = effect.phase.apply(this, player, choice ?? {});
+    this.recordEvent(effect.phase.eventType, eventData);
+    this.recordAction(effect.phase.eventType, effect.phase.describe
+      ? effect.phase.describe(eventData, lookup)
+      : { playerId, playerName: player.name, ...eventData });
 
-    if (card.effect === 'faux-pas') {
-      // Check if player has any luxury cards
-      const hasLuxuryCards = player.wonCards.some(c => c.type === CARD_TYPES.LUXURY);
-      if (hasLuxuryCards) {
-        // Enter discard phase - player must choose which luxury to discard
-        this.phase = GAME_PHASES.DISCARD_LUXURY;
-        this.discardingPlayerId = player.id;
-        return true; // Signal that we need player input
-      }
-      // If no luxury cards, nothing to discard
-    }
-    return false; // No player input needed
+    // Continue to next auction
+    this.startNextAuction();
+    this.notifyChange();
   }
 
   // Discard a luxury card (Repo Man effect)
@@ -431,22 +1560,7 @@ export class Game {
       throw new Error('Only the affected player can discard');
     }
 
-    const player = this.players.find(p => p.id === playerId);
-    if (!player) throw new Error('Player not found');
-
-    const cardIndex = player.wonCards.findIndex(c => c.id === cardId && c.type === CARD_TYPES.LUXURY);
-    if (cardIndex === -1) {
-      throw new Error('Card not found or not a luxury card');
-    }
-
-    // Remove the selected luxury card
-    player.wonCards.splice(cardIndex, 1);
-
-    // Reset discard state
-    this.discardingPlayerId = null;
-
-    // Continue to next auction
-    this.startNextAuction();
+    this.resolveCardEffect(playerId, { cardId });
   }
 
   // Remove money cards from player
@@ -464,6 +1578,38 @@ export class Game {
     player.currentBid = [];
   }
 
+  /**
+   * Get the player the game is waiting on
+   * @returns {string|null} The bidder, the player deciding a card effect (Pawn Shop Trade
+   *   winner, Repo Man victim, ...), or null
+   */
+  getTurnPlayerId() {
+    if (this.phase === GAME_PHASES.AUCTION) {
+      return this.currentAuction?.currentTurnPlayerId || null;
+    }
+
+    return getEffectForPhase(this.phase)?.phase.getPlayerId(this) || null;
+  }
+
+  /**
+   * Describe the card effect decision the game is waiting on
+   * @returns {Object|null} { effect, playerId }, or null outside effect phases
+   */
+  getPendingEffect() {
+    const effect = getEffectForPhase(this.phase);
+    return effect ? { effect: effect.name, playerId: effect.phase.getPlayerId(this) } : null;
+  }
+
+  // Start the turn clock for whoever is on turn (AI players are never timed)
+  resetTurnDeadline() {
+    if (!this.currentAuction) return;
+
+    const player = this.players.find(p => p.id === this.getTurnPlayerId());
+    this.currentAuction.turnDeadline = this.turnTimer && player && !player.isAI && !player.aiStandIn
+      ? Date.now() + this.turnTimer.seconds * 1000
+      : null;
+  }
+
   // Advance turn to next active player
   advanceTurn() {
     if (!this.currentAuction || this.currentAuction.activePlayers.length === 0) return;
@@ -510,6 +1656,19 @@ export class Game {
     return total;
   }
 
+  /**
+   * Values of a player's bills that everyone has seen: spent on won (or dodged)
+   * cards, and in their current bid
+   * @param {Object} player - The player
+   * @returns {Object} { spentMoney, bidMoney } - Bill values, in hand order
+   */
+  getVisibleBills(player) {
+    return {
+      spentMoney: player.moneyHand.filter(m => !m.available).map(m => m.value),
+      bidMoney: player.moneyHand.filter(m => player.currentBid.includes(m.id)).map(m => m.value)
+    };
+  }
+
   // Get player's remaining money total
   getPlayerMoneyTotal(playerId) {
     const player = this.players.find(p => p.id === playerId);
@@ -520,47 +1679,228 @@ export class Game {
       .reduce((sum, m) => sum + m.value, 0);
   }
 
-  // End the game
+  /**
+   * Find the players eliminated for having the least money
+   * Ties follow the game's poorestTieRule; if everyone has the same money nobody is out
+   * @returns {string[]} IDs of the eliminated players
+   */
+  getEliminatedPlayerIds() {
+    const money = this.players.map(player => ({ player, money: this.getPlayerMoneyTotal(player.id) }));
+    const least = Math.min(...money.map(m => m.money));
+    let poorest = money.filter(m => m.money === least).map(m => m.player);
+
+    if (poorest.length === this.players.length) {
+      return [];
+    }
+
+    if (poorest.length > 1 && this.poorestTieRule === POOREST_TIE_RULES.LOWEST_SCORE) {
+      const lowestScore = Math.min(...poorest.map(player => calculateScore(player)));
+      poorest = poorest.filter(player => calculateScore(player) === lowestScore);
+    }
+
+    return poorest.map(player => player.id);
+  }
+
+  /**
+   * End the game and rank the players
+   * Survivors are ranked by score, then remaining money, then their highest luxury card;
+   * players still tied share a place (`place` is the same, `sharedPlace` is true).
+   * Eliminated players follow with a score of 0 and no place (see getEliminatedPlayerIds;
+   * nobody is out when the whole table ties for the least money).
+   * Every result carries the player's stats (see buildPlayerStats), and the game's
+   * awards are handed out
+   * @returns {Object[]} The final results
+   */
   endGame() {
     this.phase = GAME_PHASES.GAME_OVER;
+    if (this.currentAuction) {
+      this.currentAuction.turnDeadline = null;
+    }
 
-    // Calculate remaining money for each player
-    const playerMoney = this.players.map(player => ({
-      id: player.id,
-      name: player.name,
-      money: this.getPlayerMoneyTotal(player.id)
-    }));
+    const eliminatedIds = this.getEliminatedPlayerIds();
+    const stats = buildPlayerStats(this);
+    const highestLuxury = (player) => Math.max(0, ...player.wonCards
+      .filter(card => card.type === CARD_TYPES.LUXURY)
+      .map(card => card.value));
 
-    // Find player with least money
-    const poorestPlayer = playerMoney.reduce((min, p) =>
-      p.money < min.money ? p : min
-    );
+    // Compare two survivors: negative if a ranks above b, 0 if they tie on everything
+    const compare = (a, b) => (b.score - a.score) || (b.money - a.money) || (b.highestLuxury - a.highestLuxury);
 
-    // Calculate scores (excluding poorest player)
-    this.results = this.players
-      .filter(p => p.id !== poorestPlayer.id)
+    const survivors = this.players
+      .filter(p => !eliminatedIds.includes(p.id))
       .map(player => ({
         id: player.id,
         name: player.name,
         score: calculateScore(player),
         money: this.getPlayerMoneyTotal(player.id),
-        wonCards: player.wonCards
+        highestLuxury: highestLuxury(player),
+        wonCards: player.wonCards,
+        stats: stats[player.id]
+      }))
+      .sort(compare);
+
+    const ranked = survivors.map(({ highestLuxury: _, ...result }, index) => {
+      const place = survivors.findIndex(other => compare(other, survivors[index]) === 0) + 1;
+      const sharedPlace = survivors.some((other, otherIndex) => otherIndex !== index && compare(other, survivors[index]) === 0);
+      return { ...result, place, sharedPlace };
+    });
+
+    // Eliminated players go at the end
+    const eliminated = this.players
+      .filter(p => eliminatedIds.includes(p.id))
+      .map(player => ({
+        id: player.id,
+        name: player.name,
+        score: 0,
+        money: this.getPlayerMoneyTotal(player.id),
+        eliminated: true,
+        place: null,
+        sharedPlace: false,
+        wonCards: player.wonCards,
+        stats: stats[player.id]
+      }));
+
+    this.results = [...ranked, ...eliminated];
+    this.awards = pickAwards(this, stats);
+    this.addToSessionTally(this.results);
+
+    this.recordEvent(GAME_EVENT_TYPES.GAME_ENDED, {
+      results: this.results.map(r => ({ id: r.id, score: r.score, money: r.money, eliminated: r.eliminated || false }))
+    });
+    this.recordAction(GAME_ACTION_TYPES.GAME_ENDED, {
+      results: this.results.map(r => ({
+        playerId: r.id,
+        playerName: r.name,
+        place: r.place,
+        score: r.score,
+        eliminated: r.eliminated || false
       }))
-      .sort((a, b) => b.score - a.score);
-
-    // Add poorest player at the end
-    this.results.push({
-      id: poorestPlayer.id,
-      name: poorestPlayer.name,
-      score: 0,
-      money: poorestPlayer.money,
-      eliminated: true,
-      wonCards: this.players.find(p => p.id === poorestPlayer.id).wonCards
     });
 
     return this.results;
   }
 
+  /**
+   * Add a finished game's results to the session tally
+   * @param {Object[]} results - Results from endGame
+   */
+  addToSessionTally(results) {
+    results.forEach(result => {
+      let entry = this.session.tally.find(e => e.playerId === result.id);
+      if (!entry) {
+        entry = { playerId: result.id, playerName: result.name, gamesPlayed: 0, wins: 0, totalScore: 0 };
+        this.session.tally.push(entry);
+      }
+
+      entry.gamesPlayed++;
+      entry.totalScore += result.score;
+      if (result.place === 1) entry.wins++;
+    });
+  }
+
+  /**
+   * Pick up a session from the game before (first thing a rematch does)
+   * @param {Object} session - { gameNumber, tally } (see createRematch)
+   * @throws {Error} If the game already started
+   */
+  continueSession(session) {
+    if (this.phase !== GAME_PHASES.WAITING) {
+      throw new Error('Cannot continue a session after the game has started');
+    }
+
+    this.session = JSON.parse(JSON.stringify(session));
+    this.recordEvent(GAME_EVENT_TYPES.SESSION_CONTINUED, { session: this.session });
+  }
+
+  /**
+   * Ready up for a rematch once the game is over (or take it back)
+   * The table is ready once every connected human is; AI seats are always ready
+   * @param {string} playerId - ID of the player
+   * @param {boolean} [ready=true] - False to take it back
+   * @returns {boolean} True if the table is now ready for a rematch
+   * @throws {Error} If the game isn't over, or the player is missing or an AI
+   */
+  setRematchReady(playerId, ready = true) {
+    if (this.phase !== GAME_PHASES.GAME_OVER) {
+      throw new Error('The game is not over yet');
+    }
+
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isAI) throw new Error('AI players are always ready');
+
+    this.recordEvent(GAME_EVENT_TYPES.REMATCH_READY, { playerId, ready: Boolean(ready) });
+    this.rematchReadyIds = this.rematchReadyIds.filter(id => id !== playerId);
+    if (ready) {
+      this.rematchReadyIds.push(playerId);
+    }
+
+    this.notifyChange();
+    return this.isRematchReady();
+  }
+
+  /**
+   * Whether every connected human has readied up for a rematch
+   * Disconnected players don't hold the table up (an AI stands in for them)
+   * @returns {boolean}
+   */
+  isRematchReady() {
+    return this.phase === GAME_PHASES.GAME_OVER &&
+      this.rematchReadyIds.length > 0 &&
+      this.players
+        .filter(p => !p.isAI && p.connected !== false)
+        .every(p => this.rematchReadyIds.includes(p.id));
+  }
+
+  /**
+   * Set up the next game at this table, once everyone is ready
+   * The rematch keeps the seats (AI difficulties included), the room's settings, its
+   * chat and its spectators, and carries the session tally over; it gets a new deck
+   * and seed, and its first auction starts one seat along (see getFirstStartingPlayerId)
+   * @returns {Game} The rematch, waiting to be started
+   * @throws {Error} If the table isn't ready, or a setting no longer applies (e.g. a removed card set)
+   */
+  createRematch() {
+    if (!this.isRematchReady()) {
+      throw new Error('Not everyone is ready for a rematch');
+    }
+
+    const rematch = new Game(this.roomCode, {
+      poorestTieRule: this.poorestTieRule,
+      endCondition: this.endCondition,
+      moneyVisibility: this.moneyVisibility,
+      cardSetId: this.cardSetId,
+      rules: this.rules
+    });
+    rematch.continueSession({ gameNumber: this.session.gameNumber + 1, tally: this.session.tally });
+    rematch.setTurnTimer(this.turnTimer);
+    rematch.setSpectatorDelay(this.spectatorDelay);
+    rematch.setChatMode(this.chatMode);
+    rematch.setChatFilter(this.chatFilter);
+
+    this.players.forEach(seat => {
+      rematch.addPlayer(seat.id, seat.name, seat.isAI);
+      if (seat.isAI && seat.aiDifficulty !== AI_DIFFICULTIES.NORMAL) {
+        rematch.setAIDifficulty(seat.id, seat.aiDifficulty);
+      }
+      if (seat.connected === false) {
+        rematch.markDisconnected(seat.id);
+        if (seat.aiStandIn) rematch.handSeatToAI(seat.id);
+      }
+    });
+
+    // Same room, so the chat and whoever is watching carry over
+    Object.assign(rematch, JSON.parse(JSON.stringify({
+      chatHistory: this.chatHistory,
+      chatMutes: this.chatMutes,
+      chatReports: this.chatReports,
+      chatMessageCount: this.chatMessageCount
+    })));
+    rematch.spectatorIds = new Set(this.spectatorIds);
+
+    return rematch;
+  }
+
   /**
    * Set the chat mode for the game
    * @param {string} mode - 'tutorial' or 'commentary'
@@ -571,24 +1911,207 @@ export class Game {
       return false;
     }
     this.chatMode = mode;
-    // Clear chat history when switching modes
-    this.chatHistory = [];
+    this.recordEvent(GAME_EVENT_TYPES.CHAT_MODE_CHANGED, { mode });
+    // Clear AI chat history when switching modes (what players typed stays)
+    this.chatHistory = this.chatHistory.filter(isPlayerChatMessage);
+    this.notifyChange();
     return true;
   }
 
   /**
    * Add a message to chat history
+   * Only the most recent messages of each kind are kept (see CHAT_CONFIG.history),
+   * so AI commentary can't push out what players said
    * @param {Object} message - Chat message object
+   * @returns {Object} The stored message, with its timestamp
    */
   addChatMessage(message) {
-    this.chatHistory.push({
-      ...message,
-      timestamp: Date.now()
+    const entry = { timestamp: Date.now(), ...message };
+    this.chatHistory.push(entry);
+
+    const fromPlayer = isPlayerChatMessage(entry);
+    const sameKind = this.chatHistory.filter(m => isPlayerChatMessage(m) === fromPlayer);
+    const limit = fromPlayer ? CHAT_CONFIG.history.playerMessages : CHAT_CONFIG.history.aiMessages;
+    if (sameKind.length > limit) {
+      this.chatHistory.splice(this.chatHistory.indexOf(sameKind[0]), 1);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Post a chat message from a human player
+   * The text is trimmed, checked against the length and rate limits and, while the
+   * room's profanity filter is on, masked before it's added to the chat history
+   * @param {string} playerId - ID of the player sending
+   * @param {string} text - What they typed
+   * @param {number} [now] - Current time in ms (for the rate limit)
+   * @returns {Object} The message { id, playerId, playerName, message, isAI: false, timestamp }
+   * @throws {Error} If the player can't chat or the message is empty, too long or too soon
+   */
+  sendChatMessage(playerId, text, now = Date.now()) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isAI) throw new Error('AI players cannot send chat messages');
+
+    const { maxLength, rateLimit } = CHAT_CONFIG.playerChat;
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) throw new Error('Message cannot be empty');
+    if (trimmed.length > maxLength) throw new Error(`Message is too long (max ${maxLength} characters)`);
+
+    if (!takeRateLimitSlot(this.chatRateLimits, playerId, rateLimit, now)) {
+      throw new Error('You are sending messages too quickly - wait a few seconds');
+    }
+
+    this.chatMessageCount++;
+    const message = this.addChatMessage({
+      id: `msg-${this.chatMessageCount}`,
+      playerId,
+      playerName: player.name,
+      message: this.chatFilter ? filterProfanity(trimmed) : trimmed,
+      isAI: false,
+      timestamp: now
     });
-    // Keep only last 20 messages
-    if (this.chatHistory.length > 20) {
-      this.chatHistory = this.chatHistory.slice(-20);
+
+    this.notifyChange();
+    return message;
+  }
+
+  /**
+   * Send a quick-chat emote from a human player
+   * Emotes are fleeting: they're rate limited but not kept in the chat history
+   * @param {string} playerId - ID of the player sending
+   * @param {string} emoteId - Key of EMOTES
+   * @param {number} [now] - Current time in ms (for the rate limit)
+   * @returns {Object} The emote { playerId, playerName, emoteId, icon, text, timestamp }
+   * @throws {Error} If the player can't send emotes, the emote is unknown or it's too soon
+   */
+  sendEmote(playerId, emoteId, now = Date.now()) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isAI) throw new Error('AI players cannot send emotes');
+
+    const emote = Object.hasOwn(EMOTES, emoteId) ? EMOTES[emoteId] : null;
+    if (!emote) throw new Error('Unknown emote');
+
+    if (!takeRateLimitSlot(this.emoteRateLimits, playerId, CHAT_CONFIG.emotes.rateLimit, now)) {
+      throw new Error('You are sending emotes too quickly - wait a few seconds');
+    }
+
+    return {
+      playerId,
+      playerName: player.name,
+      emoteId,
+      icon: emote.icon,
+      text: emote.text,
+      timestamp: now
+    };
+  }
+
+  /**
+   * Messages players have typed, oldest first
+   * @param {string} [playerId] - Leave out messages from players this player has muted
+   * @returns {Object[]} Player chat messages
+   */
+  getPlayerChatHistory(playerId) {
+    const muted = this.getMutedPlayerIds(playerId);
+    return this.chatHistory.filter(m => isPlayerChatMessage(m) && !muted.includes(m.playerId));
+  }
+
+  /**
+   * Switch the profanity filter for player chat on or off
+   * Only affects messages sent afterwards
+   * @param {boolean} enabled
+   * @throws {Error} If enabled is not a boolean
+   */
+  setChatFilter(enabled) {
+    if (typeof enabled !== 'boolean') throw new Error('Chat filter must be true or false');
+
+    this.chatFilter = enabled;
+    this.recordEvent(GAME_EVENT_TYPES.CHAT_FILTER_CHANGED, { enabled });
+    this.notifyChange();
+  }
+
+  /**
+   * IDs of the players whose chat a player has muted
+   * @param {string} playerId
+   * @returns {string[]}
+   */
+  getMutedPlayerIds(playerId) {
+    return this.chatMutes[playerId] || [];
+  }
+
+  /**
+   * Mute or unmute another player's chat (AI chat included) for one player
+   * @param {string} playerId - ID of the player muting
+   * @param {string} targetId - ID of the player to mute or unmute
+   * @param {boolean} [muted=true] - False to unmute
+   * @returns {string[]} The IDs the player now has muted
+   * @throws {Error} If either player is not in the game or they try to mute themselves
+   */
+  setPlayerMuted(playerId, targetId, muted = true) {
+    if (!this.players.some(p => p.id === playerId)) throw new Error('Player not found');
+    if (playerId === targetId) throw new Error('You cannot mute yourself');
+    if (muted && !this.players.some(p => p.id === targetId)) throw new Error('Player not found');
+
+    const mutedIds = this.getMutedPlayerIds(playerId).filter(id => id !== targetId);
+    this.chatMutes[playerId] = muted ? [...mutedIds, targetId] : mutedIds;
+
+    this.notifyChange();
+    return this.chatMutes[playerId];
+  }
+
+  /**
+   * Report a player for what they said in chat
+   * The report keeps their most recent messages for whoever reviews it, and the
+   * reporter stops seeing their chat
+   * @param {string} playerId - ID of the player reporting
+   * @param {string} targetId - ID of the player being reported
+   * @param {string} [reason] - Why (up to CHAT_CONFIG.playerChat.maxLength characters)
+   * @returns {Object} The report { reporterId, reporterName, reportedId, reportedName, reason, messages, timestamp }
+   * @throws {Error} If either player is unknown, the target is an AI or the reporter is the target
+   */
+  reportPlayer(playerId, targetId, reason = '') {
+    const reporter = this.players.find(p => p.id === playerId);
+    const target = this.players.find(p => p.id === targetId);
+    if (!reporter || !target) throw new Error('Player not found');
+    if (playerId === targetId) throw new Error('You cannot report yourself');
+    if (target.isAI) throw new Error('AI players cannot be reported - mute them instead');
+
+    const { maxLength, reportedMessages } = CHAT_CONFIG.playerChat;
+    if (typeof reason !== 'string') throw new Error('Reason must be text');
+    if (reason.length > maxLength) throw new Error(`Reason is too long (max ${maxLength} characters)`);
+
+    const report = {
+      reporterId: playerId,
+      reporterName: reporter.name,
+      reportedId: targetId,
+      reportedName: target.name,
+      reason: reason.trim(),
+      messages: this.getPlayerChatHistory()
+        .filter(m => m.playerId === targetId)
+        .slice(-reportedMessages)
+        .map(({ message, timestamp }) => ({ message, timestamp })),
+      timestamp: Date.now()
+    };
+    this.chatReports.push(report);
+
+    this.setPlayerMuted(playerId, targetId, true);
+    return report;
+  }
+
+  /**
+   * Describe the game's card set for the public state
+   * A replayed game may use a set that is no longer installed; its ID stands in for the name
+   * @returns {Object} { id, name, cardCount } (cardCount is null for an unknown set)
+   */
+  getCardSetSummary() {
+    if (!hasCardSet(this.cardSetId)) {
+      return { id: this.cardSetId, name: this.cardSetId, cardCount: null };
     }
+
+    const { id, name, cards } = getCardSet(this.cardSetId);
+    return { id, name, cardCount: countDeckCards(cards, this.rules.deck) };
   }
 
   /**
@@ -604,7 +2127,13 @@ export class Game {
         id: p.id,
         name: p.name,
         isAI: p.isAI || false,
-        remainingMoney: this.getPlayerMoneyTotal(p.id),
+        connected: p.connected !== false,
+        aiStandIn: p.aiStandIn || false,
+        aiDifficulty: p.isAI ? p.aiDifficulty || AI_DIFFICULTIES.NORMAL : null,
+        aiPersonality: p.isAI ? getPersonalityForName(p.name) : null,
+        // Hidden money leaves players to count it from the visible bills
+        remainingMoney: this.moneyVisibility === MONEY_VISIBILITY.HIDDEN ? null : this.getPlayerMoneyTotal(p.id),
+        ...this.getVisibleBills(p),
         wonCardsCount: p.wonCards.length,
         wonCards: p.wonCards, // All players can see won cards
         hasPassed: p.hasPassed,
@@ -612,11 +2141,30 @@ export class Game {
       })),
       currentCard: this.currentCard,
       currentAuction: this.currentAuction,
+      roundResetVotesNeeded: this.getRoundResetVotesNeeded(),
       cardsRemaining: this.itemDeck.length, // How many cards left in deck
+      cardSet: this.getCardSetSummary(),
+      rules: this.rules, // Effective rules for the room (see setRules)
       host: this.host,
       results: this.results,
+      awards: this.awards, // Handed out when the game ends (see pickAwards)
       discardingPlayerId: this.discardingPlayerId,
-      chatMode: this.chatMode
+      pendingEffect: this.getPendingEffect(), // Card effect decision being waited on (any effect)
+      chatMode: this.chatMode,
+      chatFilter: this.chatFilter, // Profanity filter for player chat (see setChatFilter)
+      turnTimer: this.turnTimer,
+      spectatorCount: this.spectatorIds.size,
+      spectatorDelay: this.spectatorDelay, // Seconds spectators' view lags behind
+      poorestTieRule: this.poorestTieRule,
+      endCondition: this.endCondition,
+      moneyVisibility: this.moneyVisibility,
+      gameEndingCardsDrawn: this.gameEndingCardsDrawn,
+      gameEndingCardCount: this.gameEndingCardCount,
+      // Hidden until the end so nobody can predict the deck
+      seed: this.phase === GAME_PHASES.GAME_OVER ? this.seed : null,
+      replayId: this.replayId, // Set once the game is over (see get_replay)
+      session: this.session, // Game number and running tally at this table (see createRematch)
+      rematchReadyIds: this.rematchReadyIds // Players ready for a rematch (see setRematchReady)
     };
   }
 
@@ -632,7 +2180,8 @@ export class Game {
     return {
       moneyHand: player.moneyHand,
       removedBill: player.removedBill,
-      currentBid: player.currentBid
+      currentBid: player.currentBid,
+      mutedPlayerIds: this.getMutedPlayerIds(playerId)
     };
   }
 }
@@ -0,0 +1,102 @@
+// End-of-game statistics and awards for Low Society
+// What each player spent and on what, how their score was worked out, and a few
+// awards for the game over screen. Built from the action history, so a game rebuilt
+// from its event log (see Game.fromEvents) ends with the same stats.
+//
+// Action types are written out here rather than imported from game.js, which uses
+// this module when the game ends
+
+import { calculateScoreBreakdown, CARD_TYPES } from './cards.js';
+
+const AUCTION_ENDED = 'auction_ended';
+const LUXURY_DISCARDED = 'luxury_discarded';
+
+export const GAME_AWARDS = {
+  /** Most dollars per status point paid for a luxury */
+  BIGGEST_OVERPAY: { id: 'biggest_overpay', icon: '💸', title: 'Biggest Overpay' },
+  /** Fewest dollars per status point paid for a luxury */
+  BARGAIN_HUNTER: { id: 'bargain_hunter', icon: '🏷️', title: 'Bargain Hunter' },
+  /** Lost the most valuable luxury to a discard (Repo Man) */
+  REPO_MAN_VICTIM: { id: 'repo_man_victim', icon: '🚚', title: 'Repo Man Victim' },
+  /** Spent the least money */
+  CHEAPSKATE: { id: 'cheapskate', icon: '🪙', title: 'Cheapskate' },
+  /** Spent the most money */
+  BIG_SPENDER: { id: 'big_spender', icon: '🤑', title: 'Big Spender' }
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// First entry with the highest score (ties go to whoever got there first)
+const best = (entries, score) => entries.reduce((top, entry) => (!top || score(entry) > score(top) ? entry : top), null);
+
+// Build each player's stats, by player ID
+// Returns { [playerId]: { score, totalSpent, removedBill, cards: [{ card, auctionType, price }], paidToAvoid } }
+// - score: how the score was worked out (see calculateScoreBreakdown)
+// - cards: every card they took at auction, in order, with what they paid for it
+//   (nothing for a disgrace card - in a reverse auction the others pay)
+// - paidToAvoid: what they paid in reverse auctions to stay clear of disgrace cards
+export function buildPlayerStats(game) {
+  const auctions = game.actionHistory
+    .filter(action => action.type === AUCTION_ENDED)
+    .map(action => action.data);
+
+  const paidBy = (auction, playerId) => auction.payments.find(payment => payment.playerId === playerId)?.amount ?? 0;
+
+  return Object.fromEntries(game.players.map(player => [player.id, {
+    score: calculateScoreBreakdown(player),
+    totalSpent: sum(player.moneyHand.filter(bill => !bill.available).map(bill => bill.value)),
+    removedBill: player.removedBill?.value ?? null,
+    cards: auctions
+      .filter(auction => auction.playerId === player.id)
+      .map(auction => ({ card: auction.card, auctionType: auction.auctionType, price: paidBy(auction, player.id) })),
+    paidToAvoid: sum(auctions
+      .filter(auction => auction.playerId !== player.id)
+      .map(auction => paidBy(auction, player.id)))
+  }]));
+}
+
+// Hand out the awards a game earned (an award nobody qualifies for is left out)
+// Returns [{ id, icon, title, description, playerId, playerName }]
+export function pickAwards(game, stats) {
+  const awards = [];
+  const award = (type, player, description) => {
+    awards.push({ ...type, description, playerId: player.id, playerName: player.name });
+  };
+
+  // Luxuries bought outright, priced per status point
+  const purchases = game.players.flatMap(player => stats[player.id].cards
+    .filter(({ card, price }) => card.type === CARD_TYPES.LUXURY && price > 0)
+    .map(({ card, price }) => ({ player, card, price, perPoint: price / card.value })));
+
+  const overpay = best(purchases, purchase => purchase.perPoint);
+  if (overpay) {
+    award(GAME_AWARDS.BIGGEST_OVERPAY, overpay.player,
+      `Paid $${overpay.price} for ${overpay.card.name} (${overpay.card.value} points)`);
+  }
+
+  const bargain = best(purchases, purchase => -purchase.perPoint);
+  if (bargain && bargain.perPoint < overpay.perPoint) {
+    award(GAME_AWARDS.BARGAIN_HUNTER, bargain.player,
+      `Got ${bargain.card.name} (${bargain.card.value} points) for $${bargain.price}`);
+  }
+
+  const discards = game.actionHistory
+    .filter(action => action.type === LUXURY_DISCARDED)
+    .map(action => action.data);
+  const biggestLoss = best(discards, discard => discard.card?.value ?? 0);
+  const victim = biggestLoss && game.players.find(player => player.id === biggestLoss.playerId);
+  if (victim && biggestLoss.card) {
+    award(GAME_AWARDS.REPO_MAN_VICTIM, victim,
+      `Had ${biggestLoss.card.name} (${biggestLoss.card.value} points) repossessed`);
+  }
+
+  // Only worth calling out if someone spent differently
+  const cheapskate = best(game.players, player => -stats[player.id].totalSpent);
+  const bigSpender = best(game.players, player => stats[player.id].totalSpent);
+  if (stats[cheapskate.id].totalSpent < stats[bigSpender.id].totalSpent) {
+    award(GAME_AWARDS.CHEAPSKATE, cheapskate, `Spent only $${stats[cheapskate.id].totalSpent} all game`);
+    award(GAME_AWARDS.BIG_SPENDER, bigSpender, `Spent $${stats[bigSpender.id].totalSpent} all game`);
+  }
+
+  return awards;
+}
@@ -0,0 +1,178 @@
+// Game rules for Low Society
+// The rules a room plays by: player limits, money, the bill-removal rule, deck
+// composition and turn timer limits. The standard rules come from GAME_CONFIG,
+// the server's config file can change the defaults (setDefaultRules) and the
+// host can override them per room at start_game (Game#setRules).
+//
+// Card types are written out here rather than imported from cards.js, which
+// uses the bill-removal rules below
+
+import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
+
+export const BILL_REMOVAL_RULES = {
+  /** One random bill, never the lowest or highest (standard Low Society) */
+  MIDDLE: 'middle',
+  /** Any one random bill */
+  ANY: 'any',
+  /** Everyone keeps all their bills */
+  NONE: 'none'
+};
+
+// Limits no configuration can go past
+export const RULE_LIMITS = {
+  players: { min: 2, max: 6 },
+  denominations: { min: 2, max: GAME_CONFIG.money.maxCardsInHand },
+  turnTimerSeconds: { min: 5, max: 3600 }
+};
+
+const DECK_CARD_TYPES = ['luxury', 'prestige', 'disgrace', 'special'];
+
+// Standard Low Society rules
+const STANDARD_RULES = {
+  players: { ...GAME_CONFIG.players },
+  money: {
+    denominations: [...GAME_CONFIG.money.denominations],
+    billRemoval: GAME_CONFIG.money.billRemoval
+  },
+  // Most cards of each type to use from the card set (null uses them all)
+  deck: Object.fromEntries(DECK_CARD_TYPES.map(type => [type, null])),
+  turnTimer: { ...GAME_CONFIG.turnTimer }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+let defaultRules = validateRules({}, STANDARD_RULES);
+
+/**
+ * Validate rule overrides and merge them over a base set of rules
+ * Each section is merged setting by setting, so `{ players: { max: 4 } }` keeps the
+ * base minimum; the denominations list is replaced as a whole
+ * @param {Object} [overrides] - Partial rules, e.g. `{ players: { max: 4 } }`
+ * @param {Object} [base] - Complete rules to start from (the server defaults)
+ * @returns {Object} Complete rules { players, money, deck, turnTimer }
+ * @throws {Error} Describing the first problem found
+ */
+export function validateRules(overrides = {}, base = defaultRules) {
+  const fail = (message) => {
+    throw new Error(`Invalid rules: ${message}`);
+  };
+
+  if (!isPlainObject(overrides)) fail('expected an object');
+
+  Object.keys(overrides).forEach(section => {
+    if (!base[section]) fail(`unknown section "${section}" (use ${Object.keys(base).join(', ')})`);
+  });
+
+  const rules = {};
+
+  Object.entries(base).forEach(([section, defaults]) => {
+    const override = overrides[section] ?? {};
+    if (!isPlainObject(override)) fail(`${section} must be an object`);
+
+    Object.keys(override).forEach(key => {
+      if (!(key in defaults)) fail(`unknown setting "${section}.${key}"`);
+    });
+
+    rules[section] = JSON.parse(JSON.stringify({ ...defaults, ...override }));
+  });
+
+  const { players, money, deck, turnTimer } = rules;
+  const limits = RULE_LIMITS;
+
+  if (!isWholeNumber(players.min, limits.players.min, limits.players.max) ||
+      !isWholeNumber(players.max, players.min, limits.players.max)) {
+    fail(`players needs a min and max from ${limits.players.min} to ${limits.players.max} (min no larger than max)`);
+  }
+
+  const { denominations } = money;
+  if (!Array.isArray(denominations) ||
+      denominations.length < limits.denominations.min ||
+      denominations.length > limits.denominations.max) {
+    fail(`money.denominations must list ${limits.denominations.min}-${limits.denominations.max} bills`);
+  }
+  if (!denominations.every(value => Number.isInteger(value) && value > 0)) {
+    fail('money.denominations must be positive whole numbers');
+  }
+  if (new Set(denominations).size !== denominations.length) {
+    fail('money.denominations must not repeat a value');
+  }
+  money.denominations = [...denominations].sort((a, b) => a - b);
+
+  if (!Object.values(BILL_REMOVAL_RULES).includes(money.billRemoval)) {
+    fail(`money.billRemoval must be one of ${Object.values(BILL_REMOVAL_RULES).join(', ')}`);
+  }
+  // Keeping the lowest and highest bills needs a bill in between to remove
+  if (money.billRemoval === BILL_REMOVAL_RULES.MIDDLE && denominations.length < 3) {
+    fail('money.billRemoval "middle" needs at least 3 denominations');
+  }
+
+  Object.entries(deck).forEach(([type, count]) => {
+    if (count !== null && !isWholeNumber(count, 0, Infinity)) {
+      fail(`deck.${type} must be null (every card) or a whole number`);
+    }
+  });
+  if (Object.values(deck).every(count => count === 0)) {
+    fail('deck must keep at least one card type');
+  }
+
+  const { min, max } = limits.turnTimerSeconds;
+  if (!isWholeNumber(turnTimer.minSeconds, min, max) ||
+      !isWholeNumber(turnTimer.maxSeconds, turnTimer.minSeconds, max)) {
+    fail(`turnTimer needs minSeconds and maxSeconds from ${min} to ${max} (min no larger than max)`);
+  }
+
+  return rules;
+}
+
+/**
+ * Rules a new room starts with
+ * @returns {Object} A copy of the server's default rules
+ */
+export function getDefaultRules() {
+  return JSON.parse(JSON.stringify(defaultRules));
+}
+
+/**
+ * Change the rules new rooms start with (the config file's `game.rules`)
+ * @param {Object} [overrides] - Partial rules, merged over the standard rules
+ * @returns {Object} The new default rules
+ * @throws {Error} If the rules are invalid
+ */
+export function setDefaultRules(overrides = {}) {
+  defaultRules = validateRules(overrides, STANDARD_RULES);
+  return getDefaultRules();
+}
+
+/**
+ * Number of a card set's cards a deck composition keeps
+ * @param {Object[]} cards - Cards of the card set (or some of them)
+ * @param {Object} deck - Deck rules (most cards of each type, null for all)
+ * @returns {number}
+ */
+export function countDeckCards(cards, deck) {
+  const byType = {};
+  cards.forEach(card => {
+    byType[card.type] = (byType[card.type] || 0) + 1;
+  });
+
+  return Object.entries(byType)
+    .reduce((total, [type, count]) => total + Math.min(count, deck[type] ?? count), 0);
+}
+
+/**
+ * Rule overrides from the config file's `game` section
+ * `game.rules` holds them; the older `minPlayers` and `maxPlayers` keys still set the player limits
+ * @param {Object} [gameConfig] - The config file's `game` section
+ * @returns {Object} Partial rules for setDefaultRules
+ */
+export function getConfigRules(gameConfig = {}) {
+  const { rules = {}, minPlayers, maxPlayers } = gameConfig;
+  const players = {
+    ...(minPlayers != null && { min: minPlayers }),
+    ...(maxPlayers != null && { max: maxPlayers }),
+    ...rules.players
+  };
+
+  return Object.keys(players).length > 0 ? { ...rules, players } : rules;
+}
@@ -3,70 +3,89 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
-import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { basename, dirname, join, resolve } from 'path';
+import { loadConfig } from '../../shared/config/loadConfig.js';
 import { roomManager } from './services/roomManager.js';
+import { createGameStore } from './services/gameStore.js';
+import { setDefaultRules, getDefaultRules, getConfigRules } from './models/rules.js';
 import { GAME_PHASES } from './shared/constants/gamePhases.js';
-import { clearAIPlayers } from './ai/aiHandler.js';
+import { clearAIPlayers, restoreAIPlayers, checkAndHandleAITurn, scheduleAITakeover } from './ai/aiHandler.js';
+import { clearTurnTimer } from './services/turnTimer.js';
+import { publishToSpectators, publishActionToSpectators, clearSpectatorFeed } from './services/spectatorFeed.js';
+import { SOCKET_EVENTS } from './shared/constants/socketEvents.js';
 import {
   handleCreateRoom,
   handleJoinRoom,
+  handleResumeSession,
+  handleSpectateRoom,
   handleLeaveRoom,
   handleDisconnect,
   handleStartGame,
+  handleSetAIDifficulty,
   handleGetState,
+  handleGetCardSets,
+  handleGetActionHistory,
+  handleGetReplay,
+  handleRequestRematch,
   handlePlaceBid,
   handlePass,
+  handleRequestRoundReset,
+  handleVoteRoundReset,
   handleExecuteCardSwap,
   handleDiscardLuxuryCard,
-  handleSetChatMode
+  handleResolveCardEffect,
+  handleSetChatMode,
+  handleSendChatMessage,
+  handleGetChatHistory,
+  handleMutePlayer,
+  handleReportPlayer,
+  handleSetChatFilter,
+  handleSendEmote
 } from './handlers/index.js';
 
 // Set up AI cleanup when rooms are deleted
 roomManager.on('roomDeleted', (roomCode) => {
   clearAIPlayers(roomCode);
+  clearTurnTimer(roomCode);
+  clearSpectatorFeed(roomCode);
 });
 
-// Load config
+// Load config (config.json, config.mjs or config.js in the project root, plus environment overrides)
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const configPath = join(__dirname, '..', '..', 'config.js');
+const rootDir = join(__dirname, '..', '..');
 let config;
 try {
-  // Read as CommonJS module and convert to JSON-safe format
-  const configContent = readFileSync(configPath, 'utf8');
-  // Extract the object literal using regex and convert to JSON
-  const match = configContent.match(/module\.exports\s*=\s*(\{[\s\S]*\});/);
-  if (match) {
-    // Use Function constructor instead of eval for safer parsing
-    // This still evaluates code but is more controlled than eval
-    // Better solution would be to use ES modules or JSON config files
-    const configString = match[1];
-    // Replace JavaScript object syntax with JSON-compatible syntax
-    const jsonString = configString
-      .replace(/(\w+):/g, '"$1":')  // Quote keys
-      .replace(/'/g, '"');           // Replace single quotes with double quotes
-
-    try {
-      config = JSON.parse(jsonString);
-    } catch (jsonError) {
-      // Fallback to Function constructor if JSON parsing fails
-      // This is safer than eval as it doesn't have access to local scope
-      const configFunc = new Function('return ' + configString);
-      config = configFunc();
-      console.warn('Config parsed using Function constructor. Consider migrating to JSON or ES modules.');
-    }
-  } else {
-    throw new Error('Could not parse config file');
-  }
+  const loaded = await loadConfig({ rootDir });
+  config = loaded.config;
+  loaded.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  console.log(`Config: ${loaded.path ? basename(loaded.path) : 'defaults'}${loaded.profile ? ` (profile "${loaded.profile}")` : ''}`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Default rules for new rooms (hosts can override them per room at start_game)
+try {
+  setDefaultRules(getConfigRules(config.game));
 } catch (error) {
-  console.error('Warning: Could not load config.js, using defaults:', error.message);
-  config = {
-    server: { port: 3003, host: '0.0.0.0', corsOrigins: '*' },
-    game: { minPlayers: 3, maxPlayers: 5, startingMoney: 40, deckSize: 15 }
-  };
+  console.error(`Warning: ${error.message} in game.rules, using the standard rules`);
 }
 
+// Set up persistence so a restart doesn't wipe every table
+// Relative directories are resolved from the project root (where the config file lives)
+const persistenceConfig = config.persistence;
+const gameStore = createGameStore({
+  ...persistenceConfig,
+  directory: resolve(rootDir, persistenceConfig.directory)
+});
+roomManager.setStore(gameStore);
+
+// Rehydrate rooms and their AI players from the last run
+const restoredGames = roomManager.restoreRooms();
+restoredGames.forEach(game => restoreAIPlayers(game));
+console.log(`Persistence: ${persistenceConfig.adapter} (${restoredGames.length} rooms restored)`);
+
 console.log('Server configuration:', {
   host: config.server.host,
   port: config.server.port,
@@ -92,6 +111,16 @@ const io = new Server(httpServer, {
   }
 });
 
+// Spectators get every change too, held back by the room's spectator delay
+roomManager.on('gameChanged', (game) => publishToSpectators(io, game));
+
+// Every action at the table goes out as it happens, so clients never have to work out
+// what changed between two states (spectators get it late, like the state)
+roomManager.on('gameAction', ({ game, action }) => {
+  io.to(game.roomCode).emit(SOCKET_EVENTS.GAME_ACTION, { action });
+  publishActionToSpectators(io, game, action);
+});
+
 // REST API endpoints
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', rooms: roomManager.getAllRooms().length });
@@ -108,34 +137,62 @@ io.on('connection', (socket) => {
   // Room management handlers
   socket.on('create_room', handleCreateRoom(socket, roomManager, io));
   socket.on('join_room', handleJoinRoom(socket, roomManager, io));
+  socket.on('resume_session', handleResumeSession(socket, roomManager, io));
+  socket.on('spectate_room', handleSpectateRoom(socket, roomManager, io));
   socket.on('leave_room', handleLeaveRoom(socket, roomManager, io));
 
   // Game control handlers
   socket.on('start_game', handleStartGame(socket, roomManager, io));
+  socket.on('set_ai_difficulty', handleSetAIDifficulty(socket, roomManager, io));
   socket.on('get_state', handleGetState(socket, roomManager));
+  socket.on('get_card_sets', handleGetCardSets(socket));
+  socket.on('get_action_history', handleGetActionHistory(socket, roomManager));
+  socket.on('get_replay', handleGetReplay(socket, roomManager));
+  socket.on('request_rematch', handleRequestRematch(socket, roomManager, io));
 
   // Auction handlers
   socket.on('place_bid', handlePlaceBid(socket, roomManager, io));
   socket.on('pass', handlePass(socket, roomManager, io));
+  socket.on('request_round_reset', handleRequestRoundReset(socket, roomManager, io));
+  socket.on('vote_round_reset', handleVoteRoundReset(socket, roomManager, io));
 
   // Special card effect handlers
   socket.on('execute_card_swap', handleExecuteCardSwap(socket, roomManager, io));
   socket.on('discard_luxury_card', handleDiscardLuxuryCard(socket, roomManager, io));
+  socket.on('resolve_card_effect', handleResolveCardEffect(socket, roomManager, io));
 
   // Chat handlers
   socket.on('set_chat_mode', handleSetChatMode(socket, roomManager, io));
+  socket.on('send_chat_message', handleSendChatMessage(socket, roomManager, io));
+  socket.on('get_chat_history', handleGetChatHistory(socket, roomManager, io));
+  socket.on('mute_player', handleMutePlayer(socket, roomManager, io));
+  socket.on('report_player', handleReportPlayer(socket, roomManager, io));
+  socket.on('set_chat_filter', handleSetChatFilter(socket, roomManager, io));
+  socket.on('send_emote', handleSendEmote(socket, roomManager, io));
 
   // Disconnection handler
   socket.on('disconnect', handleDisconnect(socket, roomManager, io, GAME_PHASES));
 });
 
 // Start server
-const PORT = process.env.PORT || config.server.port;
-const HOST = config.server.host || '0.0.0.0';
+// PORT and LOW_SOCIETY_SERVER_PORT are already applied by loadConfig
+const PORT = config.server.port;
+const HOST = config.server.host;
 httpServer.listen(PORT, HOST, () => {
   console.log(`Low Society server running on ${HOST}:${PORT}`);
   console.log(`WebSocket server ready for connections`);
-  console.log(`Game settings: ${config.game.minPlayers}-${config.game.maxPlayers} players, $${config.game.startingMoney} starting money`);
+  const { players, money } = getDefaultRules();
+  const startingMoney = money.denominations.reduce((sum, value) => sum + value, 0);
+  console.log(`Game rules: ${players.min}-${players.max} players, $${startingMoney} in bills (bill removal: ${money.billRemoval})`);
+
+  // Resume any AI turns (and turn timers) that were pending when the server stopped,
+  // and give AI stand-ins the seats of players who don't come back in time
+  restoredGames.forEach(game => {
+    game.players
+      .filter(p => !p.isAI && p.connected === false && !p.aiStandIn)
+      .forEach(p => scheduleAITakeover(game, game.roomCode, io, p.id));
+    checkAndHandleAITurn(game, game.roomCode, io);
+  });
 });
 
 export { app, io };
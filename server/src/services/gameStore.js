@@ -0,0 +1,222 @@
+/**
+ * Game Store
+ * Pluggable persistence adapters for game snapshots and event logs so rooms survive a server restart,
+ * and for the event logs of finished games, kept as replays after their rooms are gone
+ * @module services/gameStore
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+
+/**
+ * Available persistence adapters
+ * @enum {string}
+ */
+export const STORE_ADAPTERS = {
+  /** Keep snapshots in memory only (lost on restart) */
+  MEMORY: 'memory',
+  /** Write one JSON file per room to a directory */
+  FILE: 'file'
+};
+
+/**
+ * In-memory store
+ * Used by tests and when persistence is disabled
+ */
+export class MemoryGameStore {
+  constructor() {
+    this.snapshots = new Map(); // roomCode -> snapshot
+    this.eventLogs = new Map(); // roomCode -> events[]
+    this.replays = new Map(); // replayId -> stored replay
+  }
+
+  /**
+   * Save a game snapshot
+   * @param {string} roomCode - Room code of the game
+   * @param {Object} snapshot - Serializable game snapshot
+   */
+  saveGame(roomCode, snapshot) {
+    this.snapshots.set(roomCode, JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  /**
+   * Delete a stored game
+   * @param {string} roomCode - Room code of the game
+   */
+  deleteGame(roomCode) {
+    this.snapshots.delete(roomCode);
+    this.eventLogs.delete(roomCode);
+  }
+
+  /**
+   * Append an event to a game's event log
+   * @param {string} roomCode - Room code of the game
+   * @param {Object} event - Recorded game event
+   */
+  appendEvent(roomCode, event) {
+    if (!this.eventLogs.has(roomCode)) {
+      this.eventLogs.set(roomCode, []);
+    }
+    this.eventLogs.get(roomCode).push(JSON.parse(JSON.stringify(event)));
+  }
+
+  /**
+   * Load a game's event log
+   * @param {string} roomCode - Room code of the game
+   * @returns {Object[]} Events in the order they were appended
+   */
+  loadEvents(roomCode) {
+    return JSON.parse(JSON.stringify(this.eventLogs.get(roomCode) || []));
+  }
+
+  /**
+   * Load every stored snapshot
+   * @returns {Object[]} Array of game snapshots
+   */
+  loadAll() {
+    return Array.from(this.snapshots.values()).map(s => JSON.parse(JSON.stringify(s)));
+  }
+
+  /**
+   * Keep a finished game for replays
+   * @param {string} replayId - Replay ID
+   * @param {Object} replay - { replayId, roomCode, finishedAt, events }
+   */
+  saveReplay(replayId, replay) {
+    this.replays.set(replayId, JSON.parse(JSON.stringify(replay)));
+  }
+
+  /**
+   * Load a stored replay
+   * @param {string} replayId - Replay ID
+   * @returns {Object|null} The stored replay, or null if there is none
+   */
+  loadReplay(replayId) {
+    const replay = this.replays.get(replayId);
+    return replay ? JSON.parse(JSON.stringify(replay)) : null;
+  }
+}
+
+/**
+ * File-based store
+ * Writes each room to `<directory>/<ROOM>.json`, replacing the file atomically,
+ * and appends its events to `<directory>/<ROOM>.events.jsonl`
+ * Replays go to `<directory>/replays/<ID>.json`
+ */
+export class FileGameStore {
+  /**
+   * @param {string} directory - Directory that holds the room files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    if (!existsSync(directory)) {
+      mkdirSync(directory, { recursive: true });
+    }
+  }
+
+  // Path of the snapshot file for a room
+  getGamePath(roomCode) {
+    return join(this.directory, `${roomCode}.json`);
+  }
+
+  // Path of the append-only event log for a room
+  getEventLogPath(roomCode) {
+    return join(this.directory, `${roomCode}.events.jsonl`);
+  }
+
+  // Path of a stored replay; refuses IDs that would reach outside the replays directory
+  getReplayPath(replayId) {
+    const replayDirectory = resolve(this.directory, 'replays');
+    const filePath = resolve(replayDirectory, `${replayId}.json`);
+    if (dirname(filePath) !== replayDirectory) {
+      throw new Error(`Invalid replay ID: ${replayId}`);
+    }
+    return filePath;
+  }
+
+  saveGame(roomCode, snapshot) {
+    const filePath = this.getGamePath(roomCode);
+    const tempPath = `${filePath}.tmp`;
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+    writeFileSync(tempPath, JSON.stringify(snapshot));
+    renameSync(tempPath, filePath);
+  }
+
+  deleteGame(roomCode) {
+    [this.getGamePath(roomCode), this.getEventLogPath(roomCode)].forEach(filePath => {
+      if (existsSync(filePath)) {
+        unlinkSync(filePath);
+      }
+    });
+  }
+
+  appendEvent(roomCode, event) {
+    appendFileSync(this.getEventLogPath(roomCode), JSON.stringify(event) + '\n');
+  }
+
+  loadEvents(roomCode) {
+    const filePath = this.getEventLogPath(roomCode);
+    if (!existsSync(filePath)) return [];
+
+    return readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line));
+  }
+
+  loadAll() {
+    const snapshots = [];
+
+    readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          snapshots.push(JSON.parse(readFileSync(join(this.directory, file), 'utf8')));
+        } catch (error) {
+          console.error(`[Store] Skipping unreadable snapshot ${file}:`, error.message);
+        }
+      });
+
+    return snapshots;
+  }
+
+  saveReplay(replayId, replay) {
+    const replayDirectory = join(this.directory, 'replays');
+    if (!existsSync(replayDirectory)) {
+      mkdirSync(replayDirectory, { recursive: true });
+    }
+    writeFileSync(this.getReplayPath(replayId), JSON.stringify(replay));
+  }
+
+  loadReplay(replayId) {
+    const filePath = this.getReplayPath(replayId);
+    return existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : null;
+  }
+}
+
+/**
+ * Create a store from the `persistence` section of config.js
+ * @param {Object} [options] - Persistence options
+ * @param {string} [options.adapter='memory'] - One of STORE_ADAPTERS
+ * @param {string} [options.directory] - Directory for the file adapter
+ * @returns {MemoryGameStore|FileGameStore} The store instance
+ * @throws {Error} If the adapter is unknown or misconfigured
+ */
+export function createGameStore(options = {}) {
+  const adapter = options.adapter || STORE_ADAPTERS.MEMORY;
+
+  switch (adapter) {
+    case STORE_ADAPTERS.MEMORY:
+      return new MemoryGameStore();
+
+    case STORE_ADAPTERS.FILE:
+      if (!options.directory) {
+        throw new Error('File persistence requires a directory');
+      }
+      return new FileGameStore(options.directory);
+
+    default:
+      throw new Error(`Unknown persistence adapter: ${adapter}`);
+  }
+}
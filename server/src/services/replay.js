@@ -0,0 +1,68 @@
+/**
+ * Replays
+ * Rebuilds a finished game from its event log as frames a client can step through
+ * Frames show everything, including the bills in every player's hand, so only
+ * finished games are kept as replays (see RoomManager#saveReplay)
+ * @module services/replay
+ */
+
+import { Game } from '../models/game.js';
+
+/**
+ * The table as it stands, with nothing hidden
+ * @param {Game} game - The game being replayed
+ * @returns {Object} { phase, currentCard, auctionType, turnPlayerId, cardsRemaining, players }
+ */
+function captureTable(game) {
+  return JSON.parse(JSON.stringify({
+    phase: game.phase,
+    currentCard: game.currentCard,
+    auctionType: game.currentAuction?.type ?? null,
+    turnPlayerId: game.getTurnPlayerId(),
+    cardsRemaining: game.itemDeck.length,
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      isAI: p.isAI || false,
+      moneyHand: p.moneyHand,
+      currentBid: p.currentBid,
+      remainingMoney: game.getPlayerMoneyTotal(p.id),
+      currentBidTotal: game.calculatePlayerBidTotal(p.id, []),
+      wonCards: p.wonCards,
+      hasPassed: p.hasPassed
+    }))
+  }));
+}
+
+/**
+ * Replay a stored game into frames, one per event that added to the action history
+ * Events that change nothing anyone saw (e.g. bills removed at the start) update
+ * the frame before them instead
+ * @param {Object} stored - { replayId, roomCode, finishedAt, events } (see RoomManager#saveReplay)
+ * @returns {Object} { replayId, roomCode, finishedAt, seed, results, frames: [{ actions, table }] }
+ * @throws {Error} If the event log can't be replayed
+ */
+export function buildReplay({ replayId, roomCode, finishedAt, events }) {
+  const frames = [];
+  let actionCount = 0;
+
+  const game = Game.fromEvents(roomCode, events, (replayed) => {
+    const actions = replayed.actionHistory.slice(actionCount);
+    actionCount = replayed.actionHistory.length;
+
+    if (actions.length > 0) {
+      frames.push({ actions, table: captureTable(replayed) });
+    } else if (frames.length > 0) {
+      frames[frames.length - 1].table = captureTable(replayed);
+    }
+  });
+
+  return {
+    replayId,
+    roomCode,
+    finishedAt,
+    seed: game.seed,
+    results: game.results,
+    frames
+  };
+}
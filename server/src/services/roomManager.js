@@ -1,17 +1,203 @@
 // Room management service
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { Game } from '../models/game.js';
 import { GAME_PHASES } from '../shared/constants/gamePhases.js';
 import { GAME_CONFIG } from '../shared/constants/gameConfig.js';
+import { MemoryGameStore } from './gameStore.js';
 
 class RoomManager {
   constructor() {
     this.rooms = new Map(); // roomCode -> Game
     this.playerRooms = new Map(); // playerId -> roomCode
+    this.spectatorRooms = new Map(); // spectator socket ID -> roomCode
+    this.store = new MemoryGameStore(); // Persistence adapter for game snapshots
+  }
+
+  // Swap the persistence adapter (see services/gameStore.js)
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Register a game and persist it after every state change
+  // (listeners of 'gameChanged' hear about every change too, e.g. the spectator feed,
+  // and listeners of 'gameAction' about every action added to the game's history)
+  trackGame(game) {
+    this.rooms.set(game.roomCode, game);
+    game.onChange = () => {
+      // A game that just ended is kept as a replay
+      if (game.phase === GAME_PHASES.GAME_OVER && !game.replayId) {
+        this.saveReplay(game);
+      }
+      this.persistGame(game);
+      this.emit('gameChanged', game);
+    };
+    game.onEvent = (event) => this.recordGameEvent(game, event);
+    game.onAction = (action) => this.emit('gameAction', { game, action });
+    this.persistGame(game);
+  }
+
+  // Write the current snapshot of a game to the store
+  persistGame(game) {
+    // Skip games that have been removed (e.g. late AI callbacks after cleanup)
+    if (this.rooms.get(game.roomCode) !== game) return;
+
+    try {
+      this.store.saveGame(game.roomCode, game.toSnapshot());
+    } catch (error) {
+      console.error(`[Store] Failed to persist room ${game.roomCode}:`, error.message);
+    }
+  }
+
+  // Append a game event to the store's per-game log
+  recordGameEvent(game, event) {
+    if (this.rooms.get(game.roomCode) !== game) return;
+
+    try {
+      this.store.appendEvent(game.roomCode, event);
+    } catch (error) {
+      console.error(`[Store] Failed to log event for room ${game.roomCode}:`, error.message);
+    }
+  }
+
+  // Keep a finished game's event log under a new replay ID (see services/replay.js)
+  saveReplay(game) {
+    game.replayId = this.generateReplayId();
+
+    try {
+      this.store.saveReplay(game.replayId, {
+        replayId: game.replayId,
+        roomCode: game.roomCode,
+        finishedAt: Date.now(),
+        events: game.eventLog
+      });
+    } catch (error) {
+      console.error(`[Store] Failed to save replay for room ${game.roomCode}:`, error.message);
+    }
+  }
+
+  // Replace a finished game with its rematch, already started, once the table is ready
+  // (see Game#createRematch). Seats keep their IDs, so players, spectators and AI seats stay
+  // registered to the room; the finished game lives on as its replay and the store starts
+  // the new game's log
+  startRematch(roomCode) {
+    const previous = this.rooms.get(roomCode);
+    if (!previous) {
+      throw new Error('Room not found');
+    }
+
+    // Started before it replaces anything, so a rematch that can't start
+    // (e.g. too few players left) leaves the finished game in place
+    const game = previous.createRematch();
+    game.startGame();
+    copyReconnectTokens(previous.players, game.players);
+
+    previous.onChange = null;
+    previous.onEvent = null;
+    previous.onAction = null;
+
+    try {
+      this.store.deleteGame(roomCode);
+    } catch (error) {
+      console.error(`[Store] Failed to clear room ${roomCode} for a rematch:`, error.message);
+    }
+
+    this.trackGame(game);
+    game.eventLog.forEach(event => this.recordGameEvent(game, event));
+
+    console.log(`Room ${roomCode} starting game ${game.session.gameNumber} of the session`);
+
+    return game;
+  }
+
+  // Load a stored replay, or null if there is none
+  getReplay(replayId) {
+    try {
+      return this.store.loadReplay(replayId);
+    } catch (error) {
+      console.error(`[Store] Failed to load replay ${replayId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Remove a room and its stored snapshot
+  deleteRoom(roomCode) {
+    const game = this.rooms.get(roomCode);
+    if (game) {
+      game.onChange = null;
+      game.onEvent = null;
+      game.onAction = null;
+    }
+    this.rooms.delete(roomCode);
+
+    // Anyone still watching has nothing left to watch
+    this.spectatorRooms.forEach((spectatedRoom, spectatorId) => {
+      if (spectatedRoom === roomCode) this.spectatorRooms.delete(spectatorId);
+    });
+
+    try {
+      this.store.deleteGame(roomCode);
+    } catch (error) {
+      console.error(`[Store] Failed to delete room ${roomCode}:`, error.message);
+    }
+  }
+
+  /**
+   * Rehydrate rooms from the store (called once on server boot)
+   * Socket IDs do not survive a restart, so humans in lobby rooms are dropped
+   * (as if they had disconnected) and humans in running games are marked disconnected until
+   * they resume with their reconnect token (the server hands their seats to an AI if they don't).
+   * A turn clock that was running restarts, so nobody times out while the server was down.
+   * @returns {Game[]} The restored games
+   */
+  restoreRooms() {
+    const restored = [];
+
+    this.store.loadAll().forEach(snapshot => {
+      let game = Game.fromSnapshot(snapshot);
+
+      // The event log is written before the snapshot, so after a crash it may be ahead
+      const events = this.store.loadEvents(snapshot.roomCode);
+      if (events.length > game.eventLog.length) {
+        try {
+          game = Game.fromEvents(snapshot.roomCode, events);
+          copyReconnectTokens(snapshot.players, game.players);
+          console.log(`Room ${snapshot.roomCode} rebuilt from its event log`);
+        } catch (error) {
+          console.error(`[Store] Could not replay room ${snapshot.roomCode}, using snapshot:`, error.message);
+        }
+      }
+
+      this.trackGame(game);
+
+      if (game.phase === GAME_PHASES.WAITING) {
+        game.players
+          .filter(p => !p.isAI)
+          .forEach(p => game.removePlayer(p.id));
+
+        if (!game.players.some(p => !p.isAI)) {
+          this.deleteRoom(game.roomCode);
+          return;
+        }
+      } else {
+        game.players
+          .filter(p => !p.isAI && p.connected !== false)
+          .forEach(p => game.markDisconnected(p.id));
+
+        if (game.currentAuction?.turnDeadline) {
+          game.resetTurnDeadline();
+        }
+      }
+
+      restored.push(game);
+      console.log(`Room ${game.roomCode} restored (${game.phase}, ${game.players.length} players)`);
+    });
+
+    return restored;
   }
 
   // Generate a unique room code
   generateRoomCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Avoid confusing chars like I, O, 0, 1
+    const chars = GAME_CONFIG.room.codeChars;
     let code;
     let attempts = 0;
 
@@ -30,20 +216,41 @@ class RoomManager {
     return code;
   }
 
+  // Generate a replay ID (longer than room codes, since replays are kept)
+  generateReplayId() {
+    const chars = GAME_CONFIG.room.codeChars;
+    const bytes = randomBytes(GAME_CONFIG.room.replayIdLength);
+    return Array.from(bytes, byte => chars.charAt(byte % chars.length)).join('');
+  }
+
+  // Give a seat a new secret token the player can later present to resume_session
+  // Stored on the seat (and so in snapshots) but never included in public or private state
+  issueReconnectToken(game, playerId) {
+    const player = game.players.find(p => p.id === playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    player.reconnectToken = randomBytes(24).toString('base64url');
+    this.persistGame(game);
+    return player.reconnectToken;
+  }
+
   // Create a new room
-  createRoom(hostId, hostName) {
+  // options.seed makes the game reproducible (see Game#setSeed)
+  createRoom(hostId, hostName, options = {}) {
     const roomCode = this.generateRoomCode();
-    const game = new Game(roomCode);
+    const game = new Game(roomCode, { seed: options.seed });
+    this.trackGame(game);
 
     // Add host as first player
     game.addPlayer(hostId, hostName);
-
-    this.rooms.set(roomCode, game);
     this.playerRooms.set(hostId, roomCode);
+    const reconnectToken = this.issueReconnectToken(game, hostId);
 
     console.log(`Room ${roomCode} created by ${hostName} (${hostId})`);
 
-    return { roomCode, game };
+    return { roomCode, game, reconnectToken };
   }
 
   // Join an existing room
@@ -55,76 +262,19 @@ class RoomManager {
       throw new Error('Room not found');
     }
 
-    // Check if player is already in a room
-    if (this.playerRooms.has(playerId)) {
+    // Check if player is already in a room (or watching one)
+    if (this.isPlayerInRoom(playerId) || this.spectatorRooms.has(playerId)) {
       throw new Error('You are already in a room');
     }
 
-    // Check if this is a rejoin attempt (same name, game in progress)
-    // Use case-insensitive comparison
-    const existingPlayer = game.players.find(p => p.name.toLowerCase() === playerName.toLowerCase());
-
-    // If game is in progress and this is NOT a rejoin, prevent joining
-    if (!existingPlayer && game.phase !== GAME_PHASES.WAITING) {
+    // Players returning to a game in progress must use resumeSession with their token
+    if (game.phase !== GAME_PHASES.WAITING) {
       throw new Error('Game already in progress');
     }
 
-    if (existingPlayer && game.phase !== GAME_PHASES.WAITING) {
-      // Allow rejoin - update the player's socket ID
-      console.log(`${playerName} rejoining room ${roomCode} (old: ${existingPlayer.id}, new: ${playerId})`);
-
-      // Store old ID for host check
-      const oldPlayerId = existingPlayer.id;
-
-      // Remove old player ID from tracking
-      this.playerRooms.delete(existingPlayer.id);
-
-      // Update player ID
-      existingPlayer.id = playerId;
-      this.playerRooms.set(playerId, roomCode);
-
-      // Update host if this was the host
-      if (game.host === oldPlayerId) {
-        game.host = playerId;
-      }
-
-      // Update currentTurnPlayerId in auction if this was the current turn player
-      if (game.currentAuction && game.currentAuction.currentTurnPlayerId === oldPlayerId) {
-        game.currentAuction.currentTurnPlayerId = playerId;
-      }
-
-      // Update swapWinner if this was the swap winner
-      if (game.currentAuction && game.currentAuction.swapWinner === oldPlayerId) {
-        game.currentAuction.swapWinner = playerId;
-      }
-
-      // Update discardingPlayerId if this was the discarding player
-      if (game.discardingPlayerId === oldPlayerId) {
-        game.discardingPlayerId = playerId;
-      }
-
-      // Update nextStartingPlayerId if this was the next starting player
-      if (game.nextStartingPlayerId === oldPlayerId) {
-        game.nextStartingPlayerId = playerId;
-      }
-
-      // Restart the current auction to ensure clean state
-      console.log(`Rejoin - Game phase: ${game.phase}, Has auction: ${!!game.currentAuction}`);
-      let roundWasReset = false;
-      if (game.phase === 'auction') {
-        game.restartCurrentAuction();
-        roundWasReset = true;
-        console.log(`Auction restarted due to ${playerName} rejoining`);
-        console.log(`After restart - Turn player: ${game.currentAuction?.currentTurnPlayerId}`);
-      }
-
-      console.log(`${playerName} (${playerId}) rejoined room ${roomCode}`);
-      return { game, roundWasReset };
-    }
-
     // Check if room is full
     let removedAIPlayer = null;
-    if (game.players.length >= GAME_CONFIG.players.max) {
+    if (game.players.length >= game.rules.players.max) {
       // Room is full - check if there's an AI player to replace
       const aiPlayer = game.players.find(p => p.isAI);
       if (aiPlayer) {
@@ -133,17 +283,103 @@ class RoomManager {
         removedAIPlayer = aiPlayer.id;
         console.log(`${playerName} replacing AI player ${aiPlayer.name} in room ${roomCode}`);
       } else {
-        throw new Error(`Room is full (max ${GAME_CONFIG.players.max} players)`);
+        throw new Error(`Room is full (max ${game.rules.players.max} players)`);
       }
     }
 
     // Add player to game
     game.addPlayer(playerId, playerName);
     this.playerRooms.set(playerId, roomCode);
+    const reconnectToken = this.issueReconnectToken(game, playerId);
 
     console.log(`${playerName} (${playerId}) joined room ${roomCode}`);
 
-    return { game, roundWasReset: false, removedAIPlayer };
+    return { game, roundWasReset: false, removedAIPlayer, reconnectToken };
+  }
+
+  // Put a returning player back in their seat using the token issued on create/join
+  resumeSession(roomCode, reconnectToken, playerId) {
+    roomCode = roomCode.toUpperCase();
+
+    const game = this.rooms.get(roomCode);
+    if (!game) {
+      throw new Error('Room not found');
+    }
+
+    if (this.isPlayerInRoom(playerId) || this.spectatorRooms.has(playerId)) {
+      throw new Error('You are already in a room');
+    }
+
+    const seat = game.players.find(p => tokensMatch(p.reconnectToken, reconnectToken));
+    if (!seat) {
+      throw new Error('Invalid or expired session');
+    }
+
+    const previousPlayerId = seat.id;
+    console.log(`${seat.name} resuming room ${roomCode} (old: ${previousPlayerId}, new: ${playerId})`);
+
+    // Update tracking and every reference to the old socket ID
+    // (if the old socket is somehow still connected, the new one takes the seat over)
+    this.playerRooms.delete(previousPlayerId);
+    game.reassignPlayerId(previousPlayerId, playerId);
+    this.playerRooms.set(playerId, roomCode);
+
+    // The auction carries on exactly where it was - bids, passes and turn order are kept.
+    // Replaying the round is only possible through a host-proposed vote (see Game.proposeRoundReset)
+    this.persistGame(game);
+    console.log(`${seat.name} (${playerId}) resumed room ${roomCode}`);
+
+    return { game, player: seat, previousPlayerId };
+  }
+
+  // Watch a room without taking a seat (any phase, any number of spectators)
+  spectateRoom(roomCode, spectatorId) {
+    roomCode = roomCode.toUpperCase();
+
+    const game = this.rooms.get(roomCode);
+    if (!game) {
+      throw new Error('Room not found');
+    }
+
+    if (this.isPlayerInRoom(spectatorId) || this.spectatorRooms.has(spectatorId)) {
+      throw new Error('You are already in a room');
+    }
+
+    game.addSpectator(spectatorId);
+    this.spectatorRooms.set(spectatorId, roomCode);
+
+    console.log(`Spectator ${spectatorId} watching room ${roomCode}`);
+
+    return { roomCode, game };
+  }
+
+  // Give up a seat to watch the rest of the game instead (spectator mode)
+  moveToSpectators(roomCode, playerId) {
+    const game = this.rooms.get(roomCode);
+    if (!game) {
+      throw new Error('Room not found');
+    }
+
+    game.removePlayer(playerId);
+    this.playerRooms.delete(playerId);
+    game.addSpectator(playerId);
+    this.spectatorRooms.set(playerId, roomCode);
+  }
+
+  // Stop watching a room
+  stopSpectating(spectatorId) {
+    const roomCode = this.spectatorRooms.get(spectatorId);
+    if (!roomCode) return null;
+
+    this.spectatorRooms.delete(spectatorId);
+
+    const game = this.rooms.get(roomCode);
+    if (!game) return null;
+
+    game.removeSpectator(spectatorId);
+    console.log(`Spectator ${spectatorId} left room ${roomCode}`);
+
+    return { roomCode, game };
   }
 
   // Leave a room
@@ -162,7 +398,7 @@ class RoomManager {
 
     // If room is empty, delete it and clean up AI players
     if (game.players.length === 0) {
-      this.rooms.delete(roomCode);
+      this.deleteRoom(roomCode);
       // Emit event for AI cleanup (will be handled by aiHandler)
       this.emit('roomDeleted', roomCode);
       console.log(`Room ${roomCode} deleted (empty)`);
@@ -201,11 +437,17 @@ class RoomManager {
     return this.playerRooms.has(playerId);
   }
 
+  // Get the room code a spectator is watching
+  getSpectatorRoom(spectatorId) {
+    return this.spectatorRooms.get(spectatorId);
+  }
+
   // Get all active rooms (for debugging/admin)
   getAllRooms() {
     return Array.from(this.rooms.values()).map(game => ({
       roomCode: game.roomCode,
       playerCount: game.players.length,
+      spectatorCount: game.spectatorIds.size,
       phase: game.phase,
       host: game.host
     }));
@@ -223,7 +465,7 @@ class RoomManager {
         });
 
         // Delete room and notify listeners (for AI cleanup)
-        this.rooms.delete(roomCode);
+        this.deleteRoom(roomCode);
         this.emit('roomDeleted', roomCode);
         console.log(`Room ${roomCode} cleaned up (stale)`);
       }
@@ -231,6 +473,26 @@ class RoomManager {
   }
 }
 
+// Constant-time token comparison so response timing does not leak how much of a token matched
+function tokensMatch(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Carry reconnect tokens over to a game rebuilt from its event log (tokens are not logged)
+function copyReconnectTokens(fromPlayers = [], toPlayers) {
+  toPlayers.forEach((player, index) => {
+    const source = fromPlayers.find(p => p.id === player.id) ||
+      (fromPlayers[index]?.name === player.name ? fromPlayers[index] : null);
+    if (source?.reconnectToken) {
+      player.reconnectToken = source.reconnectToken;
+    }
+  });
+}
+
 // Singleton instance
 export const roomManager = new RoomManager();
 
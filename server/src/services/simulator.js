@@ -0,0 +1,237 @@
+/**
+ * Headless Simulator
+ * Plays whole games between AIPlayers by driving the Game model directly -
+ * no sockets, no thinking delays, no chat - so thousands of seeded games can be
+ * run to compare AI strategies or check rule variants for balance
+ * @module services/simulator
+ */
+
+import { Game, AUCTION_TYPES } from '../models/game.js';
+import { AIPlayer } from '../ai/AIPlayer.js';
+import { getAISettings } from '../ai/aiProfiles.js';
+import { calculateScore } from '../models/cards.js';
+import { GAME_PHASES } from '../shared/constants/gamePhases.js';
+import { getEffectForPhase } from '../effects/index.js';
+
+/** Turns a single game may take before the simulator gives up on it */
+const MAX_TURNS_PER_GAME = 5000;
+
+/**
+ * Parse a strategy spec like "hard" or "expert:spiteful"
+ * @param {string} spec - Difficulty, optionally followed by ":personality"
+ * @returns {Object} { label, difficulty, personality }
+ * @throws {Error} If the difficulty or personality is unknown
+ */
+export function parseStrategy(spec) {
+  const [difficulty, personality = null] = String(spec).trim().split(':');
+
+  // Validates both parts
+  getAISettings(difficulty, personality);
+
+  return { label: personality ? `${difficulty}:${personality}` : difficulty, difficulty, personality };
+}
+
+/**
+ * Play one AI turn (bid/pass or a card effect decision such as a Pawn Shop Trade)
+ * Like the live AI handler, a rejected bid is turned into a pass
+ */
+function playTurn(game, aiPlayer) {
+  switch (game.phase) {
+    case GAME_PHASES.AUCTION: {
+      const decision = aiPlayer.decideBid(game.getPublicState(), game.getPrivateState(aiPlayer.id), game.random);
+      if (decision.action === 'bid') {
+        try {
+          game.placeBid(aiPlayer.id, decision.cards);
+          return;
+        } catch {
+          // Fall through to a pass
+        }
+      }
+      game.pass(aiPlayer.id);
+      return;
+    }
+
+    default: {
+      // A card effect decision (Pawn Shop Trade, Repo Man discard, ...)
+      const effect = getEffectForPhase(game.phase);
+      if (!effect) {
+        throw new Error(`Nothing to play in phase ${game.phase}`);
+      }
+
+      const player = game.players.find(p => p.id === aiPlayer.id);
+      game.resolveCardEffect(aiPlayer.id, effect.phase.decide(aiPlayer, game.getPublicState(), player));
+      return;
+    }
+  }
+}
+
+/**
+ * Simulate one game
+ * @param {Object} options
+ * @param {Array<string|Object>} options.strategies - One strategy per seat (specs or parseStrategy results)
+ * @param {number|string} [options.seed=1] - Game seed (the same seed replays the same game)
+ * @param {Object} [options.gameOptions={}] - Extra Game options (rule variants)
+ * @returns {Object} { seed, seats, sales } - per-seat results and every auction's outcome
+ * @throws {Error} If the game does not finish
+ */
+export function simulateGame({ strategies, seed = 1, gameOptions = {} }) {
+  const game = new Game(`SIM-${seed}`, { ...gameOptions, seed });
+  const seats = strategies.map((strategy, index) => {
+    const { label, difficulty, personality } = typeof strategy === 'string' ? parseStrategy(strategy) : strategy;
+    const id = `sim_${index}`;
+    game.addPlayer(id, `Seat ${index + 1}`, true);
+    return { label, ai: new AIPlayer(id, `Seat ${index + 1}`, { difficulty, personality }) };
+  });
+  const aiPlayers = new Map(seats.map(seat => [seat.ai.id, seat.ai]));
+
+  game.startGame();
+
+  const sales = [];
+  let turns = 0;
+
+  while (game.phase !== GAME_PHASES.GAME_OVER) {
+    if (++turns > MAX_TURNS_PER_GAME) {
+      throw new Error(`Simulation stalled in game ${seed} (phase ${game.phase})`);
+    }
+
+    const card = game.currentCard;
+    const auctionType = game.currentAuction?.type;
+    const wasAuction = game.phase === GAME_PHASES.AUCTION;
+    const moneyBefore = game.players.map(p => game.getPlayerMoneyTotal(p.id));
+
+    playTurn(game, aiPlayers.get(game.getTurnPlayerId()));
+
+    // Record the sale once the auction for this card is over
+    if (wasAuction && (game.currentCard !== card || game.phase !== GAME_PHASES.AUCTION)) {
+      const spent = game.players.map((p, i) => moneyBefore[i] - game.getPlayerMoneyTotal(p.id));
+      const takerIndex = game.players.findIndex(p => p.wonCards.some(c => c.id === card.id));
+
+      sales.push({
+        cardId: card.id,
+        cardName: card.name,
+        auctionType,
+        taker: takerIndex === -1 ? null : seats[takerIndex].label,
+        // What the taker paid, and what everyone else paid (to dodge a disgrace)
+        paid: takerIndex === -1 ? 0 : spent[takerIndex],
+        othersPaid: spent.reduce((sum, value, i) => (i === takerIndex ? sum : sum + value), 0)
+      });
+    }
+  }
+
+  return {
+    seed,
+    seats: game.players.map((player, index) => {
+      const result = game.results.find(r => r.id === player.id);
+      return {
+        label: seats[index].label,
+        score: calculateScore(player),
+        money: game.getPlayerMoneyTotal(player.id),
+        eliminated: Boolean(result.eliminated),
+        // Players sharing first place all count as winners
+        won: result.place === 1
+      };
+    }),
+    sales
+  };
+}
+
+/**
+ * Run a batch of seeded games and aggregate the results
+ * Seats are rotated every game so no strategy keeps the same seat
+ * @param {Object} options
+ * @param {Array<string>} options.strategies - Strategy specs, one per seat (3-5)
+ * @param {number} [options.games=1000] - Number of games
+ * @param {number} [options.seed=1] - Seed of the first game (game N uses seed + N)
+ * @param {Object} [options.gameOptions={}] - Extra Game options (rule variants)
+ * @returns {Object} { games, strategies, cards } - stats by strategy label and by card
+ * @throws {Error} If a strategy is unknown or a game does not finish
+ */
+export function runSimulation({ strategies, games = 1000, seed = 1, gameOptions = {} }) {
+  const parsed = strategies.map(parseStrategy);
+  const byStrategy = {};
+  const byCard = {};
+
+  parsed.forEach(({ label }) => {
+    byStrategy[label] = { seats: 0, wins: 0, eliminations: 0, totalScore: 0, totalMoney: 0 };
+  });
+
+  for (let i = 0; i < games; i++) {
+    const rotated = parsed.map((_, seat) => parsed[(seat + i) % parsed.length]);
+    const result = simulateGame({ strategies: rotated, seed: seed + i, gameOptions });
+
+    result.seats.forEach(seat => {
+      const stats = byStrategy[seat.label];
+      stats.seats++;
+      stats.wins += seat.won ? 1 : 0;
+      stats.eliminations += seat.eliminated ? 1 : 0;
+      stats.totalScore += seat.score;
+      stats.totalMoney += seat.money;
+    });
+
+    result.sales.forEach(sale => {
+      const stats = byCard[sale.cardId] ??= { name: sale.cardName, auctionType: sale.auctionType, auctions: 0, unsold: 0, prices: [] };
+      stats.auctions++;
+      if (!sale.taker) {
+        stats.unsold++;
+        return;
+      }
+      // A disgrace's price is what the table paid to dodge it
+      stats.prices.push(sale.auctionType === AUCTION_TYPES.REVERSE ? sale.othersPaid : sale.paid);
+    });
+  }
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    games,
+    strategies: Object.fromEntries(Object.entries(byStrategy).map(([label, stats]) => [label, {
+      seats: stats.seats,
+      wins: stats.wins,
+      winRate: round(stats.wins / stats.seats),
+      eliminations: stats.eliminations,
+      eliminationRate: round(stats.eliminations / stats.seats),
+      averageScore: round(stats.totalScore / stats.seats),
+      averageMoney: round(stats.totalMoney / stats.seats)
+    }])),
+    cards: Object.fromEntries(Object.entries(byCard).map(([cardId, stats]) => [cardId, {
+      name: stats.name,
+      auctionType: stats.auctionType,
+      auctions: stats.auctions,
+      unsold: stats.unsold,
+      averagePrice: stats.prices.length ? round(stats.prices.reduce((a, b) => a + b, 0) / stats.prices.length) : null,
+      minPrice: stats.prices.length ? Math.min(...stats.prices) : null,
+      maxPrice: stats.prices.length ? Math.max(...stats.prices) : null
+    }]))
+  };
+}
+
+/**
+ * Format runSimulation stats as plain-text tables
+ * @param {Object} stats - Result of runSimulation
+ * @returns {string} Report
+ */
+export function formatSimulationReport(stats) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const table = (header, rows) => {
+    const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => String(row[col]).length)));
+    const line = (cells) => cells.map((cell, col) => String(cell).padEnd(widths[col])).join('  ').trimEnd();
+    return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+  };
+
+  const strategyRows = Object.entries(stats.strategies)
+    .sort(([, a], [, b]) => b.winRate - a.winRate)
+    .map(([label, s]) => [label, s.seats, percent(s.winRate), percent(s.eliminationRate), s.averageScore.toFixed(2), s.averageMoney.toFixed(2)]);
+
+  const cardRows = Object.values(stats.cards)
+    .sort((a, b) => (b.averagePrice ?? -1) - (a.averagePrice ?? -1))
+    .map(c => [c.name, c.auctionType, c.auctions, c.unsold, c.averagePrice ?? '-', c.minPrice ?? '-', c.maxPrice ?? '-']);
+
+  return [
+    `${stats.games} games`,
+    '',
+    table(['Strategy', 'Seats', 'Win rate', 'Eliminated', 'Avg score', 'Avg money'], strategyRows),
+    '',
+    'Card prices (disgrace: total paid by everyone else to dodge it)',
+    table(['Card', 'Auction', 'Auctions', 'Unsold', 'Avg', 'Min', 'Max'], cardRows)
+  ].join('\n');
+}
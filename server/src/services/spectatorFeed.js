@@ -0,0 +1,153 @@
+/**
+ * Spectator Feed
+ * Sends spectators a room's public state and action history, held back by the room's spectator delay
+ * so nobody watching can relay the game to a player as it happens
+ * Spectators sit in their own socket.io room and never get private state
+ * @module services/spectatorFeed
+ */
+
+import { SOCKET_EVENTS } from '../shared/constants/socketEvents.js';
+
+/**
+ * Feeds by room
+ * Format: { roomCode: { frames: [{ at, publicState }], pending, timeouts: Set } }
+ * frames holds the states spectators haven't caught up to yet, plus the one they're on
+ */
+const feeds = new Map();
+
+/**
+ * Name of the socket.io room a game's spectators join
+ * @param {string} roomCode - The room code
+ * @returns {string}
+ */
+export function getSpectatorChannel(roomCode) {
+  return `spectators:${roomCode}`;
+}
+
+function getFeed(roomCode) {
+  if (!feeds.has(roomCode)) {
+    feeds.set(roomCode, { frames: [], pending: false, timeouts: new Set() });
+  }
+  return feeds.get(roomCode);
+}
+
+/**
+ * Queue the game's current public state for its spectators
+ * Call after every change; the changes one action makes are sent as one update
+ * @param {Object} io - Socket.io server instance
+ * @param {Game} game - The game instance
+ */
+export function publishToSpectators(io, game) {
+  const roomCode = game.roomCode;
+  const feed = getFeed(roomCode);
+  if (feed.pending) return;
+
+  feed.pending = true;
+  setImmediate(() => {
+    // The room may have been deleted in the meantime
+    if (feeds.get(roomCode) !== feed) return;
+    feed.pending = false;
+
+    const delayMs = game.spectatorDelay * 1000;
+    const frame = { at: Date.now(), publicState: game.getPublicState() };
+    feed.frames.push(frame);
+    pruneFrames(feed, frame.at - delayMs);
+
+    const send = () => {
+      io.to(getSpectatorChannel(roomCode)).emit(SOCKET_EVENTS.SPECTATOR_STATE, {
+        publicState: frame.publicState
+      });
+    };
+
+    if (delayMs === 0) {
+      send();
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      feed.timeouts.delete(timeout);
+      send();
+    }, delayMs);
+
+    // Don't keep the process alive just for a spectator update
+    timeout.unref?.();
+    feed.timeouts.add(timeout);
+  });
+}
+
+/**
+ * Send spectators an action from the game's history, held back like the state
+ * @param {Object} io - Socket.io server instance
+ * @param {Game} game - The game instance
+ * @param {Object} action - The recorded action (see GAME_ACTION_TYPES)
+ */
+export function publishActionToSpectators(io, game, action) {
+  const send = () => {
+    io.to(getSpectatorChannel(game.roomCode)).emit(SOCKET_EVENTS.GAME_ACTION, { action });
+  };
+
+  if (game.spectatorDelay === 0) {
+    send();
+    return;
+  }
+
+  const feed = getFeed(game.roomCode);
+  const timeout = setTimeout(() => {
+    feed.timeouts.delete(timeout);
+    send();
+  }, game.spectatorDelay * 1000);
+
+  timeout.unref?.();
+  feed.timeouts.add(timeout);
+}
+
+/**
+ * Drop frames spectators have moved past (keeps the newest one at or before the cutoff)
+ * @param {Object} feed - The room's feed
+ * @param {number} cutoff - Time spectators are currently seeing
+ */
+function pruneFrames(feed, cutoff) {
+  const seen = feed.frames.filter(frame => frame.at <= cutoff);
+  if (seen.length > 1) {
+    feed.frames.splice(0, seen.length - 1);
+  }
+}
+
+/**
+ * The public state a new spectator should see right now
+ * @param {Game} game - The game instance
+ * @returns {Object|null} The (delayed) public state, or null if the delayed feed
+ *   hasn't caught up to anything yet (e.g. just after a server restart)
+ */
+export function getSpectatorState(game) {
+  if (game.spectatorDelay === 0) {
+    return game.getPublicState();
+  }
+
+  const cutoff = Date.now() - game.spectatorDelay * 1000;
+  const frames = feeds.get(game.roomCode)?.frames || [];
+  const seen = frames.filter(frame => frame.at <= cutoff);
+  return seen.length > 0 ? seen[seen.length - 1].publicState : null;
+}
+
+/**
+ * The part of the action history a spectator should see right now
+ * @param {Game} game - The game instance
+ * @returns {Object[]} Actions recorded at least the spectator delay ago
+ */
+export function getSpectatorActionHistory(game) {
+  const cutoff = Date.now() - game.spectatorDelay * 1000;
+  return game.actionHistory.filter(action => action.timestamp <= cutoff);
+}
+
+/**
+ * Stop a room's feed (when the room is deleted)
+ * @param {string} roomCode - The room code
+ */
+export function clearSpectatorFeed(roomCode) {
+  const feed = feeds.get(roomCode);
+  if (feed) {
+    feed.timeouts.forEach(timeout => clearTimeout(timeout));
+    feeds.delete(roomCode);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Turn Timer
+ * Enforces the room's turn timer so one AFK player can't stall the table
+ * The deadline lives in `currentAuction.turnDeadline` (set by the Game model);
+ * this service only keeps a server timer in step with it
+ * @module services/turnTimer
+ */
+
+import { AIPlayer } from '../ai/AIPlayer.js';
+import { TURN_TIMEOUT_ACTIONS } from '../models/game.js';
+import { GAME_PHASES } from '../shared/constants/gamePhases.js';
+import { getEffectForPhase } from '../effects/index.js';
+
+/**
+ * Pending turn timers by room
+ * Format: { roomCode: { deadline, timeout } }
+ */
+const turnTimers = new Map();
+
+/**
+ * Arm, move or clear the room's timer so it fires at the game's current turn deadline
+ * Safe to call after every state update - an unchanged deadline keeps the running timer
+ * @param {Game} game - The game instance
+ * @param {Function} onTimeout - Called with the timed-out player's ID when the deadline passes
+ */
+export function syncTurnTimer(game, onTimeout) {
+  const roomCode = game.roomCode;
+  const deadline = game.currentAuction?.turnDeadline ?? null;
+  const existing = turnTimers.get(roomCode);
+
+  if (existing && existing.deadline === deadline) {
+    return;
+  }
+
+  clearTurnTimer(roomCode);
+
+  const playerId = game.getTurnPlayerId();
+  if (deadline === null || !playerId) {
+    return;
+  }
+
+  const timeout = setTimeout(() => {
+    turnTimers.delete(roomCode);
+
+    // The player may have acted at the last moment
+    if (game.currentAuction?.turnDeadline !== deadline || game.getTurnPlayerId() !== playerId) {
+      return;
+    }
+
+    onTimeout(playerId);
+  }, Math.max(0, deadline - Date.now()));
+
+  // Don't keep the process alive just for a turn timer
+  timeout.unref?.();
+
+  turnTimers.set(roomCode, { deadline, timeout });
+}
+
+/**
+ * Stop a room's turn timer (when the room is deleted)
+ * @param {string} roomCode - The room code
+ */
+export function clearTurnTimer(roomCode) {
+  const existing = turnTimers.get(roomCode);
+  if (existing) {
+    clearTimeout(existing.timeout);
+    turnTimers.delete(roomCode);
+  }
+}
+
+/**
+ * Check whether a room has a turn timer running
+ * @param {string} roomCode - The room code
+ * @returns {boolean} True if a timer is pending
+ */
+export function hasTurnTimer(roomCode) {
+  return turnTimers.has(roomCode);
+}
+
+/**
+ * Play the timed-out player's turn using the room's timeout action
+ * Auto-pass passes the auction or makes the card effect's automatic choice (skips the
+ * Pawn Shop Trade, discards the cheapest luxury); the AI action asks a stand-in AIPlayer
+ * to decide that one turn instead
+ * @param {Game} game - The game instance
+ * @param {string} playerId - The player whose turn ran out
+ * @returns {Object} What was done: { action, cards? } (card effects add their own fields)
+ * @throws {Error} If the game rejects the action
+ */
+export function playTimedOutTurn(game, playerId) {
+  const player = game.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const standIn = game.turnTimer?.onTimeout === TURN_TIMEOUT_ACTIONS.AI
+    ? new AIPlayer(player.id, player.name)
+    : null;
+
+  switch (game.phase) {
+    case GAME_PHASES.AUCTION: {
+      const decision = standIn
+        ? standIn.decideBid(game.getPublicState(), game.getPrivateState(playerId), game.random)
+        : { action: 'pass' };
+
+      if (decision.action === 'bid') {
+        game.placeBid(playerId, decision.cards);
+        return { action: 'bid', cards: decision.cards };
+      }
+
+      game.pass(playerId);
+      return { action: 'pass' };
+    }
+
+    default: {
+      // A card effect decision (Pawn Shop Trade, Repo Man discard, ...)
+      const effect = getEffectForPhase(game.phase);
+      if (!effect) {
+        throw new Error(`Nothing to time out in phase ${game.phase}`);
+      }
+
+      const choice = standIn
+        ? effect.phase.decide(standIn, game.getPublicState(), player)
+        : effect.phase.autoChoice(game, player);
+
+      game.resolveCardEffect(playerId, choice);
+      return effect.phase.summarize(choice);
+    }
+  }
+}
@@ -1,8 +1,9 @@
 /**
  * Chat System Configuration
  *
- * Defines constants for the Chatty Cathy chat bubble system.
- * Supports two mutually exclusive modes: Tutorial and Commentary.
+ * Defines constants for the Chatty Cathy chat bubble system, for
+ * player-to-player chat and for quick-chat emotes.
+ * AI chat supports two mutually exclusive modes: Tutorial and Commentary.
  */
 
 export const CHAT_MODES = {
@@ -25,9 +26,53 @@ export const CHAT_CONFIG = {
     fontSize: 14,             // pixels
     fadeInDuration: 300,      // milliseconds
     fadeOutDuration: 300      // milliseconds
+  },
+
+  // Messages kept in a room's chat history, per kind
+  history: {
+    aiMessages: 20,           // AI commentary (cleared when the chat mode changes)
+    playerMessages: 50        // What players typed
+  },
+
+  // Player-to-player chat (send_chat_message)
+  playerChat: {
+    maxLength: 200,           // characters
+    rateLimit: {
+      messages: 5,            // at most this many messages...
+      windowMs: 10000         // ...in any 10 seconds
+    },
+    reportedMessages: 5       // Recent messages attached to a report
+  },
+
+  // Quick-chat emotes (send_emote)
+  emotes: {
+    rateLimit: {
+      messages: 3,            // at most this many emotes...
+      windowMs: 5000          // ...in any 5 seconds
+    },
+    displaySeconds: 2.5,      // How long the client shows an emote
+    aiReaction: {
+      chance: 0.35,           // Chance an AI player answers an emote
+      delayMs: 1000           // Pause before they do
+    }
   }
 };
 
+/**
+ * Quick-chat emotes players can send instead of typing
+ * reaction is the REACTIONS emotion (commentaryMessages.js) an AI answers with
+ */
+export const EMOTES = {
+  dang: { icon: '😩', text: 'Dang!', reaction: 'AMUSED' },
+  bless_your_heart: { icon: '🙏', text: 'Bless your heart', reaction: 'FRUSTRATED' },
+  beer: { icon: '🍺', text: null, reaction: 'EXCITED' },
+  yeehaw: { icon: '🤠', text: 'Yee-haw!', reaction: 'EXCITED' },
+  big_spender: { icon: '💸', text: 'Big spender!', reaction: 'SURPRISED' },
+  trash: { icon: '🗑️', text: 'Pure trash', reaction: 'AMUSED' },
+  yikes: { icon: '😬', text: 'Yikes...', reaction: 'NERVOUS' },
+  laugh: { icon: '😂', text: null, reaction: 'AMUSED' }
+};
+
 /**
  * Calculate how long to display a chat message based on its length
  * Formula: (charCount × perCharacterPause) + finalPause
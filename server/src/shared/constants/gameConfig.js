@@ -4,7 +4,7 @@
  */
 
 export const GAME_CONFIG = {
-  // Player limits
+  // Player limits (standard rules - rooms play by game.rules, see models/rules.js)
   players: {
     min: 3,
     max: 5
@@ -12,8 +12,10 @@ export const GAME_CONFIG = {
 
   // Money/card limits
   money: {
+    denominations: [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25],  // Each player's bills (standard rules)
+    billRemoval: 'middle',  // Bill each player loses at the start (see BILL_REMOVAL_RULES)
     startingTotal: 110,  // Sum of all money cards
-    maxCardsInHand: 12,  // Maximum money cards a player can have
+    maxCardsInHand: 20,  // Maximum money cards any rules can give a player
     minBillValue: 1,
     maxBillValue: 25
   },
@@ -22,8 +24,8 @@ export const GAME_CONFIG = {
   deck: {
     totalCards: 15,       // Total cards in the item deck
     luxuryCards: 10,
-    prestigeCards: 3,
-    disgraceCards: 3,
+    prestigeCards: 2,
+    disgraceCards: 2,
     specialCards: 1
   },
 
@@ -32,12 +34,26 @@ export const GAME_CONFIG = {
     thinkingDelayMin: 1000,      // Minimum thinking time (ms)
     thinkingDelayMax: 5000,      // Maximum thinking time (ms)
     turnProcessingDelay: 100,    // Delay before processing AI turn (ms)
-    playerAddDelay: 250          // Delay between adding AI players (ms)
+    playerAddDelay: 250,         // Delay between adding AI players (ms)
+    takeoverGracePeriod: 30000   // Wait before an AI plays a disconnected human's seat (ms)
+  },
+
+  // Turn timer limits (standard rules - the host picks the length at start_game)
+  turnTimer: {
+    minSeconds: 10,
+    maxSeconds: 300
+  },
+
+  // Spectators (spectate_room) - the host can hold back what they see
+  spectators: {
+    maxDelaySeconds: 300
   },
 
   // Room configuration
   room: {
     codeLength: 4,
+    replayIdLength: 8,
+    codeChars: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',  // Room codes and replay IDs; no I, O, 0 or 1
     staleThresholdHours: 4,
     cleanupIntervalMs: 60 * 60 * 1000  // 1 hour
   },
@@ -64,6 +80,7 @@ export const getGameConfig = () => ({
   // Add any computed values here
   calculated: {
     maxRounds: GAME_CONFIG.deck.totalCards,
-    gameEndingCardCount: GAME_CONFIG.deck.prestigeCards + 1  // 3 prestige + Jerry Springer
+    // Red-bordered cards; the classic end condition ends the game when the last one is drawn
+    gameEndingCardCount: GAME_CONFIG.deck.prestigeCards + GAME_CONFIG.deck.disgraceCards
   }
 });
@@ -6,4 +6,4 @@
 export { GAME_PHASES, CLIENT_PHASES, isValidPhase } from './gamePhases.js';
 export { SOCKET_EVENTS, isValidEvent } from './socketEvents.js';
 export { GAME_CONFIG, getGameConfig } from './gameConfig.js';
-export { CHAT_CONFIG, CHAT_MODES, calculateChatDelay, secondsToMs } from './chatConfig.js';
+export { CHAT_CONFIG, CHAT_MODES, EMOTES, calculateChatDelay, secondsToMs } from './chatConfig.js';
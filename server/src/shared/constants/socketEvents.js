@@ -11,21 +11,33 @@ export const SOCKET_EVENTS = {
   // Room events
   CREATE_ROOM: 'create_room',
   JOIN_ROOM: 'join_room',
+  RESUME_SESSION: 'resume_session',
+  SPECTATE_ROOM: 'spectate_room',
   LEAVE_ROOM: 'leave_room',
 
   // Game control events
   START_GAME: 'start_game',
+  SET_AI_DIFFICULTY: 'set_ai_difficulty',
   GET_STATE: 'get_state',
+  GET_CARD_SETS: 'get_card_sets',
+  GET_ACTION_HISTORY: 'get_action_history',
+  GET_REPLAY: 'get_replay',
+  REQUEST_REMATCH: 'request_rematch',
 
   // Player action events
   PLACE_BID: 'place_bid',
   PASS: 'pass',
   EXECUTE_CARD_SWAP: 'execute_card_swap',
   DISCARD_LUXURY_CARD: 'discard_luxury_card',
+  RESOLVE_CARD_EFFECT: 'resolve_card_effect',
+  REQUEST_ROUND_RESET: 'request_round_reset',
+  VOTE_ROUND_RESET: 'vote_round_reset',
 
   // Server -> Client state update events
   STATE_UPDATE: 'state_update',
   PRIVATE_STATE_UPDATE: 'private_state_update',
+  SPECTATOR_STATE: 'spectator_state',
+  GAME_ACTION: 'game_action',
   GAME_STARTED: 'game_started',
 
   // Player event broadcasts
@@ -33,20 +45,34 @@ export const SOCKET_EVENTS = {
   PLAYER_LEFT: 'player_left',
   PLAYER_PASSED: 'player_passed',
   PLAYER_DISCONNECTED: 'player_disconnected',
+  PLAYER_RECONNECTED: 'player_reconnected',
+  AI_TAKEOVER: 'ai_takeover',
 
   // Game action broadcasts
   BID_PLACED: 'bid_placed',
   CARDS_SWAPPED: 'cards_swapped',
   LUXURY_CARD_DISCARDED: 'luxury_card_discarded',
+  CARD_EFFECT_RESOLVED: 'card_effect_resolved',
 
   // Special events
   ROUND_RESET: 'round_reset',
+  ROUND_RESET_VOTE: 'round_reset_vote',
+  TURN_TIMEOUT: 'turn_timeout',
   ERROR: 'error',
 
   // Chat events
   AI_CHAT_MESSAGE: 'ai_chat_message',
   SET_CHAT_MODE: 'set_chat_mode',
-  CHAT_MODE_CHANGED: 'chat_mode_changed'
+  CHAT_MODE_CHANGED: 'chat_mode_changed',
+  SEND_CHAT_MESSAGE: 'send_chat_message',
+  CHAT_MESSAGE: 'chat_message',
+  GET_CHAT_HISTORY: 'get_chat_history',
+  MUTE_PLAYER: 'mute_player',
+  REPORT_PLAYER: 'report_player',
+  SET_CHAT_FILTER: 'set_chat_filter',
+  CHAT_FILTER_CHANGED: 'chat_filter_changed',
+  SEND_EMOTE: 'send_emote',
+  EMOTE: 'emote'
 };
 
 // Helper to validate event names (useful for debugging)
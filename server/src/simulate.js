@@ -0,0 +1,51 @@
+// Headless AI-vs-AI simulation runner
+// Usage: npm run simulate -- [--games 1000] [--seed 1] [--players expert,hard,normal] [--end full_deck] [--money open] [--cards low-society]
+// Each player is a difficulty, optionally with a personality (e.g. "hard:spiteful");
+// --end picks the end condition ("full_deck" or "classic"), --money whether remaining money
+// is public ("open" or "hidden"), --cards the card set (see src/cardSets/)
+
+import { runSimulation, formatSimulationReport } from './services/simulator.js';
+import { GAME_END_CONDITIONS, MONEY_VISIBILITY } from './models/game.js';
+import { DEFAULT_CARD_SET_ID } from './models/cardSets.js';
+import { getDefaultRules } from './models/rules.js';
+
+const DEFAULTS = { games: 1000, seed: 1, players: 'expert,hard,normal', end: GAME_END_CONDITIONS.FULL_DECK, money: MONEY_VISIBILITY.OPEN, cards: DEFAULT_CARD_SET_ID };
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in DEFAULTS) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    options[key] = argv[i + 1];
+  }
+  return options;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const games = Number(options.games);
+  const seed = Number(options.seed);
+  const strategies = String(options.players).split(',');
+
+  if (!Number.isInteger(games) || games < 1) {
+    throw new Error('--games must be a positive integer');
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error('--seed must be an integer');
+  }
+  const { players } = getDefaultRules();
+  if (strategies.length < players.min || strategies.length > players.max) {
+    throw new Error(`--players needs ${players.min}-${players.max} strategies`);
+  }
+
+  const started = Date.now();
+  const stats = runSimulation({ strategies, games, seed, gameOptions: { endCondition: options.end, moneyVisibility: options.money, cardSetId: options.cards } });
+
+  console.log(formatSimulationReport(stats));
+  console.log(`\nSeeds ${seed}-${seed + games - 1}, ${Date.now() - started}ms`);
+} catch (error) {
+  console.error(`Simulation failed: ${error.message}`);
+  process.exit(1);
+}
@@ -75,6 +75,100 @@ export interface AuctionState {
   highestBid: number;
   highestBidderId: string | null;
   turnOrder: string[];
+  resetVote: RoundResetVote | null;
+  turnDeadline: number | null;  // Epoch ms when the current human turn times out
+}
+
+/**
+ * Room turn timer (set at start_game)
+ */
+/**
+ * AI difficulty the host picks per AI seat
+ */
+export type AIDifficulty = 'easy' | 'normal' | 'hard' | 'expert';
+
+/**
+ * AI personality (tied to the AI's name)
+ */
+export type AIPersonality = 'cautious' | 'reckless' | 'spiteful' | 'hoarder';
+
+/**
+ * Who is eliminated when several players tie for the least money
+ */
+export type PoorestTieRule = 'eliminate_all' | 'lowest_score';
+
+/**
+ * When the game ends: the full deck, or (classic) when the last red-bordered card is drawn
+ */
+export type GameEndCondition = 'full_deck' | 'classic';
+
+/**
+ * Whether remaining money totals are public, or hidden and counted from spent bills
+ */
+export type MoneyVisibility = 'open' | 'hidden';
+
+/**
+ * Card set the deck is built from (JSON files in server/src/cardSets/)
+ */
+export interface CardSetSummary {
+  id: string;
+  name: string;
+  cardCount: number | null;  // null if the set is no longer installed (replayed games)
+}
+
+/**
+ * Card effect decision the game is waiting on (server/src/effects/)
+ */
+export interface PendingEffect {
+  effect: string;     // Effect name, e.g. 'card-swap'
+  playerId: string;   // Player who took the card and decides
+}
+
+/**
+ * Rules a room plays by (server/src/models/rules.js)
+ * Server defaults come from config.js; the host can override any part at start_game
+ */
+export interface GameRules {
+  players: { min: number; max: number };
+  money: {
+    denominations: number[];                  // Each player's bills, lowest first
+    billRemoval: 'middle' | 'any' | 'none';   // Bill each player loses at the start
+  };
+  deck: {                                     // Most cards of each type to use (null = all)
+    luxury: number | null;
+    prestige: number | null;
+    disgrace: number | null;
+    special: number | null;
+  };
+  turnTimer: { minSeconds: number; maxSeconds: number };
+}
+
+/**
+ * Partial rules sent at start_game (merged over the server defaults)
+ */
+export type GameRulesOverrides = { [Section in keyof GameRules]?: Partial<GameRules[Section]> };
+
+/**
+ * Card set as listed by get_card_sets
+ */
+export interface CardSetListing {
+  id: string;
+  name: string;
+  description: string;
+  cardCount: number;
+}
+
+export interface TurnTimer {
+  seconds: number;
+  onTimeout: 'auto_pass' | 'ai';
+}
+
+/**
+ * Pending round-reset vote (proposed by the host, decided by human majority)
+ */
+export interface RoundResetVote {
+  proposedBy: string;
+  votes: Record<string, boolean>;  // playerId -> approve
 }
 
 /**
@@ -91,6 +185,24 @@ export interface PublicGameState {
   swapWinnerId: string | null;
   host: string;
   chatMode: ChatMode;
+  chatFilter: boolean;            // Profanity filter for player chat
+  seed: number | string | null;
+  roundResetVotesNeeded: number;
+  turnTimer: TurnTimer | null;
+  spectatorCount: number;         // People watching (see spectate_room)
+  spectatorDelay: number;         // Seconds the spectator view lags behind the game
+  replayId: string | null;        // Set once the game is over (see get_replay)
+  awards: GameAward[] | null;     // Handed out when the game ends
+  session: GameSession;           // Running tally across rematches
+  rematchReadyIds: string[];      // Players ready for a rematch (AI seats always are)
+  poorestTieRule: PoorestTieRule;
+  endCondition: GameEndCondition;
+  moneyVisibility: MoneyVisibility;
+  gameEndingCardsDrawn: number;   // Red-bordered cards drawn so far
+  gameEndingCardCount: number;    // Red-bordered cards in the deck (the last one ends a classic game)
+  cardSet: CardSetSummary;
+  rules: GameRules;
+  pendingEffect: PendingEffect | null;
 }
 
 /**
@@ -101,10 +213,17 @@ export interface PublicPlayer {
   name: string;
   moneyCount: number;
   currentBid: string[];
+  remainingMoney: number | null;  // null when money is hidden (see MoneyVisibility)
+  spentMoney: number[];           // Values of the bills they've paid
+  bidMoney: number[];             // Values of the bills in their current bid
   wonCards: ItemCard[];
   hasPassed: boolean;
   isEliminated: boolean;
   ai: boolean;
+  connected: boolean;
+  aiStandIn: boolean;
+  aiDifficulty: AIDifficulty | null;
+  aiPersonality: AIPersonality | null;
   finalScore?: number;
 }
 
@@ -114,32 +233,82 @@ export interface PublicPlayer {
 export interface PrivateGameState {
   moneyHand: MoneyCard[];
   removedBill: MoneyCard | null;
+  mutedPlayerIds: string[];       // Players whose chat this player has muted
 }
 
 /**
- * Game results interface
- */
-export interface GameResults {
-  winner: Player | null;
-  players: PlayerResult[];
-  eliminatedInRound: Player | null;
-}
-
-/**
- * Player result interface
+ * One player's final result (see Game.endGame)
  */
 export interface PlayerResult {
   id: string;
   name: string;
-  totalMoney: number;
-  luxuryScore: number;
-  disgraceScore: number;
-  prestigeScore: number;
-  finalScore: number;
-  isEliminated: boolean;
+  score: number;            // 0 for eliminated players
+  money: number;
   wonCards: ItemCard[];
+  eliminated?: true;        // Had the least money (see PoorestTieRule)
+  place: number | null;     // 1-based, shared by players tied on score, money and best luxury; null if eliminated
+  sharedPlace: boolean;
+  stats: PlayerStats;
+}
+
+/**
+ * How a score was worked out (see calculateScoreBreakdown)
+ */
+export interface ScoreBreakdown {
+  luxuryTotal: number;
+  prestigeMultiplier: number;
+  penalties: { cardId: string; cardName: string; before: number; after: number }[];  // Disgrace cards, in won-card order
+  total: number;            // Before elimination
+}
+
+/**
+ * A player's end-of-game stats (see buildPlayerStats)
+ */
+export interface PlayerStats {
+  score: ScoreBreakdown;
+  totalSpent: number;
+  removedBill: number | null;  // Bill taken away at the start
+  cards: { card: ItemCard; auctionType: AuctionType; price: number }[];  // Cards taken at auction; nothing paid for disgrace
+  paidToAvoid: number;      // Paid in reverse auctions other players lost
 }
 
+/**
+ * A fun award handed out at the end of the game (see pickAwards)
+ */
+export interface GameAward {
+  id: 'biggest_overpay' | 'bargain_hunter' | 'repo_man_victim' | 'cheapskate' | 'big_spender';
+  icon: string;
+  title: string;
+  description: string;
+  playerId: string;
+  playerName: string;
+}
+
+/**
+ * One player's running totals across a table's rematches (see Game#addToSessionTally)
+ */
+export interface SessionTallyEntry {
+  playerId: string;
+  playerName: string;
+  gamesPlayed: number;
+  wins: number;             // Games finished in first place (shared wins count)
+  totalScore: number;
+}
+
+/**
+ * Games played by the same table in one room (see request_rematch)
+ */
+export interface GameSession {
+  gameNumber: number;       // 1 for the room's first game; also rotates who starts
+  tally: SessionTallyEntry[];
+}
+
+/**
+ * Final results: survivors ranked by score, then money, then highest luxury card;
+ * eliminated players last
+ */
+export type GameResults = PlayerResult[];
+
 /**
  * Card swap parameters
  */
@@ -161,6 +330,117 @@ export interface ChatMessage {
   timestamp?: number;
 }
 
+/**
+ * Chat message typed by a player (send_chat_message)
+ */
+export interface PlayerChatMessage {
+  id: string;
+  playerId: string;
+  playerName: string;
+  message: string;                // Masked if the room's profanity filter was on
+  isAI: false;
+  timestamp: number;
+}
+
+/**
+ * Quick-chat emote sent by a player (send_emote)
+ */
+export interface Emote {
+  playerId: string;
+  playerName: string;
+  emoteId: string;
+  icon: string;
+  text: string | null;            // Some emotes are just an icon
+  timestamp: number;
+}
+
+/**
+ * Kind of entry in a game's action history (see GAME_ACTION_TYPES)
+ * Card effect decisions use their effect's event type (cards_swapped, luxury_discarded, ...)
+ */
+export type GameActionType =
+  | 'game_started'
+  | 'auction_started'
+  | 'bid'
+  | 'pass'
+  | 'auction_ended'
+  | 'auction_restarted'
+  | 'game_ending_card_drawn'
+  | 'cards_swapped'
+  | 'luxury_discarded'
+  | 'game_ended';
+
+/**
+ * Bills one player paid when an auction ended
+ */
+export interface ActionPayment {
+  playerId: string;
+  playerName: string;
+  bills: number[];                // Bill values
+  amount: number;
+}
+
+/**
+ * One entry in a game's action history (public information only), by type:
+ * - game_started: { players: { playerId, playerName }[] }
+ * - auction_started: { card, auctionType, startingPlayerId, startingPlayerName }
+ * - bid: { playerId, playerName, bills, bidTotal } (bills are the whole bid, not what was added)
+ * - pass: { playerId, playerName }
+ * - auction_ended: { card, auctionType, playerId, playerName, payments: ActionPayment[] } (player took the card)
+ * - auction_restarted / game_ending_card_drawn: { card }
+ * - cards_swapped: { playerId, playerName, skipped, player1Id, player1Name, card1, player2Id, player2Name, card2 }
+ * - luxury_discarded: { playerId, playerName, card }
+ * - game_ended: { results: { playerId, playerName, place, score, eliminated }[] }
+ */
+export interface GameAction {
+  seq: number;                    // Position in the history, from 0
+  type: GameActionType;
+  timestamp: number;
+  data: Record<string, any>;
+}
+
+/**
+ * Everything on the table at one point of a replay - nothing is hidden
+ */
+export interface ReplayTable {
+  phase: GamePhase;
+  currentCard: ItemCard | null;
+  auctionType: AuctionType | null;
+  turnPlayerId: string | null;
+  cardsRemaining: number;
+  players: {
+    id: string;
+    name: string;
+    isAI: boolean;
+    moneyHand: MoneyCard[];
+    currentBid: string[];         // Bill IDs in the current bid
+    remainingMoney: number;
+    currentBidTotal: number;
+    wonCards: ItemCard[];
+    hasPassed: boolean;
+  }[];
+}
+
+/**
+ * One step of a replay: the actions it added and the table after them
+ */
+export interface ReplayFrame {
+  actions: GameAction[];
+  table: ReplayTable;
+}
+
+/**
+ * A finished game rebuilt from its event log (see get_replay)
+ */
+export interface Replay {
+  replayId: string;
+  roomCode: string;
+  finishedAt: number;
+  seed: number | string | null;
+  results: GameResults;
+  frames: ReplayFrame[];
+}
+
 /**
  * Game configuration
  */
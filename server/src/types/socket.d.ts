@@ -10,7 +10,17 @@ import type {
   GameResults,
   CardSwapParams,
   ChatMessage,
-  ChatMode
+  PlayerChatMessage,
+  Emote,
+  GameAction,
+  Replay,
+  ChatMode,
+  TurnTimer,
+  AIDifficulty,
+  PoorestTieRule,
+  GameEndCondition,
+  MoneyVisibility,
+  GameRulesOverrides
 } from './game';
 
 /**
@@ -31,6 +41,7 @@ export interface SocketResponse {
  */
 export interface CreateRoomResponse extends SocketResponse {
   roomCode?: string;
+  reconnectToken?: string;
   playerId?: string;
   playerName?: string;
 }
@@ -39,11 +50,19 @@ export interface CreateRoomResponse extends SocketResponse {
  * Join room response
  */
 export interface JoinRoomResponse extends SocketResponse {
+  roomCode?: string;
+  reconnectToken?: string;
   publicState?: PublicGameState;
   privateState?: PrivateGameState;
   myPlayerId?: string;
 }
 
+export interface SpectateRoomResponse extends SocketResponse {
+  roomCode?: string;
+  spectatorDelay?: number;                // Seconds the spectator view lags behind
+  publicState?: PublicGameState | null;   // null until the delayed feed has caught up
+}
+
 /**
  * Start game response
  */
@@ -64,6 +83,13 @@ export interface PlaceBidResponse extends SocketResponse {
  */
 export interface PassResponse extends SocketResponse {}
 
+/**
+ * Round-reset proposal / vote response
+ */
+export interface RoundResetVoteResponse extends SocketResponse {
+  status?: 'pending' | 'passed' | 'rejected';
+}
+
 /**
  * Card swap response
  */
@@ -74,6 +100,11 @@ export interface CardSwapResponse extends SocketResponse {}
  */
 export interface DiscardLuxuryResponse extends SocketResponse {}
 
+/**
+ * Card effect decision response
+ */
+export interface ResolveCardEffectResponse extends SocketResponse {}
+
 /**
  * Chat mode response
  */
@@ -86,24 +117,39 @@ export interface ChatModeResponse extends SocketResponse {
  */
 export interface ClientToServerEvents {
   // Room management
-  create_room: (data: { playerName: string }, callback: SocketCallback<CreateRoomResponse>) => void;
+  create_room: (data: { playerName: string; aiEnabled?: boolean; seed?: number | string }, callback: SocketCallback<CreateRoomResponse>) => void;
   join_room: (data: { roomCode: string; playerName: string }, callback: SocketCallback<JoinRoomResponse>) => void;
+  resume_session: (data: { roomCode: string; reconnectToken: string }, callback: SocketCallback<JoinRoomResponse>) => void;
+  spectate_room: (data: { roomCode: string }, callback: SocketCallback<SpectateRoomResponse>) => void;
   leave_room: (callback?: SocketCallback<SocketResponse>) => void;
 
   // Game control
-  start_game: (data: { aiEnabled?: boolean; spectatorMode?: boolean }, callback: SocketCallback<StartGameResponse>) => void;
+  start_game: (data: { aiEnabled?: boolean; spectatorMode?: boolean; seed?: number | string; turnTimer?: TurnTimer | null; spectatorDelay?: number; aiDifficulty?: AIDifficulty; poorestTieRule?: PoorestTieRule; endCondition?: GameEndCondition; moneyVisibility?: MoneyVisibility; cardSetId?: string; rules?: GameRulesOverrides }, callback: SocketCallback<StartGameResponse>) => void;
+  set_ai_difficulty: (data: { playerId: string; difficulty: AIDifficulty }, callback: SocketCallback<{ success: true }>) => void;
 
   // Game actions
   place_bid: (data: { moneyCardIds: string[] }, callback: SocketCallback<PlaceBidResponse>) => void;
   pass: (callback: SocketCallback<PassResponse>) => void;
+  request_round_reset: (callback: SocketCallback<RoundResetVoteResponse>) => void;
+  vote_round_reset: (data: { approve: boolean }, callback: SocketCallback<RoundResetVoteResponse>) => void;
   execute_card_swap: (data: CardSwapParams | { player1Id: null; card1Id: null; player2Id: null; card2Id: null }, callback: SocketCallback<CardSwapResponse>) => void;
   discard_luxury_card: (data: { cardId: string }, callback: SocketCallback<DiscardLuxuryResponse>) => void;
+  resolve_card_effect: (data: { choice?: object }, callback: SocketCallback<ResolveCardEffectResponse>) => void;
 
   // Chat
   set_chat_mode: (data: { mode: ChatMode }, callback?: SocketCallback<ChatModeResponse>) => void;
+  send_chat_message: (data: { message: string }, callback: SocketCallback<SocketResponse & { message?: PlayerChatMessage }>) => void;
+  get_chat_history: (data: {}, callback: SocketCallback<SocketResponse & { messages?: PlayerChatMessage[] }>) => void;
+  mute_player: (data: { playerId: string; muted?: boolean }, callback: SocketCallback<SocketResponse & { mutedPlayerIds?: string[] }>) => void;
+  report_player: (data: { playerId: string; reason?: string }, callback: SocketCallback<SocketResponse & { mutedPlayerIds?: string[] }>) => void;
+  set_chat_filter: (data: { enabled: boolean }, callback: SocketCallback<SocketResponse & { enabled?: boolean }>) => void;
+  send_emote: (data: { emoteId: string }, callback: SocketCallback<SocketResponse & { emote?: Emote }>) => void;
 
   // State queries
   get_state: (callback: SocketCallback<{ publicState: PublicGameState; privateState: PrivateGameState }>) => void;
+  get_action_history: (data: {}, callback: SocketCallback<SocketResponse & { actions?: GameAction[] }>) => void;  // Spectators get it up to their delay
+  get_replay: (data: { replayId: string }, callback: SocketCallback<SocketResponse & { replay?: Replay }>) => void;  // Any finished game, no room needed
+  request_rematch: (data: { ready?: boolean }, callback: SocketCallback<SocketResponse & { started?: boolean }>) => void;  // Starts the next game once everyone is ready
 
   // Connection
   disconnect: () => void;
@@ -116,12 +162,15 @@ export interface ServerToClientEvents {
   // State updates
   state_update: (data: { publicState: PublicGameState }) => void;
   private_state_update: (data: { privateState: PrivateGameState }) => void;
+  spectator_state: (data: { publicState: PublicGameState }) => void;   // Spectators only, after the room's delay
+  game_action: (data: { action: GameAction }) => void;                // Each action added to the history (spectators after the delay)
 
   // Room events
   player_joined: (data: { publicState: PublicGameState; playerName: string }) => void;
   player_left: (data: { publicState: PublicGameState; playerName: string }) => void;
   player_disconnected: (data: { playerName: string }) => void;
-  player_reconnected: (data: { playerName: string }) => void;
+  player_reconnected: (data: { playerId: string; previousPlayerId: string; playerName: string; publicState: PublicGameState; tookSeatBack: boolean }) => void;
+  ai_takeover: (data: { playerId: string; playerName: string; publicState: PublicGameState }) => void;
 
   // Game events
   game_started: (data: { publicState: PublicGameState; privateState: PrivateGameState }) => void;
@@ -132,13 +181,19 @@ export interface ServerToClientEvents {
   player_passed: (data: { publicState: PublicGameState; playerId: string }) => void;
 
   // Special events
-  round_reset: (data: { publicState: PublicGameState }) => void;
+  round_reset: (data: { publicState: PublicGameState; playerName: string }) => void;
+  turn_timeout: (data: { publicState: PublicGameState; playerId: string; action: 'bid' | 'pass' | 'swap' | 'skip_swap' | 'discard'; onTimeout: TurnTimer['onTimeout'] }) => void;
+  round_reset_vote: (data: { publicState: PublicGameState; playerId: string; status: 'pending' | 'passed' | 'rejected' }) => void;
   cards_swapped: (data: { publicState: PublicGameState }) => void;
   luxury_card_discarded: (data: { publicState: PublicGameState; playerId: string; cardId: string }) => void;
+  card_effect_resolved: (data: { publicState: PublicGameState; playerId: string; effect: string }) => void;
 
   // Chat events
   ai_chat_message: (data: { playerId: string; playerName: string; message: string; duration: number; mode: ChatMode }) => void;
   chat_mode_changed: (data: { mode: ChatMode }) => void;
+  chat_message: (data: { message: PlayerChatMessage }) => void;
+  chat_filter_changed: (data: { enabled: boolean }) => void;
+  emote: (data: { emote: Emote }) => void;
 
   // Error events
   error: (data: { message: string; details?: any }) => void;
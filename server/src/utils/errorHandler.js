@@ -136,6 +136,12 @@ export const errors = {
     { roomCode }
   ),
 
+  replayNotFound: (replayId) => new GameError(
+    `Replay ${replayId} not found`,
+    ERROR_TYPES.NOT_FOUND,
+    { replayId }
+  ),
+
   notYourTurn: () => new GameError(
     'Not your turn',
     ERROR_TYPES.GAME_STATE
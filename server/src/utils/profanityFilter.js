@@ -0,0 +1,50 @@
+/**
+ * Profanity Filter
+ * Masks swear words in player chat (rooms can switch it off, see Game#setChatFilter)
+ * @module utils/profanityFilter
+ */
+
+// Word stems; each also matches its common endings (fucking, shits, assholes...)
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'asshole', 'arsehole',
+  'bastard', 'bollocks', 'wanker', 'twat', 'prick', 'slut', 'whore', 'motherfucker',
+  'bullshit', 'dickhead', 'douche', 'jackass', 'fag', 'faggot', 'retard', 'nigger', 'nigga'
+];
+
+// Letters people swap in to get past a filter (sh1t, @sshole, fvck)
+const LOOKALIKES = {
+  a: '[a@4]',
+  e: '[e3]',
+  i: '[i1!]',
+  o: '[o0]',
+  s: '[s$5]',
+  t: '[t7]',
+  u: '[uv]'
+};
+
+const ENDINGS = '(?:s|es|ed|er|ers|ing|in|y|ty)?';
+
+// Whole words only; not \b, which never matches before a lookalike symbol like the @ in @sshole
+const pattern = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${BLOCKED_WORDS.map(word => [...word].map(letter => `${LOOKALIKES[letter] || letter}+`).join('')).join('|')})${ENDINGS}(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+/**
+ * Check whether text contains a blocked word
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsProfanity(text) {
+  pattern.lastIndex = 0;
+  return pattern.test(text);
+}
+
+/**
+ * Replace every blocked word with asterisks, keeping its first letter
+ * @param {string} text
+ * @returns {string} e.g. 'what the f***' for 'what the fuck'
+ */
+export function filterProfanity(text) {
+  return text.replace(pattern, word => word[0] + '*'.repeat(word.length - 1));
+}
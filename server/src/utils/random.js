@@ -0,0 +1,90 @@
+/**
+ * Seedable Random Number Generator
+ * Deterministic stand-in for Math.random so a game can be reproduced from its seed
+ * @module utils/random
+ */
+
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Check that a seed is usable and return it unchanged
+ * @param {number|string} seed - Non-negative integer or non-empty string
+ * @returns {number|string} The validated seed
+ * @throws {Error} If the seed is not a valid number or string
+ */
+export function validateSeed(seed) {
+  if (typeof seed === 'number') {
+    if (!Number.isSafeInteger(seed) || seed < 0) {
+      throw new Error('Seed must be a non-negative integer or a string');
+    }
+    return seed;
+  }
+
+  if (typeof seed === 'string') {
+    const trimmed = seed.trim();
+    if (trimmed.length === 0 || trimmed.length > MAX_SEED_LENGTH) {
+      throw new Error(`Seed must be 1-${MAX_SEED_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  throw new Error('Seed must be a non-negative integer or a string');
+}
+
+/**
+ * Generate a fresh seed for games started without one
+ * @returns {number} Random 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Reduce any seed to a 32-bit generator state (FNV-1a for strings)
+function hashSeed(seed) {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random function (mulberry32)
+ * Drop-in replacement for Math.random: returns floats in [0, 1)
+ * @param {number|string} seed - Seed for the sequence
+ * @param {number} [state] - Internal state to resume from (see random.getState())
+ * @returns {Function} Random function with `seed` and `getState()` attached
+ * @throws {Error} If the seed is invalid
+ */
+export function createSeededRandom(seed, state) {
+  seed = validateSeed(seed);
+  let current = state === undefined ? hashSeed(seed) : state >>> 0;
+
+  const random = () => {
+    current = (current + 0x6d2b79f5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+
+  random.seed = seed;
+  random.getState = () => current;
+
+  return random;
+}
+
+/**
+ * Pick a random element from an array
+ * @param {Array} array - Array to pick from
+ * @param {Function} [random=Math.random] - Random source
+ * @returns {*} The picked element (undefined for an empty array)
+ */
+export function pickRandom(array, random = Math.random) {
+  return array[Math.floor(random() * array.length)];
+}
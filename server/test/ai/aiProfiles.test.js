@@ -0,0 +1,96 @@
+/**
+ * Tests for AI difficulty levels and personalities
+ */
+
+import {
+  AI_DIFFICULTIES,
+  AI_PERSONALITIES,
+  getAISettings,
+  getPersonalityForName,
+  isValidDifficulty
+} from '../../src/ai/aiProfiles.js';
+import { AI_NAMES } from '../../src/ai/AIPlayer.js';
+
+describe('AI Profiles', () => {
+  describe('getAISettings', () => {
+    test('should keep the original weights for normal difficulty without a personality', () => {
+      expect(getAISettings()).toMatchObject({
+        passThreshold: 0.3,
+        maxBidRatio: 0.7,
+        prestigeValue: 12,
+        reversePassChance: 0.8
+      });
+    });
+
+    test('should make harder AIs pass less and value prestige more', () => {
+      const easy = getAISettings(AI_DIFFICULTIES.EASY);
+      const hard = getAISettings(AI_DIFFICULTIES.HARD);
+
+      expect(hard.passThreshold).toBeLessThan(easy.passThreshold);
+      expect(hard.prestigeValue).toBeGreaterThan(easy.prestigeValue);
+      expect(hard.reversePassChance).toBeLessThan(easy.reversePassChance);
+    });
+
+    test('should keep harder AIs further from the poorest player', () => {
+      expect(getAISettings(AI_DIFFICULTIES.EASY).moneyMargin).toBeNull();
+      expect(getAISettings(AI_DIFFICULTIES.HARD).moneyMargin)
+        .toBeGreaterThan(getAISettings(AI_DIFFICULTIES.NORMAL).moneyMargin);
+      expect(getAISettings(AI_DIFFICULTIES.HARD, AI_PERSONALITIES.RECKLESS).moneyMargin)
+        .toBe(getAISettings(AI_DIFFICULTIES.HARD).moneyMargin);
+    });
+
+    test('should shift the weights by personality', () => {
+      const normal = getAISettings(AI_DIFFICULTIES.NORMAL);
+      const reckless = getAISettings(AI_DIFFICULTIES.NORMAL, AI_PERSONALITIES.RECKLESS);
+      const hoarder = getAISettings(AI_DIFFICULTIES.NORMAL, AI_PERSONALITIES.HOARDER);
+      const spiteful = getAISettings(AI_DIFFICULTIES.NORMAL, AI_PERSONALITIES.SPITEFUL);
+
+      expect(reckless.maxBidRatio).toBeGreaterThan(normal.maxBidRatio);
+      expect(reckless.reverseRebidChance).toBeGreaterThan(0);
+      expect(hoarder.maxBidRatio).toBeLessThan(normal.maxBidRatio);
+      expect(spiteful.leaderWeight).toBeGreaterThan(0);
+    });
+
+    test('should keep every combination within sensible bounds', () => {
+      Object.values(AI_DIFFICULTIES).forEach(difficulty => {
+        Object.values(AI_PERSONALITIES).forEach(personality => {
+          const settings = getAISettings(difficulty, personality);
+          expect(settings.passThreshold).toBeGreaterThanOrEqual(0);
+          expect(settings.maxBidRatio).toBeLessThanOrEqual(0.95);
+          expect(settings.reversePassChance).toBeLessThanOrEqual(1);
+        });
+      });
+    });
+
+    test('should reject unknown difficulties and personalities', () => {
+      expect(() => getAISettings('nightmare')).toThrow('Unknown AI difficulty');
+      expect(() => getAISettings(AI_DIFFICULTIES.NORMAL, 'grumpy')).toThrow('Unknown AI personality');
+    });
+  });
+
+  describe('getPersonalityForName', () => {
+    test('should give every AI name a personality', () => {
+      AI_NAMES.forEach(name => {
+        expect(Object.values(AI_PERSONALITIES)).toContain(getPersonalityForName(name));
+      });
+    });
+
+    test('should use every personality', () => {
+      const used = new Set(AI_NAMES.map(getPersonalityForName));
+      expect(used.size).toBe(Object.values(AI_PERSONALITIES).length);
+    });
+
+    test('should return null for other names', () => {
+      expect(getPersonalityForName('Alice')).toBeNull();
+    });
+  });
+
+  describe('isValidDifficulty', () => {
+    test('should accept only known difficulties', () => {
+      expect(isValidDifficulty('hard')).toBe(true);
+      expect(isValidDifficulty('expert')).toBe(true);
+      expect(isValidDifficulty('HARD')).toBe(false);
+      expect(isValidDifficulty(undefined)).toBe(false);
+    });
+  });
+});
@@ -6,7 +6,8 @@ import {
   getCommentaryMessage,
   getStory,
   getJoke,
-  determineMessageType
+  determineMessageType,
+  PERSONALITY_COMMENTARY
 } from '../../src/ai/commentaryMessages.js';
 
 describe('Commentary Messages', () => {
@@ -42,6 +43,27 @@ describe('Commentary Messages', () => {
       expect(typeof message).toBe('string');
     });
 
+    test('should fill in every placeholder of swap commentary', () => {
+      const context = {
+        player1Name: 'Cletus',
+        card1Name: 'DUI Citation',
+        player2Name: 'Bubba',
+        card2Name: 'Mullet Hairstyle'
+      };
+
+      for (let i = 0; i < 20; i++) {
+        expect(getCommentaryMessage('SWAP', context)).not.toMatch(/\{\w+\}/);
+      }
+    });
+
+    test('should use lines in the speaker\'s personality when it has them', () => {
+      const message = getCommentaryMessage('PASS', {}, () => 0, 'hoarder');
+
+      expect(PERSONALITY_COMMENTARY.hoarder.PASS).toContain(message);
+      // Events without personality lines fall back to the shared library
+      expect(getCommentaryMessage('GAME_START', {}, () => 0, 'hoarder')).toBeTruthy();
+    });
+
     test('should handle unknown event gracefully', () => {
       const message = getCommentaryMessage('UNKNOWN_EVENT', {});
 
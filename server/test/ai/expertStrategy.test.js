@@ -0,0 +1,203 @@
+/**
+ * Tests for the expert AI strategy
+ */
+
+import {
+  getUnseenCards,
+  estimateRemainingLuxuryValue,
+  estimateEliminationRisk,
+  estimateRemainingMoney,
+  evaluateTable,
+  decideExpertBid
+} from '../../src/ai/expertStrategy.js';
+import { AIPlayer } from '../../src/ai/AIPlayer.js';
+import { LUXURY_CARDS, PRESTIGE_CARDS, DISGRACE_CARDS } from '../../src/models/cards.js';
+import { AUCTION_TYPES } from '../../src/models/game.js';
+import { getDefaultRules } from '../../src/models/rules.js';
+
+const lux = (value) => LUXURY_CARDS.find(card => card.value === value);
+const bills = (...values) => values.map((value, i) => ({ id: `money-${i}`, value, available: true }));
+
+/**
+ * Build a three-player auction where the expert is 'ai_1'
+ */
+function auctionState({ card, type = AUCTION_TYPES.STANDARD, highestBid = 0, highestBidder = null, cardsRemaining = 10, money = [40, 40, 40], bids = [0, 0, 0] }) {
+  return {
+    cardsRemaining,
+    currentCard: card,
+    currentAuction: {
+      type,
+      highestBid,
+      highestBidder,
+      activePlayers: ['ai_1', 'player_2', 'player_3']
+    },
+    players: ['ai_1', 'player_2', 'player_3'].map((id, i) => ({
+      id,
+      wonCards: [],
+      remainingMoney: money[i],
+      currentBidTotal: bids[i]
+    }))
+  };
+}
+
+describe('Expert Strategy', () => {
+  let expert;
+
+  beforeEach(() => {
+    expert = new AIPlayer('ai_1', 'Test Bot', { difficulty: 'expert' });
+  });
+
+  describe('Deck tracking', () => {
+    test('should leave out won cards and the card on the block', () => {
+      const state = auctionState({ card: lux(10) });
+      state.players[1].wonCards = [PRESTIGE_CARDS[0]];
+
+      const unseen = getUnseenCards(state).map(card => card.id);
+
+      expect(unseen).not.toContain('lux-10');
+      expect(unseen).not.toContain('pres-1');
+      expect(unseen).toContain('lux-1');
+    });
+
+    test('should scale unseen luxury value by the cards left in the deck', () => {
+      const state = auctionState({ card: lux(10) });
+      // 45 luxury points among the 14 unseen cards
+      state.cardsRemaining = 14;
+      expect(estimateRemainingLuxuryValue(state)).toBe(45);
+
+      state.cardsRemaining = 7;
+      expect(estimateRemainingLuxuryValue(state)).toBe(22.5);
+
+      state.cardsRemaining = 0;
+      expect(estimateRemainingLuxuryValue(state)).toBe(0);
+    });
+
+    test('should count only the luxuries the deck rules deal', () => {
+      const state = auctionState({ card: lux(10) });
+      state.cardsRemaining = 8;
+      state.rules = { deck: { luxury: 4, prestige: null, disgrace: null, special: null } };
+
+      // 3 of the 4 luxuries dealt are still to come, out of 9 unseen ones worth 45
+      expect(estimateRemainingLuxuryValue(state)).toBe(15);
+
+      state.players[1].wonCards = [lux(1), lux(2), lux(3)];
+      expect(estimateRemainingLuxuryValue(state)).toBe(0);
+    });
+  });
+
+  describe('Elimination risk', () => {
+    test('should put the poorest player most at risk', () => {
+      const risk = estimateEliminationRisk({ a: 10, b: 30, c: 50 }, 5);
+
+      expect(risk.a).toBeGreaterThan(0.5);
+      expect(risk.b).toBeLessThan(0.5);
+      expect(risk.c).toBeLessThan(risk.b);
+    });
+
+    test('should grow more certain as the deck runs out', () => {
+      const early = estimateEliminationRisk({ a: 10, b: 20 }, 15);
+      const late = estimateEliminationRisk({ a: 10, b: 20 }, 0);
+
+      expect(late.a).toBeGreaterThan(early.a);
+      expect(late.b).toBeLessThan(early.b);
+    });
+
+    test('should rate a table lower when the player is about to be eliminated', () => {
+      const table = (myMoney) => [
+        { id: 'me', wonCards: [lux(10)], money: myMoney },
+        { id: 'other', wonCards: [lux(2)], money: 20 }
+      ];
+
+      expect(evaluateTable('me', table(5), 0, 0)).toBeLessThan(evaluateTable('me', table(30), 0, 0));
+    });
+  });
+
+  describe('Hidden money', () => {
+    const rules = (billRemoval) => ({ money: { denominations: [1, 2, 4, 8, 16], billRemoval } });
+
+    test('should use the public total when there is one', () => {
+      expect(estimateRemainingMoney({ rules: rules('middle') }, { remainingMoney: 12, spentMoney: [8] })).toBe(12);
+    });
+
+    test('should count from the spent bills and the average removed bill', () => {
+      const player = { remainingMoney: null, spentMoney: [8, 2] };
+
+      // 31 dealt, one of 2/4/8 removed (average 14/3), 10 spent
+      expect(estimateRemainingMoney({ rules: rules('middle') }, player)).toBeCloseTo(31 - 14 / 3 - 10);
+      expect(estimateRemainingMoney({ rules: rules('none') }, player)).toBe(21);
+    });
+
+    test('should bid like it does with open money once the count matches', () => {
+      const state = auctionState({ card: lux(10), highestBid: 1, highestBidder: 'player_2' });
+      state.rules = getDefaultRules();
+      state.players.forEach(p => {
+        // $111 dealt, $8.50 removed on average, $62 spent: about the $40 of the open test
+        p.remainingMoney = null;
+        p.spentMoney = [25, 20, 15, 2];
+      });
+
+      expect(decideExpertBid(expert, state, bills(1, 2, 3, 4, 5, 25))).toMatchObject({ action: 'bid' });
+
+      // Opponents who've spent nothing look far richer, so it saves its money
+      state.players.forEach(p => { p.spentMoney = []; });
+      expect(decideExpertBid(expert, state, bills(1, 2, 3, 4, 5, 25))).toEqual({ action: 'pass' });
+    });
+  });
+
+  describe('Standard auctions', () => {
+    test('should bid on a valuable card it can easily afford', () => {
+      const state = auctionState({ card: lux(10), highestBid: 1, highestBidder: 'player_2' });
+
+      expect(decideExpertBid(expert, state, bills(1, 2, 3, 4, 5, 25))).toMatchObject({ action: 'bid' });
+    });
+
+    test('should stop bidding before it becomes the poorest player late in the game', () => {
+      const state = auctionState({
+        card: lux(3),
+        highestBid: 8,
+        highestBidder: 'player_2',
+        cardsRemaining: 1,
+        money: [20, 20, 14]
+      });
+
+      expect(decideExpertBid(expert, state, bills(10, 10))).toEqual({ action: 'pass' });
+    });
+  });
+
+  describe('Reverse auctions', () => {
+    test('should pay a little to dodge a disgrace in a close race when money is comfortable', () => {
+      const state = auctionState({
+        card: DISGRACE_CARDS[1],
+        type: AUCTION_TYPES.REVERSE,
+        money: [60, 30, 30]
+      });
+      state.players[0].wonCards = [lux(5)];
+      state.players[1].wonCards = [lux(4)];
+
+      expect(decideExpertBid(expert, state, bills(1, 2, 3, 4, 10, 15, 25))).toMatchObject({ action: 'bid' });
+    });
+
+    test('should take the disgrace rather than pay its way into elimination', () => {
+      const state = auctionState({
+        card: DISGRACE_CARDS[1],
+        type: AUCTION_TYPES.REVERSE,
+        highestBid: 4,
+        bids: [0, 4, 0],
+        cardsRemaining: 1,
+        money: [8, 20, 20]
+      });
+
+      expect(decideExpertBid(expert, state, bills(3, 5))).toEqual({ action: 'pass' });
+    });
+  });
+
+  test('should be used by expert AIPlayers', () => {
+    const state = auctionState({ card: lux(10), highestBid: 1, highestBidder: 'player_2' });
+    const moneyHand = bills(1, 2, 3, 4, 5, 25);
+    // Always-pass random: a weight-based AI would pass, the expert ignores it
+    const decision = expert.decideBid(state, { moneyHand }, () => 0);
+
+    expect(decision.action).toBe('bid');
+    expect(decision).toEqual(decideExpertBid(expert, state, moneyHand));
+  });
+});
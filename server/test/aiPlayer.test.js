@@ -290,22 +290,95 @@ describe('AIPlayer', () => {
   });
 
   describe('Card Swap Decision', () => {
-    test('should skip card swap in MVP', () => {
+    const dui = { id: 'disg-2', type: CARD_TYPES.DISGRACE, effect: 'passe', penalty: -5, name: 'DUI Citation' };
+    const mullet = { id: 'pres-1', type: CARD_TYPES.PRESTIGE, multiplier: 2, name: 'Mullet Hairstyle' };
+    const lux = (value) => ({ id: `lux-${value}`, type: CARD_TYPES.LUXURY, value, name: `Luxury ${value}` });
+
+    test('should skip when there are no cards to swap', () => {
       const publicState = {
         players: [
-          { id: 'ai_test_1', wonCards: [] },
-          { id: 'player_2', wonCards: [] }
+          { id: 'ai_test_1', name: 'Test Bot', wonCards: [] },
+          { id: 'player_2', name: 'Bob', wonCards: [] }
         ]
       };
 
       const swapDecision = aiPlayer.decideCardSwap(publicState);
 
-      expect(swapDecision).toEqual({
+      expect(swapDecision).toMatchObject({
         player1Id: null,
         card1Id: null,
         player2Id: null,
         card2Id: null
       });
+      expect(swapDecision.reasoning).toBeTruthy();
+    });
+
+    test('should dump a DUI Citation on the leader', () => {
+      const publicState = {
+        players: [
+          { id: 'ai_test_1', name: 'Test Bot', wonCards: [lux(3), dui] },
+          { id: 'player_2', name: 'Bob', wonCards: [lux(10), lux(9)] },
+          { id: 'player_3', name: 'Carl', wonCards: [lux(2)] }
+        ]
+      };
+
+      const swapDecision = aiPlayer.decideCardSwap(publicState);
+
+      expect(swapDecision).toMatchObject({
+        player1Id: 'ai_test_1',
+        card1Id: 'disg-2',
+        player2Id: 'player_2'
+      });
+      expect(swapDecision.reasoning).toContain('DUI Citation');
+      expect(swapDecision.reasoning).toContain('Bob, the leader');
+    });
+
+    test('should take a Mullet when it helps most', () => {
+      const publicState = {
+        players: [
+          { id: 'player_2', name: 'Bob', wonCards: [mullet, lux(1)] },
+          { id: 'ai_test_1', name: 'Test Bot', wonCards: [lux(8), lux(2)] },
+          { id: 'player_3', name: 'Carl', wonCards: [] }
+        ]
+      };
+
+      const swapDecision = aiPlayer.decideCardSwap(publicState);
+
+      expect(swapDecision).toMatchObject({
+        player1Id: 'player_2',
+        card1Id: 'pres-1',
+        player2Id: 'ai_test_1',
+        card2Id: 'lux-2'
+      });
+    });
+
+    test('should skip when every swap would hurt its standing', () => {
+      const publicState = {
+        players: [
+          { id: 'ai_test_1', name: 'Test Bot', wonCards: [lux(10)] },
+          { id: 'player_2', name: 'Bob', wonCards: [lux(1)] }
+        ]
+      };
+
+      expect(aiPlayer.decideCardSwap(publicState).card1Id).toBeNull();
+    });
+
+    test('should only pick swaps the game accepts', () => {
+      const publicState = {
+        players: [
+          { id: 'ai_test_1', name: 'Test Bot', wonCards: [lux(4)] },
+          { id: 'player_2', name: 'Bob', wonCards: [lux(7), dui] },
+          { id: 'player_3', name: 'Carl', wonCards: [lux(9), mullet] }
+        ]
+      };
+
+      const swap = aiPlayer.decideCardSwap(publicState);
+      const owner1 = publicState.players.find(p => p.id === swap.player1Id);
+      const owner2 = publicState.players.find(p => p.id === swap.player2Id);
+
+      expect(swap.player1Id).not.toBe(swap.player2Id);
+      expect(owner1.wonCards.some(c => c.id === swap.card1Id)).toBe(true);
+      expect(owner2.wonCards.some(c => c.id === swap.card2Id)).toBe(true);
     });
   });
 
@@ -327,6 +400,99 @@ describe('AIPlayer', () => {
     });
   });
 
+  describe('Difficulty and Personality', () => {
+    const reverseCard = { id: 'disg-2', type: CARD_TYPES.DISGRACE, name: 'DUI Citation' };
+    const availableMoney = [
+      { id: 'money-1', value: 1, available: true },
+      { id: 'money-2', value: 2, available: true },
+      { id: 'money-10', value: 10, available: true }
+    ];
+
+    test('should take its personality from its name', () => {
+      expect(new AIPlayer('ai_1', 'Billy Bob').personality).toBe('reckless');
+      expect(new AIPlayer('ai_1', 'Cletus', { difficulty: 'hard' })).toMatchObject({
+        personality: 'hoarder',
+        difficulty: 'hard'
+      });
+      expect(aiPlayer.personality).toBeNull();
+    });
+
+    test('should reject an unknown difficulty', () => {
+      expect(() => new AIPlayer('ai_1', 'Bo', { difficulty: 'nightmare' })).toThrow('Unknown AI difficulty');
+    });
+
+    test('should let reckless AIs keep bidding to dodge disgrace', () => {
+      const reckless = new AIPlayer('ai_1', 'Billy Bob');
+      const currentAuction = { type: AUCTION_TYPES.REVERSE, highestBid: 2, activePlayers: ['ai_1', 'player_2'] };
+
+      const decision = reckless.decideReverseAuctionBid(reverseCard, currentAuction, availableMoney, () => 0);
+
+      expect(decision.action).toBe('bid');
+      expect(decision.cards.length).toBeGreaterThan(0);
+    });
+
+    test('should let hoarders take disgrace rather than spend', () => {
+      const hoarder = new AIPlayer('ai_1', 'Cletus');
+      const currentAuction = { type: AUCTION_TYPES.REVERSE, highestBid: 0, activePlayers: ['ai_1', 'player_2'] };
+
+      const decision = hoarder.decideReverseAuctionBid(reverseCard, currentAuction, availableMoney, () => 0.95);
+
+      expect(decision.action).toBe('pass');
+    });
+
+    test('should value cards by difficulty and personality', () => {
+      const prestige = { id: 'pres-1', type: CARD_TYPES.PRESTIGE, multiplier: 2 };
+      const luxury = { id: 'lux-8', type: CARD_TYPES.LUXURY, value: 8 };
+
+      expect(new AIPlayer('ai_1', 'Bot', { difficulty: 'hard' }).evaluateCard(prestige, {}))
+        .toBeGreaterThan(new AIPlayer('ai_2', 'Bot', { difficulty: 'easy' }).evaluateCard(prestige, {}));
+      expect(new AIPlayer('ai_1', 'Bubba').evaluateCard(luxury, {}))
+        .toBeGreaterThan(new AIPlayer('ai_2', 'Earl').evaluateCard(luxury, {}));
+    });
+
+    test('should keep hard AIs from bidding themselves down to the poorest opponent', () => {
+      const card = { id: 'lux-10', type: CARD_TYPES.LUXURY, value: 10 };
+      const currentAuction = { type: AUCTION_TYPES.STANDARD, highestBid: 0, activePlayers: ['ai_1', 'player_2', 'player_3'] };
+      const money = [1, 2, 3, 4, 5, 25].map(value => ({ id: `money-${value}`, value, available: true }));
+      const publicState = (cardsRemaining) => ({
+        cardsRemaining,
+        players: [
+          { id: 'ai_1', wonCards: [], remainingMoney: 40 },
+          { id: 'player_2', wonCards: [], remainingMoney: 38 },
+          { id: 'player_3', wonCards: [], remainingMoney: 40 }
+        ]
+      });
+      const hard = new AIPlayer('ai_1', 'Bot', { difficulty: 'hard' });
+      const easy = new AIPlayer('ai_1', 'Bot', { difficulty: 'easy' });
+
+      // Last card: any bid would leave it within 2 of the poorest opponent
+      expect(hard.decideStandardAuctionBid(card, currentAuction, money, publicState(0), () => 0.99).action).toBe('pass');
+      expect(easy.decideStandardAuctionBid(card, currentAuction, money, publicState(0), () => 0.99).action).toBe('bid');
+      // Early on there is still time to catch up
+      expect(hard.decideStandardAuctionBid(card, currentAuction, money, publicState(10), () => 0.99).action).toBe('bid');
+    });
+
+    test('should let spiteful AIs hurt the leader even at no gain to themselves', () => {
+      const lux = (value) => ({ id: `lux-${value}`, type: CARD_TYPES.LUXURY, value, name: `Luxury ${value}` });
+      const publicState = {
+        players: [
+          { id: 'ai_1', name: 'Jethro', wonCards: [] },
+          { id: 'player_2', name: 'Bob', wonCards: [lux(10)] },
+          { id: 'player_3', name: 'Carl', wonCards: [lux(8)] }
+        ]
+      };
+
+      // Swapping the 10 and the 8 just hands the lead to Carl - only spite makes it worth it
+      expect(new AIPlayer('ai_1', 'Earl').decideCardSwap(publicState).card1Id).toBeNull();
+      expect(new AIPlayer('ai_1', 'Jethro').decideCardSwap(publicState)).toMatchObject({
+        player1Id: 'player_2',
+        card1Id: 'lux-10',
+        player2Id: 'player_3',
+        card2Id: 'lux-8'
+      });
+    });
+  });
+
   describe('Card Evaluation', () => {
     test('should evaluate luxury cards by their face value', () => {
       const card = { id: 'lux-7', type: CARD_TYPES.LUXURY, value: 7 };
@@ -360,6 +526,11 @@ describe('AI Player Factory Functions', () => {
     expect(id1).not.toBe(id2); // Should be different due to timestamp
   });
 
+  test('createAIPlayer should set the difficulty', () => {
+    expect(createAIPlayer(0, 'easy').difficulty).toBe('easy');
+    expect(createAIPlayer(0).difficulty).toBe('normal');
+  });
+
   test('createAIPlayer should create AIPlayer instance', () => {
     const aiPlayer = createAIPlayer(0);
 
@@ -0,0 +1,127 @@
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_CARD_SET_ID,
+  validateCardSet,
+  loadCardSets,
+  getCardSet,
+  listCardSets
+} from '../src/models/cardSets.js';
+import { buildItemDeck, isGameEndingCard } from '../src/models/cards.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const cardSet = (overrides = {}) => ({
+  id: 'test-set',
+  name: 'Test Set',
+  cards: [
+    { id: 'a', type: 'luxury', value: 1, name: 'A' },
+    { id: 'b', type: 'luxury', value: 2, name: 'B' },
+    { id: 'c', type: 'special', effect: 'card-swap', name: 'C' }
+  ],
+  constraints: { secondHalf: ['c'] },
+  ...overrides
+});
+
+describe('Card Sets', () => {
+  describe('validateCardSet', () => {
+    test('should accept a valid card set', () => {
+      const validated = validateCardSet(cardSet());
+
+      expect(validated.id).toBe('test-set');
+      expect(validated.cards).toHaveLength(3);
+      expect(validated.constraints.secondHalf).toEqual(['c']);
+    });
+
+    test.each([
+      ['a missing name', { name: '' }, 'name is required'],
+      ['a bad id', { id: 'Test Set' }, 'id must be'],
+      ['no cards', { cards: [] }, 'non-empty list'],
+      ['a duplicate card id', { cards: [{ id: 'a', type: 'luxury', value: 1, name: 'A' }, { id: 'a', type: 'luxury', value: 2, name: 'B' }], constraints: {} }, 'duplicate id'],
+      ['an unknown card type', { cards: [{ id: 'a', type: 'joker', name: 'A' }], constraints: {} }, 'unknown type "joker"'],
+      ['a luxury without a value', { cards: [{ id: 'a', type: 'luxury', name: 'A' }], constraints: {} }, 'positive whole-number value'],
+      ['a prestige card that does not multiply', { cards: [{ id: 'a', type: 'prestige', multiplier: 1, name: 'A' }], constraints: {} }, 'multiplier greater than 1'],
+      ['a positive passe penalty', { cards: [{ id: 'a', type: 'disgrace', effect: 'passe', penalty: 5, name: 'A' }], constraints: {} }, 'negative whole-number penalty'],
+      ['an unknown disgrace effect', { cards: [{ id: 'a', type: 'disgrace', effect: 'bankrupt', name: 'A' }], constraints: {} }, 'unknown disgrace effect'],
+      ['an unknown special effect', { cards: [{ id: 'a', type: 'special', effect: 'steal', name: 'A' }], constraints: {} }, 'unknown special effect'],
+      ['an unknown second-half card', { constraints: { secondHalf: ['z'] } }, 'unknown card "z"'],
+      ['too many second-half cards', { constraints: { secondHalf: ['a', 'b', 'c'] } }, 'more cards than fit']
+    ])('should reject %s', (_, overrides, message) => {
+      expect(() => validateCardSet(cardSet(overrides))).toThrow(message);
+    });
+  });
+
+  describe('Bundled card sets', () => {
+    test('the default set should be the standard 15-card deck', () => {
+      const standard = getCardSet(DEFAULT_CARD_SET_ID);
+
+      expect(standard.cards).toHaveLength(15);
+      expect(standard.cards.filter(isGameEndingCard)).toHaveLength(4);
+      expect(standard.constraints.secondHalf).toEqual(['spec-1']);
+    });
+
+    test('should list the default set first', () => {
+      const sets = listCardSets();
+
+      expect(sets[0]).toMatchObject({ id: DEFAULT_CARD_SET_ID, cardCount: 15 });
+      expect(sets.map(set => set.id)).toContain('county-fair');
+    });
+
+    test('should reject an unknown card set', () => {
+      expect(() => getCardSet('nope')).toThrow('Unknown card set: nope');
+    });
+
+    test('should keep second-half cards out of the first half of a custom deck', () => {
+      const countyFair = getCardSet('county-fair');
+
+      for (let seed = 0; seed < 20; seed++) {
+        const deck = buildItemDeck(createSeededRandom(seed), countyFair);
+        const firstHalf = deck.slice(0, Math.floor(deck.length / 2)).map(card => card.id);
+
+        expect(deck).toHaveLength(countyFair.cards.length);
+        expect(firstHalf).not.toContain('fair-spec-1');
+        expect(firstHalf).not.toContain('fair-spec-2');
+      }
+    });
+  });
+
+  describe('loadCardSets', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), 'card-sets-'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+      console.error.mockRestore();
+    });
+
+    const directoryUrl = () => pathToFileURL(`${directory}/`);
+    const copyDefaultSet = () => {
+      const source = new URL('../src/cardSets/low-society.json', import.meta.url);
+      writeFileSync(join(directory, 'low-society.json'), readFileSync(source, 'utf8'));
+    };
+
+    test('should skip invalid files and load the rest', () => {
+      copyDefaultSet();
+      writeFileSync(join(directory, 'broken.json'), '{ not json');
+      writeFileSync(join(directory, 'bad.json'), JSON.stringify(cardSet({ name: '' })));
+      writeFileSync(join(directory, 'good.json'), JSON.stringify(cardSet()));
+
+      const sets = loadCardSets(directoryUrl());
+
+      expect([...sets.keys()].sort()).toEqual(['low-society', 'test-set']);
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail without the default set', () => {
+      writeFileSync(join(directory, 'good.json'), JSON.stringify(cardSet()));
+
+      expect(() => loadCardSets(directoryUrl())).toThrow('Default card set "low-society" is missing or invalid');
+    });
+  });
+});
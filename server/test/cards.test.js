@@ -9,8 +9,10 @@ import {
   createMoneyHand,
   removeRandomBill,
   isGameEndingCard,
-  calculateScore
+  calculateScore,
+  calculateScoreBreakdown
 } from '../src/models/cards.js';
+import { createSeededRandom } from '../src/utils/random.js';
 
 describe('Cards Module', () => {
   describe('Card Definitions', () => {
@@ -69,6 +71,13 @@ describe('Cards Module', () => {
       const same = deck1.every((card, i) => card.id === deck2[i].id);
       expect(same).toBe(false);
     });
+
+    test('should build the same deck from the same seed', () => {
+      const deck1 = buildItemDeck(createSeededRandom('bug-report'));
+      const deck2 = buildItemDeck(createSeededRandom('bug-report'));
+
+      expect(deck1.map(c => c.id)).toEqual(deck2.map(c => c.id));
+    });
   });
 
   describe('createMoneyHand', () => {
@@ -117,6 +126,13 @@ describe('Cards Module', () => {
       }
     });
 
+    test('should remove the same bill for the same seed', () => {
+      const removed1 = removeRandomBill(createMoneyHand(), createSeededRandom(5));
+      const removed2 = removeRandomBill(createMoneyHand(), createSeededRandom(5));
+
+      expect(removed1).toEqual(removed2);
+    });
+
     test('should return the removed bill', () => {
       const hand = createMoneyHand();
       const removed = removeRandomBill(hand);
@@ -127,9 +143,11 @@ describe('Cards Module', () => {
   });
 
   describe('isGameEndingCard', () => {
-    test('no cards should end the game (play entire deck)', () => {
-      // LOW SOCIETY RULE: Game ends when deck is empty, not after specific cards
-      [...LUXURY_CARDS, ...PRESTIGE_CARDS, ...DISGRACE_CARDS, ...SPECIAL_CARDS].forEach(card => {
+    test('should flag the red-bordered prestige and disgrace cards', () => {
+      [...PRESTIGE_CARDS, ...DISGRACE_CARDS].forEach(card => {
+        expect(isGameEndingCard(card)).toBe(true);
+      });
+      [...LUXURY_CARDS, ...SPECIAL_CARDS].forEach(card => {
         expect(isGameEndingCard(card)).toBe(false);
       });
     });
@@ -208,5 +226,24 @@ describe('Cards Module', () => {
       // (1 + 3 + 6) * 4 - 5 = 40 - 5 = 35
       expect(calculateScore(player)).toBe(35);
     });
+
+    test('should break the score down step by step', () => {
+      const passe = DISGRACE_CARDS.find(c => c.effect === 'passe');
+      const player = {
+        wonCards: [
+          LUXURY_CARDS[2], // 3
+          PRESTIGE_CARDS[0], // 2x
+          passe, // -5
+          LUXURY_CARDS[0] // 1
+        ]
+      };
+
+      expect(calculateScoreBreakdown(player)).toEqual({
+        luxuryTotal: 4,
+        prestigeMultiplier: 2,
+        penalties: [{ cardId: passe.id, cardName: passe.name, before: 8, after: 3 }],
+        total: 3
+      });
+    });
   });
 });
@@ -0,0 +1,160 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  loadConfig,
+  validateConfig,
+  getDefaultConfig,
+  getEnvNames
+} from '../../shared/config/loadConfig.js';
+import { CONFIG_SCHEMA } from '../../shared/config/schema.js';
+
+describe('Config', () => {
+  describe('validateConfig', () => {
+    test('should fill in every setting the file leaves out', () => {
+      const { config, warnings } = validateConfig({ server: { port: 4000 } });
+
+      expect(config.server).toEqual({ ...getDefaultConfig().server, port: 4000 });
+      expect(config.persistence).toEqual({ adapter: 'file', directory: 'data' });
+      expect(warnings).toEqual([]);
+    });
+
+    test('should list every problem at once', () => {
+      let message;
+      try {
+        validateConfig({
+          server: { port: 70000, corsOrigins: [] },
+          client: { serverUrl: 'localhost:3003' },
+          persistence: { adapter: 'disk' },
+          databse: {}
+        }, { source: 'config.js' });
+      } catch (error) {
+        message = error.message;
+      }
+
+      expect(message).toMatch(/^Invalid config in config\.js:\n/);
+      expect(message).toContain('server.port must be a port number (1-65535) (got 70000 from config.js)');
+      expect(message).toContain("server.corsOrigins must be '*', an origin or a list of origins");
+      expect(message).toContain('client.serverUrl must be an http(s) URL');
+      expect(message).toContain('persistence.adapter must be one of file, memory');
+      expect(message).toContain('unknown section "databse"');
+    });
+
+    test('should reject unknown settings and warn about retired ones', () => {
+      expect(() => validateConfig({ server: { prot: 4000 } })).toThrow('unknown setting "server.prot"');
+
+      const { warnings } = validateConfig({ game: { startingMoney: 40, deckSize: 15 } });
+      expect(warnings).toHaveLength(2);
+      expect(warnings[0]).toContain('game.startingMoney in config is no longer used');
+    });
+
+    test('should apply the chosen profile over the file', () => {
+      const file = {
+        server: { host: 'localhost' },
+        profile: 'lan',
+        profiles: { lan: { server: { host: '0.0.0.0' }, client: { exposeToNetwork: true } } }
+      };
+
+      expect(validateConfig(file).config.client.exposeToNetwork).toBe(true);
+      expect(validateConfig(file).config.server.host).toBe('0.0.0.0');
+      expect(validateConfig({ ...file, profile: null }).config.server.host).toBe('localhost');
+      expect(() => validateConfig(file, { env: { LOW_SOCIETY_PROFILE: 'cloud' } }))
+        .toThrow('unknown profile "cloud" (use lan)');
+    });
+  });
+
+  describe('Environment overrides', () => {
+    test('should name a variable after each setting', () => {
+      expect(getEnvNames('server', 'corsOrigins')).toEqual(['LOW_SOCIETY_SERVER_CORS_ORIGINS']);
+      expect(getEnvNames('server', 'port')).toEqual(['LOW_SOCIETY_SERVER_PORT', 'PORT']);
+      expect(getEnvNames('client', 'serverUrl')).toContain('VITE_SERVER_URL');
+    });
+
+    test('should parse values by type and win over the file', () => {
+      const { config } = validateConfig({ server: { port: 4000 }, game: { rules: { players: { max: 6 } } } }, {
+        env: {
+          PORT: '5000',
+          LOW_SOCIETY_SERVER_CORS_ORIGINS: 'http://a.test, http://b.test',
+          LOW_SOCIETY_CLIENT_EXPOSE_TO_NETWORK: 'true',
+          LOW_SOCIETY_GAME_RULES: '{"money":{"billRemoval":"none"}}',
+          LOW_SOCIETY_NETWORK_LOCAL_IP: ''
+        }
+      });
+
+      expect(config.server.port).toBe(5000);
+      expect(config.server.corsOrigins).toEqual(['http://a.test', 'http://b.test']);
+      expect(config.client.exposeToNetwork).toBe(true);
+      expect(config.game.rules).toEqual({ money: { billRemoval: 'none' } });
+      expect(config.network.localIP).toBeNull();
+    });
+
+    test('should prefer the LOW_SOCIETY_ name over an alias', () => {
+      const env = { PORT: '5000', LOW_SOCIETY_SERVER_PORT: '6000' };
+      expect(validateConfig({}, { env }).config.server.port).toBe(6000);
+    });
+
+    test('should name the variable a bad value came from', () => {
+      expect(() => validateConfig({}, { env: { LOW_SOCIETY_CLIENT_EXPOSE_TO_NETWORK: 'maybe' } }))
+        .toThrow('client.exposeToNetwork must be true or false (got "maybe" from LOW_SOCIETY_CLIENT_EXPOSE_TO_NETWORK)');
+    });
+  });
+
+  describe('loadConfig', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = mkdtempSync(join(tmpdir(), 'low-society-config-'));
+    });
+
+    afterEach(() => {
+      rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('should use the defaults when there is no config file', async () => {
+      const { config, path } = await loadConfig({ rootDir, env: {} });
+
+      expect(path).toBeNull();
+      expect(config).toEqual(getDefaultConfig());
+    });
+
+    test('should read a JSON config', async () => {
+      writeFileSync(join(rootDir, 'config.json'), JSON.stringify({ server: { port: 4100 } }));
+
+      const { config, path } = await loadConfig({ rootDir, env: {} });
+      expect(path).toBe(join(rootDir, 'config.json'));
+      expect(config.server.port).toBe(4100);
+    });
+
+    test('should import an ES module config', async () => {
+      writeFileSync(join(rootDir, 'config.mjs'), "export default { persistence: { adapter: 'memory' } };");
+
+      const { config } = await loadConfig({ rootDir, env: {} });
+      expect(config.persistence.adapter).toBe('memory');
+    });
+
+    test('should load the file named by LOW_SOCIETY_CONFIG', async () => {
+      writeFileSync(join(rootDir, 'config.json'), JSON.stringify({ server: { port: 4100 } }));
+      writeFileSync(join(rootDir, 'staging.json'), JSON.stringify({ server: { port: 4200 } }));
+
+      const { config } = await loadConfig({ rootDir, env: { LOW_SOCIETY_CONFIG: 'staging.json' } });
+      expect(config.server.port).toBe(4200);
+      await expect(loadConfig({ rootDir, env: { LOW_SOCIETY_CONFIG: 'missing.json' } }))
+        .rejects.toThrow('does not exist');
+    });
+
+    test('should report a config file that does not parse', async () => {
+      writeFileSync(join(rootDir, 'config.json'), '{ server: { port: 4100 } }');
+
+      await expect(loadConfig({ rootDir, env: {} })).rejects.toThrow('Could not read config.json');
+    });
+  });
+
+  test('should give every setting a type and default', () => {
+    Object.values(CONFIG_SCHEMA).forEach(settings => {
+      Object.values(settings).forEach(setting => {
+        expect(setting.type).toEqual(expect.any(String));
+        expect(setting.type === 'deprecated' || 'default' in setting).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the card effect registry
+ * Registers an extra effect the way a new card would, and plays it through the game
+ */
+
+import {
+  registerCardEffect,
+  getCardEffect,
+  getEffectForPhase,
+  listCardEffects
+} from '../src/effects/index.js';
+import { validateCardSet } from '../src/models/cardSets.js';
+import { calculateScore, LUXURY_CARDS, CARD_TYPES } from '../src/models/cards.js';
+import { Game, GAME_PHASES } from '../src/models/game.js';
+import { playTimedOutTurn } from '../src/services/turnTimer.js';
+
+const lux = (value) => LUXURY_CARDS.find(card => card.value === value);
+
+// Eviction Notice: whoever takes it makes an opponent lose their best luxury, and loses 1 status
+const eviction = {
+  name: 'eviction',
+  cardType: 'disgrace',
+  resolve: () => true,
+  score: (score) => score - 1,
+  phase: {
+    name: 'eviction',
+    eventType: 'tenant_evicted',
+    begin(game, playerId) {
+      game.currentAuction.evictingPlayerId = playerId;
+    },
+    getPlayerId: (game) => game.currentAuction?.evictingPlayerId || null,
+    apply(game, player, { targetId }) {
+      const target = game.players.find(p => p.id === targetId && p.id !== player.id);
+      if (!target) throw new Error('Pick an opponent');
+
+      const best = target.wonCards
+        .filter(card => card.type === CARD_TYPES.LUXURY)
+        .reduce((max, card) => (!max || card.value > max.value ? card : max), null);
+      target.wonCards = target.wonCards.filter(card => card !== best);
+      return { playerId: player.id, targetId };
+    },
+    fromEvent: ({ playerId, targetId }) => ({ playerId, choice: { targetId } }),
+    autoChoice: (game, player) => ({ targetId: game.players.find(p => p.id !== player.id).id }),
+    decide: (aiPlayer, publicState) => ({ targetId: publicState.players.find(p => p.id !== aiPlayer.id).id }),
+    summarize: ({ targetId }) => ({ action: 'evict', targetId })
+  }
+};
+
+const evictionCard = { id: 'evict-1', type: CARD_TYPES.DISGRACE, effect: 'eviction', name: 'Eviction Notice', description: '' };
+
+registerCardEffect(eviction);
+
+describe('Card Effects', () => {
+  describe('Registry', () => {
+    test('should find the built-in effects', () => {
+      expect(listCardEffects('disgrace')).toEqual(expect.arrayContaining(['faux-pas', 'passe', 'scandale']));
+      expect(listCardEffects('special')).toEqual(['card-swap']);
+      expect(getEffectForPhase(GAME_PHASES.CARD_SWAP).name).toBe('card-swap');
+      expect(getEffectForPhase(GAME_PHASES.DISCARD_LUXURY).name).toBe('faux-pas');
+    });
+
+    test('should only match an effect to its own card type', () => {
+      expect(getCardEffect({ type: 'special', effect: 'card-swap' })?.name).toBe('card-swap');
+      expect(getCardEffect({ type: 'disgrace', effect: 'card-swap' })).toBeNull();
+      expect(getCardEffect(lux(3))).toBeNull();
+    });
+
+    test('should reject duplicate and incomplete effects', () => {
+      expect(() => registerCardEffect(eviction)).toThrow('already registered');
+      expect(() => registerCardEffect({ name: 'odd', cardType: 'luxury' })).toThrow('needs a cardType');
+      expect(() => registerCardEffect({
+        name: 'half-done',
+        cardType: 'special',
+        resolve: () => true,
+        phase: { name: 'half', eventType: 'half_done', begin: () => {} }
+      })).toThrow('phase is missing');
+      expect(() => registerCardEffect({
+        name: 'clash',
+        cardType: 'special',
+        resolve: () => true,
+        phase: { ...eviction.phase, eventType: 'clashed' }
+      })).toThrow('already in use');
+    });
+  });
+
+  describe('A newly registered effect', () => {
+    test('should be accepted in card sets', () => {
+      const cardSet = validateCardSet({ id: 'evictions', name: 'Evictions', cards: [lux(1), evictionCard] });
+      expect(cardSet.cards).toHaveLength(2);
+
+      expect(() => validateCardSet({ id: 'bad', name: 'Bad', cards: [{ ...evictionCard, effect: 'foreclosure' }] }))
+        .toThrow(/unknown disgrace effect "foreclosure" \(use .*eviction/);
+    });
+
+    test('should apply its scoring hook', () => {
+      expect(calculateScore({ wonCards: [lux(5), evictionCard] })).toBe(4);
+    });
+
+    describe('in a game', () => {
+      let game;
+
+      beforeEach(() => {
+        game = new Game('TEST');
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('p3', 'Charlie');
+        game.setupGame([evictionCard, lux(1)]);
+        game.players[1].wonCards = [lux(3), lux(8)];
+        game.startNextAuction();
+
+        // Nobody bids on a disgrace: the first to pass takes it
+        game.pass('p1');
+      });
+
+      test('should wait for the taker to decide in its own phase', () => {
+        expect(game.phase).toBe('eviction');
+        expect(game.getTurnPlayerId()).toBe('p1');
+        expect(game.getPublicState().pendingEffect).toEqual({ effect: 'eviction', playerId: 'p1' });
+
+        expect(() => game.resolveCardEffect('p2', { targetId: 'p3' })).toThrow('Only the player who took the card can decide');
+        expect(() => game.resolveCardEffect('p1', { targetId: 'p1' })).toThrow('Pick an opponent');
+
+        game.resolveCardEffect('p1', { targetId: 'p2' });
+
+        expect(game.players[1].wonCards).toEqual([lux(3)]);
+        expect(game.phase).toBe(GAME_PHASES.AUCTION);
+        expect(game.currentCard.id).toBe('lux-1');
+        expect(game.getPublicState().pendingEffect).toBeNull();
+      });
+
+      test('should log the decision and replay it', () => {
+        // Only logged changes can be replayed, so start over without the hand-given luxuries
+        game = new Game('TEST');
+        ['Alice', 'Bob', 'Charlie'].forEach((name, i) => game.addPlayer(`p${i + 1}`, name));
+        game.setupGame([evictionCard, lux(1)]);
+        game.startNextAuction();
+        game.pass('p1');
+        game.resolveCardEffect('p1', { targetId: 'p3' });
+
+        expect(game.eventLog.map(event => event.type)).toContain('tenant_evicted');
+        expect(Game.fromEvents('TEST', game.eventLog).getPublicState()).toEqual(game.getPublicState());
+      });
+
+      test('should make its automatic choice when the turn times out', () => {
+        expect(playTimedOutTurn(game, 'p1')).toEqual({ action: 'evict', targetId: 'p2' });
+        expect(game.players[1].wonCards).toEqual([lux(3)]);
+      });
+    });
+  });
+});
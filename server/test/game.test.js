@@ -1,5 +1,5 @@
-import { Game, GAME_PHASES, AUCTION_TYPES } from '../src/models/game.js';
-import { CARD_TYPES, isGameEndingCard } from '../src/models/cards.js';
+import { Game, GAME_PHASES, AUCTION_TYPES, GAME_EVENT_TYPES, GAME_ACTION_TYPES, ROUND_RESET_VOTE_STATUS, TURN_TIMEOUT_ACTIONS, POOREST_TIE_RULES, GAME_END_CONDITIONS, MONEY_VISIBILITY } from '../src/models/game.js';
+import { CARD_TYPES, isGameEndingCard, LUXURY_CARDS, PRESTIGE_CARDS, DISGRACE_CARDS } from '../src/models/cards.js';
 
 describe('Game Class', () => {
   let game;
@@ -443,6 +443,197 @@ describe('Game Class', () => {
       expect(game.itemDeck).toHaveLength(14); // 15 - 1 revealed
     });
 
+    describe('Classic end condition', () => {
+      const deck = [LUXURY_CARDS[0], PRESTIGE_CARDS[0], DISGRACE_CARDS[0], PRESTIGE_CARDS[1], LUXURY_CARDS[1], DISGRACE_CARDS[1], LUXURY_CARDS[2]];
+
+      beforeEach(() => {
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('p3', 'Charlie');
+      });
+
+      // Draw cards until the game ends (or the deck runs out)
+      const drawAll = () => {
+        const drawn = [];
+        while (game.phase !== GAME_PHASES.GAME_OVER) {
+          const deckSize = game.itemDeck.length;
+          game.startNextAuction();
+          // The card that ends a classic game is never put up for auction
+          if (game.itemDeck.length < deckSize && game.currentCard) drawn.push(game.currentCard.id);
+        }
+        return drawn;
+      };
+
+      test('should end on the last red-bordered card and discard it unplayed', () => {
+        game.setEndCondition(GAME_END_CONDITIONS.CLASSIC);
+        game.setupGame([...deck]);
+
+        expect(drawAll()).toEqual(['lux-1', 'pres-1', 'disg-1', 'pres-2', 'lux-2']);
+        expect(game.phase).toBe(GAME_PHASES.GAME_OVER);
+        expect(game.currentCard).toBeNull();
+        expect(game.gameEndingCardsDrawn).toBe(4);
+        expect(game.itemDeck.map(card => card.id)).toEqual(['lux-3']);
+      });
+
+      test('should play the full deck by default', () => {
+        game.setupGame([...deck]);
+
+        expect(drawAll()).toHaveLength(deck.length);
+        expect(game.getPublicState()).toMatchObject({
+          endCondition: GAME_END_CONDITIONS.FULL_DECK,
+          gameEndingCardsDrawn: 4,
+          gameEndingCardCount: 4
+        });
+      });
+
+      test('should reject unknown end conditions', () => {
+        expect(() => game.setEndCondition('sudden_death')).toThrow('Unknown end condition: sudden_death');
+      });
+
+      test('should replay a classic game from its event log', () => {
+        game.startGame({ seed: 11, endCondition: GAME_END_CONDITIONS.CLASSIC });
+
+        // Nobody bids: standard cards go unsold and the first to pass takes each disgrace
+        while (game.phase !== GAME_PHASES.GAME_OVER) {
+          game.pass(game.getTurnPlayerId());
+        }
+
+        expect(game.itemDeck.length + game.gameEndingCardsDrawn).toBeGreaterThan(4);
+        expect(Game.fromEvents('TEST', game.eventLog).getPublicState()).toEqual(game.getPublicState());
+      });
+    });
+
+    describe('Card sets', () => {
+      beforeEach(() => {
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('p3', 'Charlie');
+      });
+
+      test('should use the standard deck by default', () => {
+        game.startGame({ seed: 3 });
+
+        expect(game.getPublicState().cardSet).toEqual({ id: 'low-society', name: 'Low Society', cardCount: 15 });
+        expect(game.itemDeck.length + 1).toBe(15);
+      });
+
+      test('should build the deck from the chosen card set', () => {
+        game.startGame({ seed: 3, cardSetId: 'county-fair' });
+
+        expect(game.currentCard.id).toMatch(/^fair-/);
+        expect(game.itemDeck.length + 1).toBe(17);
+        expect(game.getPublicState()).toMatchObject({
+          cardSet: { id: 'county-fair', cardCount: 17 },
+          gameEndingCardCount: 5
+        });
+      });
+
+      test('should reject unknown card sets and changes after the start', () => {
+        expect(() => game.setCardSet('nope')).toThrow('Unknown card set: nope');
+        expect(game.cardSetId).toBe('low-society');
+
+        game.startGame();
+        expect(() => game.setCardSet('county-fair')).toThrow('Cannot change the card set after the game has started');
+      });
+
+      test('should replay a custom-deck game from its event log', () => {
+        game.startGame({ seed: 5, cardSetId: 'county-fair', endCondition: GAME_END_CONDITIONS.CLASSIC });
+
+        while (game.phase !== GAME_PHASES.GAME_OVER) {
+          game.pass(game.getTurnPlayerId());
+        }
+
+        const rebuilt = Game.fromEvents('TEST', game.eventLog);
+        expect(rebuilt.cardSetId).toBe('county-fair');
+        expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+      });
+    });
+
+    describe('Rules', () => {
+      beforeEach(() => {
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('p3', 'Charlie');
+      });
+
+      test('should show the standard rules before the game starts', () => {
+        expect(game.getPublicState().rules).toMatchObject({
+          players: { min: 3, max: 5 },
+          money: { billRemoval: 'middle' }
+        });
+      });
+
+      test('should deal the room\'s money and apply its player limits', () => {
+        game.setRules({ players: { min: 2, max: 3 }, money: { denominations: [1, 5, 10, 20], billRemoval: 'none' } });
+
+        expect(game.players[0].moneyHand.map(m => m.value)).toEqual([1, 5, 10, 20]);
+        expect(() => game.addPlayer('p4', 'Dave')).toThrow('Room is full (max 3 players)');
+
+        game.startGame({ seed: 2 });
+        expect(game.players.every(p => p.removedBill === null && p.moneyHand.length === 4)).toBe(true);
+        expect(game.eventLog.some(event => event.type === 'bill_removed')).toBe(false);
+      });
+
+      test('should play a smaller deck and say so', () => {
+        game.startGame({ seed: 4, rules: { deck: { luxury: 5, prestige: 1 } } });
+
+        // 5 luxuries, 1 prestige, both disgraces and the Pawn Shop Trade
+        expect(game.itemDeck.length + 1).toBe(9);
+        expect(game.getPublicState()).toMatchObject({
+          cardSet: { id: 'low-society', cardCount: 9 },
+          gameEndingCardCount: 3,
+          rules: { deck: { luxury: 5, prestige: 1, disgrace: null } }
+        });
+      });
+
+      test('should check turn timers against the rules\' limits', () => {
+        game.setRules({ turnTimer: { minSeconds: 30, maxSeconds: 60 } });
+        expect(() => game.setTurnTimer({ seconds: 20 })).toThrow('Turn timer must be 30-60 seconds');
+
+        // Overrides always start from the server defaults (10-300 seconds)
+        game.setTurnTimer({ seconds: 45 });
+        expect(() => game.setRules({})).not.toThrow();
+        expect(() => game.setRules({ turnTimer: { maxSeconds: 40 } })).toThrow('Turn timer must be 10-40 seconds');
+      });
+
+      test('should reject rules that don\'t fit the room, and changes after the start', () => {
+        expect(() => game.setRules({ players: { min: 2, max: 2 } })).toThrow('The room already has more than 2 players');
+        expect(() => game.setRules({ money: { billRemoval: 'all' } })).toThrow('Invalid rules');
+        expect(game.rules.players.max).toBe(5);
+
+        game.startGame();
+        expect(() => game.setRules({})).toThrow('Cannot change the rules after the game has started');
+      });
+
+      test('should leave the room as it was when a start is rejected', () => {
+        const { rules } = game;
+        const hands = game.players.map(p => p.moneyHand);
+
+        // Too few seats for the requested rules, then a bad setting after a good one
+        expect(() => game.startGame({ rules: { players: { min: 4 }, money: { denominations: [1, 2, 3] } } }))
+          .toThrow('Need at least 4 players to start');
+        expect(() => game.startGame({ rules: { money: { denominations: [1, 2, 3] } }, cardSetId: 'no-such-set' }))
+          .toThrow();
+
+        expect(game.rules).toBe(rules);
+        expect(game.players.map(p => p.moneyHand)).toEqual(hands);
+        expect(game.phase).toBe(GAME_PHASES.WAITING);
+        expect(game.seed).toBeNull();
+      });
+
+      test('should replay a game with custom rules from its event log', () => {
+        game.startGame({ seed: 6, rules: { money: { denominations: [2, 4, 6, 8, 10], billRemoval: 'any' }, deck: { luxury: 6 } } });
+
+        while (game.phase !== GAME_PHASES.GAME_OVER) {
+          game.pass(game.getTurnPlayerId());
+        }
+
+        const rebuilt = Game.fromEvents('TEST', game.eventLog);
+        expect(rebuilt.rules).toEqual(game.rules);
+        expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+      });
+    });
+
     test('should calculate final results correctly', () => {
       game.addPlayer('p1', 'Alice');
       game.addPlayer('p2', 'Bob');
@@ -476,6 +667,88 @@ describe('Game Class', () => {
     });
   });
 
+  describe('Tie-breaking', () => {
+    const lux = (value) => ({ id: `lux-${value}`, type: CARD_TYPES.LUXURY, value });
+
+    // Give each player a single bill worth `money` and the given cards
+    const setUp = (...seats) => {
+      seats.forEach(([money, wonCards], index) => {
+        const player = game.addPlayer(`p${index + 1}`, `Player ${index + 1}`);
+        player.moneyHand = [{ id: `money-p${index + 1}`, value: money, available: true }];
+        player.wonCards = wonCards;
+      });
+    };
+
+    test('should eliminate every player tied for the least money', () => {
+      setUp([10, [lux(5)]], [10, [lux(8)]], [20, [lux(1)]], [30, [lux(2)]]);
+
+      const results = game.endGame();
+
+      expect(results.filter(r => r.eliminated).map(r => r.id)).toEqual(['p1', 'p2']);
+      expect(results[0]).toMatchObject({ id: 'p4', place: 1, sharedPlace: false });
+      expect(results.find(r => r.id === 'p2')).toMatchObject({ score: 0, place: null });
+    });
+
+    test('should only eliminate the lowest score with the lowest_score rule', () => {
+      game = new Game('TEST', { poorestTieRule: POOREST_TIE_RULES.LOWEST_SCORE });
+      setUp([10, [lux(5)]], [10, [lux(8)]], [20, [lux(1)]]);
+
+      expect(game.getEliminatedPlayerIds()).toEqual(['p1']);
+    });
+
+    test('should eliminate nobody when everyone has the same money', () => {
+      setUp([10, [lux(5)]], [10, [lux(8)]], [10, [lux(1)]]);
+
+      expect(game.getEliminatedPlayerIds()).toEqual([]);
+      expect(game.endGame().map(r => r.place)).toEqual([1, 2, 3]);
+
+      // Under either tie rule
+      game.poorestTieRule = POOREST_TIE_RULES.LOWEST_SCORE;
+      expect(game.getEliminatedPlayerIds()).toEqual([]);
+    });
+
+    test('should break score ties by money, then by highest luxury card', () => {
+      setUp(
+        [5, []],
+        [20, [lux(4), lux(6)]],
+        [30, [lux(10)]],
+        [20, [lux(9), lux(1)]]
+      );
+
+      expect(game.endGame().map(r => [r.id, r.place])).toEqual([
+        ['p3', 1], // 10 points, most money
+        ['p4', 2], // 10 points, $20, best luxury 9
+        ['p2', 3], // 10 points, $20, best luxury 6
+        ['p1', null]
+      ]);
+    });
+
+    test('should mark players tied on everything as sharing a place', () => {
+      setUp([5, []], [20, [lux(3), lux(4)]], [20, [lux(2), lux(1), lux(4)]], [15, [lux(1)]]);
+
+      const results = game.endGame();
+
+      expect(results.slice(0, 3).map(r => [r.id, r.place, r.sharedPlace])).toEqual([
+        ['p2', 1, true],
+        ['p3', 1, true],
+        ['p4', 3, false]
+      ]);
+    });
+
+    test('should validate and replay the tie rule', () => {
+      expect(() => game.setPoorestTieRule('coin_flip')).toThrow('Unknown poorest tie rule: coin_flip');
+
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame({ poorestTieRule: POOREST_TIE_RULES.LOWEST_SCORE });
+
+      expect(() => game.setPoorestTieRule(POOREST_TIE_RULES.ELIMINATE_ALL)).toThrow('after the game has started');
+      expect(game.getPublicState().poorestTieRule).toBe(POOREST_TIE_RULES.LOWEST_SCORE);
+      expect(Game.fromEvents('TEST', game.eventLog).poorestTieRule).toBe(POOREST_TIE_RULES.LOWEST_SCORE);
+    });
+  });
+
   describe('Player Money Total', () => {
     beforeEach(() => {
       game.addPlayer('p1', 'Alice');
@@ -563,6 +836,150 @@ describe('Game Class', () => {
       expect(game.chatHistory[0].message).toBe('Message 5');
       expect(game.chatHistory[19].message).toBe('Message 24');
     });
+
+    describe('Player chat', () => {
+      beforeEach(() => {
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('ai1', 'Robo', true);
+      });
+
+      test('should add trimmed messages to the history', () => {
+        const message = game.sendChatMessage('p1', '  good luck all  ', 1000);
+
+        expect(message).toEqual({
+          id: 'msg-1',
+          playerId: 'p1',
+          playerName: 'Alice',
+          message: 'good luck all',
+          isAI: false,
+          timestamp: 1000
+        });
+        expect(game.getPlayerChatHistory()).toEqual([message]);
+      });
+
+      test('should reject empty, overlong and AI messages', () => {
+        expect(() => game.sendChatMessage('p1', '   ')).toThrow('Message cannot be empty');
+        expect(() => game.sendChatMessage('p1', 'x'.repeat(201))).toThrow('Message is too long (max 200 characters)');
+        expect(() => game.sendChatMessage('ai1', 'beep')).toThrow('AI players cannot send chat messages');
+        expect(() => game.sendChatMessage('nobody', 'hi')).toThrow('Player not found');
+      });
+
+      test('should rate limit each player separately', () => {
+        for (let i = 0; i < 5; i++) game.sendChatMessage('p1', `spam ${i}`, 1000 + i);
+
+        expect(() => game.sendChatMessage('p1', 'one more', 2000)).toThrow('sending messages too quickly');
+        expect(() => game.sendChatMessage('p2', 'hello', 2000)).not.toThrow();
+        expect(() => game.sendChatMessage('p1', 'later', 11001)).not.toThrow();
+      });
+
+      test('should mask profanity unless the filter is off', () => {
+        expect(game.sendChatMessage('p1', 'oh shit').message).toBe('oh s***');
+
+        game.setChatFilter(false);
+        expect(game.sendChatMessage('p1', 'oh shit').message).toBe('oh shit');
+        expect(game.getPublicState().chatFilter).toBe(false);
+        expect(() => game.setChatFilter('off')).toThrow('Chat filter must be true or false');
+      });
+
+      test('should keep player messages when AI commentary fills the history', () => {
+        game.sendChatMessage('p1', 'remember me');
+        for (let i = 0; i < 25; i++) {
+          game.addChatMessage({ playerId: 'ai1', playerName: 'Robo', message: `Line ${i}`, isAI: true });
+        }
+        game.setChatMode('tutorial');
+
+        expect(game.getPlayerChatHistory().map(m => m.message)).toEqual(['remember me']);
+        expect(game.chatHistory).toHaveLength(1);
+      });
+
+      test('should hide muted players from the muting player only', () => {
+        game.sendChatMessage('p2', 'hi');
+
+        expect(game.setPlayerMuted('p1', 'p2')).toEqual(['p2']);
+        expect(game.getPlayerChatHistory('p1')).toEqual([]);
+        expect(game.getPlayerChatHistory('p2')).toHaveLength(1);
+        expect(game.getPrivateState('p1').mutedPlayerIds).toEqual(['p2']);
+
+        expect(game.setPlayerMuted('p1', 'p2', false)).toEqual([]);
+        expect(() => game.setPlayerMuted('p1', 'p1')).toThrow('You cannot mute yourself');
+      });
+
+      test('should record reports with recent messages and mute the reported player', () => {
+        game.sendChatMessage('p2', 'you are all idiots');
+
+        const report = game.reportPlayer('p1', 'p2', ' rude ');
+
+        expect(report).toMatchObject({
+          reporterId: 'p1',
+          reportedName: 'Bob',
+          reason: 'rude',
+          messages: [{ message: 'you are all idiots' }]
+        });
+        expect(game.chatReports).toEqual([report]);
+        expect(game.getMutedPlayerIds('p1')).toEqual(['p2']);
+        expect(() => game.reportPlayer('p1', 'ai1')).toThrow('AI players cannot be reported');
+        expect(() => game.reportPlayer('p1', 'p1')).toThrow('You cannot report yourself');
+      });
+
+      test('should move chat and mutes to a reconnected player\'s new ID', () => {
+        game.sendChatMessage('p2', 'brb');
+        game.setPlayerMuted('p1', 'p2');
+        game.setPlayerMuted('p2', 'ai1');
+
+        game.reassignPlayerId('p2', 'p2-new');
+
+        expect(game.getPlayerChatHistory()[0].playerId).toBe('p2-new');
+        expect(game.getMutedPlayerIds('p1')).toEqual(['p2-new']);
+        expect(game.getMutedPlayerIds('p2-new')).toEqual(['ai1']);
+      });
+
+      test('should keep chat settings across a snapshot', () => {
+        game.sendChatMessage('p1', 'saved?');
+        game.setChatFilter(false);
+        game.setPlayerMuted('p2', 'p1');
+
+        const restored = Game.fromSnapshot(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+        expect(restored.getPlayerChatHistory()).toEqual(game.getPlayerChatHistory());
+        expect(restored.chatFilter).toBe(false);
+        expect(restored.getMutedPlayerIds('p2')).toEqual(['p1']);
+        expect(restored.sendChatMessage('p1', 'yes').id).toBe('msg-2');
+      });
+    });
+
+    describe('Emotes', () => {
+      beforeEach(() => {
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('ai1', 'Robo', true);
+      });
+
+      test('should describe the emote without adding it to the history', () => {
+        expect(game.sendEmote('p1', 'bless_your_heart', 1000)).toEqual({
+          playerId: 'p1',
+          playerName: 'Alice',
+          emoteId: 'bless_your_heart',
+          icon: '🙏',
+          text: 'Bless your heart',
+          timestamp: 1000
+        });
+        expect(game.chatHistory).toEqual([]);
+      });
+
+      test('should reject unknown emotes and AI senders', () => {
+        expect(() => game.sendEmote('p1', 'toString')).toThrow('Unknown emote');
+        expect(() => game.sendEmote('ai1', 'dang')).toThrow('AI players cannot send emotes');
+        expect(() => game.sendEmote('nobody', 'dang')).toThrow('Player not found');
+      });
+
+      test('should rate limit emotes apart from chat', () => {
+        for (let i = 0; i < 3; i++) game.sendEmote('p1', 'beer', 1000 + i);
+
+        expect(() => game.sendEmote('p1', 'beer', 2000)).toThrow('sending emotes too quickly');
+        expect(() => game.sendChatMessage('p1', 'still here', 2000)).not.toThrow();
+        expect(() => game.sendEmote('p1', 'beer', 6001)).not.toThrow();
+      });
+    });
   });
 
   describe('Story System Integration', () => {
@@ -575,4 +992,754 @@ describe('Game Class', () => {
       expect(game.storySystem.hasActiveStory()).toBe(false);
     });
   });
+
+  describe('Event Log', () => {
+    // Play a whole game with simple deterministic choices
+    const playFullGame = (g) => {
+      let steps = 0;
+      while (g.phase !== GAME_PHASES.GAME_OVER && steps++ < 500) {
+        if (g.phase === GAME_PHASES.AUCTION) {
+          const playerId = g.currentAuction.currentTurnPlayerId;
+          const player = g.players.find(p => p.id === playerId);
+          const bill = player.moneyHand.find(m => m.available && !player.currentBid.includes(m.id));
+          const total = bill ? g.calculatePlayerBidTotal(playerId, [bill.id]) : 0;
+          if (bill && total > g.currentAuction.highestBid && steps % 3 !== 0) {
+            g.placeBid(playerId, [bill.id]);
+          } else {
+            g.pass(playerId);
+          }
+        } else if (g.phase === GAME_PHASES.CARD_SWAP) {
+          const [a, b] = g.players.filter(p => p.wonCards.length > 0);
+          if (a && b) {
+            g.executeCardSwap(g.currentAuction.swapWinner, a.id, a.wonCards[0].id, b.id, b.wonCards[0].id);
+          } else {
+            g.executeCardSwap(g.currentAuction.swapWinner, null, null, null, null);
+          }
+        } else if (g.phase === GAME_PHASES.DISCARD_LUXURY) {
+          const player = g.players.find(p => p.id === g.discardingPlayerId);
+          g.discardLuxuryCard(player.id, player.wonCards.find(c => c.type === CARD_TYPES.LUXURY).id);
+        }
+      }
+    };
+
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+    });
+
+    test('should record joins, setup and the first draw', () => {
+      game.startGame();
+      const types = game.eventLog.map(e => e.type);
+
+      expect(types).toEqual([
+        GAME_EVENT_TYPES.PLAYER_JOINED,
+        GAME_EVENT_TYPES.PLAYER_JOINED,
+        GAME_EVENT_TYPES.PLAYER_JOINED,
+        GAME_EVENT_TYPES.GAME_STARTED,
+        GAME_EVENT_TYPES.BILL_REMOVED,
+        GAME_EVENT_TYPES.BILL_REMOVED,
+        GAME_EVENT_TYPES.BILL_REMOVED,
+        GAME_EVENT_TYPES.CARD_DRAWN
+      ]);
+      expect(game.eventLog.map(e => e.seq)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    test('should record bids and passes with their payload', () => {
+      game.startGame();
+      const p1 = game.players[0];
+      game.placeBid('p1', [p1.moneyHand[0].id]);
+      game.pass('p2');
+
+      const bid = game.eventLog.find(e => e.type === GAME_EVENT_TYPES.BID_PLACED);
+      expect(bid.data).toEqual({ playerId: 'p1', moneyCardIds: [p1.moneyHand[0].id], bidTotal: p1.moneyHand[0].value });
+
+      const pass = game.eventLog.find(e => e.type === GAME_EVENT_TYPES.PLAYER_PASSED);
+      expect(pass.data).toEqual({ playerId: 'p2' });
+    });
+
+    test('should not record rejected actions', () => {
+      game.startGame();
+      const before = game.eventLog.length;
+
+      expect(() => game.pass('p2')).toThrow('Not your turn');
+      expect(game.eventLog).toHaveLength(before);
+    });
+
+    test('should call onEvent for each recorded event', () => {
+      const received = [];
+      game.onEvent = (event) => received.push(event.type);
+      game.startGame();
+
+      expect(received[0]).toBe(GAME_EVENT_TYPES.GAME_STARTED);
+      expect(received[received.length - 1]).toBe(GAME_EVENT_TYPES.CARD_DRAWN);
+    });
+
+    test('should end with a game_ended event', () => {
+      game.startGame();
+      playFullGame(game);
+
+      expect(game.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(game.eventLog[game.eventLog.length - 1].type).toBe(GAME_EVENT_TYPES.GAME_ENDED);
+    });
+
+    test('fromEvents should rebuild a finished game exactly', () => {
+      game.startGame();
+      playFullGame(game);
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+
+      expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+      game.players.forEach(p => {
+        expect(rebuilt.getPrivateState(p.id)).toEqual(game.getPrivateState(p.id));
+      });
+      expect(rebuilt.eventLog).toEqual(game.eventLog);
+    });
+
+    test('fromEvents should rebuild a game mid-auction', () => {
+      game.startGame();
+      game.placeBid('p1', [game.players[0].moneyHand[2].id]);
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+
+      expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+      expect(rebuilt.itemDeck).toEqual(game.itemDeck);
+    });
+
+    test('fromEvents should follow reconnected players', () => {
+      game.startGame();
+      game.reassignPlayerId('p1', 'p1-new');
+      game.placeBid('p1-new', [game.players[0].moneyHand[0].id]);
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+
+      expect(rebuilt.players[0].id).toBe('p1-new');
+      expect(rebuilt.host).toBe('p1-new');
+      expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+    });
+
+    test('fromEvents should reject a tampered log', () => {
+      game.startGame();
+      const events = JSON.parse(JSON.stringify(game.eventLog));
+      events[events.length - 1].data.card = { id: 'not-a-card' };
+
+      expect(() => Game.fromEvents('TEST', events)).toThrow('diverged');
+    });
+
+    test('fromEvents should reject an out-of-order log', () => {
+      const events = JSON.parse(JSON.stringify(game.eventLog));
+      events.reverse();
+
+      expect(() => Game.fromEvents('TEST', events)).toThrow('out of order');
+    });
+  });
+
+  describe('Action History', () => {
+    // Seed 2 opens with a luxury card, seed 5 with a disgrace card; Alice starts both
+    const startSeeded = (seed) => {
+      game = new Game('TEST', { seed });
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+    };
+    const billIds = (playerId, values) => {
+      const player = game.players.find(p => p.id === playerId);
+      return values.map(value => player.moneyHand.find(m => m.value === value && m.available).id);
+    };
+    const actionsOf = (type) => game.actionHistory.filter(action => action.type === type);
+
+    test('should start with the players and the first card up for auction', () => {
+      startSeeded(2);
+
+      expect(game.actionHistory.map(a => a.type)).toEqual([GAME_ACTION_TYPES.GAME_STARTED, GAME_ACTION_TYPES.AUCTION_STARTED]);
+      expect(game.actionHistory[0].data.players.map(p => p.playerName)).toEqual(['Alice', 'Bob', 'Charlie']);
+      expect(game.actionHistory[1].data).toMatchObject({
+        card: game.currentCard,
+        auctionType: AUCTION_TYPES.STANDARD,
+        startingPlayerId: 'p1',
+        startingPlayerName: 'Alice'
+      });
+    });
+
+    test('should record bids with the exact bills, and passes', () => {
+      startSeeded(2);
+      game.placeBid('p1', billIds('p1', [1, 2]));
+      game.pass('p2');
+
+      expect(actionsOf(GAME_ACTION_TYPES.BID)[0].data).toEqual({ playerId: 'p1', playerName: 'Alice', bills: [1, 2], bidTotal: 3 });
+      expect(actionsOf(GAME_ACTION_TYPES.PASS)[0].data).toEqual({ playerId: 'p2', playerName: 'Bob' });
+      expect(game.actionHistory.map(a => a.seq)).toEqual(game.actionHistory.map((a, index) => index));
+    });
+
+    test('should record who won a standard auction and what they paid', () => {
+      startSeeded(2);
+      const card = game.currentCard;
+      game.placeBid('p1', billIds('p1', [1, 2]));
+      game.pass('p2');
+      game.pass('p3');
+
+      const [ended] = actionsOf(GAME_ACTION_TYPES.AUCTION_ENDED);
+      expect(ended.data).toEqual({
+        card,
+        auctionType: AUCTION_TYPES.STANDARD,
+        playerId: 'p1',
+        playerName: 'Alice',
+        payments: [{ playerId: 'p1', playerName: 'Alice', bills: [1, 2], amount: 3 }]
+      });
+      expect(game.actionHistory[game.actionHistory.length - 1].type).toBe(GAME_ACTION_TYPES.AUCTION_STARTED);
+    });
+
+    test('should record who took a disgrace card and what everyone else paid', () => {
+      startSeeded(5);
+      game.placeBid('p1', billIds('p1', [1]));
+      game.placeBid('p2', billIds('p2', [3]));
+      game.pass('p3');
+
+      const [ended] = actionsOf(GAME_ACTION_TYPES.AUCTION_ENDED);
+      expect(ended.data).toMatchObject({ auctionType: AUCTION_TYPES.REVERSE, playerId: 'p3', playerName: 'Charlie' });
+      expect(ended.data.payments).toEqual([
+        { playerId: 'p1', playerName: 'Alice', bills: [1], amount: 1 },
+        { playerId: 'p2', playerName: 'Bob', bills: [3], amount: 3 }
+      ]);
+    });
+
+    test('should record card effect decisions with the cards involved', () => {
+      startSeeded(2);
+      const luxury = { id: 'lux-1', name: 'Velvet Elvis', type: CARD_TYPES.LUXURY, value: 3 };
+      game.players[1].wonCards.push(luxury);
+      game.phase = GAME_PHASES.DISCARD_LUXURY;
+      game.discardingPlayerId = 'p2';
+
+      game.discardLuxuryCard('p2', 'lux-1');
+
+      expect(actionsOf(GAME_ACTION_TYPES.LUXURY_DISCARDED)[0].data).toEqual({ playerId: 'p2', playerName: 'Bob', card: luxury });
+    });
+
+    test('should end with the results and call onAction for each action', () => {
+      startSeeded(2);
+      const received = [];
+      game.onAction = (action) => received.push(action);
+      game.endGame();
+
+      const last = game.actionHistory[game.actionHistory.length - 1];
+      expect(last.type).toBe(GAME_ACTION_TYPES.GAME_ENDED);
+      expect(last.data.results.map(r => r.playerName).sort()).toEqual(['Alice', 'Bob', 'Charlie']);
+      expect(received).toEqual([last]);
+    });
+
+    test('should follow reconnected players and survive a replay of the event log', () => {
+      startSeeded(2);
+      game.placeBid('p1', billIds('p1', [1, 2]));
+      game.reassignPlayerId('p1', 'p1-new');
+
+      expect(actionsOf(GAME_ACTION_TYPES.BID)[0].data.playerId).toBe('p1-new');
+      expect(game.actionHistory[1].data.startingPlayerId).toBe('p1-new');
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+      const stripTimes = (actions) => actions.map(({ timestamp, ...action }) => action);
+      expect(stripTimes(rebuilt.actionHistory)).toEqual(stripTimes(game.actionHistory));
+    });
+
+    test('should end with each player\'s stats and the awards', () => {
+      startSeeded(2);
+      const card = game.currentCard;
+      game.placeBid('p1', billIds('p1', [1, 2]));
+      game.pass('p2');
+      game.pass('p3');
+
+      const results = game.endGame();
+      const alice = results.find(r => r.id === 'p1');
+
+      expect(alice.stats).toMatchObject({
+        totalSpent: 3,
+        removedBill: game.players[0].removedBill.value,
+        cards: [{ card, auctionType: AUCTION_TYPES.STANDARD, price: 3 }],
+        paidToAvoid: 0
+      });
+      expect(alice.stats.score).toMatchObject({ luxuryTotal: card.value, prestigeMultiplier: 1, penalties: [] });
+      expect(game.getPublicState().awards.map(a => [a.id, a.playerId])).toEqual([
+        ['biggest_overpay', 'p1'],
+        ['cheapskate', 'p2'],
+        ['big_spender', 'p1']
+      ]);
+    });
+  });
+
+  describe('reassignPlayerId', () => {
+    test('should update every reference to the old ID', () => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+      game.placeBid('p1', [game.players[0].moneyHand[0].id]);
+
+      game.reassignPlayerId('p1', 'p1-new');
+
+      expect(game.host).toBe('p1-new');
+      expect(game.currentAuction.highestBidder).toBe('p1-new');
+      expect(game.currentAuction.activePlayers).toContain('p1-new');
+      expect(game.currentAuction.activePlayers).not.toContain('p1');
+    });
+  });
+
+  describe('Round Reset Vote', () => {
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+      game.placeBid('p1', [game.players[0].moneyHand[0].id]);
+    });
+
+    test('should only let the host propose a reset during an auction', () => {
+      expect(() => game.proposeRoundReset('p2')).toThrow('Only the host can propose a round reset');
+
+      game.proposeRoundReset('p1');
+      expect(() => game.proposeRoundReset('p1')).toThrow('already in progress');
+    });
+
+    test('should keep bids while the vote is pending', () => {
+      const status = game.proposeRoundReset('p1');
+
+      expect(status).toBe(ROUND_RESET_VOTE_STATUS.PENDING);
+      expect(game.currentAuction.highestBidder).toBe('p1');
+      expect(game.getPublicState().currentAuction.resetVote).toEqual({ proposedBy: 'p1', votes: { p1: true } });
+      expect(game.getPublicState().roundResetVotesNeeded).toBe(2);
+    });
+
+    test('should restart the auction once a majority agrees', () => {
+      game.proposeRoundReset('p1');
+      const status = game.voteRoundReset('p3', true);
+
+      expect(status).toBe(ROUND_RESET_VOTE_STATUS.PASSED);
+      expect(game.currentAuction.highestBid).toBe(0);
+      expect(game.currentAuction.resetVote).toBeNull();
+      expect(game.players[0].currentBid).toEqual([]);
+    });
+
+    test('should drop the vote once a majority is out of reach', () => {
+      game.proposeRoundReset('p1');
+      expect(game.voteRoundReset('p2', false)).toBe(ROUND_RESET_VOTE_STATUS.PENDING);
+      expect(game.voteRoundReset('p3', false)).toBe(ROUND_RESET_VOTE_STATUS.REJECTED);
+
+      expect(game.currentAuction.resetVote).toBeNull();
+      expect(game.currentAuction.highestBidder).toBe('p1');
+    });
+
+    test('should reject double votes and AI voters', () => {
+      const g = new Game('AI');
+      g.addPlayer('p1', 'Alice');
+      g.addPlayer('p2', 'Bob');
+      g.addPlayer('ai_1', 'Cletus', true);
+      g.startGame();
+      g.proposeRoundReset('p1');
+
+      expect(() => g.voteRoundReset('p1', true)).toThrow('You have already voted');
+      expect(() => g.voteRoundReset('ai_1', true)).toThrow('AI players do not vote');
+    });
+
+    test('should pass immediately when the host is the only human', () => {
+      const g = new Game('SOLO');
+      g.addPlayer('p1', 'Alice');
+      g.addPlayer('ai_1', 'Cletus', true);
+      g.addPlayer('ai_2', 'Bubba', true);
+      g.startGame();
+
+      expect(g.proposeRoundReset('p1')).toBe(ROUND_RESET_VOTE_STATUS.PASSED);
+    });
+
+    test('should drop a pending vote when the auction ends', () => {
+      game.proposeRoundReset('p1');
+      const { type } = game.currentAuction;
+      game.pass('p2');
+      if (type === AUCTION_TYPES.STANDARD) game.pass('p3');
+
+      expect(game.currentAuction?.resetVote ?? null).toBeNull();
+      expect(() => game.voteRoundReset('p3', true)).toThrow('No round reset vote in progress');
+    });
+
+    test('should follow voters who reconnect', () => {
+      game.proposeRoundReset('p1');
+      game.reassignPlayerId('p1', 'p1-new');
+
+      expect(game.currentAuction.resetVote).toEqual({ proposedBy: 'p1-new', votes: { 'p1-new': true } });
+    });
+
+    test('fromEvents should replay a passed vote', () => {
+      game.proposeRoundReset('p1');
+      game.voteRoundReset('p2', true);
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+
+      expect(rebuilt.getPublicState()).toEqual(game.getPublicState());
+      expect(rebuilt.eventLog.map(e => e.type).slice(-3)).toEqual([
+        GAME_EVENT_TYPES.ROUND_RESET_PROPOSED,
+        GAME_EVENT_TYPES.ROUND_RESET_VOTED,
+        GAME_EVENT_TYPES.AUCTION_RESTARTED
+      ]);
+    });
+  });
+
+  describe('AI Difficulty', () => {
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('ai_1', 'Cletus', true);
+    });
+
+    test('should default AI seats to normal and show their personality', () => {
+      const [human, ai] = game.getPublicState().players;
+
+      expect(human).toMatchObject({ aiDifficulty: null, aiPersonality: null });
+      expect(ai).toMatchObject({ aiDifficulty: 'normal', aiPersonality: 'hoarder' });
+    });
+
+    test('should set the difficulty of AI seats only', () => {
+      game.setAIDifficulty('ai_1', 'hard');
+
+      expect(game.players[1].aiDifficulty).toBe('hard');
+      expect(() => game.setAIDifficulty('p1', 'hard')).toThrow('Only AI players have a difficulty');
+      expect(() => game.setAIDifficulty('ai_1', 'nightmare')).toThrow('Unknown AI difficulty');
+      expect(() => game.setAIDifficulty('ghost', 'easy')).toThrow('Player not found');
+    });
+
+    test('should lock the difficulty once the game starts', () => {
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+
+      expect(() => game.setAIDifficulty('ai_1', 'easy')).toThrow('after the game has started');
+    });
+
+    test('fromEvents should replay difficulty changes', () => {
+      game.setAIDifficulty('ai_1', 'easy');
+
+      expect(Game.fromEvents('TEST', game.eventLog).players[1].aiDifficulty).toBe('easy');
+    });
+  });
+
+  describe('AI Stand-ins', () => {
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame({ turnTimer: { seconds: 30 } });
+    });
+
+    test('should only hand disconnected human seats to an AI', () => {
+      expect(() => game.handSeatToAI('p2')).toThrow('Player is still connected');
+
+      game.markDisconnected('p2');
+      game.handSeatToAI('p2');
+
+      expect(game.getPublicState().players[1]).toMatchObject({ connected: false, aiStandIn: true, isAI: false });
+    });
+
+    test('should stop the turn clock while a stand-in plays', () => {
+      const playerId = game.currentAuction.currentTurnPlayerId;
+      game.markDisconnected(playerId);
+      game.handSeatToAI(playerId);
+
+      expect(game.currentAuction.turnDeadline).toBeNull();
+    });
+
+    test('should give the seat back on reconnect', () => {
+      const playerId = game.currentAuction.currentTurnPlayerId;
+      game.markDisconnected(playerId);
+      game.handSeatToAI(playerId);
+
+      game.reassignPlayerId(playerId, 'back-again');
+
+      const seat = game.getPublicState().players.find(p => p.id === 'back-again');
+      expect(seat).toMatchObject({ connected: true, aiStandIn: false });
+      expect(game.currentAuction.turnDeadline).not.toBeNull();
+    });
+
+    test('fromEvents should replay the handoff', () => {
+      game.markDisconnected('p3');
+      game.handSeatToAI('p3');
+
+      const rebuilt = Game.fromEvents('TEST', game.eventLog);
+
+      expect(rebuilt.players[2]).toMatchObject({ connected: false, aiStandIn: true });
+    });
+  });
+
+  describe('Turn Timer', () => {
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('ai_1', 'Cletus', true);
+    });
+
+    test('should have no deadline without a timer', () => {
+      game.startGame();
+
+      expect(game.turnTimer).toBeNull();
+      expect(game.currentAuction.turnDeadline).toBeNull();
+    });
+
+    test('should set a deadline for each human turn', () => {
+      const before = Date.now();
+      game.startGame({ turnTimer: { seconds: 30 } });
+
+      expect(game.getPublicState().turnTimer).toEqual({ seconds: 30, onTimeout: TURN_TIMEOUT_ACTIONS.AUTO_PASS });
+      expect(game.currentAuction.turnDeadline).toBeGreaterThanOrEqual(before + 30000);
+    });
+
+    test('should not time AI turns', () => {
+      game.startGame({ turnTimer: { seconds: 30 } });
+      game.currentAuction.currentTurnPlayerId = 'ai_1';
+      game.resetTurnDeadline();
+
+      expect(game.currentAuction.turnDeadline).toBeNull();
+    });
+
+    test('should track who is on the clock in every phase', () => {
+      game.startGame();
+      expect(game.getTurnPlayerId()).toBe(game.currentAuction.currentTurnPlayerId);
+
+      game.phase = GAME_PHASES.CARD_SWAP;
+      game.currentAuction.swapWinner = 'p2';
+      expect(game.getTurnPlayerId()).toBe('p2');
+
+      game.phase = GAME_PHASES.DISCARD_LUXURY;
+      game.discardingPlayerId = 'p1';
+      expect(game.getTurnPlayerId()).toBe('p1');
+    });
+
+    test('should reject invalid timer settings', () => {
+      expect(() => game.setTurnTimer({ seconds: 1 })).toThrow('Turn timer must be 10-300 seconds');
+      expect(() => game.setTurnTimer({ seconds: 30, onTimeout: 'explode' })).toThrow('Unknown turn timeout action');
+    });
+
+    test('should not allow changing the timer after the game started', () => {
+      game.startGame();
+
+      expect(() => game.setTurnTimer({ seconds: 30 })).toThrow('after the game has started');
+    });
+
+    test('should keep the timer when rebuilt from events', () => {
+      game.startGame({ turnTimer: { seconds: 45, onTimeout: TURN_TIMEOUT_ACTIONS.AI } });
+
+      expect(Game.fromEvents('TEST', game.eventLog).turnTimer).toEqual(game.turnTimer);
+    });
+  });
+
+  describe('Seeded Games', () => {
+    const startSeeded = (options) => {
+      const g = new Game('SEED', options);
+      g.addPlayer('p1', 'Alice');
+      g.addPlayer('p2', 'Bob');
+      g.addPlayer('p3', 'Charlie');
+      return g;
+    };
+
+    test('should deal identical games from the same seed', () => {
+      const g1 = startSeeded({ seed: 'pawn-shop-bug' });
+      const g2 = startSeeded({ seed: 'pawn-shop-bug' });
+      g1.startGame();
+      g2.startGame();
+
+      expect(g1.itemDeck).toEqual(g2.itemDeck);
+      expect(g1.currentCard).toEqual(g2.currentCard);
+      g1.players.forEach((p, i) => {
+        expect(p.removedBill).toEqual(g2.players[i].removedBill);
+      });
+    });
+
+    test('should let startGame override the room seed', () => {
+      const g1 = startSeeded({ seed: 1 });
+      const g2 = startSeeded();
+      g1.startGame({ seed: 2 });
+      g2.startGame({ seed: 2 });
+
+      expect(g1.seed).toBe(2);
+      expect(g1.itemDeck).toEqual(g2.itemDeck);
+    });
+
+    test('should generate a seed when none is given', () => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+
+      expect(game.seed).not.toBeNull();
+    });
+
+    test('should only reveal the seed once the game is over', () => {
+      const g = startSeeded({ seed: 1234 });
+      g.startGame();
+      expect(g.getPublicState().seed).toBeNull();
+
+      g.endGame();
+      expect(g.getPublicState().seed).toBe(1234);
+    });
+
+    test('should not allow changing the seed after the game started', () => {
+      const g = startSeeded({ seed: 1 });
+      g.startGame();
+
+      expect(() => g.setSeed(2)).toThrow('after the game has started');
+    });
+
+    test('should reject invalid seeds', () => {
+      expect(() => new Game('SEED', { seed: -5 })).toThrow('Seed must be');
+    });
+
+    test('should continue the same random sequence after a snapshot restore', () => {
+      const g = startSeeded({ seed: 77 });
+      g.startGame();
+
+      const restored = Game.fromSnapshot(JSON.parse(JSON.stringify(g.toSnapshot())));
+
+      expect(restored.seed).toBe(77);
+      expect(restored.random()).toBe(g.random());
+    });
+
+    test('should keep the seed when rebuilt from events', () => {
+      const g = startSeeded({ seed: 'replay' });
+      g.startGame();
+
+      expect(Game.fromEvents('SEED', g.eventLog).seed).toBe('replay');
+    });
+  });
+
+  describe('Spectators', () => {
+    beforeEach(() => {
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+    });
+
+    test('should count spectators in the public state without saving them', () => {
+      game.addSpectator('watcher_1');
+      game.addSpectator('watcher_2');
+      game.removeSpectator('watcher_1');
+
+      expect(game.getPublicState().spectatorCount).toBe(1);
+      expect(Game.fromSnapshot(game.toSnapshot()).spectatorIds.size).toBe(0);
+    });
+
+    test('should not let a player spectate their own game', () => {
+      expect(() => game.addSpectator('p1')).toThrow('Players cannot spectate their own game');
+    });
+
+    test('should validate the spectator delay and lock it once the game starts', () => {
+      expect(() => game.setSpectatorDelay(-1)).toThrow('Spectator delay must be 0-300 seconds');
+      expect(() => game.setSpectatorDelay(1.5)).toThrow('Spectator delay must be');
+
+      game.startGame({ spectatorDelay: 60 });
+
+      expect(game.getPublicState().spectatorDelay).toBe(60);
+      expect(Game.fromSnapshot(game.toSnapshot()).spectatorDelay).toBe(60);
+      expect(() => game.setSpectatorDelay(0)).toThrow('after the game has started');
+    });
+  });
+
+  describe('Money Visibility', () => {
+    beforeEach(() => {
+      game = new Game('TEST', { seed: 11, moneyVisibility: MONEY_VISIBILITY.HIDDEN });
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+    });
+
+    test('should hide remaining money but show spent and bid bills', () => {
+      const bidderId = game.getTurnPlayerId();
+      const bidder = game.players.find(p => p.id === bidderId);
+      const bill = bidder.moneyHand.find(m => m.available);
+      game.placeBid(bidderId, [bill.id]);
+
+      const state = game.getPublicState();
+      expect(state.moneyVisibility).toBe('hidden');
+      state.players.forEach(p => expect(p.remainingMoney).toBeNull());
+      expect(state.players.find(p => p.id === bidderId)).toMatchObject({ spentMoney: [], bidMoney: [bill.value] });
+
+      // The private state still has the player's own hand
+      expect(game.getPrivateState(bidderId).moneyHand).toContainEqual(bill);
+    });
+
+    test('should move won bids to the spent bills', () => {
+      const bidderId = game.getTurnPlayerId();
+      const bill = game.players.find(p => p.id === bidderId).moneyHand.find(m => m.available);
+      game.placeBid(bidderId, [bill.id]);
+      // The others pass: the bidder wins a standard auction, or pays to dodge a reverse one
+      const card = game.currentCard;
+      while (game.phase === GAME_PHASES.AUCTION && game.currentCard === card) {
+        game.pass(game.getTurnPlayerId());
+      }
+
+      expect(game.getPublicState().players.find(p => p.id === bidderId).spentMoney).toEqual([bill.value]);
+    });
+
+    test('should keep the setting through snapshots and replays, and lock it once started', () => {
+      expect(Game.fromSnapshot(game.toSnapshot()).moneyVisibility).toBe('hidden');
+      expect(Game.fromEvents('TEST', game.eventLog).moneyVisibility).toBe('hidden');
+      expect(() => game.setMoneyVisibility(MONEY_VISIBILITY.OPEN)).toThrow('after the game has started');
+      expect(() => new Game('BAD', { moneyVisibility: 'secret' })).toThrow('Unknown money visibility: secret');
+    });
+  });
+
+  describe('Rematch', () => {
+    beforeEach(() => {
+      game = new Game('TEST', { seed: 4, endCondition: GAME_END_CONDITIONS.CLASSIC });
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('ai_1', 'Cletus', true);
+      game.setAIDifficulty('ai_1', 'hard');
+      game.startGame({ turnTimer: { seconds: 30 } });
+      game.endGame();
+    });
+
+    test('should wait for every connected human to be ready', () => {
+      expect(game.setRematchReady('p1')).toBe(false);
+      expect(() => game.createRematch()).toThrow('Not everyone is ready for a rematch');
+      expect(() => game.setRematchReady('ai_1')).toThrow('AI players are always ready');
+
+      // A player who dropped out doesn't hold up the table
+      game.markDisconnected('p2');
+      expect(game.isRematchReady()).toBe(true);
+
+      expect(game.setRematchReady('p1', false)).toBe(false);
+      expect(game.getPublicState().rematchReadyIds).toEqual([]);
+    });
+
+    test('should only ready up once the game is over', () => {
+      const fresh = new Game('NEW');
+      fresh.addPlayer('p1', 'Alice');
+
+      expect(() => fresh.setRematchReady('p1')).toThrow('The game is not over yet');
+    });
+
+    test('should keep the seats and settings, and start with the next player', () => {
+      game.setRematchReady('p1');
+      game.setRematchReady('p2');
+      const rematch = game.createRematch();
+
+      expect(rematch.phase).toBe(GAME_PHASES.WAITING);
+      expect(rematch.players.map(p => p.id)).toEqual(['p1', 'p2', 'ai_1']);
+      expect(rematch.players[2]).toMatchObject({ isAI: true, aiDifficulty: 'hard' });
+      expect(rematch).toMatchObject({ host: 'p1', endCondition: GAME_END_CONDITIONS.CLASSIC, turnTimer: game.turnTimer });
+
+      rematch.startGame();
+      expect(rematch.currentAuction.currentTurnPlayerId).toBe('p2');
+    });
+
+    test('should add each game to the session tally', () => {
+      const winnerId = game.results.find(result => result.place === 1).id;
+      game.setRematchReady('p1');
+      game.setRematchReady('p2');
+      const rematch = game.createRematch();
+      rematch.startGame();
+      rematch.endGame();
+
+      const { session } = rematch.getPublicState();
+      expect(session.gameNumber).toBe(2);
+      expect(session.tally).toHaveLength(3);
+      session.tally.forEach(entry => expect(entry.gamesPlayed).toBe(2));
+      expect(session.tally.find(entry => entry.playerId === winnerId).wins).toBeGreaterThanOrEqual(1);
+      expect(Game.fromEvents('TEST', rematch.eventLog).getPublicState().session).toEqual(session);
+    });
+  });
 });
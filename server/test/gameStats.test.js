@@ -0,0 +1,70 @@
+import { buildPlayerStats, pickAwards, GAME_AWARDS } from '../src/models/gameStats.js';
+import { LUXURY_CARDS, DISGRACE_CARDS } from '../src/models/cards.js';
+
+describe('Game Stats', () => {
+  const passe = DISGRACE_CARDS.find(c => c.effect === 'passe');
+  const trailer = LUXURY_CARDS[9]; // value 10
+  const lawnChair = LUXURY_CARDS[1]; // value 2
+
+  const bills = (...values) => values.map(([value, available]) => ({ id: `money-${value}`, value, available }));
+  const payment = (playerId, amount) => ({ playerId, playerName: playerId, bills: [amount], amount });
+  const ended = (card, auctionType, playerId, payments) => ({
+    type: 'auction_ended',
+    data: { card, auctionType, playerId, playerName: playerId, payments }
+  });
+
+  // Alice buys both luxuries and loses one to the Repo Man; Bob pays to dodge the passe
+  const buildGame = () => ({
+    players: [
+      { id: 'p1', name: 'Alice', moneyHand: bills([1, false], [2, true], [10, false]), wonCards: [trailer, lawnChair], removedBill: { value: 4 } },
+      { id: 'p2', name: 'Bob', moneyHand: bills([1, false], [2, true], [10, true]), wonCards: [], removedBill: null },
+      { id: 'p3', name: 'Charlie', moneyHand: bills([1, true], [2, true], [10, true]), wonCards: [passe], removedBill: { value: 3 } }
+    ],
+    actionHistory: [
+      ended(trailer, 'standard', 'p1', [payment('p1', 1)]),
+      ended(lawnChair, 'standard', 'p1', [payment('p1', 10)]),
+      ended(passe, 'reverse', 'p3', [payment('p2', 1)]),
+      { type: 'luxury_discarded', data: { playerId: 'p1', playerName: 'Alice', card: LUXURY_CARDS[4] } }
+    ]
+  });
+
+  test('should record what each player spent and on what', () => {
+    const stats = buildPlayerStats(buildGame());
+
+    expect(stats.p1).toMatchObject({
+      totalSpent: 11,
+      removedBill: 4,
+      cards: [
+        { card: trailer, auctionType: 'standard', price: 1 },
+        { card: lawnChair, auctionType: 'standard', price: 10 }
+      ],
+      paidToAvoid: 0
+    });
+    expect(stats.p1.score.total).toBe(12);
+    expect(stats.p2).toMatchObject({ totalSpent: 1, removedBill: null, cards: [], paidToAvoid: 1 });
+    expect(stats.p3.cards).toEqual([{ card: passe, auctionType: 'reverse', price: 0 }]);
+    expect(stats.p3.score.penalties).toHaveLength(1);
+  });
+
+  test('should hand out awards', () => {
+    const game = buildGame();
+    const awards = pickAwards(game, buildPlayerStats(game));
+    const winnerOf = (award) => awards.find(a => a.id === award.id)?.playerName;
+
+    expect(winnerOf(GAME_AWARDS.BIGGEST_OVERPAY)).toBe('Alice');
+    expect(awards.find(a => a.id === GAME_AWARDS.BIGGEST_OVERPAY.id).description)
+      .toBe(`Paid $10 for ${lawnChair.name} (2 points)`);
+    expect(winnerOf(GAME_AWARDS.BARGAIN_HUNTER)).toBe('Alice');
+    expect(winnerOf(GAME_AWARDS.REPO_MAN_VICTIM)).toBe('Alice');
+    expect(winnerOf(GAME_AWARDS.CHEAPSKATE)).toBe('Charlie');
+    expect(winnerOf(GAME_AWARDS.BIG_SPENDER)).toBe('Alice');
+  });
+
+  test('should leave out awards nobody earned', () => {
+    const game = buildGame();
+    game.actionHistory = [];
+    game.players.forEach(player => player.moneyHand.forEach(bill => { bill.available = true; }));
+
+    expect(pickAwards(game, buildPlayerStats(game))).toEqual([]);
+  });
+});
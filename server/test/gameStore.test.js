@@ -0,0 +1,304 @@
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryGameStore, FileGameStore, createGameStore, STORE_ADAPTERS } from '../src/services/gameStore.js';
+import { roomManager } from '../src/services/roomManager.js';
+import { Game, GAME_PHASES } from '../src/models/game.js';
+
+describe('Game Store', () => {
+  describe('Game snapshots', () => {
+    test('should round-trip a game in progress', () => {
+      const game = new Game('SNAP');
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie', true);
+      game.startGame();
+
+      const firstPlayer = game.currentAuction.currentTurnPlayerId;
+      const money = game.players.find(p => p.id === firstPlayer).moneyHand[0].id;
+      game.placeBid(firstPlayer, [money]);
+
+      const restored = Game.fromSnapshot(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+      expect(restored).toBeInstanceOf(Game);
+      expect(restored.getPublicState()).toEqual(game.getPublicState());
+      expect(restored.getPrivateState('p1')).toEqual(game.getPrivateState('p1'));
+      expect(restored.itemDeck).toEqual(game.itemDeck);
+    });
+
+    test('should not share state with the snapshot', () => {
+      const game = new Game('SNAP');
+      game.addPlayer('p1', 'Alice');
+      const snapshot = game.toSnapshot();
+
+      const restored = Game.fromSnapshot(snapshot);
+      restored.players[0].name = 'Changed';
+
+      expect(game.players[0].name).toBe('Alice');
+    });
+
+    test('should call onChange after mutations', () => {
+      const game = new Game('SNAP');
+      let changes = 0;
+      game.onChange = () => changes++;
+
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+
+      expect(changes).toBe(4);
+    });
+  });
+
+  describe('MemoryGameStore', () => {
+    test('should save, load and delete snapshots', () => {
+      const store = new MemoryGameStore();
+      store.saveGame('ABCD', { roomCode: 'ABCD', phase: 'waiting' });
+
+      expect(store.loadAll()).toEqual([{ roomCode: 'ABCD', phase: 'waiting' }]);
+
+      store.deleteGame('ABCD');
+      expect(store.loadAll()).toEqual([]);
+    });
+
+    test('should append and load event logs', () => {
+      const store = new MemoryGameStore();
+      store.appendEvent('ABCD', { seq: 0, type: 'player_joined' });
+      store.appendEvent('ABCD', { seq: 1, type: 'player_joined' });
+
+      expect(store.loadEvents('ABCD').map(e => e.seq)).toEqual([0, 1]);
+      expect(store.loadEvents('EFGH')).toEqual([]);
+    });
+
+    test('should keep replays after their room is deleted', () => {
+      const store = new MemoryGameStore();
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+      store.saveReplay('REPLAY23', { replayId: 'REPLAY23', roomCode: 'ABCD', events: [] });
+      store.deleteGame('ABCD');
+
+      expect(store.loadReplay('REPLAY23')).toEqual({ replayId: 'REPLAY23', roomCode: 'ABCD', events: [] });
+      expect(store.loadReplay('MISSING2')).toBeNull();
+    });
+  });
+
+  describe('FileGameStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), 'low-society-store-'));
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should write one file per room', () => {
+      const store = new FileGameStore(directory);
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+      store.saveGame('EFGH', { roomCode: 'EFGH' });
+
+      expect(readdirSync(directory).sort()).toEqual(['ABCD.json', 'EFGH.json']);
+      expect(store.loadAll()).toHaveLength(2);
+    });
+
+    test('should survive a new store instance (restart)', () => {
+      new FileGameStore(directory).saveGame('ABCD', { roomCode: 'ABCD', phase: 'auction' });
+
+      const reopened = new FileGameStore(directory);
+      expect(reopened.loadAll()).toEqual([{ roomCode: 'ABCD', phase: 'auction' }]);
+    });
+
+    test('should delete room files', () => {
+      const store = new FileGameStore(directory);
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+      store.appendEvent('ABCD', { seq: 0, type: 'player_joined' });
+      store.deleteGame('ABCD');
+
+      expect(readdirSync(directory)).toEqual([]);
+    });
+
+    test('should keep the event log next to the snapshot', () => {
+      const store = new FileGameStore(directory);
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+      store.appendEvent('ABCD', { seq: 0, type: 'player_joined' });
+      store.appendEvent('ABCD', { seq: 1, type: 'player_left' });
+
+      expect(readdirSync(directory).sort()).toEqual(['ABCD.events.jsonl', 'ABCD.json']);
+      expect(new FileGameStore(directory).loadEvents('ABCD').map(e => e.type)).toEqual(['player_joined', 'player_left']);
+      // Event logs are not mistaken for snapshots
+      expect(store.loadAll()).toHaveLength(1);
+    });
+
+    test('should keep replays in their own directory', () => {
+      const store = new FileGameStore(directory);
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+      store.saveReplay('REPLAY23', { replayId: 'REPLAY23', roomCode: 'ABCD', events: [] });
+
+      expect(readdirSync(join(directory, 'replays'))).toEqual(['REPLAY23.json']);
+      expect(new FileGameStore(directory).loadReplay('REPLAY23').roomCode).toBe('ABCD');
+      expect(store.loadReplay('MISSING2')).toBeNull();
+      expect(store.loadAll()).toHaveLength(1);
+    });
+
+    test('should not read anything outside the replays directory', () => {
+      const store = new FileGameStore(directory);
+      store.saveGame('ABCD', { roomCode: 'ABCD' });
+
+      expect(() => store.loadReplay('../ABCD')).toThrow('Invalid replay ID: ../ABCD');
+      expect(() => store.saveReplay('../../escape', {})).toThrow('Invalid replay ID');
+    });
+  });
+
+  describe('createGameStore', () => {
+    test('should default to memory', () => {
+      expect(createGameStore()).toBeInstanceOf(MemoryGameStore);
+    });
+
+    test('should require a directory for the file adapter', () => {
+      expect(() => createGameStore({ adapter: STORE_ADAPTERS.FILE })).toThrow('requires a directory');
+    });
+
+    test('should reject unknown adapters', () => {
+      expect(() => createGameStore({ adapter: 'redis' })).toThrow('Unknown persistence adapter');
+    });
+  });
+
+  describe('RoomManager persistence', () => {
+    let store;
+
+    beforeEach(() => {
+      roomManager.rooms.clear();
+      roomManager.playerRooms.clear();
+      store = new MemoryGameStore();
+      roomManager.setStore(store);
+    });
+
+    afterEach(() => {
+      roomManager.setStore(new MemoryGameStore());
+    });
+
+    test('should persist rooms as they change', () => {
+      const { roomCode } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+
+      const [snapshot] = store.loadAll();
+      expect(snapshot.roomCode).toBe(roomCode);
+      expect(snapshot.players).toHaveLength(2);
+    });
+
+    test('should log every game event to the store', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+
+      expect(store.loadEvents(roomCode)).toEqual(game.eventLog);
+    });
+
+    test('should rebuild from the event log when it is ahead of the snapshot', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+      const staleSnapshot = store.loadAll()[0];
+
+      game.placeBid(game.currentAuction.currentTurnPlayerId, [game.players[0].moneyHand[0].id]);
+      // Simulate a crash after the event was logged but before the snapshot was written
+      store.saveGame(roomCode, staleSnapshot);
+
+      roomManager.rooms.clear();
+      roomManager.playerRooms.clear();
+      roomManager.restoreRooms();
+
+      // Restored humans wait to resume their seats
+      const expected = game.getPublicState();
+      expect(roomManager.getGame(roomCode).getPublicState()).toEqual({
+        ...expected,
+        players: expected.players.map(p => ({ ...p, connected: false }))
+      });
+      expect(roomManager.getGame(roomCode).players.map(p => p.reconnectToken))
+        .toEqual(game.players.map(p => p.reconnectToken));
+    });
+
+    test('should keep a finished game as a replay', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+      expect(game.replayId).toBeNull();
+
+      game.endGame();
+      game.notifyChange();
+
+      expect(game.replayId).toMatch(/^[A-Z2-9]{8}$/);
+      expect(game.getPublicState().replayId).toBe(game.replayId);
+      expect(roomManager.getReplay(game.replayId)).toMatchObject({ replayId: game.replayId, roomCode, events: game.eventLog });
+
+      // Only saved once
+      const { replayId } = game;
+      game.notifyChange();
+      expect(game.replayId).toBe(replayId);
+    });
+
+    test('should remove stored rooms when they are deleted', () => {
+      roomManager.createRoom('p1', 'Alice');
+      roomManager.leaveRoom('p1');
+
+      expect(store.loadAll()).toEqual([]);
+    });
+
+    test('should restore games in progress so players can resume their seats', () => {
+      const { roomCode, game, reconnectToken } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      game.addPlayer('ai_1', 'Cletus', true);
+      game.startGame();
+
+      // Simulate a restart
+      roomManager.rooms.clear();
+      roomManager.playerRooms.clear();
+      const restored = roomManager.restoreRooms();
+
+      expect(restored).toHaveLength(1);
+      expect(roomManager.getGame(roomCode).phase).toBe(GAME_PHASES.AUCTION);
+
+      const { game: rejoined } = roomManager.resumeSession(roomCode, reconnectToken, 'new-socket');
+      expect(rejoined.players.find(p => p.name === 'Alice').id).toBe('new-socket');
+    });
+
+    test('should mark restored humans disconnected and restart a running turn clock', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      game.addPlayer('ai_1', 'Cletus', true);
+      game.startGame({ turnTimer: { seconds: 30 } });
+      // A deadline that ran out while the server was down
+      game.currentAuction.turnDeadline = Date.now() - 1000;
+      game.notifyChange();
+
+      roomManager.rooms.clear();
+      roomManager.playerRooms.clear();
+      const [restored] = roomManager.restoreRooms();
+
+      expect(restored.players.map(p => p.connected)).toEqual([false, false, true]);
+      expect(restored.getTurnPlayerId()).toBe('p1');
+      expect(restored.currentAuction.turnDeadline).toBeGreaterThan(Date.now() + 25 * 1000);
+      // The disconnections are persisted like any other change
+      expect(store.loadEvents(roomCode).filter(e => e.type === 'player_disconnected')).toHaveLength(2);
+    });
+
+    test('should drop disconnected humans from restored lobbies', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      game.addPlayer('ai_1', 'Cletus', true);
+      roomManager.createRoom('p2', 'Bob');
+
+      roomManager.rooms.clear();
+      roomManager.playerRooms.clear();
+      const restored = roomManager.restoreRooms();
+
+      // Lobbies with only AI players left are discarded
+      expect(restored).toHaveLength(0);
+      expect(roomManager.getGame(roomCode)).toBeUndefined();
+      expect(store.loadAll()).toEqual([]);
+    });
+  });
+});
@@ -3,7 +3,7 @@ import { jest } from "@jest/globals";
  * Tests for Auction Handlers
  */
 
-import { handlePlaceBid, handlePass } from '../../src/handlers/auctionHandlers.js';
+import { handlePlaceBid, handlePass, handleRequestRoundReset, handleVoteRoundReset } from '../../src/handlers/auctionHandlers.js';
 import { roomManager } from '../../src/services/roomManager.js';
 
 describe('Auction Handlers', () => {
@@ -224,4 +224,65 @@ describe('Auction Handlers', () => {
       });
     });
   });
+
+  describe('Round reset vote', () => {
+    const bobSocket = { id: 'p2', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+
+    beforeEach(() => {
+      roomManager.playerRooms.set('p2', roomCode);
+    });
+
+    test('should broadcast a pending vote without touching bids', (done) => {
+      const bid = game.placeBid(mockSocket.id, [game.players[0].moneyHand[0].id]);
+      const handler = handleRequestRoundReset(mockSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response).toEqual({ success: true, status: 'pending' });
+
+        const voteEvent = emittedEvents.find(e => e.event === 'round_reset_vote');
+        expect(voteEvent.data.status).toBe('pending');
+        expect(voteEvent.data.publicState.currentAuction.resetVote.proposedBy).toBe(mockSocket.id);
+        expect(emittedEvents.find(e => e.event === 'round_reset')).toBeUndefined();
+        expect(game.currentAuction.highestBid).toBe(bid);
+        done();
+      });
+    });
+
+    test('should reject proposals from players other than the host', (done) => {
+      const handler = handleRequestRoundReset(bobSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Only the host');
+        done();
+      });
+    });
+
+    test('should reset the round when the vote passes', (done) => {
+      game.placeBid(mockSocket.id, [game.players[0].moneyHand[0].id]);
+      game.proposeRoundReset(mockSocket.id);
+      const handler = handleVoteRoundReset(bobSocket, roomManager, mockIo);
+
+      handler({ approve: true }, (response) => {
+        expect(response).toEqual({ success: true, status: 'passed' });
+
+        const resetEvent = emittedEvents.find(e => e.event === 'round_reset');
+        expect(resetEvent.data.playerName).toBe('Alice');
+        expect(resetEvent.data.publicState.currentAuction.highestBid).toBe(0);
+        expect(emittedEvents.filter(e => e.event === 'private_state_update')).toHaveLength(3);
+        done();
+      });
+    });
+
+    test('should require a boolean vote', (done) => {
+      game.proposeRoundReset(mockSocket.id);
+      const handler = handleVoteRoundReset(bobSocket, roomManager, mockIo);
+
+      handler({ approve: 'yes' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Vote must be true or false');
+        done();
+      });
+    });
+  });
 });
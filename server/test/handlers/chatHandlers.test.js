@@ -3,9 +3,18 @@ import { jest } from "@jest/globals";
  * Tests for Chat Handlers
  */
 
-import { handleSetChatMode } from '../../src/handlers/chatHandlers.js';
+import {
+  handleSetChatMode,
+  handleSendChatMessage,
+  handleGetChatHistory,
+  handleMutePlayer,
+  handleReportPlayer,
+  handleSetChatFilter,
+  handleSendEmote
+} from '../../src/handlers/chatHandlers.js';
 import { roomManager } from '../../src/services/roomManager.js';
 import { CHAT_MODES } from '../../src/shared/constants/chatConfig.js';
+import { REACTIONS } from '../../src/ai/commentaryMessages.js';
 
 describe('Chat Handlers', () => {
   // roomManager is imported singleton
@@ -29,6 +38,7 @@ describe('Chat Handlers', () => {
 
     mockIo = {
       to: jest.fn().mockReturnThis(),
+      except: jest.fn().mockReturnThis(),
       emit: jest.fn((event, data) => {
         emittedEvents.push({ event, data });
       })
@@ -130,4 +140,131 @@ describe('Chat Handlers', () => {
       });
     });
   });
+
+  describe('Player chat', () => {
+    let bobSocket;
+
+    const call = (handler, data) => new Promise(resolve => handler(data, resolve));
+
+    beforeEach(() => {
+      bobSocket = { id: 'socket_456', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+      roomManager.joinRoom(roomCode, bobSocket.id, 'Bob');
+    });
+
+    test('should send a message to the room', async () => {
+      const response = await call(handleSendChatMessage(mockSocket, roomManager, mockIo), { message: 'hello' });
+
+      expect(response.success).toBe(true);
+      expect(response.message).toMatchObject({ playerId: mockSocket.id, playerName: 'Alice', message: 'hello' });
+      expect(mockIo.to).toHaveBeenCalledWith(roomCode);
+      expect(mockIo.except).toHaveBeenCalledWith([]);
+      expect(emittedEvents).toContainEqual({ event: 'chat_message', data: { message: response.message } });
+    });
+
+    test('should not deliver messages to players who muted the sender', async () => {
+      await call(handleMutePlayer(bobSocket, roomManager, mockIo), { playerId: mockSocket.id });
+      await call(handleSendChatMessage(mockSocket, roomManager, mockIo), { message: 'anyone?' });
+
+      expect(mockIo.except).toHaveBeenCalledWith([bobSocket.id]);
+
+      const history = await call(handleGetChatHistory(bobSocket, roomManager, mockIo), {});
+      expect(history.messages).toEqual([]);
+    });
+
+    test('should reject messages as validation errors', async () => {
+      const handler = handleSendChatMessage(mockSocket, roomManager, mockIo);
+
+      expect(await call(handler, {})).toMatchObject({ success: false, error: 'Invalid message: must be text' });
+      expect(await call(handler, { message: '' })).toMatchObject({
+        success: false,
+        error: 'Message cannot be empty',
+        type: 'validation'
+      });
+    });
+
+    test('should return the history to a player who joins later', async () => {
+      await call(handleSendChatMessage(mockSocket, roomManager, mockIo), { message: 'first' });
+      await call(handleSendChatMessage(bobSocket, roomManager, mockIo), { message: 'second' });
+
+      const response = await call(handleGetChatHistory(mockSocket, roomManager, mockIo), {});
+      expect(response.messages.map(m => m.message)).toEqual(['first', 'second']);
+    });
+
+    test('should mute and unmute, telling only the muting player', async () => {
+      const handler = handleMutePlayer(mockSocket, roomManager, mockIo);
+
+      expect(await call(handler, { playerId: bobSocket.id })).toEqual({ success: true, mutedPlayerIds: [bobSocket.id] });
+      expect(mockIo.to).toHaveBeenLastCalledWith(mockSocket.id);
+      expect(emittedEvents.at(-1).data.privateState.mutedPlayerIds).toEqual([bobSocket.id]);
+
+      expect(await call(handler, { playerId: bobSocket.id, muted: false })).toEqual({ success: true, mutedPlayerIds: [] });
+      expect(await call(handler, { playerId: bobSocket.id, muted: 'yes' })).toMatchObject({ success: false });
+    });
+
+    test('should record a report and mute the reported player', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await call(handleSendChatMessage(bobSocket, roomManager, mockIo), { message: 'rude words' });
+
+      const response = await call(handleReportPlayer(mockSocket, roomManager, mockIo), {
+        playerId: bobSocket.id,
+        reason: 'insults'
+      });
+
+      expect(response).toEqual({ success: true, mutedPlayerIds: [bobSocket.id] });
+      expect(game.chatReports).toHaveLength(1);
+      expect(game.chatReports[0]).toMatchObject({ reportedName: 'Bob', reason: 'insults' });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Alice reported Bob'), expect.any(Object));
+      warn.mockRestore();
+    });
+
+    test('should let only the host switch the profanity filter', async () => {
+      const response = await call(handleSetChatFilter(mockSocket, roomManager, mockIo), { enabled: false });
+
+      expect(response).toEqual({ success: true, enabled: false });
+      expect(game.chatFilter).toBe(false);
+      expect(emittedEvents).toContainEqual({ event: 'chat_filter_changed', data: { enabled: false } });
+
+      const denied = await call(handleSetChatFilter(bobSocket, roomManager, mockIo), { enabled: true });
+      expect(denied).toMatchObject({ success: false, error: 'Only the host can change the chat filter' });
+      expect(game.chatFilter).toBe(false);
+    });
+
+    describe('Emotes', () => {
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should send an emote to everyone who has not muted the sender', async () => {
+        await call(handleMutePlayer(bobSocket, roomManager, mockIo), { playerId: mockSocket.id });
+        const response = await call(handleSendEmote(mockSocket, roomManager, mockIo), { emoteId: 'dang' });
+
+        expect(response.success).toBe(true);
+        expect(response.emote).toMatchObject({ playerId: mockSocket.id, emoteId: 'dang', text: 'Dang!' });
+        expect(mockIo.except).toHaveBeenLastCalledWith([bobSocket.id]);
+        expect(emittedEvents).toContainEqual({ event: 'emote', data: { emote: response.emote } });
+      });
+
+      test('should reject unknown emotes as validation errors', async () => {
+        const response = await call(handleSendEmote(mockSocket, roomManager, mockIo), { emoteId: 'shrug' });
+
+        expect(response).toMatchObject({ success: false, error: 'Unknown emote', type: 'validation' });
+      });
+
+      test('should let an AI player answer an emote', async () => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        game.addPlayer('ai_1', 'Robo', true);
+        game.random = () => 0;
+
+        await call(handleSendEmote(mockSocket, roomManager, mockIo), { emoteId: 'yikes' });
+        expect(emittedEvents.some(e => e.event === 'ai_chat_message')).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        const reaction = emittedEvents.find(e => e.event === 'ai_chat_message');
+        expect(reaction.data).toMatchObject({ playerId: 'ai_1', playerName: 'Robo' });
+        expect(REACTIONS.NERVOUS).toContain(reaction.data.message);
+        console.log.mockRestore();
+      });
+    });
+  });
 });
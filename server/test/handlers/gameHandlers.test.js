@@ -3,9 +3,12 @@ import { jest } from "@jest/globals";
  * Tests for Game Handlers
  */
 
-import { handleStartGame, handleGetState } from '../../src/handlers/gameHandlers.js';
+import { handleStartGame, handleSetAIDifficulty, handleGetState, handleGetCardSets, handleGetActionHistory, handleGetReplay, handleRequestRematch } from '../../src/handlers/gameHandlers.js';
 import { roomManager } from '../../src/services/roomManager.js';
 import { GAME_PHASES } from '../../src/models/game.js';
+import { hasTurnTimer, clearTurnTimer } from '../../src/services/turnTimer.js';
+import { getAIPlayer, registerAIPlayer, clearAIPlayers } from '../../src/ai/aiHandler.js';
+import { AIPlayer } from '../../src/ai/AIPlayer.js';
 
 describe('Game Handlers', () => {
   // roomManager is imported singleton
@@ -18,6 +21,7 @@ describe('Game Handlers', () => {
   beforeEach(() => {
     roomManager.rooms.clear();
     roomManager.playerRooms.clear();
+    roomManager.spectatorRooms.clear();
     emittedEvents = [];
 
     mockSocket = {
@@ -29,6 +33,7 @@ describe('Game Handlers', () => {
 
     mockIo = {
       to: jest.fn().mockReturnThis(),
+      in: jest.fn(() => ({ socketsJoin: jest.fn(), socketsLeave: jest.fn() })),
       emit: jest.fn((event, data) => {
         emittedEvents.push({ event, data });
       })
@@ -107,6 +112,178 @@ describe('Game Handlers', () => {
       });
     });
 
+    test('should start with the requested seed', (done) => {
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: false, seed: 'bug-1234' }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.seed).toBe('bug-1234');
+        done();
+      });
+    });
+
+    test('should reject an invalid seed without changing the room', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, seed: -1 }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Seed');
+        expect(game.players).toHaveLength(1);
+        expect(game.phase).toBe(GAME_PHASES.WAITING);
+        done();
+      });
+    });
+
+    test('should start with a turn timer and broadcast the deadline', (done) => {
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: false, turnTimer: { seconds: 60, onTimeout: 'ai' } }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.turnTimer).toEqual({ seconds: 60, onTimeout: 'ai' });
+        expect(hasTurnTimer(game.roomCode)).toBe(true);
+        clearTurnTimer(game.roomCode);
+        done();
+      });
+    });
+
+    test('should reject an invalid turn timer without changing the room', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, turnTimer: { seconds: 5 } }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Turn timer');
+        expect(game.players).toHaveLength(1);
+        done();
+      });
+    });
+
+    test('should reject an unknown tie rule without changing the room', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, poorestTieRule: 'coin_flip' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Unknown poorest tie rule');
+        expect(game.players).toHaveLength(1);
+        done();
+      });
+    });
+
+    test('should start with the classic end condition', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, endCondition: 'classic' }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.endCondition).toBe('classic');
+        expect(game.getPublicState().gameEndingCardCount).toBe(4);
+        clearAIPlayers(roomCode);
+        done();
+      });
+    });
+
+    test('should build the deck from the chosen card set', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, cardSetId: 'county-fair' }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.getPublicState().cardSet).toMatchObject({ id: 'county-fair', cardCount: 17 });
+        clearAIPlayers(roomCode);
+        done();
+      });
+    });
+
+    test('should fill the room to the player limit in the requested rules', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, rules: { players: { max: 4 } } }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.players).toHaveLength(4);
+        expect(game.getPublicState().rules.players.max).toBe(4);
+        clearAIPlayers(roomCode);
+        done();
+      });
+    });
+
+    test('should reject invalid rules before adding AI players', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+      const seated = game.players.length;
+
+      handler({ aiEnabled: true, rules: { money: { denominations: [] } } }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Invalid rules: money.denominations');
+        expect(game.players).toHaveLength(seated);
+        done();
+      });
+    });
+
+    test('should check the seats against the requested rules', (done) => {
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: false, rules: { players: { min: 4 } } }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Need at least 4 players');
+        expect(game.rules.players.min).toBe(3);
+
+        handler({ aiEnabled: false, rules: { players: { min: 2, max: 3 } } }, (second) => {
+          expect(second.success).toBe(true);
+          expect(game.phase).not.toBe(GAME_PHASES.WAITING);
+          done();
+        });
+      });
+    });
+
+    test('should leave the room as it was when any setting is rejected', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+      const rules = game.rules;
+
+      handler({ aiEnabled: true, seed: 7, rules: { players: { max: 4 } }, aiDifficulty: 'nightmare' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('aiDifficulty');
+        expect(game.rules).toBe(rules);
+        expect(game.seed).toBeNull();
+
+        handler({ aiEnabled: true, rules: { players: { max: 4 } }, cardSetId: 'no-such-set' }, (second) => {
+          expect(second.success).toBe(false);
+          expect(game.rules).toBe(rules);
+          expect(game.phase).toBe(GAME_PHASES.WAITING);
+          done();
+        });
+      });
+    });
+
+    test('should add AI players at the requested difficulty', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, aiDifficulty: 'hard' }, (response) => {
+        expect(response.success).toBe(true);
+
+        const aiSeats = game.players.filter(p => p.isAI);
+        expect(aiSeats.every(p => p.aiDifficulty === 'hard')).toBe(true);
+        expect(getAIPlayer(roomCode, aiSeats[0].id).difficulty).toBe('hard');
+
+        clearAIPlayers(roomCode);
+        done();
+      });
+    });
+
+    test('should reject an unknown AI difficulty without changing the room', (done) => {
+      const handler = handleStartGame(mockSocket, roomManager, mockIo);
+
+      handler({ aiEnabled: true, aiDifficulty: 'nightmare' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('aiDifficulty');
+        expect(game.players).toHaveLength(1);
+        done();
+      });
+    });
+
     test('should support spectator mode with all AI players', (done) => {
       // Add a second human player
       game.addPlayer('p2', 'Bob');
@@ -123,6 +300,13 @@ describe('Game Handlers', () => {
         const aiPlayers = game.players.filter(p => p.isAI);
         expect(aiPlayers.length).toBe(5);
 
+        // The humans watch instead of being dropped
+        expect(roomManager.getSpectatorRoom(mockSocket.id)).toBe(roomCode);
+        expect(roomManager.getSpectatorRoom('p2')).toBe(roomCode);
+        expect(roomManager.getPlayerRoom(mockSocket.id)).toBeUndefined();
+        expect(game.getPublicState().spectatorCount).toBe(2);
+        expect(mockIo.in).toHaveBeenCalledWith(mockSocket.id);
+
         done();
       });
     });
@@ -175,6 +359,57 @@ describe('Game Handlers', () => {
     });
   });
 
+  describe('handleSetAIDifficulty', () => {
+    beforeEach(() => {
+      game.addPlayer('ai_1', 'Cletus', true);
+      registerAIPlayer(roomCode, new AIPlayer('ai_1', 'Cletus'));
+    });
+
+    afterEach(() => {
+      clearAIPlayers(roomCode);
+    });
+
+    test('should change the seat and its AI player', (done) => {
+      const handler = handleSetAIDifficulty(mockSocket, roomManager, mockIo);
+
+      handler({ playerId: 'ai_1', difficulty: 'easy' }, (response) => {
+        expect(response.success).toBe(true);
+        expect(getAIPlayer(roomCode, 'ai_1').difficulty).toBe('easy');
+
+        const update = emittedEvents.find(e => e.event === 'state_update');
+        expect(update.data.publicState.players[1]).toMatchObject({
+          aiDifficulty: 'easy',
+          aiPersonality: 'hoarder'
+        });
+        done();
+      });
+    });
+
+    test('should only let the host change difficulty', (done) => {
+      const guest = { id: 'socket_456', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+      roomManager.joinRoom(roomCode, guest.id, 'Bob');
+
+      const handler = handleSetAIDifficulty(guest, roomManager, mockIo);
+
+      handler({ playerId: 'ai_1', difficulty: 'hard' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('host');
+        expect(getAIPlayer(roomCode, 'ai_1').difficulty).toBe('normal');
+        done();
+      });
+    });
+
+    test('should reject human seats', (done) => {
+      const handler = handleSetAIDifficulty(mockSocket, roomManager, mockIo);
+
+      handler({ playerId: mockSocket.id, difficulty: 'hard' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Only AI players');
+        done();
+      });
+    });
+  });
+
   describe('handleGetState', () => {
     test('should return game state when in a room', (done) => {
       const handler = handleGetState(mockSocket, roomManager);
@@ -218,4 +453,176 @@ describe('Game Handlers', () => {
       });
     });
   });
+
+  describe('handleGetActionHistory', () => {
+    beforeEach(() => {
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame({ spectatorDelay: 30 });
+    });
+
+    test('should give players the whole history', (done) => {
+      const handler = handleGetActionHistory(mockSocket, roomManager);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(true);
+        expect(response.actions).toEqual(game.actionHistory);
+        expect(response.actions[0].type).toBe('game_started');
+        done();
+      });
+    });
+
+    test('should hold back what spectators see by the spectator delay', (done) => {
+      roomManager.spectateRoom(roomCode, 'watcher_1');
+      const handler = handleGetActionHistory({ ...mockSocket, id: 'watcher_1' }, roomManager);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(true);
+        expect(response.actions).toEqual([]);
+        done();
+      });
+    });
+
+    test('should reject when not in a room', (done) => {
+      const handler = handleGetActionHistory({ ...mockSocket, id: 'socket_999' }, roomManager);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('not in a room');
+        done();
+      });
+    });
+  });
+
+  describe('handleGetReplay', () => {
+    test('should replay a finished game to anyone with its ID', (done) => {
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+      game.endGame();
+      game.notifyChange();
+
+      const handler = handleGetReplay({ ...mockSocket, id: 'socket_999' }, roomManager);
+
+      handler({ replayId: game.replayId.toLowerCase() }, (response) => {
+        expect(response.success).toBe(true);
+        expect(response.replay.replayId).toBe(game.replayId);
+        expect(response.replay.results).toEqual(game.results);
+        expect(response.replay.frames.length).toBeGreaterThan(0);
+        done();
+      });
+    });
+
+    test('should reject unknown replay IDs', (done) => {
+      const handler = handleGetReplay(mockSocket, roomManager);
+
+      handler({ replayId: 'WXYZ2345' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Replay WXYZ2345 not found');
+        done();
+      });
+    });
+
+    test('should reject IDs that are not replay IDs', (done) => {
+      const getReplay = jest.spyOn(roomManager, 'getReplay');
+      const handler = handleGetReplay(mockSocket, roomManager);
+
+      handler({ replayId: '../ABC123' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Invalid replayId');
+        expect(getReplay).not.toHaveBeenCalled();
+        getReplay.mockRestore();
+        done();
+      });
+    });
+  });
+
+  describe('handleRequestRematch', () => {
+    const guest = { id: 'socket_456', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+
+    beforeEach(() => {
+      roomManager.joinRoom(roomCode, guest.id, 'Bob');
+      game.addPlayer('ai_1', 'Cletus', true);
+      registerAIPlayer(roomCode, new AIPlayer('ai_1', 'Cletus'));
+      game.startGame();
+      game.endGame();
+    });
+
+    afterEach(() => {
+      clearTurnTimer(roomCode);
+      clearAIPlayers(roomCode);
+    });
+
+    test('should show who is ready until the whole table is', (done) => {
+      const handler = handleRequestRematch(mockSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response).toEqual({ success: true, started: false });
+        expect(roomManager.getGame(roomCode)).toBe(game);
+
+        const update = emittedEvents.find(e => e.event === 'state_update');
+        expect(update.data.publicState.rematchReadyIds).toEqual([mockSocket.id]);
+        done();
+      });
+    });
+
+    test('should start the next game in the same room once everyone is ready', (done) => {
+      handleRequestRematch(mockSocket, roomManager, mockIo)({}, () => {
+        handleRequestRematch(guest, roomManager, mockIo)({ ready: true }, (response) => {
+          expect(response).toEqual({ success: true, started: true });
+
+          const rematch = roomManager.getGame(roomCode);
+          expect(rematch).not.toBe(game);
+          expect(rematch.phase).toBe(GAME_PHASES.AUCTION);
+          expect(rematch.session.gameNumber).toBe(2);
+          expect(roomManager.getPlayerRoom(guest.id)).toBe(roomCode);
+          expect(getAIPlayer(roomCode, 'ai_1')).toBeTruthy();
+
+          const started = emittedEvents.find(e => e.event === 'game_started');
+          expect(started.data.publicState.session.tally).toHaveLength(3);
+          done();
+        });
+      });
+    });
+
+    test('should keep the finished game when too few players are left for a rematch', (done) => {
+      roomManager.leaveRoom(guest.id);
+      const handler = handleRequestRematch(mockSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Need at least 3 players');
+        expect(roomManager.getGame(roomCode)).toBe(game);
+        expect(game.onChange).toEqual(expect.any(Function));
+
+        const update = emittedEvents.find(e => e.event === 'state_update');
+        expect(update.data.publicState.rematchReadyIds).toEqual([mockSocket.id]);
+        done();
+      });
+    });
+
+    test('should reject a rematch before the game is over', (done) => {
+      roomManager.createRoom('socket_789', 'Dana');
+      const handler = handleRequestRematch({ ...mockSocket, id: 'socket_789' }, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('not over');
+        done();
+      });
+    });
+  });
+
+  describe('handleGetCardSets', () => {
+    test('should list the card sets with the default first', (done) => {
+      const handler = handleGetCardSets(mockSocket);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(true);
+        expect(response.cardSets[0]).toMatchObject({ id: 'low-society', name: 'Low Society', cardCount: 15 });
+        expect(response.cardSets.map(set => set.id)).toContain('county-fair');
+        done();
+      });
+    });
+  });
 });
@@ -6,11 +6,15 @@ import { jest } from "@jest/globals";
 import {
   handleCreateRoom,
   handleJoinRoom,
+  handleResumeSession,
+  handleSpectateRoom,
   handleLeaveRoom,
   handleDisconnect
 } from '../../src/handlers/roomHandlers.js';
 import { roomManager } from '../../src/services/roomManager.js';
 import { GAME_PHASES } from '../../src/models/game.js';
+import { GAME_CONFIG } from '../../src/shared/constants/gameConfig.js';
+import { isAIPlayer, cancelAITakeover, clearAIPlayers } from '../../src/ai/aiHandler.js';
 
 describe('Room Handlers', () => {
   let mockSocket;
@@ -21,6 +25,7 @@ describe('Room Handlers', () => {
     // Clear all rooms before each test
     roomManager.rooms.clear();
     roomManager.playerRooms.clear();
+    roomManager.spectatorRooms.clear();
     emittedEvents = [];
 
     mockSocket = {
@@ -48,11 +53,22 @@ describe('Room Handlers', () => {
         expect(response.roomCode).toHaveLength(4);
         expect(response.publicState).toBeDefined();
         expect(response.privateState).toBeDefined();
+        expect(response.reconnectToken).toEqual(expect.any(String));
         expect(mockSocket.join).toHaveBeenCalledWith(response.roomCode);
         done();
       });
     });
 
+    test('should not leak reconnect tokens in public state', (done) => {
+      const handler = handleCreateRoom(mockSocket, roomManager, mockIo);
+
+      handler({ playerName: 'Alice', aiEnabled: false }, (response) => {
+        expect(JSON.stringify(response.publicState)).not.toContain(response.reconnectToken);
+        expect(JSON.stringify(response.privateState)).not.toContain(response.reconnectToken);
+        done();
+      });
+    });
+
     test('should auto-fill with AI players when aiEnabled is true', (done) => {
       jest.useFakeTimers();
       const handler = handleCreateRoom(mockSocket, roomManager, mockIo);
@@ -219,6 +235,140 @@ describe('Room Handlers', () => {
     });
   });
 
+  describe('handleResumeSession', () => {
+    let roomCode;
+    let reconnectToken;
+    let newSocket;
+
+    beforeEach((done) => {
+      newSocket = {
+        id: 'socket_new',
+        join: jest.fn(),
+        leave: jest.fn(),
+        emit: jest.fn()
+      };
+
+      const createHandler = handleCreateRoom(mockSocket, roomManager, mockIo);
+      createHandler({ playerName: 'Alice', aiEnabled: false }, (response) => {
+        roomCode = response.roomCode;
+        reconnectToken = response.reconnectToken;
+
+        const game = roomManager.getGame(roomCode);
+        game.addPlayer('p2', 'Bob');
+        game.addPlayer('p3', 'Charlie');
+        game.startGame();
+
+        // Alice drops out of the running game
+        handleDisconnect(mockSocket, roomManager, mockIo, GAME_PHASES)();
+        done();
+      });
+    });
+
+    test('should restore the seat for a valid token', (done) => {
+      const handler = handleResumeSession(newSocket, roomManager, mockIo);
+
+      handler({ roomCode, reconnectToken }, (response) => {
+        expect(response.success).toBe(true);
+        expect(response.privateState.moneyHand.length).toBeGreaterThan(0);
+        expect(newSocket.join).toHaveBeenCalledWith(roomCode);
+
+        const game = roomManager.getGame(roomCode);
+        expect(game.players.find(p => p.name === 'Alice').id).toBe('socket_new');
+        expect(roomManager.getPlayerRoom('socket_new')).toBe(roomCode);
+
+        const reconnected = emittedEvents.find(e => e.event === 'player_reconnected');
+        expect(reconnected.data.previousPlayerId).toBe('socket_123');
+        done();
+      });
+    });
+
+    test('should reject an unknown token', (done) => {
+      const handler = handleResumeSession(newSocket, roomManager, mockIo);
+
+      handler({ roomCode, reconnectToken: 'not-the-token' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Invalid or expired session');
+        done();
+      });
+    });
+
+    test('should require a token', (done) => {
+      const handler = handleResumeSession(newSocket, roomManager, mockIo);
+
+      handler({ roomCode }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Reconnect token is required');
+        done();
+      });
+    });
+
+    test('should not hand over a seat by name', (done) => {
+      const handler = handleJoinRoom(newSocket, roomManager, mockIo);
+
+      handler({ roomCode, playerName: 'Alice' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Game already in progress');
+        done();
+      });
+    });
+  });
+
+  describe('handleSpectateRoom', () => {
+    let roomCode;
+    let game;
+    let watcher;
+
+    const spectate = (socket) => new Promise(resolve => handleSpectateRoom(socket, roomManager, mockIo)({ roomCode }, resolve));
+
+    beforeEach(() => {
+      ({ roomCode, game } = roomManager.createRoom(mockSocket.id, 'Alice'));
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      watcher = { id: 'watcher_1', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+    });
+
+    test('should let a spectator watch a game in progress with public state only', async () => {
+      game.startGame();
+
+      const response = await spectate(watcher);
+
+      expect(response.success).toBe(true);
+      expect(response.publicState.phase).toBe(game.phase);
+      expect(response.publicState.spectatorCount).toBe(1);
+      expect(response).not.toHaveProperty('privateState');
+      expect(watcher.join).toHaveBeenCalledWith(`spectators:${roomCode}`);
+      expect(watcher.join).not.toHaveBeenCalledWith(roomCode);
+      expect(roomManager.getPlayerRoom(watcher.id)).toBeUndefined();
+
+      // Players see the count
+      const update = emittedEvents.find(e => e.event === 'state_update');
+      expect(update.data.publicState.spectatorCount).toBe(1);
+    });
+
+    test('should hold back the state while the room has a spectator delay', async () => {
+      game.startGame({ spectatorDelay: 30 });
+
+      const response = await spectate(watcher);
+
+      expect(response).toMatchObject({ success: true, spectatorDelay: 30, publicState: null });
+    });
+
+    test('should stop counting spectators who leave or disconnect', async () => {
+      const other = { id: 'watcher_2', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+      await spectate(watcher);
+      await spectate(other);
+
+      await new Promise(resolve => handleLeaveRoom(watcher, roomManager, mockIo)({}, resolve));
+      expect(watcher.leave).toHaveBeenCalledWith(`spectators:${roomCode}`);
+      expect(game.getPublicState().spectatorCount).toBe(1);
+
+      handleDisconnect(other, roomManager, mockIo, GAME_PHASES)();
+      expect(game.getPublicState().spectatorCount).toBe(0);
+      expect(game.players).toHaveLength(3);
+      expect(emittedEvents.find(e => e.event === 'player_left')).toBeUndefined();
+    });
+  });
+
   describe('handleLeaveRoom', () => {
     let roomCode;
 
@@ -289,12 +439,83 @@ describe('Room Handlers', () => {
 
   describe('handleDisconnect', () => {
     let roomCode;
+    let reconnectToken;
 
     beforeEach((done) => {
       // Create a room first
       const createHandler = handleCreateRoom(mockSocket, roomManager, mockIo);
       createHandler({ playerName: 'Alice', aiEnabled: false }, (response) => {
         roomCode = response.roomCode;
+        reconnectToken = response.reconnectToken;
+        done();
+      });
+    });
+
+    afterEach(() => {
+      cancelAITakeover(mockSocket.id);
+      clearAIPlayers(roomCode);
+      jest.useRealTimers();
+    });
+
+    const startAndDisconnect = () => {
+      const game = roomManager.getGame(roomCode);
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+
+      jest.useFakeTimers();
+      handleDisconnect(mockSocket, roomManager, mockIo, GAME_PHASES)();
+      return game;
+    };
+
+    test('should mark the seat disconnected', () => {
+      const game = startAndDisconnect();
+      const seat = game.getPublicState().players.find(p => p.id === mockSocket.id);
+
+      expect(seat.connected).toBe(false);
+      expect(seat.aiStandIn).toBe(false);
+    });
+
+    test('should hand the seat to an AI after the grace period', () => {
+      const game = startAndDisconnect();
+
+      jest.advanceTimersByTime(GAME_CONFIG.ai.takeoverGracePeriod - 1);
+      expect(isAIPlayer(roomCode, mockSocket.id)).toBe(false);
+
+      jest.advanceTimersByTime(1);
+      const takeover = emittedEvents.find(e => e.event === 'ai_takeover');
+      expect(takeover.data.playerName).toBe('Alice');
+      expect(takeover.data.publicState.players.find(p => p.id === mockSocket.id).aiStandIn).toBe(true);
+      expect(isAIPlayer(roomCode, mockSocket.id)).toBe(true);
+      expect(game.players.find(p => p.id === mockSocket.id).isAI).toBe(false);
+    });
+
+    test('should give the seat back when the player resumes', (done) => {
+      const game = startAndDisconnect();
+      jest.advanceTimersByTime(GAME_CONFIG.ai.takeoverGracePeriod);
+
+      const newSocket = { id: 'socket_456', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+      handleResumeSession(newSocket, roomManager, mockIo)({ roomCode, reconnectToken }, (response) => {
+        expect(response.success).toBe(true);
+        expect(isAIPlayer(roomCode, mockSocket.id)).toBe(false);
+
+        const seat = response.publicState.players.find(p => p.id === 'socket_456');
+        expect(seat.connected).toBe(true);
+        expect(seat.aiStandIn).toBe(false);
+        expect(emittedEvents.find(e => e.event === 'player_reconnected').data.tookSeatBack).toBe(true);
+        expect(game.eventLog.some(e => e.type === 'seat_handed_to_ai')).toBe(true);
+        done();
+      });
+    });
+
+    test('should not seat an AI if the player resumes in time', (done) => {
+      startAndDisconnect();
+
+      const newSocket = { id: 'socket_456', join: jest.fn(), leave: jest.fn(), emit: jest.fn() };
+      handleResumeSession(newSocket, roomManager, mockIo)({ roomCode, reconnectToken }, () => {
+        jest.advanceTimersByTime(GAME_CONFIG.ai.takeoverGracePeriod);
+
+        expect(emittedEvents.find(e => e.event === 'ai_takeover')).toBeUndefined();
         done();
       });
     });
@@ -3,7 +3,7 @@ import { jest } from "@jest/globals";
  * Tests for Special Card Handlers
  */
 
-import { handleExecuteCardSwap, handleDiscardLuxuryCard } from '../../src/handlers/specialHandlers.js';
+import { handleExecuteCardSwap, handleDiscardLuxuryCard, handleResolveCardEffect } from '../../src/handlers/specialHandlers.js';
 import { roomManager } from '../../src/services/roomManager.js';
 import { CARD_TYPES } from '../../src/models/cards.js';
 
@@ -218,4 +218,58 @@ describe('Special Card Handlers', () => {
       });
     });
   });
+
+  describe('handleResolveCardEffect', () => {
+    beforeEach(() => {
+      game.players[0].wonCards.push({ id: 'lux-1', type: CARD_TYPES.LUXURY, value: 5 });
+      game.players[0].wonCards.push({ id: 'lux-2', type: CARD_TYPES.LUXURY, value: 2 });
+      game.discardingPlayerId = mockSocket.id;
+      game.phase = 'discard_luxury';
+    });
+
+    test('should settle the pending effect with the given choice', (done) => {
+      const handler = handleResolveCardEffect(mockSocket, roomManager, mockIo);
+
+      handler({ choice: { cardId: 'lux-1' } }, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.players[0].wonCards.map(c => c.id)).toEqual(['lux-2']);
+
+        const resolvedEvent = emittedEvents.find(e => e.event === 'card_effect_resolved');
+        expect(resolvedEvent.data.effect).toBe('faux-pas');
+        expect(resolvedEvent.data.playerId).toBe(mockSocket.id);
+        done();
+      });
+    });
+
+    test('should let the game choose when no choice is given', (done) => {
+      const handler = handleResolveCardEffect(mockSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(true);
+        expect(game.players[0].wonCards.map(c => c.id)).toEqual(['lux-1']);
+        done();
+      });
+    });
+
+    test('should reject a choice that is not an object', (done) => {
+      const handler = handleResolveCardEffect(mockSocket, roomManager, mockIo);
+
+      handler({ choice: 'lux-1' }, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Invalid choice');
+        done();
+      });
+    });
+
+    test('should reject when no effect is pending', (done) => {
+      game.phase = 'auction';
+      const handler = handleResolveCardEffect(mockSocket, roomManager, mockIo);
+
+      handler({}, (response) => {
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('No card effect is waiting');
+        done();
+      });
+    });
+  });
 });
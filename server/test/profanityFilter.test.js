@@ -0,0 +1,28 @@
+import { containsProfanity, filterProfanity } from '../src/utils/profanityFilter.js';
+
+describe('Profanity Filter', () => {
+  test('should mask blocked words but keep their first letter', () => {
+    expect(filterProfanity('what the fuck')).toBe('what the f***');
+    expect(filterProfanity('Shit, I passed')).toBe('S***, I passed');
+  });
+
+  test('should catch common endings and lookalike letters', () => {
+    expect(filterProfanity('fucking sh1t')).toBe('f****** s***');
+    expect(filterProfanity('b1tches')).toBe('b******');
+    expect(filterProfanity('you @sshole')).toBe('you @******');
+    expect(filterProfanity('$hit happens')).toBe('$*** happens');
+  });
+
+  test('should leave words that only contain a blocked word alone', () => {
+    const text = 'Scunthorpe has a cockpit, and the classic assessment passed';
+
+    expect(containsProfanity(text)).toBe(false);
+    expect(filterProfanity(text)).toBe(text);
+  });
+
+  test('should report whether text needs filtering', () => {
+    expect(containsProfanity('you bastard')).toBe(true);
+    expect(containsProfanity('you bastard')).toBe(true); // The shared pattern must not keep its position
+    expect(containsProfanity('good game')).toBe(false);
+  });
+});
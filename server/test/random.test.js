@@ -0,0 +1,57 @@
+import { createSeededRandom, generateSeed, validateSeed, pickRandom } from '../src/utils/random.js';
+
+describe('Seeded Random', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+
+    const seqA = Array.from({ length: 10 }, () => a());
+    const seqB = Array.from({ length: 10 }, () => b());
+
+    expect(seqA).toEqual(seqB);
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const a = createSeededRandom('trailer-park');
+    const b = createSeededRandom('double-wide');
+
+    expect(a()).not.toBe(b());
+  });
+
+  test('should return floats in [0, 1)', () => {
+    const random = createSeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should resume from a saved state', () => {
+    const random = createSeededRandom(99);
+    random();
+    random();
+
+    const resumed = createSeededRandom(99, random.getState());
+
+    expect(resumed()).toBe(random());
+    expect(resumed.seed).toBe(99);
+  });
+
+  test('should reject invalid seeds', () => {
+    expect(() => validateSeed(-1)).toThrow('Seed must be');
+    expect(() => validateSeed(1.5)).toThrow('Seed must be');
+    expect(() => validateSeed('')).toThrow('Seed must be');
+    expect(() => validateSeed({})).toThrow('Seed must be');
+    expect(validateSeed('  abc  ')).toBe('abc');
+  });
+
+  test('generateSeed should return a valid seed', () => {
+    expect(() => validateSeed(generateSeed())).not.toThrow();
+  });
+
+  test('pickRandom should use the given random source', () => {
+    expect(pickRandom(['a', 'b', 'c'], () => 0)).toBe('a');
+    expect(pickRandom(['a', 'b', 'c'], () => 0.99)).toBe('c');
+  });
+});
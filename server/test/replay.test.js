@@ -0,0 +1,71 @@
+import { buildReplay } from '../src/services/replay.js';
+import { Game, GAME_PHASES, GAME_ACTION_TYPES } from '../src/models/game.js';
+import { CARD_TYPES } from '../src/models/cards.js';
+
+describe('Replays', () => {
+  // Play a whole game with simple deterministic choices
+  const playFullGame = (game) => {
+    let steps = 0;
+    while (game.phase !== GAME_PHASES.GAME_OVER && steps++ < 500) {
+      if (game.phase === GAME_PHASES.AUCTION) {
+        const playerId = game.currentAuction.currentTurnPlayerId;
+        const player = game.players.find(p => p.id === playerId);
+        const bill = player.moneyHand.find(m => m.available && !player.currentBid.includes(m.id));
+        const total = bill ? game.calculatePlayerBidTotal(playerId, [...player.currentBid, bill.id]) : 0;
+        if (bill && total > game.currentAuction.highestBid && steps % 3 !== 0) {
+          game.placeBid(playerId, [...player.currentBid, bill.id]);
+        } else {
+          game.pass(playerId);
+        }
+      } else if (game.phase === GAME_PHASES.CARD_SWAP) {
+        game.executeCardSwap(game.currentAuction.swapWinner, null, null, null, null);
+      } else if (game.phase === GAME_PHASES.DISCARD_LUXURY) {
+        const player = game.players.find(p => p.id === game.discardingPlayerId);
+        game.discardLuxuryCard(player.id, player.wonCards.find(c => c.type === CARD_TYPES.LUXURY).id);
+      }
+    }
+  };
+
+  let game;
+  let replay;
+
+  beforeEach(() => {
+    game = new Game('TEST', { seed: 7 });
+    game.addPlayer('p1', 'Alice');
+    game.addPlayer('p2', 'Bob');
+    game.addPlayer('p3', 'Charlie');
+    game.startGame();
+    playFullGame(game);
+    replay = buildReplay({ replayId: 'REPLAY23', roomCode: 'TEST', finishedAt: 1, events: game.eventLog });
+  });
+
+  test('should step through the whole action history in order', () => {
+    const replayedActions = replay.frames.flatMap(frame => frame.actions);
+
+    expect(replayedActions.map(({ type, data }) => ({ type, data })))
+      .toEqual(game.actionHistory.map(({ type, data }) => ({ type, data })));
+    expect(replay.frames[0].actions[0].type).toBe(GAME_ACTION_TYPES.GAME_STARTED);
+  });
+
+  test('should end on the final table and results', () => {
+    const last = replay.frames[replay.frames.length - 1];
+
+    expect(last.table.phase).toBe(GAME_PHASES.GAME_OVER);
+    expect(last.table.players.map(p => p.wonCards)).toEqual(game.players.map(p => p.wonCards));
+    expect(replay.results).toEqual(game.results);
+    expect(replay.seed).toBe(7);
+  });
+
+  test('should show every hand as it was at each point', () => {
+    // The first frame is after the bills were removed, before anyone paid
+    replay.frames[0].table.players.forEach((player, index) => {
+      expect(player.moneyHand).toHaveLength(game.players[index].moneyHand.length);
+      expect(player.moneyHand.every(bill => bill.available)).toBe(true);
+    });
+
+    const firstBid = replay.frames.find(frame => frame.actions.some(a => a.type === GAME_ACTION_TYPES.BID));
+    const bidder = firstBid.table.players.find(p => p.currentBid.length > 0);
+    expect(bidder.currentBidTotal).toBeGreaterThan(0);
+    expect(bidder.remainingMoney).toBe(bidder.moneyHand.filter(m => m.available).reduce((sum, m) => sum + m.value, 0));
+  });
+});
@@ -6,6 +6,7 @@ describe('RoomManager', () => {
     // Clear all rooms before each test
     roomManager.rooms.clear();
     roomManager.playerRooms.clear();
+    roomManager.spectatorRooms.clear();
   });
 
   describe('Room Creation', () => {
@@ -95,6 +96,73 @@ describe('RoomManager', () => {
     });
   });
 
+  describe('Reconnect Tokens', () => {
+    test('should issue a distinct token per seat', () => {
+      const { roomCode, reconnectToken: hostToken } = roomManager.createRoom('p1', 'Alice');
+      const { reconnectToken: guestToken } = roomManager.joinRoom(roomCode, 'p2', 'Bob');
+
+      expect(hostToken).toEqual(expect.any(String));
+      expect(hostToken.length).toBeGreaterThanOrEqual(32);
+      expect(guestToken).not.toBe(hostToken);
+    });
+
+    test('should resume the seat that owns the token', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      const { reconnectToken } = roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+      roomManager.playerRooms.delete('p2');
+
+      const { player, previousPlayerId } = roomManager.resumeSession(roomCode, reconnectToken, 'p2-new');
+
+      expect(player.name).toBe('Bob');
+      expect(previousPlayerId).toBe('p2');
+      expect(game.players.find(p => p.name === 'Bob').id).toBe('p2-new');
+      expect(roomManager.getPlayerRoom('p2-new')).toBe(roomCode);
+    });
+
+    test('should keep the auction as it was when a seat is resumed', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      const { reconnectToken } = roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+
+      const firstPlayer = game.players.find(p => p.id === game.currentAuction.currentTurnPlayerId);
+      game.placeBid(firstPlayer.id, [firstPlayer.moneyHand[0].id]);
+      const before = JSON.parse(JSON.stringify(game.getPublicState()));
+      roomManager.playerRooms.delete('p2');
+
+      roomManager.resumeSession(roomCode, reconnectToken, 'p2-new');
+
+      const after = game.getPublicState();
+      expect(after.currentAuction.highestBid).toBe(before.currentAuction.highestBid);
+      expect(after.currentAuction.currentTurnIndex).toBe(before.currentAuction.currentTurnIndex);
+      expect(after.players.map(p => p.currentBidTotal)).toEqual(before.players.map(p => p.currentBidTotal));
+      expect(game.eventLog.some(e => e.type === 'auction_restarted')).toBe(false);
+    });
+
+    test('should reject a token from another seat or room', () => {
+      const { roomCode } = roomManager.createRoom('p1', 'Alice');
+      const { reconnectToken: otherToken } = roomManager.createRoom('p2', 'Bob');
+
+      expect(() => {
+        roomManager.resumeSession(roomCode, otherToken, 'p3');
+      }).toThrow('Invalid or expired session');
+    });
+
+    test('should not let a matching name take over a seat in a running game', () => {
+      const { roomCode, game } = roomManager.createRoom('p1', 'Alice');
+      roomManager.joinRoom(roomCode, 'p2', 'Bob');
+      roomManager.joinRoom(roomCode, 'p3', 'Charlie');
+      game.startGame();
+
+      expect(() => {
+        roomManager.joinRoom(roomCode, 'intruder', 'alice');
+      }).toThrow('Game already in progress');
+      expect(game.players.find(p => p.name === 'Alice').id).toBe('p1');
+    });
+  });
+
   describe('Leaving Rooms', () => {
     test('should leave room successfully', () => {
       const { roomCode } = roomManager.createRoom('player1', 'Alice');
@@ -131,6 +199,76 @@ describe('RoomManager', () => {
     });
   });
 
+  describe('Spectators', () => {
+    test('should let anyone watch a game in progress', () => {
+      const { roomCode, game } = roomManager.createRoom('player1', 'Alice');
+      roomManager.joinRoom(roomCode, 'player2', 'Bob');
+      roomManager.joinRoom(roomCode, 'player3', 'Charlie');
+      game.startGame();
+
+      roomManager.spectateRoom(roomCode.toLowerCase(), 'watcher1');
+      roomManager.spectateRoom(roomCode, 'watcher2');
+
+      expect(game.getPublicState().spectatorCount).toBe(2);
+      expect(game.players).toHaveLength(3);
+      expect(roomManager.getSpectatorRoom('watcher1')).toBe(roomCode);
+      expect(roomManager.getPlayerRoom('watcher1')).toBeUndefined();
+    });
+
+    test('should not let players or spectators join twice', () => {
+      const { roomCode } = roomManager.createRoom('player1', 'Alice');
+      roomManager.spectateRoom(roomCode, 'watcher1');
+
+      expect(() => roomManager.spectateRoom(roomCode, 'player1')).toThrow('You are already in a room');
+      expect(() => roomManager.spectateRoom(roomCode, 'watcher1')).toThrow('You are already in a room');
+      expect(() => roomManager.joinRoom(roomCode, 'watcher1', 'Sneaky')).toThrow('You are already in a room');
+      expect(() => roomManager.spectateRoom('XXXX', 'watcher2')).toThrow('Room not found');
+    });
+
+    test('should stop spectating, and forget spectators of deleted rooms', () => {
+      const { roomCode, game } = roomManager.createRoom('player1', 'Alice');
+      roomManager.spectateRoom(roomCode, 'watcher1');
+      roomManager.spectateRoom(roomCode, 'watcher2');
+
+      expect(roomManager.stopSpectating('watcher1')).toEqual({ roomCode, game });
+      expect(game.getPublicState().spectatorCount).toBe(1);
+      expect(roomManager.stopSpectating('watcher1')).toBeNull();
+
+      roomManager.leaveRoom('player1');
+      expect(roomManager.getSpectatorRoom('watcher2')).toBeUndefined();
+    });
+  });
+
+  describe('Rematch', () => {
+    test('should replace a finished game with its rematch in the same room', () => {
+      const { roomCode, game, reconnectToken } = roomManager.createRoom('player1', 'Alice');
+      roomManager.joinRoom(roomCode, 'player2', 'Bob');
+      roomManager.joinRoom(roomCode, 'player3', 'Charlie');
+      roomManager.spectateRoom(roomCode, 'watcher1');
+      game.startGame();
+      game.endGame();
+      game.notifyChange();
+      ['player1', 'player2', 'player3'].forEach(playerId => game.setRematchReady(playerId));
+
+      const rematch = roomManager.startRematch(roomCode);
+
+      expect(roomManager.getGame(roomCode)).toBe(rematch);
+      expect(rematch.phase).toBe(GAME_PHASES.AUCTION);
+      expect(rematch.players[0].reconnectToken).toBe(reconnectToken);
+      expect(rematch.getPublicState().spectatorCount).toBe(1);
+      expect(game.onChange).toBeNull();
+      expect(roomManager.getReplay(game.replayId)).not.toBeNull();
+    });
+
+    test('should not start a rematch until the table is ready', () => {
+      const { roomCode, game } = roomManager.createRoom('player1', 'Alice');
+
+      expect(() => roomManager.startRematch(roomCode)).toThrow('Not everyone is ready for a rematch');
+      expect(roomManager.getGame(roomCode)).toBe(game);
+      expect(() => roomManager.startRematch('XXXX')).toThrow('Room not found');
+    });
+  });
+
   describe('Getting Game', () => {
     test('should get game by room code', () => {
       const { roomCode, game } = roomManager.createRoom('player1', 'Alice');
@@ -0,0 +1,118 @@
+import {
+  BILL_REMOVAL_RULES,
+  validateRules,
+  getDefaultRules,
+  setDefaultRules,
+  getConfigRules,
+  countDeckCards
+} from '../src/models/rules.js';
+import { Game } from '../src/models/game.js';
+import { buildItemDeck, createMoneyHand, removeRandomBill, MONEY_DENOMINATIONS } from '../src/models/cards.js';
+import { getCardSet } from '../src/models/cardSets.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+describe('Rules', () => {
+  afterEach(() => {
+    setDefaultRules({});
+  });
+
+  describe('validateRules', () => {
+    test('should default to the standard Low Society rules', () => {
+      expect(getDefaultRules()).toEqual({
+        players: { min: 3, max: 5 },
+        money: { denominations: MONEY_DENOMINATIONS, billRemoval: BILL_REMOVAL_RULES.MIDDLE },
+        deck: { luxury: null, prestige: null, disgrace: null, special: null },
+        turnTimer: { minSeconds: 10, maxSeconds: 300 }
+      });
+    });
+
+    test('should merge overrides setting by setting', () => {
+      const rules = validateRules({ players: { max: 4 }, money: { denominations: [10, 1, 5] } });
+
+      expect(rules.players).toEqual({ min: 3, max: 4 });
+      expect(rules.money).toEqual({ denominations: [1, 5, 10], billRemoval: BILL_REMOVAL_RULES.MIDDLE });
+    });
+
+    test.each([
+      ['a non-object', 'house rules', 'expected an object'],
+      ['an unknown section', { scoring: {} }, 'unknown section "scoring"'],
+      ['an unknown setting', { players: { count: 4 } }, 'unknown setting "players.count"'],
+      ['too many players', { players: { max: 9 } }, 'players needs a min and max from 2 to 6'],
+      ['min above max', { players: { min: 5, max: 4 } }, 'players needs'],
+      ['a single bill', { money: { denominations: [5] } }, 'money.denominations must list 2-20 bills'],
+      ['a repeated bill', { money: { denominations: [1, 5, 5] } }, 'must not repeat'],
+      ['a fractional bill', { money: { denominations: [1, 2.5, 5] } }, 'positive whole numbers'],
+      ['an unknown bill removal', { money: { billRemoval: 'two' } }, 'money.billRemoval must be one of'],
+      ['no middle bill to remove', { money: { denominations: [1, 25] } }, 'needs at least 3 denominations'],
+      ['a negative card count', { deck: { luxury: -1 } }, 'deck.luxury must be null'],
+      ['an empty deck', { deck: { luxury: 0, prestige: 0, disgrace: 0, special: 0 } }, 'at least one card type'],
+      ['a backwards timer range', { turnTimer: { minSeconds: 60, maxSeconds: 30 } }, 'turnTimer needs']
+    ])('should reject %s', (_, overrides, message) => {
+      expect(() => validateRules(overrides)).toThrow('Invalid rules: ');
+      expect(() => validateRules(overrides)).toThrow(message);
+    });
+  });
+
+  describe('Config defaults', () => {
+    test('should read game.rules and the older player limit keys', () => {
+      expect(getConfigRules({ minPlayers: 2, maxPlayers: 4, startingMoney: 40 })).toEqual({ players: { min: 2, max: 4 } });
+      expect(getConfigRules({ maxPlayers: 4, rules: { players: { max: 6 }, money: { billRemoval: 'none' } } }))
+        .toEqual({ players: { max: 6 }, money: { billRemoval: 'none' } });
+    });
+
+    test('should start new rooms with the configured rules', () => {
+      setDefaultRules({ players: { max: 6 }, money: { billRemoval: 'any' } });
+
+      const game = new Game('TEST');
+      expect(game.getPublicState().rules.players.max).toBe(6);
+      expect(game.rules.money.billRemoval).toBe('any');
+    });
+
+    test('should leave the defaults alone when the config is invalid', () => {
+      expect(() => setDefaultRules({ players: { max: 1 } })).toThrow('Invalid rules');
+      expect(getDefaultRules().players.max).toBe(5);
+    });
+  });
+
+  describe('Bill removal', () => {
+    test('should keep the lowest and highest bills of any hand by default', () => {
+      for (let seed = 0; seed < 20; seed++) {
+        const hand = createMoneyHand([2, 4, 6]);
+        expect(removeRandomBill(hand, createSeededRandom(seed)).value).toBe(4);
+      }
+    });
+
+    test('should remove any bill, or none', () => {
+      const removed = new Set();
+      for (let seed = 0; seed < 50; seed++) {
+        removed.add(removeRandomBill(createMoneyHand([2, 4, 6]), createSeededRandom(seed), BILL_REMOVAL_RULES.ANY).value);
+      }
+      expect([...removed].sort()).toEqual([2, 4, 6]);
+
+      const hand = createMoneyHand();
+      expect(removeRandomBill(hand, Math.random, BILL_REMOVAL_RULES.NONE)).toBeNull();
+      expect(hand).toHaveLength(MONEY_DENOMINATIONS.length);
+    });
+  });
+
+  describe('Deck composition', () => {
+    const lowSociety = getCardSet('low-society');
+
+    test('should keep at most the given number of each card type', () => {
+      const deck = buildItemDeck(createSeededRandom(1), lowSociety, { luxury: 4, special: 0 });
+      const count = (type) => deck.filter(card => card.type === type).length;
+
+      expect(count('luxury')).toBe(4);
+      expect(count('special')).toBe(0);
+      expect(count('prestige')).toBe(lowSociety.cards.filter(card => card.type === 'prestige').length);
+      expect(countDeckCards(lowSociety.cards, { luxury: 4, special: 0 })).toBe(deck.length);
+    });
+
+    test('should build the same deck as before when no limits are set', () => {
+      const ids = (deck) => deck.map(card => card.id);
+
+      expect(ids(buildItemDeck(createSeededRandom(7), lowSociety, getDefaultRules().deck)))
+        .toEqual(ids(buildItemDeck(createSeededRandom(7), lowSociety)));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { parseStrategy, simulateGame, runSimulation, formatSimulationReport } from '../src/services/simulator.js';
+
+describe('Simulator', () => {
+  describe('parseStrategy', () => {
+    test('should parse a difficulty with an optional personality', () => {
+      expect(parseStrategy('hard')).toEqual({ label: 'hard', difficulty: 'hard', personality: null });
+      expect(parseStrategy('expert:spiteful')).toEqual({ label: 'expert:spiteful', difficulty: 'expert', personality: 'spiteful' });
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(() => parseStrategy('genius')).toThrow('Unknown AI difficulty');
+      expect(() => parseStrategy('hard:grumpy')).toThrow('Unknown AI personality');
+    });
+  });
+
+  describe('simulateGame', () => {
+    test('should play a full game with one eliminated player', () => {
+      const result = simulateGame({ strategies: ['normal', 'hard', 'expert'], seed: 7 });
+
+      expect(result.seats.map(s => s.label)).toEqual(['normal', 'hard', 'expert']);
+      expect(result.seats.filter(s => s.eliminated)).toHaveLength(1);
+      expect(result.seats.filter(s => s.won).length).toBeGreaterThanOrEqual(1);
+      expect(result.seats.filter(s => s.won).every(s => !s.eliminated)).toBe(true);
+      // Every card drawn was auctioned once
+      expect(new Set(result.sales.map(s => s.cardId)).size).toBe(result.sales.length);
+    });
+
+    test('should replay the same game for the same seed', () => {
+      const options = { strategies: ['normal', 'normal:reckless', 'expert'], seed: 'replay' };
+
+      expect(simulateGame(options)).toEqual(simulateGame(options));
+    });
+
+    test('should charge the winner of a standard auction and the dodgers of a reverse one', () => {
+      const { sales } = simulateGame({ strategies: ['normal', 'hard', 'expert', 'easy'], seed: 3 });
+
+      sales.filter(s => s.auctionType === 'standard' && s.taker).forEach(sale => {
+        expect(sale.paid).toBeGreaterThan(0);
+        expect(sale.othersPaid).toBe(0);
+      });
+      sales.filter(s => s.auctionType === 'reverse').forEach(sale => {
+        expect(sale.paid).toBe(0);
+      });
+    });
+  });
+
+  describe('runSimulation', () => {
+    test('should rotate seats and aggregate stats by strategy', () => {
+      const stats = runSimulation({ strategies: ['expert', 'normal', 'normal'], games: 6, seed: 1 });
+
+      expect(stats.games).toBe(6);
+      expect(stats.strategies.expert.seats).toBe(6);
+      expect(stats.strategies.normal.seats).toBe(12);
+
+      const strategies = Object.values(stats.strategies);
+      // Ties can eliminate or crown more than one player a game
+      expect(strategies.reduce((sum, s) => sum + s.eliminations, 0)).toBeGreaterThanOrEqual(6);
+      expect(strategies.reduce((sum, s) => sum + s.wins, 0)).toBeGreaterThanOrEqual(6);
+      expect(stats.cards['lux-10']).toMatchObject({ name: 'Double Wide Trailer', auctionType: 'standard' });
+    });
+
+    test('should rank the difficulties hard above normal above easy', () => {
+      const { strategies } = runSimulation({ strategies: ['easy', 'normal', 'hard'], games: 300, seed: 1 });
+
+      expect(strategies.hard.winRate).toBeGreaterThan(strategies.normal.winRate);
+      expect(strategies.normal.winRate).toBeGreaterThan(strategies.easy.winRate);
+    });
+
+    test('should format a readable report', () => {
+      const report = formatSimulationReport(runSimulation({ strategies: ['easy', 'hard', 'expert'], games: 2 }));
+
+      expect(report).toContain('2 games');
+      expect(report).toMatch(/expert\s+2\s+/);
+      expect(report).toContain('Double Wide Trailer');
+    });
+  });
+});
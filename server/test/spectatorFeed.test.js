@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { publishToSpectators, publishActionToSpectators, getSpectatorState, getSpectatorChannel, clearSpectatorFeed } from '../src/services/spectatorFeed.js';
+import { Game } from '../src/models/game.js';
+
+describe('Spectator Feed', () => {
+  let game;
+  let io;
+  let emitted;
+
+  const startGame = (spectatorDelay) => {
+    game = new Game('WATCH', { seed: 3 });
+    game.addPlayer('p1', 'Alice');
+    game.addPlayer('p2', 'Bob');
+    game.addPlayer('p3', 'Charlie');
+    game.startGame({ spectatorDelay });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    emitted = [];
+    io = {
+      to: jest.fn(channel => ({
+        emit: (event, data) => emitted.push({ channel, event, data })
+      }))
+    };
+  });
+
+  afterEach(() => {
+    clearSpectatorFeed('WATCH');
+    jest.useRealTimers();
+  });
+
+  test('should send live games to the spectator channel once per batch of changes', () => {
+    startGame(0);
+
+    publishToSpectators(io, game);
+    publishToSpectators(io, game);
+    jest.advanceTimersByTime(0);
+
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0].channel).toBe(getSpectatorChannel('WATCH'));
+    expect(emitted[0].event).toBe('spectator_state');
+    expect(emitted[0].data.publicState.phase).toBe(game.phase);
+    expect(emitted[0].data).not.toHaveProperty('privateState');
+  });
+
+  test('should hold back updates for the spectator delay', () => {
+    startGame(30);
+
+    publishToSpectators(io, game);
+    jest.advanceTimersByTime(29000);
+    expect(emitted).toHaveLength(0);
+    expect(getSpectatorState(game)).toBeNull();
+
+    jest.advanceTimersByTime(1000);
+    expect(emitted).toHaveLength(1);
+    expect(getSpectatorState(game)).toEqual(emitted[0].data.publicState);
+  });
+
+  test('should show new spectators the delayed state, not the live one', () => {
+    startGame(10);
+    publishToSpectators(io, game);
+    jest.advanceTimersByTime(10000);
+    const delayed = getSpectatorState(game);
+
+    game.pass(game.getTurnPlayerId());
+    publishToSpectators(io, game);
+    jest.advanceTimersByTime(5000);
+
+    expect(getSpectatorState(game)).toBe(delayed);
+    expect(getSpectatorState(game)).not.toEqual(game.getPublicState());
+  });
+
+  test('should hold back history actions for the spectator delay', () => {
+    startGame(10);
+    const action = game.actionHistory[game.actionHistory.length - 1];
+
+    publishActionToSpectators(io, game, action);
+    jest.advanceTimersByTime(9000);
+    expect(emitted).toHaveLength(0);
+
+    jest.advanceTimersByTime(1000);
+    expect(emitted).toEqual([{ channel: getSpectatorChannel('WATCH'), event: 'game_action', data: { action } }]);
+  });
+
+  test('should drop pending updates when the feed is cleared', () => {
+    startGame(30);
+
+    publishToSpectators(io, game);
+    jest.advanceTimersByTime(0);
+    clearSpectatorFeed('WATCH');
+    jest.advanceTimersByTime(30000);
+
+    expect(emitted).toHaveLength(0);
+  });
+});
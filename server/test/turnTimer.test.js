@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { syncTurnTimer, clearTurnTimer, hasTurnTimer, playTimedOutTurn } from '../src/services/turnTimer.js';
+import { Game, GAME_PHASES, TURN_TIMEOUT_ACTIONS } from '../src/models/game.js';
+import { CARD_TYPES } from '../src/models/cards.js';
+
+describe('Turn Timer', () => {
+  let game;
+
+  const startTimedGame = (onTimeout = TURN_TIMEOUT_ACTIONS.AUTO_PASS) => {
+    game = new Game('TIME', { seed: 7 });
+    game.addPlayer('p1', 'Alice');
+    game.addPlayer('p2', 'Bob');
+    game.addPlayer('p3', 'Charlie');
+    game.startGame({ turnTimer: { seconds: 30, onTimeout } });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clearTurnTimer('TIME');
+    jest.useRealTimers();
+  });
+
+  describe('syncTurnTimer', () => {
+    test('should fire for the player on turn once the deadline passes', () => {
+      startTimedGame();
+      const onTimeout = jest.fn();
+
+      syncTurnTimer(game, onTimeout);
+      jest.advanceTimersByTime(29000);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(onTimeout).toHaveBeenCalledWith(game.currentAuction.currentTurnPlayerId);
+    });
+
+    test('should keep the running timer when the deadline is unchanged', () => {
+      startTimedGame();
+      const onTimeout = jest.fn();
+
+      syncTurnTimer(game, onTimeout);
+      jest.advanceTimersByTime(20000);
+      syncTurnTimer(game, onTimeout);
+      jest.advanceTimersByTime(10000);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should restart the clock when the turn moves on', () => {
+      startTimedGame();
+      const onTimeout = jest.fn();
+      syncTurnTimer(game, onTimeout);
+
+      jest.advanceTimersByTime(20000);
+      game.pass(game.currentAuction.currentTurnPlayerId);
+      syncTurnTimer(game, onTimeout);
+      jest.advanceTimersByTime(20000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should not run without a turn timer', () => {
+      game = new Game('TIME');
+      game.addPlayer('p1', 'Alice');
+      game.addPlayer('p2', 'Bob');
+      game.addPlayer('p3', 'Charlie');
+      game.startGame();
+
+      syncTurnTimer(game, jest.fn());
+
+      expect(game.currentAuction.turnDeadline).toBeNull();
+      expect(hasTurnTimer('TIME')).toBe(false);
+    });
+  });
+
+  describe('playTimedOutTurn', () => {
+    test('should pass for the player with auto-pass', () => {
+      startTimedGame();
+      const playerId = game.currentAuction.currentTurnPlayerId;
+
+      expect(playTimedOutTurn(game, playerId)).toEqual({ action: 'pass' });
+      expect(game.players.find(p => p.id === playerId).hasPassed).toBe(true);
+    });
+
+    test('should let an AI decide the turn with the ai action', () => {
+      startTimedGame(TURN_TIMEOUT_ACTIONS.AI);
+      const playerId = game.currentAuction.currentTurnPlayerId;
+      const before = game.eventLog.length;
+
+      const result = playTimedOutTurn(game, playerId);
+
+      expect(['bid', 'pass']).toContain(result.action);
+      expect(game.eventLog.length).toBeGreaterThan(before);
+    });
+
+    test('should skip the Pawn Shop Trade', () => {
+      startTimedGame();
+      game.phase = GAME_PHASES.CARD_SWAP;
+      game.currentAuction.swapWinner = 'p2';
+
+      expect(playTimedOutTurn(game, 'p2')).toEqual({ action: 'skip_swap' });
+      expect(game.phase).not.toBe(GAME_PHASES.CARD_SWAP);
+    });
+
+    test('should discard the cheapest luxury for the Repo Man', () => {
+      startTimedGame();
+      const player = game.players[1];
+      player.wonCards = [
+        { id: 'lux-9', type: CARD_TYPES.LUXURY, value: 9 },
+        { id: 'lux-2', type: CARD_TYPES.LUXURY, value: 2 }
+      ];
+      game.phase = GAME_PHASES.DISCARD_LUXURY;
+      game.discardingPlayerId = player.id;
+
+      expect(playTimedOutTurn(game, player.id)).toEqual({ action: 'discard', cardId: 'lux-2' });
+      expect(player.wonCards.map(c => c.id)).toEqual(['lux-9']);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Config Loader
+ * Reads the project's config file, applies a profile and environment variable
+ * overrides, and validates the result against CONFIG_SCHEMA.
+ * Used by the server (server/src/server.js) and the client dev server (client/vite.config.js).
+ *
+ * Layers, later ones winning setting by setting:
+ *   1. Schema defaults
+ *   2. The config file: config.json, config.mjs or config.js in the project root
+ *      (or the file named by LOW_SOCIETY_CONFIG)
+ *   3. The profile named by LOW_SOCIETY_PROFILE or the file's `profile` key
+ *   4. Environment variables: LOW_SOCIETY_<SECTION>_<SETTING> (e.g. LOW_SOCIETY_SERVER_PORT)
+ *      and the aliases listed in the schema (PORT, VITE_SERVER_URL)
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { CONFIG_SCHEMA, CONFIG_EXTRAS } from './schema.js';
+
+/** Config files looked for in the project root, in order */
+export const CONFIG_FILES = ['config.json', 'config.mjs', 'config.js'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const toSnakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Environment variable names that set a setting
+ * @param {string} section - Schema section, e.g. 'server'
+ * @param {string} key - Setting name, e.g. 'corsOrigins'
+ * @returns {string[]} e.g. ['LOW_SOCIETY_SERVER_CORS_ORIGINS']
+ */
+export function getEnvNames(section, key) {
+  return [`LOW_SOCIETY_${toSnakeCase(section)}_${toSnakeCase(key)}`, ...(CONFIG_SCHEMA[section][key].env || [])];
+}
+
+/**
+ * Turn an environment variable's text into a setting value
+ * Values that don't parse are passed through as text so validation reports them
+ */
+function parseEnvValue(text, setting) {
+  const value = text.trim();
+  if (value === '' && setting.default === null) return null;
+
+  switch (setting.type) {
+    case 'port':
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+      return value;
+    case 'origins':
+      return value === '*' || !value.includes(',') ? value : value.split(',').map(origin => origin.trim());
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Problem with a setting's value, or null if it's fine
+ * @param {*} value
+ * @param {Object} setting - Schema entry
+ * @returns {string|null} e.g. 'must be a port number (1-65535)'
+ */
+function checkValue(value, setting) {
+  if (value === null) return setting.default === null ? null : 'must be set';
+
+  switch (setting.type) {
+    case 'port':
+      return Number.isInteger(value) && value >= 1 && value <= 65535 ? null : 'must be a port number (1-65535)';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be a whole number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      if (typeof value !== 'string' || value === '') return 'must be text';
+      return !setting.oneOf || setting.oneOf.includes(value) ? null : `must be one of ${setting.oneOf.join(', ')}`;
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+      } catch {
+        return 'must be an http(s) URL';
+      }
+    case 'origins': {
+      const origins = Array.isArray(value) ? value : [value];
+      return origins.length > 0 && origins.every(origin => typeof origin === 'string' && origin !== '')
+        ? null
+        : "must be '*', an origin or a list of origins";
+    }
+    case 'object':
+      return isPlainObject(value) ? null : 'must be an object';
+    default:
+      return null;
+  }
+}
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Merge one layer of settings into the config, checking its keys and values
+ * @param {Object} config - Config being built (changed in place)
+ * @param {Object} layer - Partial config from one source
+ * @param {string} source - Where the layer came from, for messages
+ * @param {string[]} errors - Problems found so far (added to)
+ * @param {string[]} warnings - Non-fatal notes (added to)
+ */
+function applyLayer(config, layer, source, errors, warnings) {
+  Object.entries(layer).forEach(([section, values]) => {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      errors.push(`unknown section "${section}" in ${source} (use ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      return;
+    }
+    if (!isPlainObject(values)) {
+      errors.push(`${section} in ${source} must be an object`);
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      const setting = schema[key];
+      if (!setting) {
+        errors.push(`unknown setting "${section}.${key}" in ${source}`);
+      } else if (setting.type === 'deprecated') {
+        warnings.push(`${section}.${key} in ${source} is no longer used: ${setting.note}`);
+      } else if (value !== undefined) {
+        const problem = checkValue(value, setting);
+        if (problem) {
+          errors.push(`${section}.${key} ${problem} (got ${describeValue(value)} from ${source})`);
+        } else {
+          config[section][key] = value;
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Default value of every setting
+ * @returns {Object} Complete config
+ */
+export function getDefaultConfig() {
+  const config = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([section, settings]) => {
+    config[section] = {};
+    Object.entries(settings).forEach(([key, setting]) => {
+      if (setting.type !== 'deprecated') {
+        config[section][key] = JSON.parse(JSON.stringify(setting.default));
+      }
+    });
+  });
+  return config;
+}
+
+/**
+ * Validate config settings and merge them over the defaults
+ * @param {Object} [fileConfig] - Settings from a config file (sections, `profile` and `profiles`)
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (process.env)
+ * @param {string} [options.source] - Name of the file, for messages
+ * @returns {{ config: Object, profile: string|null, warnings: string[] }}
+ * @throws {Error} Listing every problem found
+ */
+export function validateConfig(fileConfig = {}, { env = {}, source = 'config' } = {}) {
+  const errors = [];
+  const warnings = [];
+  const config = getDefaultConfig();
+
+  if (!isPlainObject(fileConfig)) {
+    throw new Error(`Invalid config in ${source}:\n  - expected an object`);
+  }
+
+  const { profile: fileProfile = null, profiles = {}, ...sections } = fileConfig;
+  applyLayer(config, sections, source, errors, warnings);
+
+  const profile = env.LOW_SOCIETY_PROFILE || fileProfile;
+  if (checkValue(profiles, CONFIG_EXTRAS.profiles)) {
+    errors.push(`profiles in ${source} must be an object`);
+  } else if (profile !== null && checkValue(profile, CONFIG_EXTRAS.profile)) {
+    errors.push(`profile must be the name of a profile (got ${describeValue(profile)})`);
+  } else if (profile !== null && !isPlainObject(profiles[profile])) {
+    const names = Object.keys(profiles);
+    errors.push(`unknown profile "${profile}" (${names.length > 0 ? `use ${names.join(', ')}` : `${source} has no profiles`})`);
+  } else if (profile !== null) {
+    applyLayer(config, profiles[profile], `profile "${profile}"`, errors, warnings);
+  }
+
+  Object.entries(CONFIG_SCHEMA).forEach(([section, settings]) => {
+    Object.entries(settings).forEach(([key, setting]) => {
+      if (setting.type === 'deprecated') return;
+
+      // The first name wins, so LOW_SOCIETY_SERVER_PORT beats PORT
+      const name = getEnvNames(section, key).find(envName => env[envName] !== undefined);
+      if (name) {
+        applyLayer(config, { [section]: { [key]: parseEnvValue(env[name], setting) } }, name, errors, warnings);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return { config, profile, warnings };
+}
+
+/**
+ * Read a config file
+ * JSON files are parsed; .js and .mjs files are imported and their default export used
+ * (CommonJS `module.exports` or ES `export default`)
+ * @param {string} path - Absolute path
+ * @returns {Promise<Object>}
+ * @throws {Error} If the file can't be read or parsed
+ */
+async function readConfigFile(path) {
+  const name = basename(path);
+
+  if (extname(path) === '.json') {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${name}: ${error.message}`);
+    }
+  }
+
+  let module;
+  try {
+    module = await import(pathToFileURL(path).href);
+  } catch (error) {
+    throw new Error(`Could not load ${name}: ${error.message}`);
+  }
+  if (module.default === undefined) {
+    throw new Error(`${name} has no default export (use \`export default { ... }\`)`);
+  }
+  return module.default;
+}
+
+/**
+ * Load and validate the project's config
+ * A missing config file is fine - the defaults and environment variables are used
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory the config file lives in (the project root)
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Promise<{ config: Object, path: string|null, profile: string|null, warnings: string[] }>}
+ *   path is the config file used (null if none)
+ * @throws {Error} If the config file can't be read or has invalid settings
+ */
+export async function loadConfig({ rootDir, env = process.env }) {
+  let path = null;
+
+  if (env.LOW_SOCIETY_CONFIG) {
+    path = resolve(rootDir, env.LOW_SOCIETY_CONFIG);
+    if (!existsSync(path)) {
+      throw new Error(`Config file ${path} (from LOW_SOCIETY_CONFIG) does not exist`);
+    }
+  } else {
+    path = CONFIG_FILES.map(file => resolve(rootDir, file)).find(file => existsSync(file)) || null;
+  }
+
+  const fileConfig = path ? await readConfigFile(path) : {};
+  const result = validateConfig(fileConfig, { env, source: path ? basename(path) : 'the environment' });
+
+  return { ...result, path };
+}
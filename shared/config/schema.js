@@ -0,0 +1,63 @@
+/**
+ * Config Schema
+ * Every setting config.js (or config.json / config.mjs) can hold, with its type
+ * and default. Used by loadConfig.js for validation and environment overrides.
+ *
+ * Setting types:
+ * - 'port'     whole number 1-65535
+ * - 'integer'  whole number
+ * - 'boolean'  true or false
+ * - 'string'   text (`oneOf` limits it to a list)
+ * - 'url'      http(s) URL
+ * - 'origins'  '*', one origin, or a list of origins
+ * - 'object'   plain object, checked by whoever uses it
+ *
+ * A setting whose default is null may be left unset. `env` lists extra environment
+ * variable names besides LOW_SOCIETY_<SECTION>_<SETTING>.
+ */
+
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { type: 'port', default: 3003, env: ['PORT'] },
+    host: { type: 'string', default: '0.0.0.0' },
+    corsOrigins: { type: 'origins', default: '*' }
+  },
+
+  client: {
+    port: { type: 'port', default: 3004 },
+    serverUrl: { type: 'url', default: null, env: ['VITE_SERVER_URL'] },  // null: the client's built-in URL
+    exposeToNetwork: { type: 'boolean', default: false }
+  },
+
+  game: {
+    rules: { type: 'object', default: {} },      // Validated by the server (server/src/models/rules.js)
+    minPlayers: { type: 'integer', default: null },  // Older spelling of rules.players.min
+    maxPlayers: { type: 'integer', default: null },  // Older spelling of rules.players.max
+    debug: { type: 'boolean', default: false },
+    startingMoney: { type: 'deprecated', note: 'the starting money is the sum of game.rules.money.denominations' },
+    deckSize: { type: 'deprecated', note: 'the deck size comes from the card set and game.rules.deck' }
+  },
+
+  persistence: {
+    adapter: { type: 'string', oneOf: ['file', 'memory'], default: 'file' },
+    directory: { type: 'string', default: 'data' }  // Relative to the project root
+  },
+
+  network: {
+    localIP: { type: 'string', default: null }
+  },
+
+  cloudflare: {
+    serverUrl: { type: 'url', default: null },
+    clientUrl: { type: 'url', default: null },
+    allowedDomain: { type: 'string', default: null }
+  }
+};
+
+/** Top-level keys that are not sections */
+export const CONFIG_EXTRAS = {
+  // Name of a profile to apply over the file's settings (or LOW_SOCIETY_PROFILE)
+  profile: { type: 'string', default: null },
+  // Named sets of partial settings, e.g. { lan: { server: { host: '0.0.0.0' } } }
+  profiles: { type: 'object', default: {} }
+};